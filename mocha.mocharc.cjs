@@ -1,5 +1,8 @@
 require('dotenv').config();
 
+// Lets the tests send unsigned webhooks with `API_KEY`.
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
 module.exports = {
   timeout: 100000,
   exit: true,
@@ -6,6 +6,8 @@ import { fileURLToPath } from 'url';
 import './loadEnvironment.js';
 import router from './router.js';
 import websocket from './websocket-server.js';
+import indexer from './indexer.js';
+import webhookDispatcher from './webhook-dispatcher.js';
 
 const { json, urlencoded } = pkg;
 const __filename = fileURLToPath(import.meta.url);
@@ -119,6 +121,14 @@ const server = app.listen(port, function () {
 
 const wss = websocket(server);
 
+if (process.env.INDEXER_ENABLED === 'true') {
+  indexer();
+}
+
+if (process.env.WEBHOOK_DISPATCHER_ENABLED === 'true') {
+  webhookDispatcher();
+}
+
 // Mount production router to root
 app.use('/v2/', router);
 
@@ -0,0 +1,27 @@
+import { Database } from './db/conn.js';
+import { runIndexer } from './utils/indexer-utils.js';
+
+const DEFAULT_INTERVAL = 30000;
+
+export default () => {
+  const interval = parseInt(process.env.INDEXER_INTERVAL) || DEFAULT_INTERVAL;
+  let isRunning = false;
+
+  const timer = setInterval(async () => {
+    // A pass can outlast the interval on slow RPCs, skip the tick instead of overlapping.
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      // The indexer is not tied to any request, so it always targets the production database.
+      await runIndexer(await Database.getInstance({ originalUrl: '/v2/' }));
+    } catch (e) {
+      console.log('[indexer] - error:', e);
+    } finally {
+      isRunning = false;
+    }
+  }, interval);
+
+  console.log(`Chain indexer is running every ${interval}ms!`);
+  return timer;
+};
@@ -13,6 +13,12 @@ import g_sheets from './routes/g-sheets.js';
 import orders_onchain from './routes/update-orders-onchain.js';
 import offers_onchain from './routes/update-offers-onchain.js';
 import push_notifications from './routes/push-notifications.js';
+import notifications from './routes/notifications.js';
+import abis from './routes/abis.js';
+import api_keys from './routes/api-keys.js';
+import webhook_events from './routes/webhook-events.js';
+import webhook_subscriptions from './routes/webhook-subscriptions.js';
+import quotes from './routes/quotes.js';
 
 const router = Router();
 
@@ -30,5 +36,11 @@ router.use('/gsheets', g_sheets);
 router.use('/orders-onchain', orders_onchain);
 router.use('/offers-onchain', offers_onchain);
 router.use('/push-notifications', push_notifications);
+router.use('/notifications', notifications);
+router.use('/abis', abis);
+router.use('/api-keys', api_keys);
+router.use('/webhook-events', webhook_events);
+router.use('/webhook-subscriptions', webhook_subscriptions);
+router.use('/quotes', quotes);
 
 export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import { Database } from '../db/conn.js';
+import { isRequired, requirePermission } from '../utils/auth-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
+import {
+  createAbiValidator,
+  getAbiValidator,
+} from '../validators/abis.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import {
+  AbiError,
+  BUNDLED_ABIS,
+  PUBLISHED_ABIS,
+  getAbi,
+} from '../utils/abis-utils.js';
+
+const router = express.Router();
+
+/* This is a POST request that uploads a new ABI version for a contract. Bundled, published and already
+uploaded versions cannot be replaced: a contract upgrade must be registered as a new version and selected per
+chain through the `<contract>V<version>` key of the blockchain `usefulAddresses`. */
+router.post(
+  '/',
+  createAbiValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.ABIS_WRITE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('abis');
+
+    if (
+      BUNDLED_ABIS[req.body.contract]?.[req.body.version] ||
+      PUBLISHED_ABIS[req.body.contract]?.[req.body.version] ||
+      (await collection.findOne({
+        contract: req.body.contract,
+        version: req.body.version,
+      }))
+    ) {
+      return res.status(404).send({
+        msg: 'This ABI version already exists.',
+      });
+    }
+
+    res.status(201).send(
+      await collection.insertOne({
+        contract: req.body.contract,
+        version: req.body.version,
+        abi: req.body.abi,
+        userId: res.locals.userId,
+        date: new Date(),
+      })
+    );
+  }
+);
+
+/* This is a GET request that lists every available contract version, bundled, published or uploaded. */
+router.get('/', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+  const listVersions = (abis, source) =>
+    Object.entries(abis).flatMap(([contract, versions]) =>
+      Object.keys(versions).map((version) => ({
+        contract,
+        version: Number(version),
+        source,
+      }))
+    );
+
+  res.status(200).send([
+    ...listVersions(BUNDLED_ABIS, 'bundled'),
+    ...listVersions(PUBLISHED_ABIS, 'published'),
+    ...(
+      await db
+        .collection('abis')
+        .find({ source: { $ne: 'published' } }, { projection: { abi: 0 } })
+        .toArray()
+    ).map((abi) => ({ ...abi, source: 'uploaded' })),
+  ]);
+});
+
+/* This is a GET request that returns the ABI of a contract version. */
+router.get(
+  '/:contract/:version',
+  getAbiValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    try {
+      res
+        .status(200)
+        .send(await getAbi(db, req.params.contract, req.params.version));
+    } catch (e) {
+      if (e instanceof AbiError) {
+        return res.status(e.status).send({ msg: e.message });
+      }
+      console.log('[abis] - error:', e);
+      res.status(500).send({ msg: 'Unable to get the ABI' });
+    }
+  }
+);
+
+export default router;
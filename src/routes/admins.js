@@ -1,17 +1,218 @@
 import express from 'express';
 import { Database } from '../db/conn.js';
-import { isRequired } from '../utils/auth-utils.js';
+import { isAdmin, isRequired, requirePermission } from '../utils/auth-utils.js';
+import {
+  createAdminValidator,
+  deleteAdminValidator,
+  modifyAdminRolesValidator,
+} from '../validators/admins.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import {
+  adminFilter,
+  countSuperadmins,
+  getAdminRoles,
+  getRolePermissions,
+  PERMISSIONS,
+  ROLES,
+} from '../utils/roles-utils.js';
 
 const router = express.Router();
 
+/**
+ * This function formats an admin document for the API, with its effective roles and permissions.
+ * @param admin - The admin document, as stored in the `admins` collection.
+ * @returns The formatted admin.
+ */
+function formatAdmin(admin) {
+  const roles = getAdminRoles(admin);
+  return {
+    _id: admin._id,
+    userId: admin.userId,
+    roles,
+    permissions: getRolePermissions(roles),
+  };
+}
+
+/**
+ * This function checks whether changing the roles of an admin, or removing it, would leave the API
+ * without any superadmin to manage the others.
+ * @param db - The database object used to interact with the database.
+ * @param admin - The admin document being changed.
+ * @param roles - The roles of the admin after the change, or `[]` if it is removed.
+ * @returns `true` if the admin is the last superadmin and would lose the role.
+ */
+async function removesLastSuperadmin(db, admin, roles) {
+  return (
+    getAdminRoles(admin).includes(ROLES.SUPERADMIN) &&
+    !roles.includes(ROLES.SUPERADMIN) &&
+    (await countSuperadmins(db)) <= 1
+  );
+}
+
+/* This is a GET request that returns whether the user is an admin. */
 router.get('/', isRequired, async (req, res) => {
   const db = await Database.getInstance(req);
-  const collection = db.collection('admins');
-  res.status(200).send(
-    !!(await collection.findOne({
-      userId: { $regex: res.locals.userId, $options: 'i' },
-    }))
-  );
+  res.status(200).send(!!(await isAdmin(db, res.locals.userId)));
 });
 
+/* This is a GET request that returns the roles and permissions of the user, if the user is an admin. */
+router.get('/me', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+  const admin = await isAdmin(db, res.locals.userId);
+
+  if (!admin) {
+    return res.status(404).send({
+      msg: 'User is not admin',
+    });
+  }
+
+  res.status(200).send(formatAdmin(admin));
+});
+
+/* This is a GET request that lists every admin with its roles. */
+router.get(
+  '/all',
+  isRequired,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    res
+      .status(200)
+      .send(
+        (await db.collection('admins').find({}).toArray()).map(formatAdmin)
+      );
+  }
+);
+
+/* This is a POST request that makes a user an admin with the given roles. */
+router.post(
+  '/',
+  createAdminValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('admins');
+
+    if (await collection.findOne(adminFilter(req.body.userId))) {
+      return res.status(404).send({
+        msg: 'This admin already exists.',
+      });
+    }
+
+    res.status(201).send(
+      await collection.insertOne({
+        userId: req.body.userId,
+        roles: [...new Set(req.body.roles)],
+        grantedBy: res.locals.userId,
+        date: new Date(),
+      })
+    );
+  }
+);
+
+/* This is a PUT request that grants roles to an admin, on top of the roles it already has. */
+router.put(
+  '/:userId/roles',
+  modifyAdminRolesValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('admins');
+    const admin = await collection.findOne(adminFilter(req.params.userId));
+
+    if (!admin) {
+      return res.status(404).send({ msg: 'No admin found' });
+    }
+
+    res.status(200).send(
+      await collection.updateOne(
+        { _id: admin._id },
+        {
+          $set: {
+            roles: [...new Set([...getAdminRoles(admin), ...req.body.roles])],
+          },
+        }
+      )
+    );
+  }
+);
+
+/* This is a DELETE request that revokes roles from an admin. The last superadmin cannot lose its
+role. */
+router.delete(
+  '/:userId/roles',
+  modifyAdminRolesValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('admins');
+    const admin = await collection.findOne(adminFilter(req.params.userId));
+
+    if (!admin) {
+      return res.status(404).send({ msg: 'No admin found' });
+    }
+
+    const roles = getAdminRoles(admin).filter(
+      (role) => !req.body.roles.includes(role)
+    );
+
+    if (await removesLastSuperadmin(db, admin, roles)) {
+      return res.status(409).send({ msg: 'Cannot remove the last superadmin' });
+    }
+
+    res
+      .status(200)
+      .send(
+        await collection.updateOne({ _id: admin._id }, { $set: { roles } })
+      );
+  }
+);
+
+/* This is a DELETE request that removes an admin. The last superadmin cannot be removed. */
+router.delete(
+  '/:userId',
+  deleteAdminValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('admins');
+    const admin = await collection.findOne(adminFilter(req.params.userId));
+
+    if (!admin) {
+      return res.status(404).send({ msg: 'No admin found' });
+    }
+
+    if (await removesLastSuperadmin(db, admin, [])) {
+      return res.status(409).send({ msg: 'Cannot remove the last superadmin' });
+    }
+
+    res.status(200).send(await collection.deleteOne({ _id: admin._id }));
+  }
+);
+
 export default router;
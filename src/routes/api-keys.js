@@ -0,0 +1,155 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { Database } from '../db/conn.js';
+import { isRequired, requirePermission } from '../utils/auth-utils.js';
+import {
+  createApiKeyValidator,
+  getApiKeyByIdValidator,
+} from '../validators/api-keys.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
+import {
+  API_KEY_SCOPES,
+  formatApiKey,
+  generateApiKey,
+  generateSigningSecret,
+} from '../utils/api-keys-utils.js';
+
+const router = express.Router();
+
+/* This is a POST request that creates a service API key. The key is returned in clear in the response
+only: the API keeps its hash. Keys allowed to send webhooks also get the secret to sign them with. */
+router.post(
+  '/',
+  createApiKeyValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const { key, hash, prefix } = generateApiKey();
+    const scopes = [...new Set(req.body.scopes)];
+    const signingSecret = scopes.includes(API_KEY_SCOPES.WEBHOOKS_WRITE)
+      ? generateSigningSecret()
+      : undefined;
+    const apiKey = {
+      name: req.body.name,
+      scopes,
+      hash,
+      prefix,
+      ...(signingSecret && { signingSecret }),
+      expiresAt: req.body.expiresAt ?? null,
+      lastUsedAt: null,
+      revokedAt: null,
+      userId: res.locals.userId,
+      date: new Date(),
+    };
+    const { insertedId } = await db.collection('api-keys').insertOne(apiKey);
+
+    res.status(201).send({
+      ...formatApiKey(apiKey),
+      _id: insertedId,
+      key,
+      ...(signingSecret && { signingSecret }),
+    });
+  }
+);
+
+/* This is a GET request that lists the service API keys, revoked ones included, without their hash. */
+router.get(
+  '/',
+  isRequired,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    res
+      .status(200)
+      .send(
+        (
+          await db.collection('api-keys').find({}).sort({ date: -1 }).toArray()
+        ).map(formatApiKey)
+      );
+  }
+);
+
+/* This is a PUT request that replaces the secret of a service API key, and its webhook signing secret
+if it has one, keeping its name, scopes and expiry. The previous secrets stop working immediately. */
+router.put(
+  '/:apiKeyId/rotate',
+  getApiKeyByIdValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('api-keys');
+    const apiKey = await collection.findOne({
+      _id: new ObjectId(req.params.apiKeyId),
+      revokedAt: null,
+    });
+
+    if (!apiKey) {
+      return res.status(404).send({ msg: 'No API key found' });
+    }
+
+    const { key, hash, prefix } = generateApiKey();
+    const signingSecret = apiKey.signingSecret
+      ? generateSigningSecret()
+      : undefined;
+    const update = {
+      hash,
+      prefix,
+      ...(signingSecret && { signingSecret }),
+      rotatedAt: new Date(),
+      lastUsedAt: null,
+    };
+    await collection.updateOne({ _id: apiKey._id }, { $set: update });
+
+    res.status(200).send({
+      ...formatApiKey({ ...apiKey, ...update }),
+      key,
+      ...(signingSecret && { signingSecret }),
+    });
+  }
+);
+
+/* This is a DELETE request that revokes a service API key. The key is kept, marked as revoked, so that
+it still shows up in the list. */
+router.delete(
+  '/:apiKeyId',
+  getApiKeyByIdValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    const response = await db
+      .collection('api-keys')
+      .updateOne(
+        { _id: new ObjectId(req.params.apiKeyId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+    if (response.matchedCount === 0) {
+      return res.status(404).send({ msg: 'No API key found' });
+    }
+
+    res.status(200).send(response);
+  }
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { Database } from '../db/conn.js';
-import { isAdmin, isRequired } from '../utils/auth-utils.js';
+import { isRequired, requirePermission } from '../utils/auth-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
 import { ObjectId } from 'mongodb';
 import {
   createBlockchainValidator,
@@ -10,37 +11,38 @@ import {
   modifyUsefullAddressValidator,
 } from '../validators/blockchains.validator.js';
 import { validateResult } from '../utils/validators-utils.js';
+import { getRpcHealth, utils_rpc_pool } from '../utils/rpc-pool-utils.js';
 
 const router = express.Router();
 
 /* This is a POST request to create a new blockchain. It is using the `createBlockchainValidator` and
-`isRequired` middleware to validate the request body and check if the user is logged in. It first
-checks if there are any validation errors or if the user is not an admin. If there are errors or the
-user is not an admin, it returns a 400 error. If the blockchain with the same `caipId` already
+`isRequired` middleware to validate the request body and check if the user is logged in, and is
+restricted to admins with the `blockchains:write` permission. If there are validation errors, it
+returns a 400 error. If the blockchain with the same `caipId` already
 exists, it returns a 404 error. Otherwise, it inserts the new blockchain into the database and
 returns a 201 status code. */
-router.post('/', createBlockchainValidator, isRequired, async (req, res) => {
-  const validator = validateResult(req, res);
-  const db = await Database.getInstance(req);
-  const collection = db.collection('blockchains');
-  if (validator.length) {
-    return res.status(400).send(validator);
-  }
+router.post(
+  '/',
+  createBlockchainValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.BLOCKCHAINS_WRITE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    const db = await Database.getInstance(req);
+    const collection = db.collection('blockchains');
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
 
-  if (!isAdmin(db, res.locals.userId)) {
-    res.status(404).send({
-      msg: 'User is not admin',
-    });
-  }
+    if (await collection.findOne({ caipId: req.body.caipId })) {
+      return res.status(404).send({
+        msg: 'This blockchain already exists.',
+      });
+    }
 
-  if (await collection.findOne({ caipId: req.body.caipId })) {
-    res.status(404).send({
-      msg: 'This blockchain already exists.',
-    });
+    res.send(await collection.insertOne(req.body)).status(201);
   }
-
-  res.send(await collection.insertOne(req.body)).status(201);
-});
+);
 
 /* This is a get request to the blockchain route. It is using the getBlockchainByIdValidator to
 validate the request body. It is also using the isRequired middleware to check if the user is logged
@@ -89,16 +91,47 @@ router.get(
   }
 );
 
+/* This is a GET request that returns the health of the RPC endpoints of a blockchain, from the
+healthiest to the least healthy. Every endpoint is probed first so that latency and head-block lag are
+up to date. It is restricted to admins with the `rpc:read` permission. */
+router.get(
+  '/:blockchainId/rpc-health',
+  getBlockchainByIdValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.RPC_READ),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    const blockchain = await db.collection('blockchains').findOne({
+      _id: new ObjectId(req.params.blockchainId),
+    });
+
+    if (!blockchain) {
+      return res.status(404).send({ msg: 'No blockchain found' });
+    }
+
+    await Promise.all(blockchain.rpc.map(utils_rpc_pool.probeRpc));
+
+    res.status(200).send(getRpcHealth(blockchain.rpc));
+  }
+);
+
 /* This is a PUT request to modify an existing blockchain. It is using the `modifyBlockchainValidator`
-and `isRequired` middleware to validate the request body and check if the user is logged in. It
-first checks if there are any validation errors or if the user is not an admin. If there are errors
-or the user is not an admin, it returns a 400 error. If the blockchain with the specified
+and `isRequired` middleware to validate the request body and check if the user is logged in, and is
+restricted to admins with the `blockchains:write` permission. If there are validation errors, it
+returns a 400 error. If the blockchain with the specified
 `blockchainId` does not exist, it returns a 404 error. Otherwise, it updates the blockchain with the
 new values provided in the request body and returns a 200 status code. */
 router.put(
   '/:blockchainId',
   modifyBlockchainValidator,
   isRequired,
+  requirePermission(PERMISSIONS.BLOCKCHAINS_WRITE),
   async (req, res) => {
     const validator = validateResult(req, res);
     const db = await Database.getInstance(req);
@@ -108,12 +141,6 @@ router.put(
       return res.status(400).send(validator);
     }
 
-    if (!isAdmin(db, res.locals.userId)) {
-      res.status(404).send({
-        msg: 'User is not admin',
-      });
-    }
-
     const blockchain = await collection.findOne({
       _id: new ObjectId(req.params.blockchainId),
     });
@@ -140,6 +167,18 @@ router.put(
             blockchain.transactionExplorerUrl,
           addressExplorerUrl:
             req.body.addressExplorerUrl ?? blockchain.addressExplorerUrl,
+          ...(req.body.confirmations !== undefined && {
+            confirmations: req.body.confirmations,
+          }),
+          ...(req.body.pendingTimeout !== undefined && {
+            pendingTimeout: req.body.pendingTimeout,
+          }),
+          ...(req.body.completionTimeout !== undefined && {
+            completionTimeout: req.body.completionTimeout,
+          }),
+          ...(req.body.confirmationTimeout !== undefined && {
+            confirmationTimeout: req.body.confirmationTimeout,
+          }),
         },
       })
     );
@@ -155,6 +194,7 @@ router.delete(
   '/:blockchainId',
   getBlockchainByIdValidator,
   isRequired,
+  requirePermission(PERMISSIONS.BLOCKCHAINS_WRITE),
   async (req, res) => {
     const validator = validateResult(req, res);
     const db = await Database.getInstance(req);
@@ -164,18 +204,12 @@ router.delete(
       return res.status(400).send(validator);
     }
 
-    if (!isAdmin(db, res.locals.userId)) {
-      res.status(404).send({
-        msg: 'User is not admin',
-      });
-    }
-
     const blockchain = await collection.findOne({
       _id: new ObjectId(req.params.blockchainId),
     });
 
     if (!blockchain) {
-      res.status(404).send({
+      return res.status(404).send({
         msg: 'No blockchain found',
       });
     }
@@ -193,6 +227,7 @@ router.put(
   '/useful-address/:blockchainId',
   modifyUsefullAddressValidator,
   isRequired,
+  requirePermission(PERMISSIONS.BLOCKCHAINS_WRITE),
   async (req, res) => {
     const validator = validateResult(req, res);
     const db = await Database.getInstance(req);
@@ -202,18 +237,12 @@ router.put(
       return res.status(400).send(validator);
     }
 
-    if (!isAdmin(db, res.locals.userId)) {
-      res.status(404).send({
-        msg: 'User is not admin',
-      });
-    }
-
     const blockchain = await collection.findOne({
       _id: new ObjectId(req.params.blockchainId),
     });
 
     if (!blockchain) {
-      res.status(404).send({
+      return res.status(404).send({
         msg: 'No blockchain found',
       });
     }
@@ -235,6 +264,7 @@ router.delete(
   '/useful-address/:blockchainId',
   getUsefullAddressByNameValidator,
   isRequired,
+  requirePermission(PERMISSIONS.BLOCKCHAINS_WRITE),
   async (req, res) => {
     const validator = validateResult(req, res);
     const db = await Database.getInstance(req);
@@ -244,19 +274,13 @@ router.delete(
       return res.status(400).send(validator);
     }
 
-    if (!isAdmin(db, res.locals.userId)) {
-      res.status(404).send({
-        msg: 'User is not admin',
-      });
-    }
-
     const blockchain = await collection.findOne({
       _id: new ObjectId(req.params.blockchainId),
       [`usefulAddresses.${req.body.contract}`]: { $exists: true },
     });
 
     if (!blockchain) {
-      res.status(404).send({
+      return res.status(404).send({
         msg: 'No blockchain found or contract doesnt exist',
       });
     }
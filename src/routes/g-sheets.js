@@ -3,6 +3,8 @@ import { isRequired } from '../utils/auth-utils.js';
 import { createUserInfoValidator } from '../validators/g-sheets.validator.js';
 import { validateResult } from '../utils/validators-utils.js';
 import { google } from 'googleapis';
+import { Database } from '../db/conn.js';
+import { registerNotificationEmail } from '../utils/notification-emails-utils.js';
 
 const router = express.Router();
 
@@ -16,9 +18,23 @@ router.post('/', createUserInfoValidator, isRequired, async (req, res) => {
   const spreadSheet = await getSpreadSheet(auth);
   const spreadsheetTitle = spreadSheet.data.sheets[0].properties.title;
   await appendData(auth, spreadsheetTitle, req);
+  await saveNotificationEmail(req, res.locals.userId);
   res.status(201).send();
 });
 
+/* The email collected here is also offered for email notifications, to users who have no address yet.
+It goes through the same verification as addresses registered with `/notifications/email`. */
+const saveNotificationEmail = async (req, userId) => {
+  const db = await Database.getInstance(req);
+  try {
+    if (!(await db.collection('notification-emails').findOne({ userId }))) {
+      await registerNotificationEmail(db, userId, req.body.email);
+    }
+  } catch (e) {
+    console.log('[gsheets] - Unable to register notification email:', e);
+  }
+};
+
 const getAuthToken = async () => {
   const auth = new google.auth.GoogleAuth({
     credentials: {
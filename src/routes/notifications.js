@@ -0,0 +1,245 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { Database } from '../db/conn.js';
+import { isRequired } from '../utils/auth-utils.js';
+import {
+  getNotificationPreferencesValidator,
+  getNotificationsValidator,
+  readAllNotificationsValidator,
+  readNotificationValidator,
+  updateNotificationEmailValidator,
+  updateNotificationPreferencesValidator,
+  verifyNotificationEmailValidator,
+} from '../validators/notifications.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from '../utils/notification-preferences-utils.js';
+import {
+  VerificationRateLimitError,
+  formatNotificationEmail,
+  registerNotificationEmail,
+  verifyNotificationEmail,
+} from '../utils/notification-emails-utils.js';
+
+const router = express.Router();
+
+/* This is a GET request that returns the inbox of the user, most recent first, with the number of
+unread notifications. The `unread` query parameter restricts the list to unread notifications. */
+router.get('/', getNotificationsValidator, isRequired, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
+  }
+
+  const db = await Database.getInstance(req);
+  const collection = db.collection('notifications');
+  const query = {
+    userId: res.locals.userId,
+    ...(req.query.unread && { read: false }),
+  };
+
+  res.status(200).send({
+    notifications: await collection
+      .find(query)
+      .sort({ date: -1 })
+      .skip(+req.query.offset || 0)
+      .limit(+req.query.limit || 0)
+      .toArray(),
+    totalCount: await collection.countDocuments(query),
+    unreadCount: await collection.countDocuments({
+      userId: res.locals.userId,
+      read: false,
+    }),
+  });
+});
+
+/* This is a GET request that returns the notification preferences of the user: the locale of the
+messages and, for each event, the channels it is delivered on. */
+router.get(
+  '/preferences',
+  getNotificationPreferencesValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    res
+      .status(200)
+      .send(await getNotificationPreferences(db, res.locals.userId));
+  }
+);
+
+/* This is a PUT request that changes the locale of the notifications of the user, or enables or
+disables channels for some events. Settings left out of the request body keep their current value. */
+router.put(
+  '/preferences',
+  updateNotificationPreferencesValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    await updateNotificationPreferences(db, res.locals.userId, req.body);
+
+    res
+      .status(200)
+      .send(await getNotificationPreferences(db, res.locals.userId));
+  }
+);
+
+/* This is a GET request that returns the address the user receives email notifications at, and whether
+it is verified. */
+router.get('/email', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+  const email = await db
+    .collection('notification-emails')
+    .findOne({ userId: res.locals.userId });
+
+  if (!email) {
+    return res.status(404).send({ msg: 'No email found' });
+  }
+
+  res.status(200).send(formatNotificationEmail(email));
+});
+
+/* This is a PUT request that registers the address the user wants to receive email notifications at.
+A verification code is sent to the address, which only receives notifications once the code is
+confirmed with the `/email/verify` request. */
+router.put(
+  '/email',
+  updateNotificationEmailValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    try {
+      res
+        .status(200)
+        .send(
+          await registerNotificationEmail(db, res.locals.userId, req.body.email)
+        );
+    } catch (e) {
+      if (e instanceof VerificationRateLimitError) {
+        return res.status(429).send({ msg: e.message });
+      }
+      console.log('[notifications] - Unable to send verification email:', e);
+      res.status(502).send({ msg: 'Unable to send the verification email' });
+    }
+  }
+);
+
+/* This is a PUT request that confirms the address of the user with the code sent to it. */
+router.put(
+  '/email/verify',
+  verifyNotificationEmailValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const email = await verifyNotificationEmail(
+      db,
+      res.locals.userId,
+      req.body.code
+    );
+
+    if (!email) {
+      return res
+        .status(400)
+        .send({ msg: 'Invalid or expired verification code' });
+    }
+
+    res.status(200).send(email);
+  }
+);
+
+/* This is a DELETE request that removes the address the user receives email notifications at. */
+router.delete('/email', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+  const response = await db
+    .collection('notification-emails')
+    .deleteOne({ userId: res.locals.userId });
+
+  if (response.deletedCount === 0) {
+    return res.status(404).send({ msg: 'No email found' });
+  }
+
+  res.status(200).send(response);
+});
+
+/* This is a PUT request that marks every notification of the user as read. */
+router.put(
+  '/read-all',
+  readAllNotificationsValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    res
+      .status(200)
+      .send(
+        await db
+          .collection('notifications')
+          .updateMany(
+            { userId: res.locals.userId, read: false },
+            { $set: { read: true, readAt: new Date() } }
+          )
+      );
+  }
+);
+
+/* This is a PUT request that marks a notification of the user as read. */
+router.put(
+  '/:notificationId/read',
+  readNotificationValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('notifications');
+    const notification = await collection.findOne({
+      _id: new ObjectId(req.params.notificationId),
+      userId: res.locals.userId,
+    });
+
+    if (!notification) {
+      return res.status(404).send({ msg: 'No notification found' });
+    }
+
+    res
+      .status(200)
+      .send(
+        await collection.updateOne(
+          { _id: notification._id, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        )
+      );
+  }
+);
+
+export default router;
@@ -10,6 +10,8 @@ import {
   getOffersValidator,
   getOffersPaginationValidator,
   validationOfferValidator,
+  resubmitOfferValidator,
+  getOfferHistoryValidator,
 } from '../validators/offers.validator.js';
 import { validateResult } from '../utils/validators-utils.js';
 import { ObjectId } from 'mongodb';
@@ -17,7 +19,16 @@ import {
   OFFER_STATUS,
   getPipelineLiquidityWalletInOffer,
   getPipelineLiquidityWalletInOffers,
+  transitionOffer,
 } from '../utils/offers-utils.js';
+import {
+  StatusTransitionError,
+  TRANSITION_SOURCES,
+} from '../utils/lifecycle-utils.js';
+import {
+  OFFER_BOOK_EVENTS,
+  publishOfferBookEvent,
+} from '../utils/websocket-topics-utils.js';
 
 const router = express.Router();
 
@@ -251,7 +262,8 @@ router.get('/id', getOfferByIdValidator, isRequired, async (req, res) => {
   );
 });
 
-/* This is a DELETE request that deletes an offer by id. */
+/* This is a DELETE request that deletes an offer by id, and removes it from the offer book followed by
+WebSocket subscribers. */
 router.delete(
   '/:offerId',
   deleteOfferValidator,
@@ -271,12 +283,17 @@ router.delete(
     });
 
     if (!offer) {
-      res.status(404).send({
+      return res.status(404).send({
         msg: 'No offer found',
       });
     }
 
-    res.status(200).send(await collection.deleteOne(offer));
+    const response = await collection.deleteOne(offer);
+    if (response.deletedCount) {
+      await publishOfferBookEvent(OFFER_BOOK_EVENTS.REMOVED, offer);
+    }
+
+    res.status(200).send(response);
   }
 );
 
@@ -305,16 +322,116 @@ router.put(
       });
     }
 
-    res.status(200).send(
-      await collection.updateOne(offer, {
-        $set: {
-          status: req.body.activating
-            ? OFFER_STATUS.ACTIVATION
-            : OFFER_STATUS.DEACTIVATION,
-          activationHash: req.body.hash,
-        },
-      })
-    );
+    try {
+      res.status(200).send(
+        await transitionOffer(
+          db,
+          offer,
+          {
+            status: req.body.activating
+              ? OFFER_STATUS.ACTIVATION
+              : OFFER_STATUS.DEACTIVATION,
+            activationHash: req.body.hash,
+            activationDate: new Date(),
+          },
+          { actor: res.locals.userId, source: TRANSITION_SOURCES.USER }
+        )
+      );
+    } catch (e) {
+      if (!(e instanceof StatusTransitionError)) throw e;
+      res.status(409).send({ msg: e.message });
+    }
+  }
+);
+
+/* This is a PUT request that replaces the creation transaction of an expired offer. The offer goes
+back to `pending` with the new hash, and the replaced hash is kept in `replacedHashes`. */
+router.put(
+  '/resubmit',
+  resubmitOfferValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('offers');
+
+    const offer = await collection.findOne({
+      _id: new ObjectId(req.body.id),
+      userId: { $regex: res.locals.userId, $options: 'i' },
+      status: OFFER_STATUS.EXPIRED,
+    });
+
+    if (!offer) {
+      return res.status(404).send({
+        msg: 'No expired offer found',
+      });
+    }
+
+    try {
+      res.status(200).send(
+        await transitionOffer(
+          db,
+          offer,
+          {
+            status: OFFER_STATUS.PENDING,
+            hash: req.body.hash,
+            submittedAt: new Date(),
+          },
+          {
+            actor: res.locals.userId,
+            source: TRANSITION_SOURCES.USER,
+            reason: 'resubmit',
+          },
+          {
+            $push: {
+              replacedHashes: {
+                field: 'hash',
+                hash: offer.hash,
+                status: offer.status,
+                submittedAt: offer.submittedAt ?? offer.date,
+                replacedAt: new Date(),
+              },
+            },
+          }
+        )
+      );
+    } catch (e) {
+      if (!(e instanceof StatusTransitionError)) throw e;
+      res.status(409).send({ msg: e.message });
+    }
+  }
+);
+
+/* This is a GET request that returns the status history of an offer, so that its liquidity provider
+can see when and why it was activated, deactivated or failed. */
+router.get(
+  '/:offerId/history',
+  getOfferHistoryValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    const offer = await db.collection('offers').findOne({
+      offerId: req.params.offerId,
+      userId: { $regex: res.locals.userId, $options: 'i' },
+    });
+
+    if (!offer) {
+      return res.status(404).send({
+        msg: 'No offer found',
+      });
+    }
+
+    res.status(200).send(offer.statusHistory ?? []);
   }
 );
 
@@ -9,6 +9,8 @@ import {
   deleteOrderValidator,
   getOrdersPaginationValidator,
   getOrdersLiquidityProviderValidator,
+  resubmitOrderValidator,
+  getOrderHistoryValidator,
 } from '../validators/orders.validator.js';
 import { validateResult } from '../utils/validators-utils.js';
 import { ObjectId } from 'mongodb';
@@ -16,11 +18,24 @@ import {
   ORDER_STATUS,
   getPipelineOfferInOrder,
   getPipelineOfferInOrders,
+  transitionOrder,
 } from '../utils/orders-utils.js';
+import {
+  StatusTransitionError,
+  TRANSITION_SOURCES,
+} from '../utils/lifecycle-utils.js';
+import {
+  QuoteError,
+  linkQuoteToOrder,
+  redeemQuote,
+  releaseQuote,
+} from '../utils/quotes-utils.js';
 
 const router = express.Router();
 
-/* This is a POST request that creates a new order. */
+/* This is a POST request that creates a new order. The order must reference, with `quoteId`, a quote
+of the user locked with `POST /quotes` that has not expired nor been used, and give its offer, deposit
+chain and amounts. The locked `exchangeRate` is stored on the order. */
 router.post('/', createOrderValidator, isRequired, async (req, res) => {
   const validator = validateResult(req, res);
   if (validator.length) {
@@ -41,15 +56,36 @@ router.post('/', createOrderValidator, isRequired, async (req, res) => {
     });
   }
 
-  res.status(201).send(
-    await collection.insertOne({
+  let quote;
+  try {
+    quote = await redeemQuote(db, res.locals.userId, req.body);
+  } catch (e) {
+    if (!(e instanceof QuoteError)) throw e;
+    return res.status(409).send({ msg: e.message });
+  }
+  if (!quote) {
+    return res.status(404).send({ msg: 'No quote found' });
+  }
+
+  let response;
+  try {
+    response = await collection.insertOne({
       ...req.body,
+      exchangeRate: quote.exchangeRate,
       userId: res.locals.userId,
       date: new Date(),
       isComplete: false,
       status: ORDER_STATUS.PENDING,
-    })
-  );
+    });
+  } catch (e) {
+    // The quote would otherwise stay used by an order that does not exist.
+    await releaseQuote(db, quote);
+    console.log('[orders] - Unable to store the order:', e);
+    return res.status(500).send({ msg: 'Unable to store the order' });
+  }
+  await linkQuoteToOrder(db, quote, response.insertedId);
+
+  res.status(201).send(response);
 });
 
 router.get(
@@ -179,7 +215,7 @@ router.put(
     const order = await collection.findOne({
       orderId: req.body.orderId,
       userId: { $regex: res.locals.userId, $options: 'i' },
-      status: ORDER_STATUS.SUCCESS,
+      status: { $in: [ORDER_STATUS.SUCCESS, ORDER_STATUS.COMPLETION_FAILURE] },
     });
 
     if (!order) {
@@ -188,14 +224,132 @@ router.put(
       });
     }
 
-    res.status(200).send(
-      await collection.updateOne(order, {
-        $set: {
-          status: ORDER_STATUS.COMPLETION,
-          completionHash: req.body.completionHash,
-        },
-      })
-    );
+    try {
+      res.status(200).send(
+        await transitionOrder(
+          db,
+          order,
+          {
+            status: ORDER_STATUS.COMPLETION,
+            completionHash: req.body.completionHash,
+            completionDate: new Date(),
+          },
+          { actor: res.locals.userId, source: TRANSITION_SOURCES.USER }
+        )
+      );
+    } catch (e) {
+      if (!(e instanceof StatusTransitionError)) throw e;
+      res.status(409).send({ msg: e.message });
+    }
+  }
+);
+
+/* This is a PUT request that replaces the transaction of an order whose creation transaction expired
+or whose completion transaction was dropped. The order goes back to `pending` or `completion` with the
+new hash, and the replaced hash is kept in `replacedHashes`. */
+router.put(
+  '/resubmit',
+  resubmitOrderValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const collection = db.collection('orders');
+
+    const order = await collection.findOne({
+      _id: new ObjectId(req.body.id),
+      userId: { $regex: res.locals.userId, $options: 'i' },
+      status: { $in: [ORDER_STATUS.EXPIRED, ORDER_STATUS.DROPPED] },
+    });
+
+    if (!order) {
+      return res.status(404).send({
+        msg: 'No expired or dropped order found',
+      });
+    }
+
+    const isDropped = order.status === ORDER_STATUS.DROPPED;
+
+    try {
+      res.status(200).send(
+        await transitionOrder(
+          db,
+          order,
+          isDropped
+            ? {
+                status: ORDER_STATUS.COMPLETION,
+                completionHash: req.body.hash,
+                completionDate: new Date(),
+              }
+            : {
+                status: ORDER_STATUS.PENDING,
+                hash: req.body.hash,
+                submittedAt: new Date(),
+              },
+          {
+            actor: res.locals.userId,
+            source: TRANSITION_SOURCES.USER,
+            reason: 'resubmit',
+          },
+          {
+            $push: {
+              replacedHashes: {
+                field: isDropped ? 'completionHash' : 'hash',
+                hash: isDropped ? order.completionHash : order.hash,
+                status: order.status,
+                submittedAt: isDropped
+                  ? order.completionDate
+                  : order.submittedAt ?? order.date,
+                replacedAt: new Date(),
+              },
+            },
+          }
+        )
+      );
+    } catch (e) {
+      if (!(e instanceof StatusTransitionError)) throw e;
+      res.status(409).send({ msg: e.message });
+    }
+  }
+);
+
+/* This is a GET request that returns the status history of an order. It is available to the user who
+placed the order and to the liquidity provider of its offer. */
+router.get(
+  '/:orderId/history',
+  getOrderHistoryValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+
+    const order = await db
+      .collection('orders')
+      .findOne({ orderId: req.params.orderId });
+    const offer =
+      order &&
+      (await db.collection('offers').findOne({ offerId: order.offerId }));
+
+    if (
+      !order ||
+      ![order.userId, offer?.userId].some(
+        (userId) => userId?.toLowerCase() === res.locals.userId.toLowerCase()
+      )
+    ) {
+      return res.status(404).send({
+        msg: 'No order found',
+      });
+    }
+
+    res.status(200).send(order.statusHistory ?? []);
   }
 );
 
@@ -9,6 +9,9 @@ import {
 
 const router = express.Router();
 
+/* This is a PUT request that registers the push notification token of a device of the user, or
+refreshes it when the device registers again. A user can have several devices; a token moves to the
+user who registered it last, as it belongs to the device rather than to an account. */
 router.put(
   '/',
   isRequired,
@@ -22,13 +25,24 @@ router.put(
     const db = await Database.getInstance(req);
     const collection = db.collection('notification-tokens');
 
+    await collection.deleteMany({
+      token: req.body.token,
+      userId: { $ne: res.locals.userId },
+    });
+
     res.status(200).send(
       await collection.updateOne(
         {
           userId: res.locals.userId,
+          token: req.body.token,
         },
         {
-          $set: { token: req.body.token },
+          $set: {
+            ...(req.body.label !== undefined && { label: req.body.label }),
+            ...(req.body.platform && { platform: req.body.platform }),
+            lastSeenAt: new Date(),
+          },
+          $setOnInsert: { date: new Date() },
         },
         { upsert: true }
       )
@@ -36,6 +50,21 @@ router.put(
   }
 );
 
+/* This is a GET request that lists the devices registered for push notifications by the user. */
+router.get('/', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+
+  res
+    .status(200)
+    .send(
+      await db
+        .collection('notification-tokens')
+        .find({ userId: res.locals.userId })
+        .sort({ lastSeenAt: -1 })
+        .toArray()
+    );
+});
+
 router.delete(
   '/:token',
   isRequired,
@@ -55,12 +84,12 @@ router.delete(
     });
 
     if (!token) {
-      res.status(404).send({
+      return res.status(404).send({
         msg: 'No notification token found',
       });
     }
 
-    res.status(200).send(await collection.deleteOne(token));
+    res.status(200).send(await collection.deleteOne({ _id: token._id }));
   }
 );
 
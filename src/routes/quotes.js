@@ -0,0 +1,68 @@
+import express from 'express';
+import { Database } from '../db/conn.js';
+import { isRequired } from '../utils/auth-utils.js';
+import {
+  createQuoteValidator,
+  getQuotesValidator,
+} from '../validators/quotes.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import {
+  QuoteError,
+  getPairOffers,
+  lockQuote,
+  rankQuotes,
+  splitDeposit,
+} from '../utils/quotes-utils.js';
+
+const router = express.Router();
+
+/* This is a GET request that quotes a deposit of `depositAmount` `exchangeToken` on `exchangeChainId`
+for `token` on `chainId`. It returns the offers that can take the whole deposit, best first, and, when
+none can, a `split` of the deposit across several offers. */
+router.get('/', getQuotesValidator, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
+  }
+
+  const db = await Database.getInstance(req);
+  const depositAmount = parseFloat(req.query.depositAmount);
+
+  const offers = await getPairOffers(db, req.query);
+  const quotes = rankQuotes(offers, depositAmount);
+
+  res.status(200).send({
+    quotes: req.query.limit ? quotes.slice(0, req.query.limit) : quotes,
+    split: quotes.length ? null : splitDeposit(offers, depositAmount),
+  });
+});
+
+/* This is a POST request that locks the rate of an offer for a deposit of `depositAmount`. The
+returned quote has to be referenced by the order with its `quoteId` before it expires. */
+router.post('/', createQuoteValidator, isRequired, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
+  }
+
+  const db = await Database.getInstance(req);
+
+  try {
+    const quote = await lockQuote(
+      db,
+      res.locals.userId,
+      req.body.offerId,
+      parseFloat(req.body.depositAmount)
+    );
+    if (!quote) {
+      return res.status(404).send({ msg: 'No offer found' });
+    }
+
+    res.status(201).send(quote);
+  } catch (e) {
+    if (!(e instanceof QuoteError)) throw e;
+    res.status(409).send({ msg: e.message });
+  }
+});
+
+export default router;
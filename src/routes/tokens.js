@@ -1,6 +1,7 @@
 import express from 'express';
 import { Database } from '../db/conn.js';
-import { isRequired } from '../utils/auth-utils.js';
+import { isRequired, requirePermission } from '../utils/auth-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
 import { ObjectId } from 'mongodb';
 import {
   createTokenValidator,
@@ -12,31 +13,31 @@ import { validateResult } from '../utils/validators-utils.js';
 const router = express.Router();
 
 /* Creating a new token. */
-router.post('/', createTokenValidator, isRequired, async (req, res) => {
-  const validator = validateResult(req, res);
-  const db = await Database.getInstance(req);
-  const collection = db.collection('tokens');
-  const collectionAdmin = db.collection('admins');
-  if (
-    validator.length ||
-    !(await collectionAdmin.findOne({
-      userId: { $regex: res.locals.userId, $options: 'i' },
-    }))
-  ) {
-    return res.status(400).send(validator);
-  }
+router.post(
+  '/',
+  createTokenValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.TOKENS_WRITE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    const db = await Database.getInstance(req);
+    const collection = db.collection('tokens');
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
 
-  if (
-    await collection.findOne({
-      chainId: req.body.chainId,
-      address: req.body.address,
-    })
-  ) {
-    return res.status(404).send({ msg: 'This token already exists.' });
-  }
+    if (
+      await collection.findOne({
+        chainId: req.body.chainId,
+        address: req.body.address,
+      })
+    ) {
+      return res.status(404).send({ msg: 'This token already exists.' });
+    }
 
-  res.status(201).send(await collection.insertOne(req.body));
-});
+    res.status(201).send(await collection.insertOne(req.body));
+  }
+);
 
 /* This is a route that is used to get all active tokens. */
 router.get('/active', async (req, res) => {
@@ -73,60 +74,55 @@ router.get('/:tokenId', getTokenByIdValidator, isRequired, async (req, res) => {
 });
 
 /* This is a route that is used to modify a token by its id. */
-router.put('/:tokenId', modifyTokenValidator, isRequired, async (req, res) => {
-  const validator = validateResult(req, res);
-  const db = await Database.getInstance(req);
-  const collection = db.collection('tokens');
-  const collectionAdmin = db.collection('admins');
+router.put(
+  '/:tokenId',
+  modifyTokenValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.TOKENS_WRITE),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    const db = await Database.getInstance(req);
+    const collection = db.collection('tokens');
 
-  if (
-    validator.length ||
-    !(await collectionAdmin.findOne({
-      userId: { $regex: res.locals.userId, $options: 'i' },
-    }))
-  ) {
-    return res.status(400).send(validator);
-  }
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
 
-  const token = await collection.findOne({
-    _id: new ObjectId(req.params.tokenId),
-  });
-  if (!token) {
-    return res.status(404).send({ msg: 'No token found' });
-  }
+    const token = await collection.findOne({
+      _id: new ObjectId(req.params.tokenId),
+    });
+    if (!token) {
+      return res.status(404).send({ msg: 'No token found' });
+    }
 
-  res.status(200).send(
-    await collection.updateOne(token, {
-      $set: {
-        coinmarketcapId: req.body.coinmarketcapId ?? token.coinmarketcapId,
-        symbol: req.body.symbol ?? token.symbol,
-        icon: req.body.icon ?? token.icon,
-        chainId: req.body.chainId ?? token.chainId,
-        address: req.body.address ?? token.address,
-        isNative: req.body.isNative ?? token.isNative,
-        isActive: req.body.isActive ?? token.isActive,
-      },
-    })
-  );
-});
+    res.status(200).send(
+      await collection.updateOne(token, {
+        $set: {
+          coinmarketcapId: req.body.coinmarketcapId ?? token.coinmarketcapId,
+          symbol: req.body.symbol ?? token.symbol,
+          icon: req.body.icon ?? token.icon,
+          chainId: req.body.chainId ?? token.chainId,
+          address: req.body.address ?? token.address,
+          isNative: req.body.isNative ?? token.isNative,
+          isActive: req.body.isActive ?? token.isActive,
+        },
+      })
+    );
+  }
+);
 
 /* This is a route that is used to delete a token by its id. */
 router.delete(
   '/:tokenId',
   getTokenByIdValidator,
   isRequired,
+  requirePermission(PERMISSIONS.TOKENS_WRITE),
   async (req, res) => {
     const validator = validateResult(req, res);
     const db = await Database.getInstance(req);
     const collection = db.collection('tokens');
-    const collectionAdmin = db.collection('admins');
 
-    if (
-      validator.length ||
-      !(await collectionAdmin.findOne({
-        userId: { $regex: res.locals.userId, $options: 'i' },
-      }))
-    ) {
+    if (validator.length) {
       return res.status(400).send(validator);
     }
     const token = await collection.findOne({
@@ -1,132 +1,125 @@
 import express from 'express';
-import { isRequired, authenticateApiKey } from '../utils/auth-utils.js';
+import {
+  isRequired,
+  authenticateApiKeyOrPermission,
+} from '../utils/auth-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
+import { API_KEY_SCOPES } from '../utils/api-keys-utils.js';
 import { Database } from '../db/conn.js';
 import {
   updateActivationOffer,
   updateOfferId,
 } from '../utils/view-blockchains-utils.js';
-import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { AbiError } from '../utils/abis-utils.js';
+import { recheckConfirming } from '../utils/confirmations-utils.js';
+import { expireStuckOffers } from '../utils/timeouts-utils.js';
+import { OFFER_STATUS, transitionOffer } from '../utils/offers-utils.js';
+import { TRANSITION_SOURCES } from '../utils/lifecycle-utils.js';
 
 const router = express.Router();
 
+/* The chain indexer (src/indexer.js) applies on-chain events to offers automatically. The routes below
+re-check every matching document against its transaction receipt and are kept as manual force resync
+triggers, e.g. for documents whose transaction reverted or was mined outside the indexed range. */
+
 router.put('/update-offer-user', isRequired, async (req, res) => {
   const db = await Database.getInstance(req);
 
-  res.status(200).send(
-    (
-      await Promise.all(
-        (
-          await db
-            .collection('offers')
-            .find({ userId: res.locals.userId, status: OFFER_STATUS.PENDING })
-            .toArray()
-        ).map(async (offer) => {
-          try {
+  try {
+    res.status(200).send(
+      (
+        await Promise.all(
+          (
             await db
               .collection('offers')
-              .updateOne(
-                { _id: offer._id },
-                { $set: await updateOfferId(db, offer) }
+              .find({ userId: res.locals.userId, status: OFFER_STATUS.PENDING })
+              .toArray()
+          ).map(async (offer) => {
+            try {
+              const { status } = offer;
+              await transitionOffer(
+                db,
+                { _id: offer._id, status },
+                await updateOfferId(db, offer),
+                { actor: res.locals.userId, source: TRANSITION_SOURCES.SYNC }
               );
 
-            return offer;
-          } catch (e) {
-            console.log(
-              '[update-offer-user] - Offers MongoDB Id:',
-              offer._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((offer) => offer !== undefined)
-  );
+              return offer;
+            } catch (e) {
+              if (e instanceof AbiError) throw e;
+              console.log(
+                '[update-offer-user] - Offers MongoDB Id:',
+                offer._id.toString(),
+                '- error:',
+                e
+              );
+            }
+          })
+        )
+      ).filter((offer) => offer !== undefined)
+    );
+  } catch (e) {
+    if (e instanceof AbiError) {
+      return res.status(e.status).send({ msg: e.message });
+    }
+    console.log('[update-offer-user] - error:', e);
+    res.status(500).send({ msg: 'Unable to update the offers' });
+  }
 });
 
-router.put('/update-offer-all', authenticateApiKey, async (req, res) => {
-  const db = await Database.getInstance(req);
+router.put(
+  '/update-offer-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
 
-  res.status(200).send(
-    (
-      await Promise.all(
+    try {
+      res.status(200).send(
         (
-          await db
-            .collection('offers')
-            .find({ status: OFFER_STATUS.PENDING })
-            .toArray()
-        ).map(async (offer) => {
-          try {
-            await db
-              .collection('offers')
-              .updateOne(
-                { _id: offer._id },
-                { $set: await updateOfferId(db, offer) }
-              );
+          await Promise.all(
+            (
+              await db
+                .collection('offers')
+                .find({ status: OFFER_STATUS.PENDING })
+                .toArray()
+            ).map(async (offer) => {
+              try {
+                const { status } = offer;
+                await transitionOffer(
+                  db,
+                  { _id: offer._id, status },
+                  await updateOfferId(db, offer),
+                  { source: TRANSITION_SOURCES.SYNC }
+                );
 
-            return offer;
-          } catch (e) {
-            console.log(
-              '[update-offer-all] - Offers MongoDB Id:',
-              offer._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((offer) => offer !== undefined)
-  );
-});
+                return offer;
+              } catch (e) {
+                if (e instanceof AbiError) throw e;
+                console.log(
+                  '[update-offer-all] - Offers MongoDB Id:',
+                  offer._id.toString(),
+                  '- error:',
+                  e
+                );
+              }
+            })
+          )
+        ).filter((offer) => offer !== undefined)
+      );
+    } catch (e) {
+      if (e instanceof AbiError) {
+        return res.status(e.status).send({ msg: e.message });
+      }
+      console.log('[update-offer-all] - error:', e);
+      res.status(500).send({ msg: 'Unable to update the offers' });
+    }
+  }
+);
 
 router.put('/update-offer-activation-user', isRequired, async (req, res) => {
   const db = await Database.getInstance(req);
 
-  res.status(200).send(
-    (
-      await Promise.all(
-        (
-          await db
-            .collection('offers')
-            .find({
-              userId: res.locals.userId,
-              offerId: { $exists: true, $ne: '' },
-              $or: [
-                { isActive: false, status: OFFER_STATUS.ACTIVATION },
-                { isActive: true, status: OFFER_STATUS.DEACTIVATION },
-              ],
-            })
-            .toArray()
-        ).map(async (offer) => {
-          try {
-            await db.collection('offers').updateOne(
-              { _id: offer._id },
-              {
-                $set: await updateActivationOffer(db, offer),
-              }
-            );
-
-            return offer;
-          } catch (e) {
-            console.log(
-              '[update-offer-activation-user] - Offers MongoDB Id:',
-              offer._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((offer) => offer !== undefined)
-  );
-});
-
-router.put(
-  '/update-offer-activation-all',
-  authenticateApiKey,
-  async (req, res) => {
-    const db = await Database.getInstance(req);
-
+  try {
     res.status(200).send(
       (
         await Promise.all(
@@ -134,6 +127,7 @@ router.put(
             await db
               .collection('offers')
               .find({
+                userId: res.locals.userId,
                 offerId: { $exists: true, $ne: '' },
                 $or: [
                   { isActive: false, status: OFFER_STATUS.ACTIVATION },
@@ -143,17 +137,19 @@ router.put(
               .toArray()
           ).map(async (offer) => {
             try {
-              await db.collection('offers').updateOne(
-                { _id: offer._id },
-                {
-                  $set: await updateActivationOffer(db, offer),
-                }
+              const { status } = offer;
+              await transitionOffer(
+                db,
+                { _id: offer._id, status },
+                await updateActivationOffer(db, offer),
+                { actor: res.locals.userId, source: TRANSITION_SOURCES.SYNC }
               );
 
               return offer;
             } catch (e) {
+              if (e instanceof AbiError) throw e;
               console.log(
-                '[update-offer-activation-all] - Offers MongoDB Id:',
+                '[update-offer-activation-user] - Offers MongoDB Id:',
                 offer._id.toString(),
                 '- error:',
                 e
@@ -163,6 +159,92 @@ router.put(
         )
       ).filter((offer) => offer !== undefined)
     );
+  } catch (e) {
+    if (e instanceof AbiError) {
+      return res.status(e.status).send({ msg: e.message });
+    }
+    console.log('[update-offer-activation-user] - error:', e);
+    res.status(500).send({ msg: 'Unable to update the offers' });
+  }
+});
+
+router.put(
+  '/update-offer-activation-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    try {
+      res.status(200).send(
+        (
+          await Promise.all(
+            (
+              await db
+                .collection('offers')
+                .find({
+                  offerId: { $exists: true, $ne: '' },
+                  $or: [
+                    { isActive: false, status: OFFER_STATUS.ACTIVATION },
+                    { isActive: true, status: OFFER_STATUS.DEACTIVATION },
+                  ],
+                })
+                .toArray()
+            ).map(async (offer) => {
+              try {
+                const { status } = offer;
+                await transitionOffer(
+                  db,
+                  { _id: offer._id, status },
+                  await updateActivationOffer(db, offer),
+                  { source: TRANSITION_SOURCES.SYNC }
+                );
+
+                return offer;
+              } catch (e) {
+                if (e instanceof AbiError) throw e;
+                console.log(
+                  '[update-offer-activation-all] - Offers MongoDB Id:',
+                  offer._id.toString(),
+                  '- error:',
+                  e
+                );
+              }
+            })
+          )
+        ).filter((offer) => offer !== undefined)
+      );
+    } catch (e) {
+      if (e instanceof AbiError) {
+        return res.status(e.status).send({ msg: e.message });
+      }
+      console.log('[update-offer-activation-all] - error:', e);
+      res.status(500).send({ msg: 'Unable to update the offers' });
+    }
+  }
+);
+
+/* This is a PUT request that re-checks the offers waiting for confirmations, applying their status
+transition once the transaction is deep enough and reverting them if it was reorged out. */
+router.put(
+  '/update-offer-confirming-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    res.status(200).send(await recheckConfirming(db, 'offers'));
+  }
+);
+
+/* This is a PUT request that moves the pending offers whose creation transaction was not mined
+before the chain `pendingTimeout` to `expired`, and the offers whose activation or deactivation
+transaction was not mined before it back to `success`. */
+router.put(
+  '/update-offer-expired-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    res.status(200).send(await expireStuckOffers(db));
   }
 );
 
@@ -1,129 +1,166 @@
 import express from 'express';
-import { isRequired, authenticateApiKey } from '../utils/auth-utils.js';
+import {
+  isRequired,
+  authenticateApiKeyOrPermission,
+} from '../utils/auth-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
+import { API_KEY_SCOPES } from '../utils/api-keys-utils.js';
 import { Database } from '../db/conn.js';
 import {
   updateCompletionOrder,
   updateOrderFromDb,
 } from '../utils/view-blockchains-utils.js';
-import { ORDER_STATUS } from '../utils/orders-utils.js';
+import { AbiError } from '../utils/abis-utils.js';
+import { recheckConfirming } from '../utils/confirmations-utils.js';
+import { expireStuckOrders } from '../utils/timeouts-utils.js';
+import { ORDER_STATUS, transitionOrder } from '../utils/orders-utils.js';
+import { TRANSITION_SOURCES } from '../utils/lifecycle-utils.js';
+import { sendNotification } from '../utils/notification-utils.js';
 
 const router = express.Router();
 
-router.put('/update-order-user', isRequired, async (req, res) => {
-  const db = await Database.getInstance(req);
+/**
+ * This function checks the payment of an order in the completion status against its transaction
+ * receipt and applies the result. The user who placed the order and the liquidity provider are
+ * notified when the payment failed.
+ * @param db - The database object used to interact with the database.
+ * @param order - The order, in the completion status.
+ * @param meta - The transition metadata: `actor` and `source`.
+ * @param req - The Express request, used to select the database of the notifications.
+ */
+async function syncCompletionOrder(db, order, meta, req) {
+  const { status } = order;
+  const update = await updateCompletionOrder(db, order);
+  const response = await transitionOrder(
+    db,
+    { _id: order._id, status },
+    update,
+    meta
+  );
 
-  res.status(200).send(
-    (
-      await Promise.all(
-        (
-          await db
-            .collection('orders')
-            .find({ userId: res.locals.userId, status: ORDER_STATUS.PENDING })
-            .toArray()
-        ).map(async (order) => {
-          try {
-            await db
-              .collection('orders')
-              .updateOne(
-                { _id: order._id },
-                { $set: await updateOrderFromDb(db, order) }
-              );
+  if (
+    update.status === ORDER_STATUS.COMPLETION_FAILURE &&
+    response.modifiedCount > 0
+  ) {
+    const offer = await db
+      .collection('offers')
+      .findOne({ offerId: order.offerId });
 
-            return order;
-          } catch (e) {
-            console.log(
-              '[update-order-user] - Orders MongoDB Id:',
-              order._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((order) => order !== undefined)
-  );
-});
+    await Promise.all(
+      [order.userId, offer?.userId]
+        .filter((userId) => userId !== undefined)
+        .map((userId) =>
+          sendNotification(
+            'completionFailure',
+            { type: 'order', id: order.orderId, userId },
+            req
+          )
+        )
+    );
+  }
+}
 
-router.put('/update-order-all', authenticateApiKey, async (req, res) => {
+/* The chain indexer (src/indexer.js) applies on-chain events to orders automatically. The routes below
+re-check every matching document against its transaction receipt and are kept as manual force resync
+triggers, e.g. for documents whose transaction reverted or was mined outside the indexed range. */
+
+router.put('/update-order-user', isRequired, async (req, res) => {
   const db = await Database.getInstance(req);
 
-  res.status(200).send(
-    (
-      await Promise.all(
-        (
-          await db
-            .collection('orders')
-            .find({ status: ORDER_STATUS.PENDING })
-            .toArray()
-        ).map(async (order) => {
-          try {
+  try {
+    res.status(200).send(
+      (
+        await Promise.all(
+          (
             await db
               .collection('orders')
-              .updateOne(
-                { _id: order._id },
-                { $set: await updateOrderFromDb(db, order) }
+              .find({ userId: res.locals.userId, status: ORDER_STATUS.PENDING })
+              .toArray()
+          ).map(async (order) => {
+            try {
+              const { status } = order;
+              await transitionOrder(
+                db,
+                { _id: order._id, status },
+                await updateOrderFromDb(db, order),
+                { actor: res.locals.userId, source: TRANSITION_SOURCES.SYNC }
               );
-            return order;
-          } catch (e) {
-            console.log(
-              '[update-order-all] - Orders MongoDB Id:',
-              order._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((order) => order !== undefined)
-  );
-});
 
-router.put('/update-order-completion-user', isRequired, async (req, res) => {
-  const db = await Database.getInstance(req);
-
-  res.status(200).send(
-    (
-      await Promise.all(
-        (
-          await db
-            .collection('orders')
-            .find({
-              userId: res.locals.userId,
-              orderId: { $exists: true, $ne: '' },
-              isComplete: false,
-              status: ORDER_STATUS.COMPLETION,
-            })
-            .toArray()
-        ).map(async (order) => {
-          try {
-            await db.collection('orders').updateOne(
-              { _id: order._id },
-              {
-                $set: await updateCompletionOrder(db, order),
-              }
-            );
-
-            return order;
-          } catch (e) {
-            console.log(
-              '[update-order-completion-user] - Orders MongoDB Id:',
-              order._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((order) => order !== undefined)
-  );
+              return order;
+            } catch (e) {
+              if (e instanceof AbiError) throw e;
+              console.log(
+                '[update-order-user] - Orders MongoDB Id:',
+                order._id.toString(),
+                '- error:',
+                e
+              );
+            }
+          })
+        )
+      ).filter((order) => order !== undefined)
+    );
+  } catch (e) {
+    if (e instanceof AbiError) {
+      return res.status(e.status).send({ msg: e.message });
+    }
+    console.log('[update-order-user] - error:', e);
+    res.status(500).send({ msg: 'Unable to update the orders' });
+  }
 });
 
 router.put(
-  '/update-order-completion-all',
-  authenticateApiKey,
+  '/update-order-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
   async (req, res) => {
     const db = await Database.getInstance(req);
 
+    try {
+      res.status(200).send(
+        (
+          await Promise.all(
+            (
+              await db
+                .collection('orders')
+                .find({ status: ORDER_STATUS.PENDING })
+                .toArray()
+            ).map(async (order) => {
+              try {
+                const { status } = order;
+                await transitionOrder(
+                  db,
+                  { _id: order._id, status },
+                  await updateOrderFromDb(db, order),
+                  { source: TRANSITION_SOURCES.SYNC }
+                );
+                return order;
+              } catch (e) {
+                if (e instanceof AbiError) throw e;
+                console.log(
+                  '[update-order-all] - Orders MongoDB Id:',
+                  order._id.toString(),
+                  '- error:',
+                  e
+                );
+              }
+            })
+          )
+        ).filter((order) => order !== undefined)
+      );
+    } catch (e) {
+      if (e instanceof AbiError) {
+        return res.status(e.status).send({ msg: e.message });
+      }
+      console.log('[update-order-all] - error:', e);
+      res.status(500).send({ msg: 'Unable to update the orders' });
+    }
+  }
+);
+
+router.put('/update-order-completion-user', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+
+  try {
     res.status(200).send(
       (
         await Promise.all(
@@ -131,6 +168,7 @@ router.put(
             await db
               .collection('orders')
               .find({
+                userId: res.locals.userId,
                 orderId: { $exists: true, $ne: '' },
                 isComplete: false,
                 status: ORDER_STATUS.COMPLETION,
@@ -138,17 +176,18 @@ router.put(
               .toArray()
           ).map(async (order) => {
             try {
-              await db.collection('orders').updateOne(
-                { _id: order._id },
-                {
-                  $set: await updateCompletionOrder(db, order),
-                }
+              await syncCompletionOrder(
+                db,
+                order,
+                { actor: res.locals.userId, source: TRANSITION_SOURCES.SYNC },
+                req
               );
 
               return order;
             } catch (e) {
+              if (e instanceof AbiError) throw e;
               console.log(
-                '[update-order-completion-all] - Orders MongoDB Id:',
+                '[update-order-completion-user] - Orders MongoDB Id:',
                 order._id.toString(),
                 '- error:',
                 e
@@ -158,6 +197,64 @@ router.put(
         )
       ).filter((order) => order !== undefined)
     );
+  } catch (e) {
+    if (e instanceof AbiError) {
+      return res.status(e.status).send({ msg: e.message });
+    }
+    console.log('[update-order-completion-user] - error:', e);
+    res.status(500).send({ msg: 'Unable to update the orders' });
+  }
+});
+
+router.put(
+  '/update-order-completion-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    try {
+      res.status(200).send(
+        (
+          await Promise.all(
+            (
+              await db
+                .collection('orders')
+                .find({
+                  orderId: { $exists: true, $ne: '' },
+                  isComplete: false,
+                  status: ORDER_STATUS.COMPLETION,
+                })
+                .toArray()
+            ).map(async (order) => {
+              try {
+                await syncCompletionOrder(
+                  db,
+                  order,
+                  { source: TRANSITION_SOURCES.SYNC },
+                  req
+                );
+
+                return order;
+              } catch (e) {
+                if (e instanceof AbiError) throw e;
+                console.log(
+                  '[update-order-completion-all] - Orders MongoDB Id:',
+                  order._id.toString(),
+                  '- error:',
+                  e
+                );
+              }
+            })
+          )
+        ).filter((order) => order !== undefined)
+      );
+    } catch (e) {
+      if (e instanceof AbiError) {
+        return res.status(e.status).send({ msg: e.message });
+      }
+      console.log('[update-order-completion-all] - error:', e);
+      res.status(500).send({ msg: 'Unable to update the orders' });
+    }
   }
 );
 
@@ -190,31 +287,65 @@ router.put('/update-order-completion-seller', isRequired, async (req, res) => {
     ])
     .toArray();
 
-  res.status(200).send(
-    (
-      await Promise.all(
-        filterOrders.map(async (order) => {
-          try {
-            await db.collection('orders').updateOne(
-              { _id: order._id },
-              {
-                $set: await updateCompletionOrder(db, order),
-              }
-            );
-
-            return order;
-          } catch (e) {
-            console.log(
-              '[update-order-completion-seller] - Orders MongoDB Id:',
-              order._id.toString(),
-              '- error:',
-              e
-            );
-          }
-        })
-      )
-    ).filter((order) => order !== undefined)
-  );
+  try {
+    res.status(200).send(
+      (
+        await Promise.all(
+          filterOrders.map(async (order) => {
+            try {
+              await syncCompletionOrder(
+                db,
+                order,
+                { actor: res.locals.userId, source: TRANSITION_SOURCES.SYNC },
+                req
+              );
+
+              return order;
+            } catch (e) {
+              if (e instanceof AbiError) throw e;
+              console.log(
+                '[update-order-completion-seller] - Orders MongoDB Id:',
+                order._id.toString(),
+                '- error:',
+                e
+              );
+            }
+          })
+        )
+      ).filter((order) => order !== undefined)
+    );
+  } catch (e) {
+    if (e instanceof AbiError) {
+      return res.status(e.status).send({ msg: e.message });
+    }
+    console.log('[update-order-completion-seller] - error:', e);
+    res.status(500).send({ msg: 'Unable to update the orders' });
+  }
 });
 
+/* This is a PUT request that re-checks the orders waiting for confirmations, applying their status
+transition once the transaction is deep enough and reverting them if it was reorged out. */
+router.put(
+  '/update-order-confirming-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    res.status(200).send(await recheckConfirming(db, 'orders'));
+  }
+);
+
+/* This is a PUT request that moves the pending orders whose creation transaction was not mined
+before the chain `pendingTimeout` to `expired`, and the orders whose completion transaction was not
+mined before the chain `completionTimeout` to `dropped`. */
+router.put(
+  '/update-order-expired-all',
+  authenticateApiKeyOrPermission(API_KEY_SCOPES.SYNC_RUN, PERMISSIONS.SYNC_RUN),
+  async (req, res) => {
+    const db = await Database.getInstance(req);
+
+    res.status(200).send(await expireStuckOrders(db));
+  }
+);
+
 export default router;
@@ -9,6 +9,7 @@ import { ethers } from 'ethers';
 import { createRequire } from 'node:module';
 import { Database } from '../db/conn.js';
 import { getProviderFromRpc } from '../utils/view-blockchains-utils.js';
+import { getHealthiestRpc } from '../utils/rpc-pool-utils.js';
 const require = createRequire(import.meta.url);
 
 const ERC20 = require('../abis/erc20.json');
@@ -31,7 +32,7 @@ router.get(
       chainId: req.query.chainId,
     });
 
-    const provider = getProviderFromRpc(chain.rpc[0]);
+    const provider = getProviderFromRpc(getHealthiestRpc(chain.rpc));
     res
       .status(200)
       .send(
@@ -70,7 +71,7 @@ router.get(
         await new ethers.Contract(
           process.env.EVM_HUB_ADDRESS,
           GrinderyNexusHub,
-          getProviderFromRpc(chain.rpc[0])
+          getProviderFromRpc(getHealthiestRpc(chain.rpc))
         ).getUserDroneAddress(res.locals.userId.split(':').pop())
       );
   }
@@ -0,0 +1,103 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { Database } from '../db/conn.js';
+import { isRequired, requirePermission } from '../utils/auth-utils.js';
+import {
+  getWebhookEventByIdValidator,
+  getWebhookEventsValidator,
+} from '../validators/webhook-events.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import { PERMISSIONS } from '../utils/roles-utils.js';
+import { replayWebhookEvent } from '../utils/webhook-events-utils.js';
+
+const router = express.Router();
+
+/* This is a GET request that lists the received webhook events, most recent first, optionally filtered
+by status, event name or target offer or order. */
+router.get(
+  '/',
+  getWebhookEventsValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.WEBHOOK_EVENTS_READ),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const query = {
+      ...(req.query.status && { status: req.query.status }),
+      ...(req.query.event && { event: req.query.event }),
+      ...(req.query.targetId && {
+        'target._id': new ObjectId(req.query.targetId),
+      }),
+    };
+
+    res.status(200).send({
+      events: await db
+        .collection('webhook-events')
+        .find(query)
+        .sort({ receivedAt: -1 })
+        .skip(+req.query.offset || 0)
+        .limit(+req.query.limit || 0)
+        .toArray(),
+      totalCount: await db.collection('webhook-events').countDocuments(query),
+    });
+  }
+);
+
+/* This is a GET request that returns a webhook event, with its payload and outcome. */
+router.get(
+  '/:eventId',
+  getWebhookEventByIdValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.WEBHOOK_EVENTS_READ),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const event = await db
+      .collection('webhook-events')
+      .findOne({ _id: new ObjectId(req.params.eventId) });
+
+    if (!event) {
+      return res.status(404).send({ msg: 'No event found' });
+    }
+
+    res.status(200).send(event);
+  }
+);
+
+/* This is a PUT request that processes a failed webhook event again, e.g. once the offer or order it
+refers to exists. The response carries the new outcome of the event. */
+router.put(
+  '/:eventId/replay',
+  getWebhookEventByIdValidator,
+  isRequired,
+  requirePermission(PERMISSIONS.WEBHOOK_EVENTS_REPLAY),
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const outcome = await replayWebhookEvent(
+      db,
+      new ObjectId(req.params.eventId),
+      res.locals.userId
+    );
+
+    if (!outcome) {
+      return res.status(404).send({ msg: 'No failed event found' });
+    }
+
+    res.status(200).send(outcome);
+  }
+);
+
+export default router;
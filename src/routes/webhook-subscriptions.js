@@ -0,0 +1,220 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { Database } from '../db/conn.js';
+import { isRequired } from '../utils/auth-utils.js';
+import {
+  createSubscriptionValidator,
+  getDeliveriesValidator,
+  getSubscriptionByIdValidator,
+  retryDeliveryValidator,
+  updateSubscriptionValidator,
+} from '../validators/webhook-subscriptions.validator.js';
+import { validateResult } from '../utils/validators-utils.js';
+import { generateSigningSecret } from '../utils/api-keys-utils.js';
+import {
+  DELIVERY_STATUS,
+  formatSubscription,
+} from '../utils/webhook-subscriptions-utils.js';
+
+const router = express.Router();
+
+/* This is a POST request that registers an endpoint to receive the events of the offers and orders of
+the user. The secret the deliveries are signed with is only returned in this response. */
+router.post('/', createSubscriptionValidator, isRequired, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
+  }
+
+  const db = await Database.getInstance(req);
+  const subscription = {
+    userId: res.locals.userId,
+    url: req.body.url,
+    events: [...new Set(req.body.events)],
+    secret: generateSigningSecret(),
+    isActive: true,
+    date: new Date(),
+  };
+  const { insertedId } = await db
+    .collection('webhook-subscriptions')
+    .insertOne(subscription);
+
+  res.status(201).send({ ...subscription, _id: insertedId });
+});
+
+/* This is a GET request that lists the webhook subscriptions of the user. */
+router.get('/', isRequired, async (req, res) => {
+  const db = await Database.getInstance(req);
+
+  res
+    .status(200)
+    .send(
+      (
+        await db
+          .collection('webhook-subscriptions')
+          .find({ userId: res.locals.userId })
+          .sort({ date: -1 })
+          .toArray()
+      ).map(formatSubscription)
+    );
+});
+
+/* This is a GET request that returns a webhook subscription of the user. */
+router.get(
+  '/:subscriptionId',
+  getSubscriptionByIdValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const subscription = await db.collection('webhook-subscriptions').findOne({
+      _id: new ObjectId(req.params.subscriptionId),
+      userId: res.locals.userId,
+    });
+
+    if (!subscription) {
+      return res.status(404).send({ msg: 'No subscription found' });
+    }
+
+    res.status(200).send(formatSubscription(subscription));
+  }
+);
+
+/* This is a PUT request that modifies the URL or the events of a webhook subscription, or pauses it. */
+router.put(
+  '/:subscriptionId',
+  updateSubscriptionValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const response = await db.collection('webhook-subscriptions').updateOne(
+      {
+        _id: new ObjectId(req.params.subscriptionId),
+        userId: res.locals.userId,
+      },
+      {
+        $set: {
+          ...(req.body.url && { url: req.body.url }),
+          ...(req.body.events && { events: [...new Set(req.body.events)] }),
+          ...(req.body.isActive !== undefined && {
+            isActive: req.body.isActive,
+          }),
+        },
+      }
+    );
+
+    if (response.matchedCount === 0) {
+      return res.status(404).send({ msg: 'No subscription found' });
+    }
+
+    res.status(200).send(response);
+  }
+);
+
+/* This is a DELETE request that removes a webhook subscription along with its deliveries. */
+router.delete(
+  '/:subscriptionId',
+  getSubscriptionByIdValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const subscriptionId = new ObjectId(req.params.subscriptionId);
+    const response = await db
+      .collection('webhook-subscriptions')
+      .deleteOne({ _id: subscriptionId, userId: res.locals.userId });
+
+    if (response.deletedCount === 0) {
+      return res.status(404).send({ msg: 'No subscription found' });
+    }
+
+    await db.collection('webhook-deliveries').deleteMany({ subscriptionId });
+    res.status(200).send(response);
+  }
+);
+
+/* This is a GET request that returns the delivery log of a webhook subscription, most recent first,
+with the outcome of each attempt. Deliveries that used all their attempts have the `dead` status. */
+router.get(
+  '/:subscriptionId/deliveries',
+  getDeliveriesValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const query = {
+      subscriptionId: new ObjectId(req.params.subscriptionId),
+      userId: res.locals.userId,
+      ...(req.query.status && { status: req.query.status }),
+    };
+
+    res.status(200).send({
+      deliveries: await db
+        .collection('webhook-deliveries')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(+req.query.offset || 0)
+        .limit(+req.query.limit || 0)
+        .toArray(),
+      totalCount: await db
+        .collection('webhook-deliveries')
+        .countDocuments(query),
+    });
+  }
+);
+
+/* This is a PUT request that queues a dead delivery again, with a fresh set of attempts. */
+router.put(
+  '/:subscriptionId/deliveries/:deliveryId/retry',
+  retryDeliveryValidator,
+  isRequired,
+  async (req, res) => {
+    const validator = validateResult(req, res);
+    if (validator.length) {
+      return res.status(400).send(validator);
+    }
+
+    const db = await Database.getInstance(req);
+    const response = await db.collection('webhook-deliveries').updateOne(
+      {
+        _id: new ObjectId(req.params.deliveryId),
+        subscriptionId: new ObjectId(req.params.subscriptionId),
+        userId: res.locals.userId,
+        status: DELIVERY_STATUS.DEAD,
+      },
+      {
+        $set: {
+          status: DELIVERY_STATUS.PENDING,
+          attempts: 0,
+          nextAttemptAt: new Date(),
+        },
+        $unset: { deadAt: '' },
+      }
+    );
+
+    if (response.matchedCount === 0) {
+      return res.status(404).send({ msg: 'No dead delivery found' });
+    }
+
+    res.status(200).send(response);
+  }
+);
+
+export default router;
@@ -5,20 +5,53 @@ import {
   updateOrderValidator,
   updateOfferOrderPaidValidator,
   updateOfferOrderCompletionValidator,
+  updateOfferMaxPriceValidator,
+  updateOfferMinPriceValidator,
+  updateOfferTokenValidator,
+  updateOfferChainValidator,
 } from '../validators/webhook.validator.js';
 import { validateResult } from '../utils/validators-utils.js';
 import { Database } from '../db/conn.js';
 import { authenticateApiKey } from '../utils/auth-utils.js';
-import { OFFER_STATUS } from '../utils/offers-utils.js';
-import { ORDER_STATUS } from '../utils/orders-utils.js';
-import { sendNotification } from '../utils/notification-utils.js';
+import { API_KEY_SCOPES } from '../utils/api-keys-utils.js';
+import { verifyWebhookSignature } from '../utils/webhook-signature-utils.js';
+import { WEBHOOK_EVENTS } from '../utils/webhook-handlers-utils.js';
+import { processWebhookEvent } from '../utils/webhook-events-utils.js';
 
 const router = express.Router();
 
+/* Every webhook must come from an integration holding an API key with the `webhooks:write` scope, and
+be signed with the secret of that integration once it has one. */
+router.use(
+  authenticateApiKey(API_KEY_SCOPES.WEBHOOKS_WRITE),
+  verifyWebhookSignature
+);
+
+/**
+ * This function stores and processes a webhook event, then answers with its outcome. The id of the
+ * stored event is returned in the `X-Webhook-Event-Id` header, and a delivery of an event processed
+ * before is flagged with `X-Webhook-Duplicate`.
+ * @param req - The Express request.
+ * @param res - The Express response.
+ * @param event - The event name, from `WEBHOOK_EVENTS`.
+ */
+async function handleWebhook(req, res, event) {
+  const { apiKey, ...payload } = req.body;
+  const outcome = await processWebhookEvent(
+    await Database.getInstance(req),
+    event,
+    payload,
+    res.locals.apiKey.name
+  );
+
+  res.set('X-Webhook-Event-Id', outcome.eventId.toString());
+  if (outcome.duplicate) res.set('X-Webhook-Duplicate', 'true');
+  res.status(outcome.status).send(outcome.body);
+}
+
 /* This is a PUT request that updates status offer. */
 router.put(
   '/offer/activation-deactivation',
-  authenticateApiKey,
   updateStatusOfferValidator,
   async (req, res) => {
     const validator = validateResult(req, res);
@@ -26,236 +59,104 @@ router.put(
       return res.status(400).send(validator);
     }
 
-    const db = await Database.getInstance(req);
-    const collection = db.collection('offers');
+    await handleWebhook(req, res, WEBHOOK_EVENTS.OFFER_ACTIVATION);
+  }
+);
 
-    const offer = await collection.findOne({
-      offerId: req.body._offerId,
-    });
+/* This is a PUT request that updates the offer id. */
+router.put('/offer', updateOfferValidator, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
+  }
 
-    if (!offer) {
-      return res.status(404).send({
-        msg: 'Not offer found.',
-      });
-    }
+  await handleWebhook(req, res, WEBHOOK_EVENTS.OFFER_CREATION);
+});
 
-    const response = await collection.updateOne(offer, {
-      $set: {
-        isActive: req.body._isActive,
-        status: OFFER_STATUS.SUCCESS,
-      },
-    });
-    if (response.modifiedCount > 0) {
-      sendNotification('activationDeactivation', {
-        type: 'offer',
-        id: req.body._offerId,
-        userId: offer.userId,
-      });
-    }
-    return res.status(200).send(response);
+/* This is a PUT request that updates offer trade. */
+router.put('/order', updateOrderValidator, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
   }
-);
 
-/* This is a PUT request that updates the offer id. */
+  await handleWebhook(req, res, WEBHOOK_EVENTS.ORDER_CREATION);
+});
+
+/* This is a PUT request that updates offer trade when paid. */
 router.put(
-  '/offer',
-  authenticateApiKey,
-  updateOfferValidator,
+  '/offer/order/paid',
+  updateOfferOrderPaidValidator,
   async (req, res) => {
     const validator = validateResult(req, res);
     if (validator.length) {
       return res.status(400).send(validator);
     }
 
-    const db = await Database.getInstance(req);
-    const collection = db.collection('offers');
-
-    const offer = await collection.findOne({
-      hash: req.body._grinderyTransactionHash,
-    });
-
-    if (!offer) {
-      return res.status(404).send({
-        msg: 'No offer found',
-      });
-    }
-
-    const response = await collection.updateOne(offer, {
-      $set: {
-        offerId: req.body._offerId,
-        status: OFFER_STATUS.SUCCESS,
-        isActive: true,
-      },
-    });
-    if (response.modifiedCount > 0) {
-      sendNotification('creation', {
-        type: 'offer',
-        id: req.body._offerId,
-        userId: offer.userId,
-      });
-    }
-    return res.status(200).send(response);
+    await handleWebhook(req, res, WEBHOOK_EVENTS.ORDER_PAID);
   }
 );
 
 /* This is a PUT request that updates offer trade. */
 router.put(
-  '/order',
-  authenticateApiKey,
-  updateOrderValidator,
+  '/offer/order/completion',
+  updateOfferOrderCompletionValidator,
   async (req, res) => {
     const validator = validateResult(req, res);
     if (validator.length) {
       return res.status(400).send(validator);
     }
 
-    const db = await Database.getInstance(req);
-    const collection = db.collection('orders');
-
-    const order = await collection.findOne({
-      hash: req.body._grinderyTransactionHash,
-    });
-
-    if (!order) {
-      return res.status(404).send({
-        msg: 'No order found',
-      });
-    }
-
-    const response = await collection.updateOne(order, {
-      $set: {
-        orderId: req.body._tradeId,
-        status: ORDER_STATUS.SUCCESS,
-      },
-    });
-    if (response.modifiedCount > 0) {
-      sendNotification('creation', {
-        type: 'order',
-        id: req.body._tradeId,
-        userId: order.userId,
-      });
-    }
-    return res.status(200).send(response);
+    await handleWebhook(req, res, WEBHOOK_EVENTS.ORDER_COMPLETION);
   }
 );
 
-/* This is a PUT request that updates offer trade when paid. */
+/* This is a PUT request that updates the maximum price of an offer. */
 router.put(
-  '/offer/order/paid',
-  updateOfferOrderPaidValidator,
-  authenticateApiKey,
+  '/offer/max-price',
+  updateOfferMaxPriceValidator,
   async (req, res) => {
     const validator = validateResult(req, res);
     if (validator.length) {
       return res.status(400).send(validator);
     }
 
-    const db = await Database.getInstance(req);
-    const collection = db.collection('orders');
-
-    const order = await collection.findOne({
-      completionHash: req.body._grinderyTransactionHash,
-    });
-
-    if (!order) {
-      return res.status(404).send({
-        msg: 'No order found',
-      });
-    }
-
-    const response = await collection.updateOne(order, {
-      $set: {
-        isComplete: true,
-        status: ORDER_STATUS.COMPLETE,
-      },
-    });
-
-    const collectionOffer = db.collection('offers');
-
-    const offer = await collectionOffer.findOne({
-      offerId: order.offerId,
-    });
-
-    if (!offer) {
-      return res.status(404).send({
-        msg: 'No offer found',
-      });
-    }
-
-    if (response.modifiedCount > 0) {
-      sendNotification('completion', {
-        type: 'order',
-        id: order.orderId,
-        userId: order.userId,
-      });
-      sendNotification('completion', {
-        type: 'order',
-        id: order.orderId,
-        userId: offer.userId,
-      });
-    }
-    return res.status(200).send(response);
+    await handleWebhook(req, res, WEBHOOK_EVENTS.OFFER_MAX_PRICE);
   }
 );
 
-/* This is a PUT request that updates offer trade. */
+/* This is a PUT request that updates the minimum price of an offer. */
 router.put(
-  '/offer/order/completion',
-  updateOfferOrderCompletionValidator,
-  authenticateApiKey,
+  '/offer/min-price',
+  updateOfferMinPriceValidator,
   async (req, res) => {
     const validator = validateResult(req, res);
     if (validator.length) {
       return res.status(400).send(validator);
     }
 
-    const db = await Database.getInstance(req);
-    const collection = db.collection('orders');
-
-    const order = await collection.findOne({
-      orderId: req.body._tradeId,
-      status: ORDER_STATUS.SUCCESS,
-    });
-
-    if (!order) {
-      return res.status(404).send({
-        msg: 'No order found',
-      });
-    }
-
-    const response = await collection.updateOne(order, {
-      $set: {
-        status: ORDER_STATUS.COMPLETION,
-        completionHash: req.body._completionHash,
-      },
-    });
-
-    const collectionOffer = db.collection('offers');
+    await handleWebhook(req, res, WEBHOOK_EVENTS.OFFER_MIN_PRICE);
+  }
+);
 
-    const offer = await collectionOffer.findOne({
-      offerId: order.offerId,
-    });
+/* This is a PUT request that updates the token of an offer. */
+router.put('/offer/token', updateOfferTokenValidator, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
+  }
 
-    if (!offer) {
-      return res.status(404).send({
-        msg: 'No offer found',
-      });
-    }
+  await handleWebhook(req, res, WEBHOOK_EVENTS.OFFER_TOKEN);
+});
 
-    if (response.modifiedCount > 0) {
-      sendNotification('completion', {
-        type: 'order',
-        id: order.orderId,
-        userId: order.userId,
-      });
-      sendNotification('completion', {
-        type: 'order',
-        id: order.orderId,
-        userId: offer.userId,
-      });
-    }
-    return res.status(200).send(response);
+/* This is a PUT request that updates the chain of an offer. */
+router.put('/offer/chain', updateOfferChainValidator, async (req, res) => {
+  const validator = validateResult(req, res);
+  if (validator.length) {
+    return res.status(400).send(validator);
   }
-);
+
+  await handleWebhook(req, res, WEBHOOK_EVENTS.OFFER_CHAIN);
+});
 
 export default router;
@@ -0,0 +1,248 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import { Database } from '../db/conn.js';
+import {
+  collectionAbis,
+  collectionAdmins,
+  mockBlockchainGoerli,
+  mockPublishedAbi,
+  pathAbis_Get_All,
+  pathAbis_Get_Version,
+  pathAbis_Post,
+} from './utils/variables.js';
+import {
+  ABI_CONTRACTS,
+  AbiError,
+  getAbis,
+  getContractAddress,
+  getContractVersion,
+  utils_abis,
+} from '../utils/abis-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockAbiV3 = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: 'bytes32',
+        name: '_offerId',
+        type: 'bytes32',
+      },
+    ],
+    name: 'LogNewOffer',
+    type: 'event',
+  },
+];
+
+describe('ABIs route', async function () {
+  describe('POST new ABI version', async function () {
+    it('Should upload a new ABI version', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathAbis_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ contract: ABI_CONTRACTS.POOL, version: 3, abi: mockAbiV3 });
+      chai.expect(res).to.have.status(201);
+
+      const abi = await collectionAbis.findOne({
+        contract: ABI_CONTRACTS.POOL,
+        version: 3,
+      });
+      chai.expect(abi.abi).to.deep.equal(mockAbiV3);
+    });
+
+    it('Should fail if the version is published', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathAbis_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ contract: ABI_CONTRACTS.POOL, version: 2, abi: mockAbiV3 });
+      chai.expect(res).to.have.status(404);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'This ABI version already exists.' });
+    });
+
+    it('Should fail if the version was already uploaded', async function () {
+      await collectionAbis.insertOne({
+        contract: ABI_CONTRACTS.POOL,
+        version: 3,
+        abi: mockAbiV3,
+      });
+      const res = await chai
+        .request(app)
+        .post(pathAbis_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ contract: ABI_CONTRACTS.POOL, version: 3, abi: mockAbiV3 });
+      chai.expect(res).to.have.status(404);
+    });
+
+    it('Should fail if the ABI is not valid', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathAbis_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ contract: ABI_CONTRACTS.POOL, version: 3, abi: [{ foo: 1 }] });
+      chai.expect(res).to.have.status(400);
+      chai.expect(
+        res.body.some(
+          (err) => err.msg === 'must be a valid ABI' && err.param === 'abi'
+        )
+      ).to.be.true;
+    });
+
+    it('Should fail if the user is not admin', async function () {
+      await collectionAdmins.deleteMany({});
+      const res = await chai
+        .request(app)
+        .post(pathAbis_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ contract: ABI_CONTRACTS.POOL, version: 3, abi: mockAbiV3 });
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'User is not admin' });
+    });
+  });
+
+  describe('GET ABIs', async function () {
+    it('Should list bundled, published and uploaded versions', async function () {
+      await collectionAbis.insertOne({
+        contract: ABI_CONTRACTS.POOL,
+        version: 3,
+        abi: mockAbiV3,
+      });
+      const res = await chai
+        .request(app)
+        .get(pathAbis_Get_All)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(
+        res.body.some(
+          (abi) =>
+            abi.contract === ABI_CONTRACTS.TOKEN &&
+            abi.version === 1 &&
+            abi.source === 'bundled'
+        )
+      ).to.be.true;
+      chai.expect(
+        res.body.some(
+          (abi) =>
+            abi.contract === ABI_CONTRACTS.POOL &&
+            abi.version === 2 &&
+            abi.source === 'published'
+        )
+      ).to.be.true;
+      chai.expect(
+        res.body.some(
+          (abi) =>
+            abi.contract === ABI_CONTRACTS.POOL &&
+            abi.version === 3 &&
+            abi.source === 'uploaded'
+        )
+      ).to.be.true;
+    });
+
+    it('Should return the published ABI of a version', async function () {
+      const res = await chai
+        .request(app)
+        .get(`${pathAbis_Get_Version}${ABI_CONTRACTS.POOL}/2`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal(mockPublishedAbi);
+    });
+
+    it('Should keep a published ABI once downloaded', async function () {
+      for (let i = 0; i < 2; i++) {
+        const res = await chai
+          .request(app)
+          .get(`${pathAbis_Get_Version}${ABI_CONTRACTS.POOL}/2`)
+          .set('Authorization', `Bearer ${mockedToken}`);
+        chai.expect(res).to.have.status(200);
+      }
+
+      chai.expect(utils_abis.fetchPublishedAbi.calledOnce).to.be.true;
+      chai
+        .expect(
+          await collectionAbis.findOne({
+            contract: ABI_CONTRACTS.POOL,
+            version: 2,
+          })
+        )
+        .to.deep.include({ abi: mockPublishedAbi, source: 'published' });
+    });
+
+    it('Should return 502 if the published ABI cannot be downloaded', async function () {
+      utils_abis.fetchPublishedAbi.rejects(new Error('Network error'));
+
+      const res = await chai
+        .request(app)
+        .get(`${pathAbis_Get_Version}${ABI_CONTRACTS.POOL}/2`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(502);
+      chai.expect(res.body).to.deep.equal({
+        msg: 'The published ABI of GrtPool v2 is unavailable',
+      });
+    });
+
+    it('Should return 404 for an unknown version', async function () {
+      const res = await chai
+        .request(app)
+        .get(`${pathAbis_Get_Version}${ABI_CONTRACTS.POOL}/99`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+    });
+  });
+
+  describe('Chain selection', async function () {
+    it('Should default to the latest bundled version', async function () {
+      chai
+        .expect(getContractVersion(mockBlockchainGoerli, ABI_CONTRACTS.POOL))
+        .to.equal(2);
+    });
+
+    it('Should use the most recent version listed in usefulAddresses', async function () {
+      const chain = {
+        ...mockBlockchainGoerli,
+        usefulAddresses: { GrtPoolV2: '0xpoolv2', GrtPoolV3: '0xpoolv3' },
+      };
+      chai.expect(getContractVersion(chain, ABI_CONTRACTS.POOL)).to.equal(3);
+      chai
+        .expect(getContractAddress(chain, ABI_CONTRACTS.POOL))
+        .to.equal('0xpoolv3');
+    });
+
+    it('Should resolve uploaded ABIs for a chain', async function () {
+      await collectionAbis.insertOne({
+        contract: ABI_CONTRACTS.POOL,
+        version: 3,
+        abi: mockAbiV3,
+      });
+      const abis = await getAbis(await Database.getInstance({}), {
+        ...mockBlockchainGoerli,
+        usefulAddresses: { GrtPoolV3: '0xpoolv3' },
+      });
+      chai.expect(abis.poolAbi).to.deep.equal(mockAbiV3);
+      chai.expect(abis.liquidityWalletAbi).to.deep.equal(mockPublishedAbi);
+    });
+
+    it('Should fail if the selected version does not exist', async function () {
+      try {
+        await getAbis(await Database.getInstance({}), {
+          ...mockBlockchainGoerli,
+          usefulAddresses: { GrtPoolV9: '0xpoolv9' },
+        });
+        chai.assert.fail('getAbis should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(AbiError);
+        chai.expect(e.status).to.equal(404);
+        chai.expect(e.message).to.equal('No ABI found for GrtPool v9');
+      }
+    });
+  });
+});
@@ -2,12 +2,37 @@ import chai from 'chai';
 import chaiHttp from 'chai-http';
 import app from '../index.js';
 import { mockedToken } from './utils/utils.js';
-import { pathAdmin_Get_IsAdmin } from './utils/variables.js';
+import {
+  collectionAdmins,
+  mockToken,
+  pathAdmin_Delete,
+  pathAdmin_Delete_Roles,
+  pathAdmin_Get_All,
+  pathAdmin_Get_IsAdmin,
+  pathAdmin_Get_Me,
+  pathAdmin_Post,
+  pathAdmin_Put_Roles,
+  pathTokens_Post,
+  pathViewBlockchain_Put_OrdersAll,
+} from './utils/variables.js';
+import { PERMISSIONS, ROLES } from '../utils/roles-utils.js';
 
 /* eslint-disable no-unused-expressions */
 
 chai.use(chaiHttp);
 
+const mockOtherUserId = 'eip155:1:0x0000000000000000000000000000000000000001';
+
+/**
+ * This function replaces the roles of the test user.
+ */
+async function setTestUserRoles(roles) {
+  await collectionAdmins.updateOne(
+    { userId: process.env.USER_ID_TEST },
+    { $set: { roles } }
+  );
+}
+
 describe('Admins route', async function () {
   it('Should return 403 if no token is provided', async function () {
     const res = await chai.request(app).get(pathAdmin_Get_IsAdmin);
@@ -23,4 +48,209 @@ describe('Admins route', async function () {
 
     chai.expect(res).to.have.status(200);
   });
+
+  describe('GET me', async function () {
+    it('Should give every permission to an admin without roles', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathAdmin_Get_Me)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.roles).to.deep.equal([ROLES.SUPERADMIN]);
+      chai
+        .expect(res.body.permissions)
+        .to.have.members(Object.values(PERMISSIONS));
+    });
+
+    it('Should return the permissions of the roles of the admin', async function () {
+      await setTestUserRoles([ROLES.TOKEN_MANAGER]);
+
+      const res = await chai
+        .request(app)
+        .get(pathAdmin_Get_Me)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(res.body.permissions)
+        .to.deep.equal([PERMISSIONS.TOKENS_WRITE]);
+    });
+  });
+
+  describe('Admin management', async function () {
+    it('Should create an admin with roles', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathAdmin_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ userId: mockOtherUserId, roles: [ROLES.SUPPORT] });
+      chai.expect(res).to.have.status(201);
+
+      const admin = await collectionAdmins.findOne({
+        userId: mockOtherUserId,
+      });
+      chai.expect(admin.roles).to.deep.equal([ROLES.SUPPORT]);
+      chai.expect(admin.grantedBy).to.equal(process.env.USER_ID_TEST);
+    });
+
+    it('Should fail to create an admin with an unknown role', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathAdmin_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ userId: mockOtherUserId, roles: ['root'] });
+      chai.expect(res).to.have.status(400);
+      chai.expect(res.body.some((err) => err.param === 'roles[0]')).to.be.true;
+    });
+
+    it('Should fail to create an existing admin', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathAdmin_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ userId: process.env.USER_ID_TEST, roles: [ROLES.SUPPORT] });
+      chai.expect(res).to.have.status(404);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'This admin already exists.' });
+    });
+
+    it('Should grant roles on top of the existing ones', async function () {
+      await collectionAdmins.insertOne({
+        userId: mockOtherUserId,
+        roles: [ROLES.SUPPORT],
+      });
+
+      const res = await chai
+        .request(app)
+        .put(`${pathAdmin_Put_Roles}${mockOtherUserId}/roles`)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ roles: [ROLES.CHAIN_MANAGER] });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(
+          (await collectionAdmins.findOne({ userId: mockOtherUserId })).roles
+        )
+        .to.deep.equal([ROLES.SUPPORT, ROLES.CHAIN_MANAGER]);
+    });
+
+    it('Should revoke roles', async function () {
+      await collectionAdmins.insertOne({
+        userId: mockOtherUserId,
+        roles: [ROLES.SUPPORT, ROLES.CHAIN_MANAGER],
+      });
+
+      const res = await chai
+        .request(app)
+        .delete(`${pathAdmin_Delete_Roles}${mockOtherUserId}/roles`)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ roles: [ROLES.SUPPORT] });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(
+          (await collectionAdmins.findOne({ userId: mockOtherUserId })).roles
+        )
+        .to.deep.equal([ROLES.CHAIN_MANAGER]);
+    });
+
+    it('Should not revoke the role of the last superadmin', async function () {
+      const res = await chai
+        .request(app)
+        .delete(`${pathAdmin_Delete_Roles}${process.env.USER_ID_TEST}/roles`)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ roles: [ROLES.SUPERADMIN] });
+      chai.expect(res).to.have.status(409);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'Cannot remove the last superadmin' });
+    });
+
+    it('Should remove an admin', async function () {
+      await collectionAdmins.insertOne({
+        userId: mockOtherUserId,
+        roles: [ROLES.SUPPORT],
+      });
+
+      const res = await chai
+        .request(app)
+        .delete(`${pathAdmin_Delete}${mockOtherUserId}`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(await collectionAdmins.findOne({ userId: mockOtherUserId }))
+        .to.be.null;
+    });
+
+    it('Should list the admins', async function () {
+      await collectionAdmins.insertOne({
+        userId: mockOtherUserId,
+        roles: [ROLES.SUPPORT],
+      });
+
+      const res = await chai
+        .request(app)
+        .get(pathAdmin_Get_All)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(res.body.map((admin) => admin.userId))
+        .to.have.members([process.env.USER_ID_TEST, mockOtherUserId]);
+    });
+
+    it('Should fail without the admins:manage permission', async function () {
+      await setTestUserRoles([ROLES.CHAIN_MANAGER]);
+
+      const res = await chai
+        .request(app)
+        .post(pathAdmin_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ userId: mockOtherUserId, roles: [ROLES.SUPERADMIN] });
+      chai.expect(res).to.have.status(403);
+      chai.expect(res.body).to.deep.equal({
+        msg: `Missing permission: ${PERMISSIONS.ADMINS_MANAGE}`,
+      });
+    });
+  });
+
+  describe('Permissions', async function () {
+    it('Should forbid a route to an admin without its permission', async function () {
+      await setTestUserRoles([ROLES.CHAIN_MANAGER]);
+
+      const res = await chai
+        .request(app)
+        .post(pathTokens_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send(mockToken);
+      chai.expect(res).to.have.status(403);
+      chai.expect(res.body).to.deep.equal({
+        msg: `Missing permission: ${PERMISSIONS.TOKENS_WRITE}`,
+      });
+    });
+
+    it('Should fail if the user is not admin', async function () {
+      await collectionAdmins.deleteMany({});
+
+      const res = await chai
+        .request(app)
+        .post(pathTokens_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send(mockToken);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'User is not admin' });
+    });
+
+    it('Should let an admin with the sync:run permission run a sweep without API key', async function () {
+      await setTestUserRoles([ROLES.SUPPORT]);
+
+      const res = await chai
+        .request(app)
+        .put(pathViewBlockchain_Put_OrdersAll)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+    });
+
+    it('Should still require the API key on sweeps without token', async function () {
+      const res = await chai.request(app).put(pathViewBlockchain_Put_OrdersAll);
+      chai.expect(res).to.have.status(401);
+      chai.expect(res.body).to.deep.equal({ msg: 'Missing API key' });
+    });
+  });
 });
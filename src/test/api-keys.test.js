@@ -0,0 +1,210 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionApiKeys,
+  pathApiKeys_Delete,
+  pathApiKeys_Get_All,
+  pathApiKeys_Post,
+  pathApiKeys_Put_Rotate,
+  pathViewBlockchain_Put_OrdersAll,
+  pathWebhooks_Put_Offer_Status,
+} from './utils/variables.js';
+import {
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+} from '../utils/api-keys-utils.js';
+import { signWebhookPayload } from '../utils/webhook-signature-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+/**
+ * This function creates an API key through the API and returns the response body.
+ */
+async function createApiKey(body) {
+  const res = await chai
+    .request(app)
+    .post(pathApiKeys_Post)
+    .set('Authorization', `Bearer ${mockedToken}`)
+    .send(body);
+  chai.expect(res).to.have.status(201);
+  return res.body;
+}
+
+/**
+ * This function runs the orders sweep with an API key sent in the `X-Api-Key` header.
+ */
+async function runSweep(key) {
+  return await chai
+    .request(app)
+    .put(pathViewBlockchain_Put_OrdersAll)
+    .set('X-Api-Key', key);
+}
+
+describe('API keys', async function () {
+  describe('Management', async function () {
+    it('Should create a key and only store its hash', async function () {
+      const body = await createApiKey({
+        name: 'zapier',
+        scopes: [API_KEY_SCOPES.WEBHOOKS_WRITE],
+      });
+      chai.expect(body.key).to.be.a('string');
+      chai.expect(body.signingSecret).to.be.a('string');
+      chai.expect(body).to.not.have.property('hash');
+
+      const apiKey = await collectionApiKeys.findOne({ name: 'zapier' });
+      chai.expect(apiKey.hash).to.equal(hashApiKey(body.key));
+      chai.expect(body.key.startsWith(apiKey.prefix)).to.be.true;
+      chai.expect(apiKey.scopes).to.deep.equal([API_KEY_SCOPES.WEBHOOKS_WRITE]);
+    });
+
+    it('Should fail to create a key with an unknown scope', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathApiKeys_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ name: 'zapier', scopes: ['admin'] });
+      chai.expect(res).to.have.status(400);
+    });
+
+    it('Should list the keys without their hash', async function () {
+      await createApiKey({ name: 'sweeps', scopes: [API_KEY_SCOPES.SYNC_RUN] });
+
+      const res = await chai
+        .request(app)
+        .get(pathApiKeys_Get_All)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.have.lengthOf(1);
+      chai.expect(res.body[0].name).to.equal('sweeps');
+      chai.expect(res.body[0]).to.not.have.property('hash');
+      chai.expect(res.body[0]).to.not.have.property('key');
+      chai.expect(res.body[0]).to.not.have.property('signingSecret');
+    });
+
+    it('Should rotate a key', async function () {
+      const { _id, key } = await createApiKey({
+        name: 'sweeps',
+        scopes: [API_KEY_SCOPES.SYNC_RUN],
+      });
+
+      const res = await chai
+        .request(app)
+        .put(`${pathApiKeys_Put_Rotate}${_id}/rotate`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.key).to.not.equal(key);
+
+      chai.expect(await runSweep(key)).to.have.status(401);
+      chai.expect(await runSweep(res.body.key)).to.have.status(200);
+    });
+
+    it('Should revoke a key', async function () {
+      const { _id, key } = await createApiKey({
+        name: 'sweeps',
+        scopes: [API_KEY_SCOPES.SYNC_RUN],
+      });
+
+      const res = await chai
+        .request(app)
+        .delete(`${pathApiKeys_Delete}${_id}`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+
+      const sweep = await runSweep(key);
+      chai.expect(sweep).to.have.status(401);
+      chai.expect(sweep.body).to.deep.equal({ msg: 'Invalid API key' });
+    });
+  });
+
+  describe('Authentication', async function () {
+    it('Should accept a key in the X-Api-Key header and record its use', async function () {
+      const { key } = await createApiKey({
+        name: 'sweeps',
+        scopes: [API_KEY_SCOPES.SYNC_RUN],
+      });
+
+      chai.expect(await runSweep(key)).to.have.status(200);
+      chai
+        .expect(
+          (await collectionApiKeys.findOne({ name: 'sweeps' })).lastUsedAt
+        )
+        .to.be.a('date');
+    });
+
+    it('Should accept a key in the Authorization header', async function () {
+      const { key, signingSecret } = await createApiKey({
+        name: 'zapier',
+        scopes: [API_KEY_SCOPES.WEBHOOKS_WRITE],
+      });
+      const body = JSON.stringify({
+        _grinderyChainId: '5',
+        _grinderyTransactionHash: 'myActivationHash',
+        _offerId: 'myOfferId',
+        _isActive: 'true',
+      });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      const res = await chai
+        .request(app)
+        .put(pathWebhooks_Put_Offer_Status)
+        .set('Authorization', `ApiKey ${key}`)
+        .set('Content-Type', 'application/json')
+        .set('X-Webhook-Timestamp', timestamp)
+        .set('X-Webhook-Nonce', 'myNonce')
+        .set(
+          'X-Webhook-Signature',
+          signWebhookPayload(signingSecret, timestamp, 'myNonce', body)
+        )
+        .send(body);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'Not offer found.' });
+    });
+
+    it('Should fail with a key missing the scope', async function () {
+      const { key } = await createApiKey({
+        name: 'zapier',
+        scopes: [API_KEY_SCOPES.WEBHOOKS_WRITE],
+      });
+
+      const res = await runSweep(key);
+      chai.expect(res).to.have.status(403);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: `Missing scope: ${API_KEY_SCOPES.SYNC_RUN}` });
+    });
+
+    it('Should fail with an expired key', async function () {
+      const { key, hash, prefix } = generateApiKey();
+      await collectionApiKeys.insertOne({
+        name: 'sweeps',
+        scopes: [API_KEY_SCOPES.SYNC_RUN],
+        hash,
+        prefix,
+        expiresAt: new Date(Date.now() - 1000),
+        revokedAt: null,
+      });
+
+      const res = await runSweep(key);
+      chai.expect(res).to.have.status(401);
+      chai.expect(res.body).to.deep.equal({ msg: 'Expired API key' });
+    });
+
+    it('Should fail with a body key that is not a string', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathWebhooks_Put_Offer_Status)
+        .send({ apiKey: 1 });
+      chai.expect(res).to.have.status(401);
+      chai.expect(res.body).to.deep.equal({ msg: 'Invalid API key' });
+    });
+
+    it('Should still accept the API_KEY environment variable', async function () {
+      chai.expect(await runSweep(process.env.API_KEY)).to.have.status(200);
+    });
+  });
+});
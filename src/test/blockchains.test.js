@@ -243,6 +243,10 @@ describe('Blockchains route', async function () {
       field: 'addressExplorerUrl',
       value: 'https://new.goerli.etherscan.io/address/{hash}',
     });
+    modifyBlockchainField({ field: 'confirmations', value: 12 });
+    modifyBlockchainField({ field: 'pendingTimeout', value: 1800 });
+    modifyBlockchainField({ field: 'completionTimeout', value: 3600 });
+    modifyBlockchainField({ field: 'confirmationTimeout', value: 7200 });
 
     it('Should fail if no blockchain found', async function () {
       const res = await chai
@@ -239,6 +239,23 @@ describe('Blockchains route - Validators', async function () {
         .to.be.true;
     });
 
+    it('PUT /blockchains/myMongoDBId - confirmations - Should fail if confirmations is not a positive int', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathBlockchains_Put_MongoDBId + randomMongoDBId)
+        .set({ Authorization: `Bearer ${mockedToken}` })
+        .send({ confirmations: -1 });
+      chai.expect(res).to.have.status(400);
+      chai.expect(res.body).to.be.an('array');
+      chai.expect(
+        res.body.some(
+          (err) =>
+            err.msg === 'must be a positive int value' &&
+            err.param === 'confirmations'
+        )
+      ).to.be.true;
+    });
+
     const testCases = [
       'chainId',
       'caipId',
@@ -0,0 +1,400 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import sinon from 'sinon';
+import { Database } from '../db/conn.js';
+import {
+  mockBlockchainGoerli,
+  collectionBlockchains,
+  collectionOffers,
+  collectionOrders,
+  mockOffer,
+  mockOrder,
+  pathWebhooks_Put_Offer_MaxPrice,
+  pathWebhooks_Put_Order,
+  pathViewBlockchain_Put_OrdersUser,
+  pathViewBlockchain_Put_OrdersConfirmingAll,
+} from './utils/variables.js';
+import {
+  recheckConfirming,
+  utils_confirmations,
+  withConfirmations,
+} from '../utils/confirmations-utils.js';
+import { utils_orders } from '../utils/view-blockchains-utils.js';
+import {
+  RpcUnavailableError,
+  getPooledProvider,
+} from '../utils/rpc-pool-utils.js';
+import { mockedToken } from './utils/utils.js';
+import { ORDER_STATUS } from '../utils/orders-utils.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+let db, chain, getReceiptInfoStub, getOrderIdFromHashStub, receipts;
+
+const mockTxHash = 'confirmingOrderHash';
+const mockOrderId = 'onChainOrderId';
+const mockBlockHash = '0xblockhash';
+const mockRequiredConfirmations = 12;
+
+describe('Confirmations', async function () {
+  beforeEach(async function () {
+    db = await Database.getInstance({});
+    await collectionBlockchains.updateOne(
+      { chainId: mockBlockchainGoerli.chainId },
+      { $set: { confirmations: mockRequiredConfirmations } }
+    );
+    chain = await collectionBlockchains.findOne({
+      chainId: mockBlockchainGoerli.chainId,
+    });
+    receipts = {};
+
+    getReceiptInfoStub = sinon
+      .stub(utils_confirmations, 'getReceiptInfo')
+      .callsFake(async function (_rpcs, _hash) {
+        return receipts[_hash] ?? null;
+      });
+
+    getOrderIdFromHashStub = sinon
+      .stub(utils_orders, 'getOrderIdFromHash')
+      .callsFake(async function (_rpcs, _hash) {
+        return _hash === mockTxHash ? mockOrderId : '';
+      });
+  });
+
+  afterEach(async function () {
+    getReceiptInfoStub.restore();
+    getOrderIdFromHashStub.restore();
+  });
+
+  describe('withConfirmations', async function () {
+    it('Should apply the update if the chain requires no confirmations', async function () {
+      chai
+        .expect(
+          await withConfirmations(
+            { ...chain, confirmations: 0 },
+            ORDER_STATUS.PENDING,
+            mockTxHash,
+            { status: ORDER_STATUS.SUCCESS }
+          )
+        )
+        .to.deep.equal({ status: ORDER_STATUS.SUCCESS });
+      chai.expect(getReceiptInfoStub.called).to.be.false;
+    });
+
+    it('Should apply the update if the transaction is deep enough', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: mockRequiredConfirmations,
+      };
+      chai
+        .expect(
+          await withConfirmations(chain, ORDER_STATUS.PENDING, mockTxHash, {
+            status: ORDER_STATUS.SUCCESS,
+          })
+        )
+        .to.deep.equal({ status: ORDER_STATUS.SUCCESS });
+    });
+
+    it('Should hold the update back if the transaction is not deep enough', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: 1,
+      };
+      const update = await withConfirmations(
+        chain,
+        ORDER_STATUS.PENDING,
+        mockTxHash,
+        { status: ORDER_STATUS.SUCCESS }
+      );
+      const { date, ...confirmation } = update.confirmation;
+
+      chai.expect(update.status).to.equal(ORDER_STATUS.CONFIRMING);
+      chai.expect(date).to.be.instanceOf(Date);
+      chai.expect(confirmation).to.deep.equal({
+        chainId: chain.chainId,
+        hash: mockTxHash,
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        previousStatus: ORDER_STATUS.PENDING,
+        update: { status: ORDER_STATUS.SUCCESS },
+        notifications: [],
+      });
+    });
+  });
+
+  describe('getReceiptInfo', async function () {
+    let providerStubs;
+
+    beforeEach(async function () {
+      getReceiptInfoStub.callThrough();
+      providerStubs = chain.rpc.map((rpc) => ({
+        getTransactionReceipt: sinon
+          .stub(getPooledProvider(rpc), 'getTransactionReceipt')
+          .resolves(null),
+        getBlockNumber: sinon
+          .stub(getPooledProvider(rpc), 'getBlockNumber')
+          .resolves(111),
+      }));
+    });
+
+    afterEach(async function () {
+      providerStubs.forEach((stubs) =>
+        Object.values(stubs).forEach((stub) => stub.restore())
+      );
+    });
+
+    it('Should return the receipt if one RPC has it', async function () {
+      providerStubs[1].getTransactionReceipt.resolves({
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+      });
+
+      chai
+        .expect(await utils_confirmations.getReceiptInfo(chain.rpc, mockTxHash))
+        .to.deep.equal({
+          blockNumber: 100,
+          blockHash: mockBlockHash,
+          confirmations: 12,
+        });
+    });
+
+    it('Should return null once a quorum of RPCs has no receipt', async function () {
+      chai.expect(
+        await utils_confirmations.getReceiptInfo(chain.rpc, mockTxHash)
+      ).to.be.null;
+    });
+
+    it('Should throw if too few RPCs answered to conclude', async function () {
+      providerStubs[0].getTransactionReceipt.rejects(new Error('Timeout'));
+
+      try {
+        await utils_confirmations.getReceiptInfo(chain.rpc, mockTxHash);
+        chai.assert.fail('getReceiptInfo should throw');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(RpcUnavailableError);
+      }
+    });
+  });
+
+  describe('Webhooks', async function () {
+    it('Should hold back an offer parameter change until the transaction is deep enough', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: 1,
+      };
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        status: OFFER_STATUS.SUCCESS,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathWebhooks_Put_Offer_MaxPrice)
+        .send({
+          _grinderyChainId: mockBlockchainGoerli.chainId,
+          _grinderyTransactionHash: mockTxHash,
+          _idOffer: mockOffer.offerId,
+          _upperLimitFn: '1000',
+          apiKey: process.env.API_KEY,
+        });
+      chai.expect(res).to.have.status(200);
+
+      let offer = await collectionOffers.findOne({
+        offerId: mockOffer.offerId,
+      });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.CONFIRMING);
+      chai.expect(offer.max).to.equal(mockOffer.max);
+
+      receipts[mockTxHash].confirmations = mockRequiredConfirmations;
+      chai
+        .expect(await recheckConfirming(db, 'offers'))
+        .to.deep.equal({ confirmed: 1, reverted: 0 });
+
+      offer = await collectionOffers.findOne({ offerId: mockOffer.offerId });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.SUCCESS);
+      chai.expect(offer.max).to.equal('1000');
+    });
+
+    it('Should answer 503 if the receipt cannot be checked', async function () {
+      getReceiptInfoStub.rejects(new RpcUnavailableError('No RPC available'));
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+        chainIdTokenDeposit: mockBlockchainGoerli.chainId,
+        hash: mockTxHash,
+        userId: process.env.USER_ID_TEST,
+      });
+
+      const res = await chai.request(app).put(pathWebhooks_Put_Order).send({
+        _grinderyChainId: mockBlockchainGoerli.chainId,
+        _grinderyTransactionHash: mockTxHash,
+        _amount: mockOrder.amountTokenDeposit,
+        _offerId: mockOrder.offerId,
+        _tradeId: mockOrderId,
+        _offerer: 'myOfferer',
+        _token: '0x0',
+        apiKey: process.env.API_KEY,
+      });
+      chai.expect(res).to.have.status(503);
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.PENDING);
+    });
+  });
+
+  describe('Sync routes', async function () {
+    it('Should set orders to confirming until the transaction is deep enough', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: 1,
+      };
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+        chainIdTokenDeposit: mockBlockchainGoerli.chainId,
+        hash: mockTxHash,
+        userId: process.env.USER_ID_TEST,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathViewBlockchain_Put_OrdersUser)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.CONFIRMING);
+      chai.expect(order.confirmation.update).to.deep.equal({
+        orderId: mockOrderId,
+        status: ORDER_STATUS.SUCCESS,
+      });
+    });
+  });
+
+  describe('recheckConfirming', async function () {
+    beforeEach(async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        orderId: '',
+        hash: mockTxHash,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.CONFIRMING,
+        confirmation: {
+          chainId: chain.chainId,
+          hash: mockTxHash,
+          blockNumber: 100,
+          blockHash: mockBlockHash,
+          previousStatus: ORDER_STATUS.PENDING,
+          update: { orderId: mockOrderId, status: ORDER_STATUS.SUCCESS },
+          notifications: [],
+        },
+      });
+    });
+
+    it('Should apply the update once the transaction is deep enough', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: mockRequiredConfirmations,
+      };
+
+      chai
+        .expect(await recheckConfirming(db, 'orders'))
+        .to.deep.equal({ confirmed: 1, reverted: 0 });
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.SUCCESS);
+      chai.expect(order.orderId).to.equal(mockOrderId);
+      chai.expect(order.confirmation).to.be.undefined;
+    });
+
+    it('Should keep waiting while the transaction is not deep enough', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: 3,
+      };
+
+      chai
+        .expect(await recheckConfirming(db, 'orders'))
+        .to.deep.equal({ confirmed: 0, reverted: 0 });
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.CONFIRMING);
+    });
+
+    it('Should revert the order if the receipt disappeared', async function () {
+      chai
+        .expect(await recheckConfirming(db, 'orders'))
+        .to.deep.equal({ confirmed: 0, reverted: 1 });
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.PENDING);
+      chai.expect(order.orderId).to.equal('');
+      chai.expect(order.confirmation).to.be.undefined;
+    });
+
+    it('Should revert the order if the block hash changed', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 101,
+        blockHash: '0xotherblockhash',
+        confirmations: mockRequiredConfirmations,
+      };
+
+      chai
+        .expect(await recheckConfirming(db, 'orders'))
+        .to.deep.equal({ confirmed: 0, reverted: 1 });
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.PENDING);
+    });
+
+    it('Should revert the order if it waited longer than the confirmation timeout', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: 3,
+      };
+      await collectionOrders.updateOne(
+        { hash: mockTxHash },
+        {
+          $set: {
+            'confirmation.date': new Date(Date.now() - 2 * 3600 * 1000),
+          },
+        }
+      );
+
+      chai
+        .expect(await recheckConfirming(db, 'orders'))
+        .to.deep.equal({ confirmed: 0, reverted: 1 });
+
+      const order = await collectionOrders.findOne({ hash: mockTxHash });
+      chai.expect(order.status).to.equal(ORDER_STATUS.PENDING);
+      chai.expect(order.statusHistory.at(-1).reason).to.equal('timeout');
+    });
+
+    it('Should re-check through the force resync route', async function () {
+      receipts[mockTxHash] = {
+        blockNumber: 100,
+        blockHash: mockBlockHash,
+        confirmations: mockRequiredConfirmations,
+      };
+
+      const res = await chai
+        .request(app)
+        .put(pathViewBlockchain_Put_OrdersConfirmingAll)
+        .send({ apiKey: process.env.API_KEY });
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal({ confirmed: 1, reverted: 0 });
+    });
+  });
+});
@@ -1,13 +1,23 @@
+import sinon from 'sinon';
 import { Database } from '../db/conn.js';
+import { utils_abis } from '../utils/abis-utils.js';
 import {
   mockBlockchainBscTestnet,
   mockBlockchainGoerli,
+  mockPublishedAbi,
   collectionAdmins,
   collectionBlockchains,
 } from './utils/variables.js';
 
+let fetchPublishedAbiStub;
+
 export const mochaHooks = {
   beforeEach: async function () {
+    // Published ABIs are never downloaded by the tests.
+    fetchPublishedAbiStub = sinon
+      .stub(utils_abis, 'fetchPublishedAbi')
+      .resolves(mockPublishedAbi);
+
     await collectionAdmins.insertOne({
       userId: process.env.USER_ID_TEST,
     });
@@ -19,6 +29,8 @@ export const mochaHooks = {
     await collectionBlockchains.insertOne(mockBlockchainBscTestnet);
   },
   afterEach: async function () {
+    fetchPublishedAbiStub.restore();
+
     const db = await Database.getInstance({});
     if (db.namespace === 'grindery-delight-test-server') {
       await db.dropDatabase();
@@ -0,0 +1,374 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import { ethers } from 'ethers';
+import { Database } from '../db/conn.js';
+import {
+  mockBlockchainGoerli,
+  mockBlockchainBscTestnet,
+  collectionBlockchains,
+  collectionOffers,
+  collectionOrders,
+  collectionLiquidityWallet,
+  mockLiquidityWallet,
+  mockOffer,
+  mockOrder,
+} from './utils/variables.js';
+import {
+  INDEXED_EVENTS,
+  getEvents,
+  getIndexerCursor,
+  indexChain,
+  saveIndexerCursor,
+  utils_indexer,
+} from '../utils/indexer-utils.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { ORDER_STATUS } from '../utils/orders-utils.js';
+import { getPooledProvider } from '../utils/rpc-pool-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+let db, chain, getBlockNumberStub, getEventsStub, events;
+
+const mockLatestBlock = 5000;
+const mockTxHashNewOffer = '0xnewofferhash';
+const mockTxHashNewTrade = '0xnewtradehash';
+const mockTxHashSetStatus = '0xsetstatushash';
+const mockTxHashTradePaid = '0xtradepaidhash';
+const mockOnChainOfferId = 'onChainOfferId';
+const mockOnChainTradeId = 'onChainTradeId';
+const mockWalletAddress = '0x1111111111111111111111111111111111111111';
+const mockOtherWalletAddress = '0x2222222222222222222222222222222222222222';
+
+describe('Chain indexer', async function () {
+  beforeEach(async function () {
+    db = await Database.getInstance({});
+    chain = await collectionBlockchains.findOne({
+      chainId: mockBlockchainGoerli.chainId,
+    });
+    events = [];
+
+    getBlockNumberStub = sinon
+      .stub(utils_indexer, 'getBlockNumber')
+      .callsFake(async function (_rpcs) {
+        return mockLatestBlock;
+      });
+
+    getEventsStub = sinon
+      .stub(utils_indexer, 'getEvents')
+      .callsFake(async function (_rpcs, _fromBlock, _toBlock) {
+        return events;
+      });
+  });
+
+  afterEach(async function () {
+    getBlockNumberStub.restore();
+    getEventsStub.restore();
+  });
+
+  describe('Cursor', async function () {
+    it('Should start behind the head if the chain was never indexed', async function () {
+      const result = await indexChain(db, chain);
+      chai.expect(result.fromBlock).to.equal(mockLatestBlock - 1000);
+      chai.expect(result.toBlock).to.equal(mockLatestBlock);
+    });
+
+    it('Should resume from the block following the cursor', async function () {
+      await saveIndexerCursor(db, chain.chainId, mockLatestBlock - 10);
+      const result = await indexChain(db, chain);
+      chai.expect(result.fromBlock).to.equal(mockLatestBlock - 9);
+      chai.expect(result.toBlock).to.equal(mockLatestBlock);
+    });
+
+    it('Should persist the last processed block', async function () {
+      await indexChain(db, chain);
+      chai
+        .expect(await getIndexerCursor(db, chain.chainId))
+        .to.equal(mockLatestBlock);
+    });
+
+    it('Should not scan if the chain is up to date', async function () {
+      await saveIndexerCursor(db, chain.chainId, mockLatestBlock);
+      chai.expect(await indexChain(db, chain)).to.be.null;
+      chai.expect(getEventsStub.called).to.be.false;
+    });
+
+    it('Should limit the scanned range', async function () {
+      await saveIndexerCursor(db, chain.chainId, 0);
+      const result = await indexChain(db, chain);
+      chai.expect(result.fromBlock).to.equal(1);
+      chai.expect(result.toBlock).to.equal(2000);
+    });
+
+    it('Should only scan the contracts registered on the chain', async function () {
+      await indexChain(db, {
+        ...chain,
+        usefulAddresses: {
+          GrtPoolV2: '0xpooladdress',
+          GrtLiquidityWalletV2: '0xliquiditywalletaddress',
+        },
+      });
+      chai.expect(getEventsStub.firstCall.args[4]).to.deep.equal({
+        pool: '0xpooladdress',
+        liquidityWallets: ['0xliquiditywalletaddress'],
+      });
+    });
+
+    it('Should scan the liquidity wallets registered on the chain', async function () {
+      await collectionLiquidityWallet.insertMany([
+        {
+          ...mockLiquidityWallet,
+          walletAddress: mockWalletAddress,
+          chainId: chain.chainId,
+          userId: process.env.USER_ID_TEST,
+        },
+        {
+          ...mockLiquidityWallet,
+          walletAddress: mockOtherWalletAddress,
+          chainId: mockBlockchainBscTestnet.chainId,
+          userId: process.env.USER_ID_TEST,
+        },
+      ]);
+
+      await indexChain(db, chain);
+      chai
+        .expect(getEventsStub.firstCall.args[4].liquidityWallets)
+        .to.deep.equal([mockWalletAddress]);
+    });
+
+    it('Should fetch LogTradePaid from liquidity wallets missing from usefulAddresses', async function () {
+      const iface = new ethers.utils.Interface([
+        'event LogTradePaid(bytes32 indexed _tradeId)',
+      ]);
+      const tradeId = ethers.utils.formatBytes32String(mockOnChainTradeId);
+      const log = (address, logIndex) => ({
+        ...iface.encodeEventLog(iface.getEvent('LogTradePaid'), [tradeId]),
+        address,
+        transactionHash: mockTxHashTradePaid,
+        blockNumber: mockLatestBlock,
+        blockHash: '0xblockhash',
+        logIndex,
+      });
+      const getLogsStubs = chain.rpc.map((rpc) =>
+        sinon
+          .stub(getPooledProvider(rpc), 'getLogs')
+          .resolves([log(mockWalletAddress, 0), log(mockOtherWalletAddress, 1)])
+      );
+
+      try {
+        const result = await getEvents(
+          chain.rpc,
+          mockLatestBlock,
+          mockLatestBlock,
+          { poolAbi: [], liquidityWalletAbi: iface.fragments },
+          { liquidityWallets: [mockWalletAddress] }
+        );
+
+        chai.expect(result).to.have.lengthOf(1);
+        chai.expect(result[0].name).to.equal(INDEXED_EVENTS.TRADE_PAID);
+        chai.expect(result[0].args._tradeId).to.equal(tradeId);
+      } finally {
+        getLogsStubs.forEach((stub) => stub.restore());
+      }
+    });
+  });
+
+  describe('Events', async function () {
+    it('Should set offerId and success status on LogNewOffer', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: '',
+        hash: mockTxHashNewOffer,
+        status: OFFER_STATUS.PENDING,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.NEW_OFFER,
+          args: { _offerId: mockOnChainOfferId },
+          transactionHash: mockTxHashNewOffer,
+        },
+      ];
+
+      const result = await indexChain(db, chain);
+      chai.expect(result.processed).to.equal(1);
+
+      const offer = await collectionOffers.findOne({
+        hash: mockTxHashNewOffer,
+      });
+      chai.expect(offer.offerId).to.equal(mockOnChainOfferId);
+      chai.expect(offer.status).to.equal(OFFER_STATUS.SUCCESS);
+    });
+
+    it('Should set orderId and success status on LogNewTrade', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        orderId: '',
+        hash: mockTxHashNewTrade,
+        chainIdTokenDeposit: chain.chainId,
+        status: ORDER_STATUS.PENDING,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.NEW_TRADE,
+          args: { _tradeId: mockOnChainTradeId },
+          transactionHash: mockTxHashNewTrade,
+        },
+      ];
+
+      await indexChain(db, chain);
+
+      const order = await collectionOrders.findOne({
+        hash: mockTxHashNewTrade,
+      });
+      chai.expect(order.orderId).to.equal(mockOnChainTradeId);
+      chai.expect(order.status).to.equal(ORDER_STATUS.SUCCESS);
+    });
+
+    it('Should update isActive and status on LogSetStatusOffer', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        activationHash: mockTxHashSetStatus,
+        isActive: true,
+        status: OFFER_STATUS.DEACTIVATION,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.SET_STATUS_OFFER,
+          args: { _offerId: mockOffer.offerId, _isActive: false },
+          transactionHash: mockTxHashSetStatus,
+        },
+      ];
+
+      await indexChain(db, chain);
+
+      const offer = await collectionOffers.findOne({
+        activationHash: mockTxHashSetStatus,
+      });
+      chai.expect(offer.isActive).to.be.false;
+      chai.expect(offer.status).to.equal(OFFER_STATUS.SUCCESS);
+    });
+
+    it('Should complete the order on LogTradePaid', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        completionHash: mockTxHashTradePaid,
+        isComplete: false,
+        status: ORDER_STATUS.COMPLETION,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.TRADE_PAID,
+          args: { _tradeId: mockOrder.orderId },
+          transactionHash: mockTxHashTradePaid,
+        },
+      ];
+
+      await indexChain(
+        db,
+        await collectionBlockchains.findOne({
+          chainId: mockBlockchainBscTestnet.chainId,
+        })
+      );
+
+      const order = await collectionOrders.findOne({
+        completionHash: mockTxHashTradePaid,
+      });
+      chai.expect(order.isComplete).to.be.true;
+      chai.expect(order.status).to.equal(ORDER_STATUS.COMPLETE);
+    });
+
+    it('Should not complete an order paid for another trade on LogTradePaid', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        completionHash: mockTxHashTradePaid,
+        isComplete: false,
+        status: ORDER_STATUS.COMPLETION,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.TRADE_PAID,
+          args: { _tradeId: mockOnChainTradeId },
+          transactionHash: mockTxHashTradePaid,
+        },
+      ];
+
+      await indexChain(
+        db,
+        await collectionBlockchains.findOne({
+          chainId: mockBlockchainBscTestnet.chainId,
+        })
+      );
+
+      const order = await collectionOrders.findOne({
+        completionHash: mockTxHashTradePaid,
+      });
+      chai.expect(order.isComplete).to.be.false;
+      chai.expect(order.status).to.equal(ORDER_STATUS.COMPLETION);
+    });
+
+    it('Should not modify documents of another chain', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: '',
+        hash: mockTxHashNewOffer,
+        exchangeChainId: mockBlockchainBscTestnet.chainId,
+        status: OFFER_STATUS.PENDING,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.NEW_OFFER,
+          args: { _offerId: mockOnChainOfferId },
+          transactionHash: mockTxHashNewOffer,
+        },
+      ];
+
+      const result = await indexChain(db, chain);
+      chai.expect(result.processed).to.equal(0);
+
+      const offer = await collectionOffers.findOne({
+        hash: mockTxHashNewOffer,
+      });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.PENDING);
+    });
+
+    it('Should not modify documents that are not waiting for the event', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        hash: mockTxHashNewOffer,
+        status: OFFER_STATUS.SUCCESS,
+        userId: process.env.USER_ID_TEST,
+      });
+      events = [
+        {
+          name: INDEXED_EVENTS.NEW_OFFER,
+          args: { _offerId: mockOnChainOfferId },
+          transactionHash: mockTxHashNewOffer,
+        },
+      ];
+
+      const result = await indexChain(db, chain);
+      chai.expect(result.processed).to.equal(0);
+
+      const offer = await collectionOffers.findOne({
+        hash: mockTxHashNewOffer,
+      });
+      chai.expect(offer.offerId).to.equal(mockOffer.offerId);
+    });
+  });
+});
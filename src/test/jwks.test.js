@@ -0,0 +1,227 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import sinon from 'sinon';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pathOrders_Get_History } from './utils/variables.js';
+import {
+  KeySourceError,
+  resetJwksCache,
+  utils_jwks,
+  verifyToken,
+} from '../utils/jwks-utils.js';
+import { checkToken, utils_auth } from '../utils/auth-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const AUTH_ENV = [
+  'AUTH_JWKS_URI',
+  'AUTH_PUBLIC_KEY',
+  'AUTH_ISSUER',
+  'AUTH_AUDIENCE',
+  'AUTH_REMOTE_FALLBACK',
+];
+
+const mockIssuer = 'https://issuer.example';
+const mockAudience = 'delight-api';
+
+/**
+ * This function generates an RSA key pair and its public JWK.
+ */
+function generateKey(kid) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' },
+  };
+}
+
+/**
+ * This function signs a token for the test user.
+ */
+function sign(key, options = {}) {
+  return jwt.sign({ sub: process.env.USER_ID_TEST }, key.privateKey, {
+    algorithm: 'RS256',
+    keyid: key.kid,
+    issuer: mockIssuer,
+    audience: mockAudience,
+    expiresIn: '1h',
+    ...options,
+  });
+}
+
+describe('Local token verification', async function () {
+  const keyA = generateKey('key-a');
+  const keyB = generateKey('key-b');
+  let savedEnv, fetchJwksStub, jwks;
+
+  beforeEach(function () {
+    savedEnv = Object.fromEntries(
+      AUTH_ENV.map((name) => [name, process.env[name]])
+    );
+    AUTH_ENV.forEach((name) => delete process.env[name]);
+    process.env.AUTH_JWKS_URI = 'https://issuer.example/.well-known/jwks.json';
+    process.env.AUTH_ISSUER = mockIssuer;
+    process.env.AUTH_AUDIENCE = mockAudience;
+
+    resetJwksCache();
+    jwks = [keyA.jwk];
+    fetchJwksStub = sinon
+      .stub(utils_jwks, 'fetchJwks')
+      .callsFake(async () => jwks);
+  });
+
+  afterEach(function () {
+    fetchJwksStub.restore();
+    AUTH_ENV.forEach((name) =>
+      savedEnv[name] === undefined
+        ? delete process.env[name]
+        : (process.env[name] = savedEnv[name])
+    );
+  });
+
+  it('Should verify a token signed by a key of the JWKS', async function () {
+    const payload = await verifyToken(sign(keyA));
+    chai.expect(payload.sub).to.equal(process.env.USER_ID_TEST);
+  });
+
+  it('Should cache the JWKS', async function () {
+    await verifyToken(sign(keyA));
+    await verifyToken(sign(keyA));
+    chai.expect(fetchJwksStub.calledOnce).to.be.true;
+  });
+
+  it('Should refresh the JWKS when the key was rotated', async function () {
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    try {
+      await verifyToken(sign(keyA));
+      jwks = [keyA.jwk, keyB.jwk];
+      clock.tick(31000);
+
+      const payload = await verifyToken(sign(keyB));
+      chai.expect(payload.sub).to.equal(process.env.USER_ID_TEST);
+      chai.expect(fetchJwksStub.calledTwice).to.be.true;
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('Should verify a token with the configured public key', async function () {
+    delete process.env.AUTH_JWKS_URI;
+    process.env.AUTH_PUBLIC_KEY = crypto
+      .createPublicKey({ key: keyA.jwk, format: 'jwk' })
+      .export({ type: 'spki', format: 'pem' });
+
+    const payload = await verifyToken(sign(keyA));
+    chai.expect(payload.sub).to.equal(process.env.USER_ID_TEST);
+    chai.expect(fetchJwksStub.called).to.be.false;
+  });
+
+  it('Should reject an expired token', async function () {
+    try {
+      await verifyToken(sign(keyA, { expiresIn: -10 }));
+      chai.assert.fail('verifyToken should have thrown');
+    } catch (e) {
+      chai.expect(e).to.be.instanceOf(jwt.TokenExpiredError);
+    }
+  });
+
+  it('Should reject a token from another issuer', async function () {
+    try {
+      await verifyToken(sign(keyA, { issuer: 'https://other.example' }));
+      chai.assert.fail('verifyToken should have thrown');
+    } catch (e) {
+      chai.expect(e).to.be.instanceOf(jwt.JsonWebTokenError);
+    }
+  });
+
+  it('Should reject a token signed by an unknown key', async function () {
+    try {
+      await verifyToken(sign(keyB));
+      chai.assert.fail('verifyToken should have thrown');
+    } catch (e) {
+      chai.expect(e.message).to.equal('Unknown signing key key-b');
+    }
+  });
+
+  describe('Remote fallback', async function () {
+    let checkTokenRemotelyStub;
+
+    beforeEach(function () {
+      checkTokenRemotelyStub = sinon
+        .stub(utils_auth, 'checkTokenRemotely')
+        .resolves({ sub: process.env.USER_ID_TEST });
+    });
+
+    afterEach(function () {
+      checkTokenRemotelyStub.restore();
+    });
+
+    it('Should fall back to the remote check when the JWKS is unavailable', async function () {
+      process.env.AUTH_REMOTE_FALLBACK = 'true';
+      fetchJwksStub.rejects(new Error('timeout'));
+
+      const payload = await checkToken(sign(keyA));
+      chai.expect(payload.sub).to.equal(process.env.USER_ID_TEST);
+      chai.expect(checkTokenRemotelyStub.calledOnce).to.be.true;
+    });
+
+    it('Should check the token remotely when no key source is configured', async function () {
+      delete process.env.AUTH_JWKS_URI;
+
+      const payload = await checkToken(sign(keyA));
+      chai.expect(payload.sub).to.equal(process.env.USER_ID_TEST);
+      chai.expect(checkTokenRemotelyStub.calledOnce).to.be.true;
+    });
+
+    it('Should not fall back to the remote check unless enabled', async function () {
+      fetchJwksStub.rejects(new Error('timeout'));
+
+      try {
+        await checkToken(sign(keyA));
+        chai.assert.fail('checkToken should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(KeySourceError);
+      }
+      chai.expect(checkTokenRemotelyStub.called).to.be.false;
+    });
+
+    it('Should not fall back to the remote check for an invalid token', async function () {
+      process.env.AUTH_REMOTE_FALLBACK = 'true';
+
+      try {
+        await checkToken(sign(keyA, { expiresIn: -10 }));
+        chai.assert.fail('checkToken should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(jwt.TokenExpiredError);
+      }
+      chai.expect(checkTokenRemotelyStub.called).to.be.false;
+    });
+  });
+
+  describe('Routes', async function () {
+    it('Should authenticate the user of a locally verified token', async function () {
+      const res = await chai
+        .request(app)
+        .get(`${pathOrders_Get_History}myOrderId/history`)
+        .set('Authorization', `Bearer ${sign(keyA)}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No order found' });
+    });
+
+    it('Should fail with an expired token', async function () {
+      const res = await chai
+        .request(app)
+        .get(`${pathOrders_Get_History}myOrderId/history`)
+        .set('Authorization', `Bearer ${sign(keyA, { expiresIn: -10 })}`);
+      chai.expect(res).to.have.status(401);
+      chai.expect(res.body).to.deep.equal({ message: 'jwt expired' });
+    });
+  });
+});
@@ -0,0 +1,345 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import net from 'net';
+import app from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionNotificationEmails,
+  collectionNotificationPreferences,
+  pathNotifications_Delete_Email,
+  pathNotifications_Get_Email,
+  pathNotifications_Put_Email,
+  pathNotifications_Put_EmailVerify,
+} from './utils/variables.js';
+import { utils_email } from '../utils/email-utils.js';
+import { sendNotification } from '../utils/notification-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockEmail = 'user@example.com';
+
+/**
+ * This function registers the notification email of the test user.
+ * @returns The verification code sent to the address.
+ */
+async function registerEmail(sendMailStub) {
+  const res = await chai
+    .request(app)
+    .put(pathNotifications_Put_Email)
+    .set('Authorization', `Bearer ${mockedToken}`)
+    .send({ email: mockEmail });
+  chai.expect(res).to.have.status(200);
+
+  return sendMailStub.lastCall.args[0].text.match(/\d{6}/)[0];
+}
+
+/**
+ * This function sends a verification code for the notification email of the test user.
+ */
+async function verifyEmail(code) {
+  return await chai
+    .request(app)
+    .put(pathNotifications_Put_EmailVerify)
+    .set('Authorization', `Bearer ${mockedToken}`)
+    .send({ code });
+}
+
+/**
+ * This function starts an SMTP server that accepts every email.
+ * @returns An object with the `server` and the `lines` it received.
+ */
+async function startSmtpServer() {
+  const lines = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = false;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+        if (data) {
+          if (line === '.') {
+            data = false;
+            socket.write('250 OK\r\n');
+          }
+        } else if (line.startsWith('EHLO')) {
+          socket.write('250-localhost\r\n250 SIZE 10240000\r\n');
+        } else if (line === 'DATA') {
+          data = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return { server, lines };
+}
+
+describe('Notification emails', async function () {
+  let sendMailStub;
+
+  beforeEach(async function () {
+    sendMailStub = sinon.stub(utils_email, 'sendMail').resolves();
+  });
+
+  afterEach(async function () {
+    sendMailStub.restore();
+  });
+
+  it('Should send a verification code to the registered address', async function () {
+    await registerEmail(sendMailStub);
+
+    chai.expect(sendMailStub.calledOnce).to.be.true;
+    chai.expect(sendMailStub.lastCall.args[0].to).to.equal(mockEmail);
+
+    const email = await collectionNotificationEmails.findOne({});
+    chai.expect(email.email).to.equal(mockEmail);
+    chai.expect(email.verified).to.be.false;
+  });
+
+  it('Should not return the verification code', async function () {
+    await registerEmail(sendMailStub);
+
+    const res = await chai
+      .request(app)
+      .get(pathNotifications_Get_Email)
+      .set('Authorization', `Bearer ${mockedToken}`);
+    chai.expect(res).to.have.status(200);
+    chai
+      .expect(res.body)
+      .to.deep.include({ email: mockEmail, verified: false });
+    chai.expect(res.body.verificationHash).to.be.undefined;
+  });
+
+  it('Should limit the number of verification emails', async function () {
+    for (let i = 0; i < 5; i++) {
+      await registerEmail(sendMailStub);
+    }
+
+    const res = await chai
+      .request(app)
+      .put(pathNotifications_Put_Email)
+      .set('Authorization', `Bearer ${mockedToken}`)
+      .send({ email: mockEmail });
+    chai.expect(res).to.have.status(429);
+    chai.expect(res.body).to.deep.equal({
+      msg: 'Too many verification emails, try again later',
+    });
+    chai.expect(sendMailStub.callCount).to.equal(5);
+  });
+
+  it('Should fail if the address is not an email', async function () {
+    const res = await chai
+      .request(app)
+      .put(pathNotifications_Put_Email)
+      .set('Authorization', `Bearer ${mockedToken}`)
+      .send({ email: 'myEmail' });
+    chai.expect(res).to.have.status(400);
+    chai.expect(sendMailStub.called).to.be.false;
+  });
+
+  it('Should verify the address with the code sent to it', async function () {
+    const code = await registerEmail(sendMailStub);
+
+    const res = await verifyEmail(code);
+    chai.expect(res).to.have.status(200);
+    chai.expect(res.body).to.deep.include({ email: mockEmail, verified: true });
+  });
+
+  it('Should not verify the address with a wrong code', async function () {
+    const code = await registerEmail(sendMailStub);
+
+    const res = await verifyEmail(code === '000000' ? '111111' : '000000');
+    chai.expect(res).to.have.status(400);
+    chai
+      .expect(res.body)
+      .to.deep.equal({ msg: 'Invalid or expired verification code' });
+  });
+
+  it('Should drop the code after too many wrong guesses', async function () {
+    const code = await registerEmail(sendMailStub);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) {
+      await verifyEmail(wrongCode);
+    }
+
+    const res = await verifyEmail(code);
+    chai.expect(res).to.have.status(400);
+  });
+
+  it('Should remove the address', async function () {
+    await registerEmail(sendMailStub);
+
+    const res = await chai
+      .request(app)
+      .delete(pathNotifications_Delete_Email)
+      .set('Authorization', `Bearer ${mockedToken}`);
+    chai.expect(res).to.have.status(200);
+    chai
+      .expect(await collectionNotificationEmails.countDocuments({}))
+      .to.equal(0);
+  });
+
+  it('Should return 404 if the user has no address', async function () {
+    const res = await chai
+      .request(app)
+      .get(pathNotifications_Get_Email)
+      .set('Authorization', `Bearer ${mockedToken}`);
+    chai.expect(res).to.have.status(404);
+    chai.expect(res.body).to.deep.equal({ msg: 'No email found' });
+  });
+
+  describe('Email channel', async function () {
+    const mockParams = {
+      type: 'order',
+      id: '0x1234567890abcdef',
+      userId: process.env.USER_ID_TEST,
+    };
+
+    beforeEach(async function () {
+      await collectionNotificationPreferences.insertOne({
+        userId: process.env.USER_ID_TEST,
+        events: { completion: { email: true, push: false } },
+      });
+    });
+
+    it('Should email the notification to the verified address', async function () {
+      await verifyEmail(await registerEmail(sendMailStub));
+
+      await sendNotification('completion', mockParams, {});
+
+      const message = sendMailStub.lastCall.args[0];
+      chai.expect(sendMailStub.calledTwice).to.be.true;
+      chai.expect(message.to).to.equal(mockEmail);
+      chai.expect(message.subject).to.equal('Order paid');
+      chai.expect(message.html).to.include('0x1234...cdef');
+    });
+
+    it('Should not email the notification to an unverified address', async function () {
+      await registerEmail(sendMailStub);
+
+      await sendNotification('completion', mockParams, {});
+      chai.expect(sendMailStub.calledOnce).to.be.true;
+    });
+  });
+
+  describe('SMTP transport', async function () {
+    let smtp;
+    const env = {};
+
+    beforeEach(async function () {
+      sendMailStub.restore();
+      smtp = await startSmtpServer();
+      ['EMAIL_TRANSPORT', 'SMTP_HOST', 'SMTP_PORT'].forEach((name) => {
+        env[name] = process.env[name];
+      });
+      process.env.EMAIL_TRANSPORT = 'smtp';
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = smtp.server.address().port.toString();
+    });
+
+    afterEach(async function () {
+      Object.entries(env).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+      smtp.server.close();
+    });
+
+    it('Should deliver the email to the SMTP server', async function () {
+      await utils_email.sendMail({
+        to: mockEmail,
+        subject: 'Order transaction confirmed',
+        text: 'myText',
+        html: '<p>myText</p>',
+      });
+
+      chai.expect(smtp.lines).to.include(`RCPT TO:<${mockEmail}>`);
+      chai.expect(smtp.lines).to.include(`To: ${mockEmail}`);
+      chai
+        .expect(smtp.lines)
+        .to.include(
+          `Subject: =?UTF-8?B?${Buffer.from(
+            'Order transaction confirmed'
+          ).toString('base64')}?=`
+        );
+    });
+
+    it('Should fail if the SMTP server rejects the recipient', async function () {
+      smtp.server.removeAllListeners('connection');
+      smtp.server.on('connection', (socket) => {
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', (chunk) => {
+          const line = chunk.toString();
+          if (line.startsWith('RCPT')) socket.write('550 No such user\r\n');
+          else if (line.startsWith('EHLO')) socket.write('250 localhost\r\n');
+          else socket.write('250 OK\r\n');
+        });
+      });
+
+      let error;
+      try {
+        await utils_email.sendMail({
+          to: mockEmail,
+          subject: 'mySubject',
+          text: 'myText',
+          html: '<p>myText</p>',
+        });
+      } catch (e) {
+        error = e;
+      }
+      chai.expect(error.message).to.include('550 No such user');
+    });
+  });
+
+  describe('Log transport', async function () {
+    const env = {};
+
+    beforeEach(function () {
+      sendMailStub.restore();
+      ['EMAIL_TRANSPORT', 'NODE_ENV'].forEach((name) => {
+        env[name] = process.env[name];
+      });
+      process.env.EMAIL_TRANSPORT = 'log';
+    });
+
+    afterEach(function () {
+      Object.entries(env).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    });
+
+    it('Should fail outside development', async function () {
+      process.env.NODE_ENV = 'production';
+
+      let error;
+      try {
+        await utils_email.sendMail({
+          to: mockEmail,
+          subject: 'mySubject',
+          text: 'myText',
+          html: '<p>myText</p>',
+        });
+      } catch (e) {
+        error = e;
+      }
+      chai
+        .expect(error.message)
+        .to.equal('The log email transport is only available in development');
+    });
+  });
+});
@@ -0,0 +1,314 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { Database } from '../db/conn.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionNotificationPreferences,
+  collectionNotifications,
+  collectionOffers,
+  collectionOrders,
+  mockBlockchainGoerli,
+  mockOffer,
+  mockOrder,
+  pathNotifications_Put_Preferences,
+  pathWebhooks_Put_Offer,
+  pathWebhooks_Put_Offer_MaxPrice,
+  pathWebhooks_Put_Offer_Status,
+  pathWebhooks_Put_Order,
+  pathWebhooks_Put_Order_Completion,
+  pathWebhooks_Put_Order_Paid,
+} from './utils/variables.js';
+import {
+  DEFAULT_LOCALE,
+  NOTIFICATION_LOCALES,
+  NOTIFICATION_TEMPLATES,
+} from '../utils/notification-templates-utils.js';
+import {
+  buildNotificationMessage,
+  getNotificationVariables,
+} from '../utils/notification-messages-utils.js';
+import { NOTIFICATION_EVENTS } from '../utils/notification-preferences-utils.js';
+import { sendNotification } from '../utils/notification-utils.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { ORDER_STATUS } from '../utils/orders-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockOfferHash = '0xOfferCreationHash';
+const mockOrderHash = '0xOrderCreationHash';
+const mockCompletionHash = '0xOrderCompletionHash';
+
+/**
+ * This function sends a webhook.
+ */
+async function sendWebhook(path, body) {
+  const res = await chai
+    .request(app)
+    .put(path)
+    .send({ ...body, apiKey: process.env.API_KEY });
+  chai.expect(res).to.have.status(200);
+}
+
+/**
+ * This function waits until the inbox holds a number of notifications, as webhooks do not wait for
+ * their notifications to be sent.
+ */
+async function waitForNotifications(count) {
+  for (let i = 0; i < 100; i++) {
+    if ((await collectionNotifications.countDocuments({})) >= count) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('Notification templates', async function () {
+  describe('Registry', async function () {
+    it('Should have a template for every event in every locale', async function () {
+      Object.values(NOTIFICATION_EVENTS).forEach((event) => {
+        chai.expect(NOTIFICATION_TEMPLATES[event], event).to.exist;
+      });
+    });
+
+    it('Should translate every template of the default locale', async function () {
+      Object.entries(NOTIFICATION_TEMPLATES).forEach(([method, locales]) => {
+        NOTIFICATION_LOCALES.forEach((locale) => {
+          chai
+            .expect(
+              Object.keys(locales[locale] || {}),
+              `${method} in ${locale}`
+            )
+            .to.have.members(Object.keys(locales[DEFAULT_LOCALE]));
+        });
+      });
+    });
+  });
+
+  describe('Webhooks', async function () {
+    it('Should render every notification sent by the webhooks from its own template', async function () {
+      const { offerId, ...pendingOffer } = mockOffer;
+      const { orderId, ...pendingOrder } = mockOrder;
+
+      await collectionOffers.insertOne({
+        ...pendingOffer,
+        hash: mockOfferHash,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+      });
+      await collectionOrders.insertOne({
+        ...pendingOrder,
+        offerId,
+        hash: mockOrderHash,
+        chainIdTokenDeposit: mockOffer.exchangeChainId,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      await sendWebhook(pathWebhooks_Put_Offer, {
+        _offerId: offerId,
+        _token: mockOffer.tokenAddress,
+        _chainId: mockOffer.chainId,
+        _grinderyChainId: mockOffer.exchangeChainId,
+        _grinderyTransactionHash: mockOfferHash,
+      });
+      await sendWebhook(pathWebhooks_Put_Offer_Status, {
+        _grinderyChainId: mockOffer.exchangeChainId,
+        _grinderyTransactionHash: 'myActivationHash',
+        _offerId: mockOffer.offerId,
+        _isActive: 'false',
+      });
+      await sendWebhook(pathWebhooks_Put_Offer_MaxPrice, {
+        _grinderyChainId: mockOffer.chainId,
+        _grinderyTransactionHash: 'myMaxPriceHash',
+        _idOffer: mockOffer.offerId,
+        _upperLimitFn: '10',
+      });
+      await sendWebhook(pathWebhooks_Put_Order, {
+        _grinderyChainId: mockOffer.exchangeChainId,
+        _grinderyTransactionHash: mockOrderHash,
+        _amount: mockOrder.amountTokenDeposit,
+        _offerId: mockOffer.offerId,
+        _tradeId: orderId,
+        _offerer: 'myOfferer',
+        _token: 'myToken',
+      });
+      await sendWebhook(pathWebhooks_Put_Order_Completion, {
+        _completionHash: mockCompletionHash,
+        _tradeId: mockOrder.orderId,
+      });
+      await sendWebhook(pathWebhooks_Put_Order_Paid, {
+        _grinderyChainId: mockOffer.chainId,
+        _grinderyTransactionHash: mockCompletionHash,
+        _offerId: mockOffer.offerId,
+        _tradeId: mockOrder.orderId,
+        _token: 'myToken',
+        _to: 'myTo',
+        _amount: mockOrder.amountTokenOffer,
+      });
+
+      // offer creation, activation and update, order creation, completion and payment (user and LP)
+      await waitForNotifications(8);
+      const notifications = await collectionNotifications.find({}).toArray();
+      chai.expect(notifications).to.have.lengthOf(8);
+
+      notifications.forEach(({ method, type, title, body }) => {
+        NOTIFICATION_LOCALES.forEach((locale) => {
+          chai.expect(
+            NOTIFICATION_TEMPLATES[method]?.[locale]?.[type],
+            `${method} ${type} in ${locale}`
+          ).to.exist;
+        });
+        chai.expect(`${title} ${body}`).not.to.include('{');
+      });
+    });
+  });
+
+  describe('Variables', async function () {
+    beforeEach(async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        isActive: true,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        offerId: mockOffer.offerId,
+        chainIdTokenDeposit: mockBlockchainGoerli.chainId,
+        hash: mockOrderHash,
+        completionHash: mockCompletionHash,
+        userId: process.env.USER_ID_TEST,
+      });
+    });
+
+    it('Should insert the amounts and token symbols of the order', async function () {
+      const variables = await getNotificationVariables(
+        await Database.getInstance({}),
+        'creation',
+        { type: 'order', id: mockOrder.orderId }
+      );
+
+      chai
+        .expect(
+          buildNotificationMessage(
+            'creation',
+            { type: 'order', id: mockOrder.orderId },
+            { variables }
+          ).body
+        )
+        .to.equal(
+          `Your order myOrde...erId has been created: ${mockOrder.amountTokenDeposit} ${mockOffer.exchangeToken} deposited for ${mockOrder.amountTokenOffer} ${mockOffer.token}.`
+        );
+    });
+
+    it('Should link the creation transaction of the order', async function () {
+      const variables = await getNotificationVariables(
+        await Database.getInstance({}),
+        'creation',
+        { type: 'order', id: mockOrder.orderId }
+      );
+
+      chai
+        .expect(variables.url)
+        .to.equal(
+          mockBlockchainGoerli.transactionExplorerUrl.replace(
+            '{hash}',
+            mockOrderHash
+          )
+        );
+    });
+
+    it('Should link the payment transaction of the order on the chain of the offer', async function () {
+      const variables = await getNotificationVariables(
+        await Database.getInstance({}),
+        'completion',
+        { type: 'order', id: mockOrder.orderId }
+      );
+
+      chai.expect(variables.url).to.include(mockCompletionHash);
+      chai.expect(variables.url).to.include('bscscan');
+    });
+
+    it('Should find the order of an expiration by its MongoDB id', async function () {
+      const { _id } = await collectionOrders.findOne({ hash: mockOrderHash });
+      const variables = await getNotificationVariables(
+        await Database.getInstance({}),
+        'expiration',
+        { type: 'order', id: _id.toString(), status: 'dropped' }
+      );
+
+      chai.expect(variables.amount).to.equal(mockOrder.amountTokenDeposit);
+      chai.expect(variables.url).to.include(mockCompletionHash);
+    });
+
+    it('Should render the messages in the locale of the user', async function () {
+      await collectionNotificationPreferences.insertOne({
+        userId: process.env.USER_ID_TEST,
+        locale: 'es',
+      });
+
+      await sendNotification(
+        'activationDeactivation',
+        {
+          type: 'offer',
+          id: mockOffer.offerId,
+          userId: process.env.USER_ID_TEST,
+        },
+        {}
+      );
+
+      const notification = await collectionNotifications.findOne({});
+      chai.expect(notification.locale).to.equal('es');
+      chai.expect(notification.title).to.equal('Oferta activada');
+    });
+
+    it('Should fall back to the default template of the type', async function () {
+      chai
+        .expect(
+          buildNotificationMessage('myMethod', {
+            type: 'offer',
+            id: mockOffer.offerId,
+          }).title
+        )
+        .to.equal('Offer updated');
+    });
+
+    it('Should leave out the details that are unknown', async function () {
+      chai
+        .expect(
+          buildNotificationMessage('creation', {
+            type: 'order',
+            id: mockOrder.orderId,
+          })
+        )
+        .to.deep.equal({
+          title: 'Order created',
+          body: `Your order ${mockOrder.orderId.slice(
+            0,
+            6
+          )}...${mockOrder.orderId.slice(-4)} has been created.`,
+        });
+    });
+  });
+
+  describe('Locale preference', async function () {
+    it('Should update the locale of the user', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathNotifications_Put_Preferences)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ locale: 'es' });
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.locale).to.equal('es');
+    });
+
+    it('Should fail if the locale is unknown', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathNotifications_Put_Preferences)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ locale: 'xx' });
+      chai.expect(res).to.have.status(400);
+    });
+  });
+});
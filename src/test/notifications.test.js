@@ -0,0 +1,354 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import WebSocket from 'ws';
+import app, { wss } from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionNotificationPreferences,
+  collectionNotifications,
+  collectionWebhookDeliveries,
+  collectionWebhookSubscriptions,
+  pathNotifications_Get_All,
+  pathNotifications_Get_Preferences,
+  pathNotifications_Put_Preferences,
+  pathNotifications_Put_Read,
+  pathNotifications_Put_ReadAll,
+} from './utils/variables.js';
+import {
+  CHANNEL_DISPATCHERS,
+  sendNotification,
+} from '../utils/notification-utils.js';
+import { NOTIFICATION_CHANNELS } from '../utils/notification-preferences-utils.js';
+import { SUBSCRIPTION_EVENTS } from '../utils/webhook-subscriptions-utils.js';
+import { getWebSocketBus } from '../utils/websocket-bus-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockOtherUserId = 'eip155:1:0x0000000000000000000000000000000000000001';
+
+const mockParams = {
+  type: 'order',
+  id: '0x1234567890abcdef',
+  userId: process.env.USER_ID_TEST,
+};
+
+describe('Notifications', async function () {
+  describe('sendNotification', async function () {
+    it('Should store the notification in the inbox of the user', async function () {
+      await sendNotification('completion', mockParams, {});
+
+      const notification = await collectionNotifications.findOne({});
+      chai.expect(notification).to.deep.include({
+        userId: process.env.USER_ID_TEST,
+        method: 'completion',
+        type: 'order',
+        targetId: mockParams.id,
+        read: false,
+        readAt: null,
+      });
+      chai.expect(notification.title).to.equal('Order paid');
+    });
+
+    it('Should deliver the inbox item to the connected clients of the user', async function () {
+      const client = {
+        userId: process.env.USER_ID_TEST,
+        readyState: WebSocket.OPEN,
+        send: sinon.spy(),
+      };
+      wss.clients.add(client);
+
+      try {
+        await sendNotification('completion', mockParams, {});
+      } finally {
+        wss.clients.delete(client);
+      }
+
+      const messages = client.send.args.map(([data]) => JSON.parse(data));
+      chai
+        .expect(messages.map((message) => message.method))
+        .to.deep.equal(['notification']);
+      chai.expect(messages[0].params).to.deep.include({
+        method: 'completion',
+        targetId: mockParams.id,
+        read: false,
+      });
+    });
+  });
+
+  describe('Inbox route', async function () {
+    beforeEach(async function () {
+      await collectionNotifications.insertMany([
+        {
+          userId: process.env.USER_ID_TEST,
+          method: 'creation',
+          read: true,
+          date: new Date(Date.now() - 1000),
+        },
+        {
+          userId: process.env.USER_ID_TEST,
+          method: 'completion',
+          read: false,
+          date: new Date(),
+        },
+        {
+          userId: mockOtherUserId,
+          method: 'completion',
+          read: false,
+          date: new Date(),
+        },
+      ]);
+    });
+
+    it('Should return the notifications of the user, most recent first', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathNotifications_Get_All)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.totalCount).to.equal(2);
+      chai.expect(res.body.unreadCount).to.equal(1);
+      chai
+        .expect(res.body.notifications.map((n) => n.method))
+        .to.deep.equal(['completion', 'creation']);
+    });
+
+    it('Should return the unread notifications only', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathNotifications_Get_All)
+        .query({ unread: true, limit: 10 })
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.totalCount).to.equal(1);
+      chai.expect(res.body.notifications[0].method).to.equal('completion');
+    });
+
+    it('Should fail if the offset is negative', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathNotifications_Get_All)
+        .query({ offset: -1 })
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(400);
+      chai.expect(
+        res.body.some(
+          (err) =>
+            err.msg === 'must be a positive int value' && err.param === 'offset'
+        )
+      ).to.be.true;
+    });
+
+    it('Should mark a notification as read', async function () {
+      const { _id } = await collectionNotifications.findOne({
+        userId: process.env.USER_ID_TEST,
+        read: false,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(`${pathNotifications_Put_Read}${_id}/read`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+
+      const notification = await collectionNotifications.findOne({ _id });
+      chai.expect(notification.read).to.be.true;
+      chai.expect(notification.readAt).to.be.a('date');
+    });
+
+    it('Should not mark the notification of another user as read', async function () {
+      const { _id } = await collectionNotifications.findOne({
+        userId: mockOtherUserId,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(`${pathNotifications_Put_Read}${_id}/read`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No notification found' });
+    });
+
+    it('Should mark every notification of the user as read', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathNotifications_Put_ReadAll)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.modifiedCount).to.equal(1);
+
+      chai
+        .expect(await collectionNotifications.countDocuments({ read: false }))
+        .to.equal(1);
+    });
+  });
+
+  describe('Preferences', async function () {
+    let pushStub;
+
+    beforeEach(async function () {
+      pushStub = sinon
+        .stub(CHANNEL_DISPATCHERS, NOTIFICATION_CHANNELS.PUSH)
+        .resolves(true);
+    });
+
+    afterEach(async function () {
+      pushStub.restore();
+    });
+
+    it('Should return the default preferences', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathNotifications_Get_Preferences)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.events.creation).to.deep.equal({
+        websocket: true,
+        push: true,
+        email: false,
+        webhook: false,
+      });
+      chai.expect(res.body.updatedAt).to.be.null;
+    });
+
+    it('Should merge the updated preferences with the current ones', async function () {
+      await collectionNotificationPreferences.insertOne({
+        userId: process.env.USER_ID_TEST,
+        events: { completion: { email: true } },
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathNotifications_Put_Preferences)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ events: { creation: { push: false } } });
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.events.creation.push).to.be.false;
+      chai.expect(res.body.events.creation.websocket).to.be.true;
+      chai.expect(res.body.events.completion.email).to.be.true;
+    });
+
+    it('Should fail if the event is unknown', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathNotifications_Put_Preferences)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ events: { myEvent: { push: false } } });
+      chai.expect(res).to.have.status(400);
+      chai.expect(
+        res.body.some(
+          (err) => err.msg === 'unknown event myEvent' && err.param === 'events'
+        )
+      ).to.be.true;
+    });
+
+    it('Should fail if the channel is not a boolean', async function () {
+      const res = await chai
+        .request(app)
+        .put(pathNotifications_Put_Preferences)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ events: { creation: { push: 'no' } } });
+      chai.expect(res).to.have.status(400);
+      chai.expect(
+        res.body.some(
+          (err) => err.msg === 'creation.push must be boolean value'
+        )
+      ).to.be.true;
+    });
+
+    it('Should send a push notification if the user is not connected', async function () {
+      await sendNotification('creation', mockParams, {});
+      chai.expect(pushStub.calledOnce).to.be.true;
+    });
+
+    it('Should not send a push notification if the user is connected', async function () {
+      const client = {
+        userId: process.env.USER_ID_TEST,
+        readyState: WebSocket.OPEN,
+        send: sinon.spy(),
+      };
+      wss.clients.add(client);
+
+      try {
+        await sendNotification('creation', mockParams, {});
+      } finally {
+        wss.clients.delete(client);
+      }
+
+      chai.expect(client.send.called).to.be.true;
+      chai.expect(pushStub.called).to.be.false;
+    });
+
+    it('Should send a push notification if the client of the user is no longer open', async function () {
+      const client = {
+        userId: process.env.USER_ID_TEST,
+        readyState: WebSocket.CLOSING,
+        send: sinon.spy(),
+      };
+      wss.clients.add(client);
+
+      try {
+        await sendNotification('creation', mockParams, {});
+      } finally {
+        wss.clients.delete(client);
+      }
+
+      chai.expect(client.send.called).to.be.false;
+      chai.expect(pushStub.calledOnce).to.be.true;
+    });
+
+    it('Should not send a push notification if the user is connected to another replica', async function () {
+      const presenceStub = sinon
+        .stub(getWebSocketBus(), 'isOnlineElsewhere')
+        .resolves(true);
+
+      try {
+        await sendNotification('creation', mockParams, {});
+      } finally {
+        presenceStub.restore();
+      }
+
+      chai.expect(presenceStub.calledWith(process.env.USER_ID_TEST)).to.be.true;
+      chai.expect(pushStub.called).to.be.false;
+    });
+
+    it('Should skip the channels disabled for the event but keep the inbox item', async function () {
+      await collectionNotificationPreferences.insertOne({
+        userId: process.env.USER_ID_TEST,
+        events: { creation: { push: false } },
+      });
+
+      await sendNotification('creation', mockParams, {});
+      chai.expect(pushStub.called).to.be.false;
+      chai.expect(await collectionNotifications.countDocuments({})).to.equal(1);
+
+      await sendNotification('completion', mockParams, {});
+      chai.expect(pushStub.calledOnce).to.be.true;
+    });
+
+    it('Should queue the notification for the webhook subscriptions of the user', async function () {
+      await collectionNotificationPreferences.insertOne({
+        userId: process.env.USER_ID_TEST,
+        events: { completionFailure: { webhook: true } },
+      });
+      await collectionWebhookSubscriptions.insertOne({
+        userId: process.env.USER_ID_TEST,
+        url: 'http://localhost/webhook',
+        events: [SUBSCRIPTION_EVENTS.NOTIFICATION],
+        secret: 'mySecret',
+        isActive: true,
+      });
+
+      await sendNotification('completionFailure', mockParams, {});
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery.event).to.equal(SUBSCRIPTION_EVENTS.NOTIFICATION);
+      chai.expect(delivery.payload).to.deep.include({
+        method: 'completionFailure',
+        title: 'Order payment failed',
+      });
+    });
+  });
+});
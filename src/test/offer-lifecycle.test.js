@@ -0,0 +1,146 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { Database } from '../db/conn.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionOffers,
+  mockOffer,
+  pathOffers_Get_History,
+  pathWebhooks_Put_Offer_Status,
+} from './utils/variables.js';
+import { OFFER_STATUS, transitionOffer } from '../utils/offers-utils.js';
+import {
+  StatusTransitionError,
+  SYSTEM_ACTOR,
+  TRANSITION_SOURCES,
+} from '../utils/lifecycle-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockOtherUserId = 'eip155:1:0x0000000000000000000000000000000000000001';
+
+describe('Offer lifecycle', async function () {
+  describe('transitionOffer', async function () {
+    it('Should apply an allowed transition and record the resulting activity', async function () {
+      const { insertedId } = await collectionOffers.insertOne({
+        ...mockOffer,
+        isActive: true,
+        status: OFFER_STATUS.DEACTIVATION,
+      });
+
+      await transitionOffer(
+        await Database.getInstance({}),
+        { _id: insertedId, status: OFFER_STATUS.DEACTIVATION },
+        { status: OFFER_STATUS.SUCCESS, isActive: false },
+        { source: TRANSITION_SOURCES.INDEXER }
+      );
+
+      const offer = await collectionOffers.findOne({ _id: insertedId });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.SUCCESS);
+      chai.expect(offer.isActive).to.be.false;
+      chai.expect(offer.statusHistory).to.have.lengthOf(1);
+      chai.expect(offer.statusHistory[0]).to.deep.include({
+        from: OFFER_STATUS.DEACTIVATION,
+        to: OFFER_STATUS.SUCCESS,
+        actor: SYSTEM_ACTOR,
+        source: TRANSITION_SOURCES.INDEXER,
+        isActive: false,
+      });
+      chai.expect(offer.statusHistory[0].date).to.be.a('date');
+    });
+
+    it('Should reject an illegal transition', async function () {
+      const { insertedId } = await collectionOffers.insertOne({
+        ...mockOffer,
+        status: OFFER_STATUS.FAILURE,
+      });
+
+      try {
+        await transitionOffer(
+          await Database.getInstance({}),
+          { _id: insertedId, status: OFFER_STATUS.FAILURE },
+          { status: OFFER_STATUS.ACTIVATION },
+          { source: TRANSITION_SOURCES.USER }
+        );
+        chai.assert.fail('transitionOffer should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(StatusTransitionError);
+      }
+
+      const offer = await collectionOffers.findOne({ _id: insertedId });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.FAILURE);
+      chai.expect(offer.statusHistory).to.be.undefined;
+    });
+  });
+
+  describe('Routes', async function () {
+    it('Should return 409 when a webhook (de)activates a failed offer', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        status: OFFER_STATUS.FAILURE,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathWebhooks_Put_Offer_Status)
+        .send({
+          _grinderyChainId: mockOffer.exchangeChainId,
+          _grinderyTransactionHash: 'myActivationHash',
+          _offerId: mockOffer.offerId,
+          _isActive: 'false',
+          apiKey: process.env.API_KEY,
+        });
+      chai.expect(res).to.have.status(409);
+      chai.expect(res.body).to.deep.equal({
+        msg: `Illegal status transition from ${OFFER_STATUS.FAILURE} to ${OFFER_STATUS.SUCCESS}`,
+      });
+    });
+  });
+
+  describe('GET offer history', async function () {
+    const mockHistory = [
+      {
+        from: OFFER_STATUS.PENDING,
+        to: OFFER_STATUS.SUCCESS,
+        actor: SYSTEM_ACTOR,
+        source: TRANSITION_SOURCES.INDEXER,
+        date: new Date().toISOString(),
+      },
+    ];
+
+    it('Should return the history to the liquidity provider of the offer', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.SUCCESS,
+        statusHistory: mockHistory,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(`${pathOffers_Get_History}${mockOffer.offerId}/history`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal(mockHistory);
+    });
+
+    it('Should fail for other users', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: mockOtherUserId,
+        status: OFFER_STATUS.SUCCESS,
+        statusHistory: mockHistory,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(`${pathOffers_Get_History}${mockOffer.offerId}/history`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No offer found' });
+    });
+  });
+});
@@ -1195,15 +1195,18 @@ describe('Offers route', async function () {
         {
           ...mockOffer,
           userId: process.env.USER_ID_TEST,
+          status: OFFER_STATUS.SUCCESS,
         },
         {
           ...mockOffer,
           offerId: 'anotherOfferId',
           userId: process.env.USER_ID_TEST,
+          status: OFFER_STATUS.SUCCESS,
         },
         {
           ...mockOffer,
           userId: 'anotherUserId',
+          status: OFFER_STATUS.SUCCESS,
         },
       ]);
     });
@@ -1297,6 +1300,27 @@ describe('Offers route', async function () {
       });
       chai.expect(modifOffer.status).to.equal(OFFER_STATUS.DEACTIVATION);
     });
+
+    it('Should return 409 if a deactivation is still in flight', async function () {
+      await collectionOffers.updateOne(
+        { offerId: mockOffer.offerId, userId: process.env.USER_ID_TEST },
+        { $set: { status: OFFER_STATUS.DEACTIVATION } }
+      );
+
+      const res = await chai
+        .request(app)
+        .put(pathOffers_Put_Activation)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({
+          offerId: mockOffer.offerId,
+          activating: true,
+          hash: 'myHashForActivation',
+        });
+      chai.expect(res).to.have.status(409);
+      chai.expect(res.body).to.deep.equal({
+        msg: `Illegal status transition from ${OFFER_STATUS.DEACTIVATION} to ${OFFER_STATUS.ACTIVATION}`,
+      });
+    });
   });
 
   describe('PUT mockOffer by offerId', async function () {
@@ -0,0 +1,307 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { Database } from '../db/conn.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionOffers,
+  collectionOrders,
+  mockOffer,
+  mockOrder,
+  pathOrders_Get_History,
+  pathOrders_Put_Complete,
+  pathWebhooks_Put_Order_Paid,
+} from './utils/variables.js';
+import { ORDER_STATUS, transitionOrder } from '../utils/orders-utils.js';
+import {
+  StatusTransitionError,
+  SYSTEM_ACTOR,
+  TRANSITION_SOURCES,
+} from '../utils/lifecycle-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockOtherUserId = 'eip155:1:0x0000000000000000000000000000000000000001';
+
+describe('Order lifecycle', async function () {
+  describe('transitionOrder', async function () {
+    it('Should apply an allowed transition and record it', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      await transitionOrder(
+        await Database.getInstance({}),
+        { _id: insertedId, status: ORDER_STATUS.PENDING },
+        { status: ORDER_STATUS.SUCCESS },
+        { source: TRANSITION_SOURCES.SYNC }
+      );
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.status).to.equal(ORDER_STATUS.SUCCESS);
+      chai.expect(order.statusHistory).to.have.lengthOf(1);
+      chai.expect(order.statusHistory[0]).to.deep.include({
+        from: ORDER_STATUS.PENDING,
+        to: ORDER_STATUS.SUCCESS,
+        actor: SYSTEM_ACTOR,
+        source: TRANSITION_SOURCES.SYNC,
+      });
+      chai.expect(order.statusHistory[0].date).to.be.a('date');
+    });
+
+    it('Should allow a failed completion to be retried or confirmed', async function () {
+      for (const status of [ORDER_STATUS.COMPLETION, ORDER_STATUS.CONFIRMING]) {
+        const { insertedId } = await collectionOrders.insertOne({
+          ...mockOrder,
+          status: ORDER_STATUS.COMPLETION_FAILURE,
+        });
+
+        await transitionOrder(
+          await Database.getInstance({}),
+          { _id: insertedId, status: ORDER_STATUS.COMPLETION_FAILURE },
+          { status },
+          { source: TRANSITION_SOURCES.SYNC }
+        );
+
+        chai
+          .expect((await collectionOrders.findOne({ _id: insertedId })).status)
+          .to.equal(status);
+      }
+    });
+
+    it('Should reject an illegal transition', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      try {
+        await transitionOrder(
+          await Database.getInstance({}),
+          { _id: insertedId, status: ORDER_STATUS.PENDING },
+          { status: ORDER_STATUS.COMPLETE },
+          { source: TRANSITION_SOURCES.SYNC }
+        );
+        chai.assert.fail('transitionOrder should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(StatusTransitionError);
+      }
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.status).to.equal(ORDER_STATUS.PENDING);
+      chai.expect(order.statusHistory).to.be.undefined;
+    });
+
+    it('Should only let a confirming order move to the status its transaction confirms', async function () {
+      const order = {
+        ...mockOrder,
+        status: ORDER_STATUS.CONFIRMING,
+        confirmation: { previousStatus: ORDER_STATUS.PENDING },
+      };
+      const { insertedId } = await collectionOrders.insertOne(order);
+
+      try {
+        await transitionOrder(
+          await Database.getInstance({}),
+          { ...order, _id: insertedId },
+          { status: ORDER_STATUS.COMPLETE },
+          { source: TRANSITION_SOURCES.SYNC }
+        );
+        chai.assert.fail('transitionOrder should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(StatusTransitionError);
+      }
+
+      await transitionOrder(
+        await Database.getInstance({}),
+        { ...order, _id: insertedId },
+        { status: ORDER_STATUS.SUCCESS },
+        { source: TRANSITION_SOURCES.SYNC }
+      );
+      chai
+        .expect((await collectionOrders.findOne({ _id: insertedId })).status)
+        .to.equal(ORDER_STATUS.SUCCESS);
+    });
+
+    it('Should reject a transition if the status changed in the meantime', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.FAILURE,
+      });
+
+      try {
+        await transitionOrder(
+          await Database.getInstance({}),
+          { _id: insertedId, status: ORDER_STATUS.PENDING },
+          { status: ORDER_STATUS.SUCCESS },
+          { source: TRANSITION_SOURCES.SYNC }
+        );
+        chai.assert.fail('transitionOrder should have thrown');
+      } catch (e) {
+        chai.expect(e).to.be.instanceOf(StatusTransitionError);
+      }
+
+      chai
+        .expect((await collectionOrders.findOne({ _id: insertedId })).status)
+        .to.equal(ORDER_STATUS.FAILURE);
+    });
+  });
+
+  describe('Routes', async function () {
+    it('Should record the user transition to completion', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.SUCCESS,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOrders_Put_Complete)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({
+          orderId: mockOrder.orderId,
+          completionHash: 'myCompletionHash',
+        });
+      chai.expect(res).to.have.status(200);
+
+      const order = await collectionOrders.findOne({
+        orderId: mockOrder.orderId,
+      });
+      chai.expect(order.statusHistory[0]).to.deep.include({
+        from: ORDER_STATUS.SUCCESS,
+        to: ORDER_STATUS.COMPLETION,
+        actor: process.env.USER_ID_TEST,
+        source: TRANSITION_SOURCES.USER,
+      });
+    });
+
+    it('Should send the payment of a failed completion again', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.COMPLETION_FAILURE,
+        completionHash: 'myFailedCompletionHash',
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOrders_Put_Complete)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({
+          orderId: mockOrder.orderId,
+          completionHash: 'myCompletionHash',
+        });
+      chai.expect(res).to.have.status(200);
+
+      const order = await collectionOrders.findOne({
+        orderId: mockOrder.orderId,
+      });
+      chai.expect(order.status).to.equal(ORDER_STATUS.COMPLETION);
+      chai.expect(order.completionHash).to.equal('myCompletionHash');
+    });
+
+    it('Should return 409 when a webhook marks an already complete order as paid', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.COMPLETE,
+        completionHash: 'myCompletionHash',
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathWebhooks_Put_Order_Paid)
+        .send({
+          _grinderyChainId: mockOffer.chainId,
+          _grinderyTransactionHash: 'myCompletionHash',
+          _offerId: mockOrder.offerId,
+          _tradeId: mockOrder.orderId,
+          _token: 'myToken',
+          _to: 'myAddress',
+          _amount: '1',
+          apiKey: process.env.API_KEY,
+        });
+      chai.expect(res).to.have.status(409);
+      chai.expect(res.body).to.deep.equal({
+        msg: `Illegal status transition from ${ORDER_STATUS.COMPLETE} to ${ORDER_STATUS.COMPLETE}`,
+      });
+    });
+  });
+
+  describe('GET order history', async function () {
+    const mockHistory = [
+      {
+        from: ORDER_STATUS.PENDING,
+        to: ORDER_STATUS.SUCCESS,
+        actor: SYSTEM_ACTOR,
+        source: TRANSITION_SOURCES.INDEXER,
+        date: new Date().toISOString(),
+      },
+    ];
+
+    it('Should return the history to the user who placed the order', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.SUCCESS,
+        statusHistory: mockHistory,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(`${pathOrders_Get_History}${mockOrder.orderId}/history`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal(mockHistory);
+    });
+
+    it('Should return the history to the liquidity provider of the offer', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+        userId: process.env.USER_ID_TEST,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: mockOtherUserId,
+        status: ORDER_STATUS.SUCCESS,
+        statusHistory: mockHistory,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(`${pathOrders_Get_History}${mockOrder.orderId}/history`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal(mockHistory);
+    });
+
+    it('Should fail for other users', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+        userId: mockOtherUserId,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: mockOtherUserId,
+        status: ORDER_STATUS.SUCCESS,
+        statusHistory: mockHistory,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(`${pathOrders_Get_History}${mockOrder.orderId}/history`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No order found' });
+    });
+  });
+});
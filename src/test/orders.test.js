@@ -6,8 +6,10 @@ import { ObjectId } from 'mongodb';
 import {
   collectionOrders,
   collectionOffers,
+  collectionQuotes,
   pathOrders_Post,
   mockOrder,
+  mockQuote,
   mockOffer,
   pathOrders_Get_OrderId,
   pathOrders_Get_User,
@@ -17,6 +19,8 @@ import {
   pathOrders_Get_LiquidityProvider,
 } from './utils/variables.js';
 import { ORDER_STATUS } from '../utils/orders-utils.js';
+import { redeemQuote, releaseQuote } from '../utils/quotes-utils.js';
+import { Database } from '../db/conn.js';
 
 /* eslint-disable no-unused-expressions */
 
@@ -38,8 +42,26 @@ async function createBaseOrderOrOffer({ path, body }) {
   return res;
 }
 
+/**
+ * This function inserts a quote of the test user for `mockOrder`, that expires in an hour.
+ * @param quote - The fields that differ from `mockQuote`.
+ */
+async function insertQuote(quote) {
+  await collectionQuotes.insertOne({
+    ...mockQuote,
+    userId: process.env.USER_ID_TEST,
+    expiresAt: new Date(Date.now() + 3600000),
+    date: new Date(),
+    ...quote,
+  });
+}
+
 describe('Orders route', async function () {
   describe('POST new mockOrder', async function () {
+    beforeEach(async function () {
+      await insertQuote();
+    });
+
     it('Should return 403 if no token is provided', async function () {
       const createResponse = await chai
         .request(app)
@@ -56,6 +78,8 @@ describe('Orders route', async function () {
     });
 
     it('Should POST multiple new orders with empty orderId', async function () {
+      await insertQuote({ quoteId: 'myOtherQuoteId' });
+
       await createBaseOrderOrOffer({
         path: pathOrders_Post,
         body: { ...mockOrder, orderId: '' },
@@ -63,7 +87,7 @@ describe('Orders route', async function () {
 
       await createBaseOrderOrOffer({
         path: pathOrders_Post,
-        body: { ...mockOrder, orderId: '' },
+        body: { ...mockOrder, orderId: '', quoteId: 'myOtherQuoteId' },
       });
     });
 
@@ -85,6 +109,7 @@ describe('Orders route', async function () {
       delete getOrder.body.date;
       chai.expect(getOrder.body).to.deep.equal({
         ...mockOrder,
+        exchangeRate: mockQuote.exchangeRate,
         isComplete: false,
         status: ORDER_STATUS.PENDING,
         offer: null,
@@ -105,6 +130,108 @@ describe('Orders route', async function () {
         .expect(createDuplicateResponse.body.msg)
         .to.be.equal('This order already exists.');
     });
+
+    it('Should mark the quote as used by the order', async function () {
+      const res = await createBaseOrderOrOffer({
+        path: pathOrders_Post,
+        body: mockOrder,
+      });
+
+      const quote = await collectionQuotes.findOne({
+        quoteId: mockQuote.quoteId,
+      });
+      chai.expect(quote.usedAt).to.be.a('date');
+      chai.expect(quote.orderId.toString()).to.equal(res.body.insertedId);
+    });
+
+    it('Should fail if the quote is not found', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathOrders_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ ...mockOrder, quoteId: 'myUnknownQuoteId' });
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No quote found' });
+    });
+
+    it('Should fail if the quote belongs to another user', async function () {
+      await insertQuote({ quoteId: 'myOtherQuoteId', userId: 'myOtherUserId' });
+
+      const res = await chai
+        .request(app)
+        .post(pathOrders_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ ...mockOrder, quoteId: 'myOtherQuoteId' });
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No quote found' });
+    });
+
+    it('Should fail if the quote has expired', async function () {
+      await insertQuote({
+        quoteId: 'myExpiredQuoteId',
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      const res = await chai
+        .request(app)
+        .post(pathOrders_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ ...mockOrder, quoteId: 'myExpiredQuoteId' });
+      chai.expect(res).to.have.status(409);
+      chai.expect(res.body).to.deep.equal({ msg: 'The quote has expired' });
+    });
+
+    it('Should fail if the quote has already been used', async function () {
+      await createBaseOrderOrOffer({
+        path: pathOrders_Post,
+        body: mockOrder,
+      });
+
+      const res = await chai
+        .request(app)
+        .post(pathOrders_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ ...mockOrder, orderId: 'myOtherOrderId' });
+      chai.expect(res).to.have.status(409);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'The quote has already been used' });
+      chai.expect(await collectionOrders.countDocuments({})).to.equal(1);
+    });
+
+    it('Should release the quote if the order cannot be stored', async function () {
+      const db = await Database.getInstance({});
+      const quote = await redeemQuote(db, process.env.USER_ID_TEST, mockOrder);
+      await releaseQuote(db, quote);
+
+      chai
+        .expect(await collectionQuotes.findOne({ quoteId: mockQuote.quoteId }))
+        .to.deep.include({ usedAt: null, orderId: null });
+      await createBaseOrderOrOffer({ path: pathOrders_Post, body: mockOrder });
+    });
+
+    for (const field of [
+      'amountTokenDeposit',
+      'amountTokenOffer',
+      'offerId',
+      'chainIdTokenDeposit',
+    ]) {
+      it(`Should fail if ${field} does not match the quote`, async function () {
+        const res = await chai
+          .request(app)
+          .post(pathOrders_Post)
+          .set('Authorization', `Bearer ${mockedToken}`)
+          .send({ ...mockOrder, [field]: '1234' });
+        chai.expect(res).to.have.status(409);
+        chai
+          .expect(res.body)
+          .to.deep.equal({ msg: 'The order does not match the quote' });
+        chai.expect(
+          (await collectionQuotes.findOne({ quoteId: mockQuote.quoteId }))
+            .usedAt
+        ).to.be.null;
+      });
+    }
   });
 
   describe('GET by user', async function () {
@@ -781,6 +908,10 @@ describe('Orders route', async function () {
   });
 
   describe('DELETE mockOrder by orderId', async function () {
+    beforeEach(async function () {
+      await insertQuote();
+    });
+
     it('Should return 403 if no token is provided', async function () {
       const res = await chai
         .request(app)
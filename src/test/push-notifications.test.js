@@ -0,0 +1,172 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import app from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionNotificationTokens,
+  pathPushNotifications_Delete,
+  pathPushNotifications_Get_All,
+  pathPushNotifications_Put,
+} from './utils/variables.js';
+import { dispatchFirebase, utils_firebase } from '../utils/firebase-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockOtherUserId = 'eip155:1:0x0000000000000000000000000000000000000001';
+
+/**
+ * This function registers a device of the test user.
+ */
+async function registerDevice(body) {
+  return await chai
+    .request(app)
+    .put(pathPushNotifications_Put)
+    .set('Authorization', `Bearer ${mockedToken}`)
+    .send(body);
+}
+
+describe('Push notifications route', async function () {
+  it('Should register several devices for a user', async function () {
+    await registerDevice({
+      token: 'myDesktopToken',
+      label: 'Desktop',
+      platform: 'web',
+    });
+    await registerDevice({
+      token: 'myPhoneToken',
+      label: 'Phone',
+      platform: 'android',
+    });
+
+    const res = await chai
+      .request(app)
+      .get(pathPushNotifications_Get_All)
+      .set('Authorization', `Bearer ${mockedToken}`);
+    chai.expect(res).to.have.status(200);
+    chai
+      .expect(res.body.map((device) => device.token))
+      .to.have.members(['myDesktopToken', 'myPhoneToken']);
+    chai.expect(res.body[0]).to.include.keys('label', 'platform', 'lastSeenAt');
+  });
+
+  it('Should refresh a device registered again', async function () {
+    await registerDevice({ token: 'myPhoneToken', label: 'Phone' });
+    const { lastSeenAt } = await collectionNotificationTokens.findOne({});
+
+    await registerDevice({ token: 'myPhoneToken' });
+
+    const devices = await collectionNotificationTokens.find({}).toArray();
+    chai.expect(devices).to.have.lengthOf(1);
+    chai.expect(devices[0].label).to.equal('Phone');
+    chai.expect(devices[0].lastSeenAt).to.be.at.least(lastSeenAt);
+  });
+
+  it('Should move a token registered by another user', async function () {
+    await collectionNotificationTokens.insertOne({
+      userId: mockOtherUserId,
+      token: 'myPhoneToken',
+    });
+
+    await registerDevice({ token: 'myPhoneToken' });
+
+    const devices = await collectionNotificationTokens.find({}).toArray();
+    chai.expect(devices).to.have.lengthOf(1);
+    chai.expect(devices[0].userId).to.equal(process.env.USER_ID_TEST);
+  });
+
+  it('Should fail if the platform is unknown', async function () {
+    const res = await registerDevice({
+      token: 'myPhoneToken',
+      platform: 'myPlatform',
+    });
+    chai.expect(res).to.have.status(400);
+    chai.expect(res.body[0]).to.deep.include({
+      msg: 'must be one of web, android, ios',
+      param: 'platform',
+    });
+  });
+
+  it('Should remove a device', async function () {
+    await registerDevice({ token: 'myPhoneToken' });
+
+    const res = await chai
+      .request(app)
+      .delete(pathPushNotifications_Delete + 'myPhoneToken')
+      .set('Authorization', `Bearer ${mockedToken}`);
+    chai.expect(res).to.have.status(200);
+    chai.expect(res.body.deletedCount).to.equal(1);
+  });
+
+  it('Should return 404 when removing an unknown device', async function () {
+    const res = await chai
+      .request(app)
+      .delete(pathPushNotifications_Delete + 'myUnknownToken')
+      .set('Authorization', `Bearer ${mockedToken}`);
+    chai.expect(res).to.have.status(404);
+    chai.expect(res.body).to.deep.equal({
+      msg: 'No notification token found',
+    });
+  });
+
+  describe('dispatchFirebase', async function () {
+    let sendMulticastStub;
+
+    beforeEach(async function () {
+      await collectionNotificationTokens.insertMany([
+        { userId: process.env.USER_ID_TEST, token: 'myDesktopToken' },
+        { userId: process.env.USER_ID_TEST, token: 'myPhoneToken' },
+        { userId: mockOtherUserId, token: 'myOtherToken' },
+      ]);
+      sendMulticastStub = sinon
+        .stub(utils_firebase, 'sendMulticast')
+        .callsFake(async ({ tokens }) => ({
+          responses: tokens.map((token) =>
+            token === 'myPhoneToken'
+              ? {
+                  success: false,
+                  error: {
+                    code: 'messaging/registration-token-not-registered',
+                  },
+                }
+              : { success: true }
+          ),
+        }));
+    });
+
+    afterEach(async function () {
+      sendMulticastStub.restore();
+    });
+
+    it('Should send the notification to every device of the user', async function () {
+      await dispatchFirebase(
+        'creation',
+        { type: 'order', id: 'myOrderId', userId: process.env.USER_ID_TEST },
+        {}
+      );
+
+      chai.expect(sendMulticastStub.calledOnce).to.be.true;
+      chai
+        .expect(sendMulticastStub.firstCall.args[0].tokens)
+        .to.have.members(['myDesktopToken', 'myPhoneToken']);
+    });
+
+    it('Should forget the tokens reported as unregistered', async function () {
+      await dispatchFirebase(
+        'creation',
+        { type: 'order', id: 'myOrderId', userId: process.env.USER_ID_TEST },
+        {}
+      );
+
+      chai
+        .expect(
+          (await collectionNotificationTokens.find({}).toArray()).map(
+            (device) => device.token
+          )
+        )
+        .to.have.members(['myDesktopToken', 'myOtherToken']);
+    });
+  });
+});
@@ -0,0 +1,431 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionLiquidityWallet,
+  collectionOffers,
+  collectionOrders,
+  collectionQuotes,
+  mockOffer,
+  pathQuotes_Get,
+  pathQuotes_Post,
+} from './utils/variables.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { ORDER_STATUS } from '../utils/orders-utils.js';
+import { rankQuotes, splitDeposit } from '../utils/quotes-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const pairQuery = {
+  exchangeChainId: mockOffer.exchangeChainId,
+  exchangeToken: mockOffer.exchangeToken,
+  chainId: mockOffer.chainId,
+  token: mockOffer.token,
+};
+
+/**
+ * This function inserts an active offer of the pair of `mockOffer`, and the liquidity wallet of its
+ * provider if `liquidityWallet` is given.
+ * @param offerId - The id of the offer, also used as its provider address.
+ * @param offer - The fields that differ from `mockOffer`.
+ * @param liquidityWallet - The fields of the liquidity wallet.
+ */
+async function insertOffer(offerId, offer, liquidityWallet) {
+  await collectionOffers.insertOne({
+    ...mockOffer,
+    ...offer,
+    offerId,
+    provider: offerId,
+    isActive: true,
+    status: OFFER_STATUS.SUCCESS,
+  });
+  if (liquidityWallet) {
+    await collectionLiquidityWallet.insertOne({
+      chainId: mockOffer.chainId,
+      walletAddress: offerId,
+      userId: 'myUserId',
+      ...liquidityWallet,
+    });
+  }
+}
+
+describe('Quotes route', async function () {
+  describe('GET quotes', async function () {
+    it('Should fail if the pair or the deposit amount is missing', async function () {
+      const res = await chai.request(app).get(pathQuotes_Get);
+      chai.expect(res).to.have.status(400);
+      ['exchangeChainId', 'exchangeToken', 'chainId', 'token'].forEach(
+        (param) =>
+          chai.expect(
+            res.body.some(
+              (err) => err.param === param && err.msg === 'must be string value'
+            )
+          ).to.be.true
+      );
+      chai.expect(
+        res.body.some(
+          (err) =>
+            err.param === 'depositAmount' &&
+            err.msg === 'must be a positive number'
+        )
+      ).to.be.true;
+    });
+
+    it('Should fail if the deposit amount is not positive', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '0' });
+      chai.expect(res).to.have.status(400);
+      chai.expect(res.body).to.deep.equal([
+        {
+          value: '0',
+          msg: 'must be a positive number',
+          param: 'depositAmount',
+          location: 'query',
+        },
+      ]);
+    });
+
+    it('Should fail if the query has unknown fields', async function () {
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '1', myField: 'myValue' });
+      chai.expect(res).to.have.status(400);
+      chai.expect(res.body.some((err) => err.msg.includes('myField'))).to.be
+        .true;
+    });
+
+    it('Should rank the offers by the amount received', async function () {
+      await insertOffer('myOfferLow', { exchangeRate: '2' });
+      await insertOffer('myOfferHigh', { exchangeRate: '1' });
+      await insertOffer('myOfferOutOfWindow', { exchangeRate: '0.5' });
+
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '1' });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(res.body.quotes.map((quote) => quote.offerId))
+        .to.deep.equal(['myOfferHigh', 'myOfferLow']);
+      chai
+        .expect(res.body.quotes.map((quote) => quote.amountReceived))
+        .to.deep.equal(['1', '0.5']);
+      chai.expect(res.body.split).to.be.null;
+    });
+
+    it('Should leave out the offers whose provider cannot pay', async function () {
+      await insertOffer('myOfferFunded', {}, { tokens: { 45: '1' } });
+      await insertOffer('myOfferUnfunded', {}, { tokens: { 45: '0.1' } });
+
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '0.5' });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(res.body.quotes.map((quote) => quote.offerId))
+        .to.deep.equal(['myOfferFunded']);
+      chai.expect(res.body.quotes[0].liquidity).to.equal('1');
+    });
+
+    it('Should return at most limit quotes', async function () {
+      await insertOffer('myFirstOffer', {});
+      await insertOffer('mySecondOffer', {});
+
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '0.5', limit: 1 });
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.quotes).to.have.lengthOf(1);
+    });
+
+    it('Should split a deposit that no offer can take alone', async function () {
+      await insertOffer('myFirstOffer', {});
+      await insertOffer('mySecondOffer', { exchangeRate: '2', max: '1.2' });
+
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '3' });
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.quotes).to.be.empty;
+      chai
+        .expect(
+          res.body.split.legs.map(
+            ({ offerId, depositAmount, amountReceived }) => ({
+              offerId,
+              depositAmount,
+              amountReceived,
+            })
+          )
+        )
+        .to.deep.equal([
+          { offerId: 'myFirstOffer', depositAmount: '1', amountReceived: '1' },
+          { offerId: 'mySecondOffer', depositAmount: '2', amountReceived: '1' },
+        ]);
+      chai.expect(res.body.split).to.deep.include({
+        depositAmount: '3',
+        amountReceived: '2',
+        remainingDepositAmount: '0',
+      });
+    });
+  });
+
+  describe('POST quotes', async function () {
+    it('Should return 403 if no token is provided', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathQuotes_Post)
+        .send({ offerId: mockOffer.offerId, depositAmount: '0.5' });
+      chai.expect(res).to.have.status(403);
+    });
+
+    it('Should lock the rate of the offer', async function () {
+      await insertOffer(mockOffer.offerId, { exchangeRate: '2' });
+
+      const res = await chai
+        .request(app)
+        .post(pathQuotes_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ offerId: mockOffer.offerId, depositAmount: '1' });
+      chai.expect(res).to.have.status(201);
+      chai.expect(res.body).to.deep.include({
+        userId: process.env.USER_ID_TEST,
+        offerId: mockOffer.offerId,
+        exchangeRate: '2',
+        amountTokenDeposit: '1',
+        chainIdTokenDeposit: mockOffer.exchangeChainId,
+        tokenDeposit: mockOffer.exchangeToken,
+        amountTokenOffer: '0.5',
+        chainIdTokenOffer: mockOffer.chainId,
+        tokenOffer: mockOffer.token,
+        usedAt: null,
+        orderId: null,
+      });
+      chai.expect(res.body.quoteId).to.be.a('string').that.is.not.empty;
+      chai.expect(new Date(res.body.expiresAt)).to.be.above(new Date());
+      chai.expect(await collectionQuotes.findOne({ quoteId: res.body.quoteId }))
+        .to.not.be.null;
+    });
+
+    it('Should keep the locked rate if the offer changes', async function () {
+      await insertOffer(mockOffer.offerId, { exchangeRate: '2' });
+      const { body: quote } = await chai
+        .request(app)
+        .post(pathQuotes_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ offerId: mockOffer.offerId, depositAmount: '1' });
+
+      await collectionOffers.updateOne(
+        { offerId: mockOffer.offerId },
+        { $set: { exchangeRate: '4' } }
+      );
+
+      chai
+        .expect(
+          (await collectionQuotes.findOne({ quoteId: quote.quoteId }))
+            .amountTokenOffer
+        )
+        .to.equal('0.5');
+    });
+
+    it('Should fail if the offer is not active', async function () {
+      await insertOffer(mockOffer.offerId, {});
+      await collectionOffers.updateOne(
+        { offerId: mockOffer.offerId },
+        { $set: { isActive: false } }
+      );
+
+      const res = await chai
+        .request(app)
+        .post(pathQuotes_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ offerId: mockOffer.offerId, depositAmount: '0.5' });
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No offer found' });
+    });
+
+    it('Should fail if the offer cannot take the deposit', async function () {
+      await insertOffer(mockOffer.offerId, {});
+
+      const res = await chai
+        .request(app)
+        .post(pathQuotes_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ offerId: mockOffer.offerId, depositAmount: '5' });
+      chai.expect(res).to.have.status(409);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'The offer cannot take this deposit amount' });
+      chai.expect(await collectionQuotes.countDocuments({})).to.equal(0);
+    });
+
+    it('Should fail if the deposit amount is not a positive number', async function () {
+      const res = await chai
+        .request(app)
+        .post(pathQuotes_Post)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ offerId: mockOffer.offerId, depositAmount: '-1' });
+      chai.expect(res).to.have.status(400);
+      chai.expect(res.body).to.deep.equal([
+        {
+          value: '-1',
+          msg: 'must be a positive number',
+          param: 'depositAmount',
+          location: 'body',
+        },
+      ]);
+    });
+  });
+
+  describe('Reputation', async function () {
+    it('Should rank the provider whose payments failed lower at the same rate', async function () {
+      await insertOffer('myUntrustedOffer', { userId: 'myUntrustedUser' });
+      await insertOffer('myTrustedOffer', { userId: 'myTrustedUser' });
+      await collectionOrders.insertMany([
+        { offerId: 'myUntrustedOffer', status: ORDER_STATUS.COMPLETE },
+        {
+          offerId: 'myUntrustedOffer',
+          status: ORDER_STATUS.COMPLETION_FAILURE,
+        },
+        { offerId: 'myUntrustedOffer', status: ORDER_STATUS.DROPPED },
+        { offerId: 'myTrustedOffer', status: ORDER_STATUS.COMPLETE },
+        { offerId: 'myTrustedOffer', status: ORDER_STATUS.SUCCESS },
+      ]);
+
+      const res = await chai
+        .request(app)
+        .get(pathQuotes_Get)
+        .query({ ...pairQuery, depositAmount: '0.5' });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(
+          res.body.quotes.map(({ offerId, reputation }) => ({
+            offerId,
+            reputation,
+          }))
+        )
+        .to.deep.equal([
+          { offerId: 'myTrustedOffer', reputation: 10 },
+          { offerId: 'myUntrustedOffer', reputation: 5 },
+        ]);
+    });
+  });
+
+  describe('Ranking', async function () {
+    it('Should prefer the provider with the better reputation at the same rate', async function () {
+      const quotes = rankQuotes(
+        [
+          {
+            ...mockOffer,
+            offerId: 'myUntrustedOffer',
+            reputation: '2',
+          },
+          {
+            ...mockOffer,
+            offerId: 'myTrustedOffer',
+            reputation: '10',
+          },
+        ],
+        0.5
+      );
+
+      chai
+        .expect(quotes.map((quote) => quote.offerId))
+        .to.deep.equal(['myTrustedOffer', 'myUntrustedOffer']);
+    });
+
+    it('Should prefer the faster offer at the same rate', async function () {
+      const quotes = rankQuotes(
+        [
+          { ...mockOffer, offerId: 'mySlowOffer', estimatedTime: '3000' },
+          { ...mockOffer, offerId: 'myFastOffer', estimatedTime: '60' },
+        ],
+        0.5
+      );
+
+      chai
+        .expect(quotes.map((quote) => quote.offerId))
+        .to.deep.equal(['myFastOffer', 'mySlowOffer']);
+    });
+
+    it('Should keep a better rate ahead of a small reputation difference', async function () {
+      const quotes = rankQuotes(
+        [
+          {
+            ...mockOffer,
+            offerId: 'myTrustedOffer',
+            exchangeRate: '1.2',
+            reputation: '10',
+          },
+          {
+            ...mockOffer,
+            offerId: 'myCheaperOffer',
+            reputation: '8',
+          },
+        ],
+        0.5
+      );
+
+      chai.expect(quotes[0].offerId).to.equal('myCheaperOffer');
+    });
+  });
+
+  describe('Split', async function () {
+    it('Should report the part of the deposit no offer can take', async function () {
+      const split = splitDeposit(
+        [{ ...mockOffer, liquidityWallet: { tokens: { 45: '0.5' } } }],
+        2
+      );
+
+      chai.expect(split).to.deep.include({
+        depositAmount: '0.5',
+        amountReceived: '0.5',
+        remainingDepositAmount: '1.5',
+      });
+    });
+
+    it('Should skip an offer whose min is above what is left', async function () {
+      const split = splitDeposit(
+        [
+          { ...mockOffer, offerId: 'myFirstOffer' },
+          { ...mockOffer, offerId: 'myLargeOffer', min: '0.5', max: '10' },
+          { ...mockOffer, offerId: 'mySmallOffer', exchangeRate: '1.1' },
+        ],
+        1.2
+      );
+
+      chai
+        .expect(split.legs.map((leg) => leg.offerId))
+        .to.deep.equal(['myFirstOffer', 'mySmallOffer']);
+      chai.expect(split.remainingDepositAmount).to.equal('0');
+    });
+
+    it('Should not use more offers than QUOTE_MAX_SPLIT_OFFERS', async function () {
+      process.env.QUOTE_MAX_SPLIT_OFFERS = '2';
+
+      try {
+        const split = splitDeposit(
+          [1, 2, 3].map((i) => ({ ...mockOffer, offerId: `myOffer${i}` })),
+          3
+        );
+
+        chai.expect(split.legs).to.have.lengthOf(2);
+        chai.expect(split.remainingDepositAmount).to.equal('1');
+      } finally {
+        delete process.env.QUOTE_MAX_SPLIT_OFFERS;
+      }
+    });
+
+    it('Should return null if no offer can take any part of the deposit', async function () {
+      chai.expect(splitDeposit([{ ...mockOffer, min: '5' }], 2)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import sinon from 'sinon';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionAdmins,
+  collectionBlockchains,
+  mockBlockchainGoerli,
+  pathBlockchains_Get_MongoDBId,
+} from './utils/variables.js';
+import {
+  getHealthiestRpc,
+  rankRpcs,
+  recordRpcFailure,
+  recordRpcSuccess,
+  resetRpcStats,
+  utils_rpc_pool,
+} from '../utils/rpc-pool-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const rpcA = 'https://rpc-a.example';
+const rpcB = 'https://rpc-b.example';
+const rpcC = 'https://rpc-c.example';
+
+describe('RPC pool', async function () {
+  beforeEach(function () {
+    resetRpcStats();
+  });
+
+  describe('Ranking', async function () {
+    it('Should keep the configured order without statistics', async function () {
+      chai
+        .expect(rankRpcs([rpcA, rpcB, rpcC]))
+        .to.deep.equal([rpcA, rpcB, rpcC]);
+    });
+
+    it('Should prefer the fastest endpoint', async function () {
+      recordRpcSuccess(rpcA, 800);
+      recordRpcSuccess(rpcB, 100);
+      chai.expect(getHealthiestRpc([rpcA, rpcB])).to.equal(rpcB);
+    });
+
+    it('Should rank an unmeasured endpoint after faster measured ones', async function () {
+      recordRpcSuccess(rpcB, 100);
+      recordRpcSuccess(rpcC, 800);
+      chai
+        .expect(rankRpcs([rpcA, rpcB, rpcC]))
+        .to.deep.equal([rpcB, rpcA, rpcC]);
+    });
+
+    it('Should back off a failing endpoint', async function () {
+      recordRpcSuccess(rpcA, 100);
+      recordRpcSuccess(rpcB, 800);
+      recordRpcFailure(rpcA, new Error('timeout'));
+      chai.expect(rankRpcs([rpcA, rpcB])).to.deep.equal([rpcB, rpcA]);
+    });
+
+    it('Should lift the backoff after a successful request', async function () {
+      recordRpcFailure(rpcA, new Error('timeout'));
+      recordRpcSuccess(rpcA, 100);
+      recordRpcSuccess(rpcB, 800);
+      chai.expect(getHealthiestRpc([rpcA, rpcB])).to.equal(rpcA);
+    });
+
+    it('Should use a lagging endpoint as a fallback only', async function () {
+      recordRpcSuccess(rpcA, 100, 1000);
+      recordRpcSuccess(rpcB, 800, 1100);
+      recordRpcFailure(rpcC, new Error('timeout'));
+      chai
+        .expect(rankRpcs([rpcA, rpcB, rpcC]))
+        .to.deep.equal([rpcB, rpcA, rpcC]);
+    });
+  });
+
+  describe('GET rpc-health', async function () {
+    let probeRpcStub;
+
+    beforeEach(function () {
+      probeRpcStub = sinon
+        .stub(utils_rpc_pool, 'probeRpc')
+        .callsFake(async function (rpc) {
+          recordRpcSuccess(rpc, 100, 1000);
+          return 1000;
+        });
+    });
+
+    afterEach(function () {
+      probeRpcStub.restore();
+    });
+
+    it('Should return the health of every endpoint of the blockchain', async function () {
+      const blockchain = await collectionBlockchains.findOne({
+        chainId: mockBlockchainGoerli.chainId,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(`${pathBlockchains_Get_MongoDBId}${blockchain._id}/rpc-health`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(res.body.map((health) => health.rpc))
+        .to.have.members(blockchain.rpc);
+      chai.expect(probeRpcStub.callCount).to.equal(blockchain.rpc.length);
+      res.body.forEach((health) => {
+        chai.expect(health).to.include({
+          headBlock: 1000,
+          lag: 0,
+          backingOff: false,
+          lagging: false,
+        });
+      });
+    });
+
+    it('Should fail if the user is not admin', async function () {
+      const blockchain = await collectionBlockchains.findOne({
+        chainId: mockBlockchainGoerli.chainId,
+      });
+      await collectionAdmins.deleteMany({});
+
+      const res = await chai
+        .request(app)
+        .get(`${pathBlockchains_Get_MongoDBId}${blockchain._id}/rpc-health`)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'User is not admin' });
+    });
+  });
+});
@@ -0,0 +1,394 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import sinon from 'sinon';
+import { Database } from '../db/conn.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  mockBlockchainGoerli,
+  mockBlockchainBscTestnet,
+  collectionBlockchains,
+  collectionNotifications,
+  collectionOffers,
+  collectionOrders,
+  mockOffer,
+  mockOrder,
+  pathOffers_Put_Resubmit,
+  pathOffers_Put_Activation,
+  pathOrders_Put_Resubmit,
+  pathOrders_Put_Complete,
+  pathViewBlockchain_Put_OrdersExpiredAll,
+} from './utils/variables.js';
+import { utils_confirmations } from '../utils/confirmations-utils.js';
+import {
+  expireStuckOffers,
+  expireStuckOrders,
+} from '../utils/timeouts-utils.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { ORDER_STATUS } from '../utils/orders-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+let db, getReceiptInfoStub, minedHashes;
+
+const mockTimeout = 600;
+const mockOldDate = new Date(Date.now() - 2 * mockTimeout * 1000);
+
+describe('Stuck transactions', async function () {
+  beforeEach(async function () {
+    db = await Database.getInstance({});
+    minedHashes = [];
+
+    await collectionBlockchains.updateMany(
+      {
+        chainId: {
+          $in: [mockBlockchainGoerli.chainId, mockBlockchainBscTestnet.chainId],
+        },
+      },
+      { $set: { pendingTimeout: mockTimeout, completionTimeout: mockTimeout } }
+    );
+
+    getReceiptInfoStub = sinon
+      .stub(utils_confirmations, 'getReceiptInfo')
+      .callsFake(async function (_rpcs, _hash) {
+        return minedHashes.includes(_hash)
+          ? { blockNumber: 100, blockHash: '0xblockhash', confirmations: 1 }
+          : null;
+      });
+  });
+
+  afterEach(async function () {
+    getReceiptInfoStub.restore();
+  });
+
+  describe('Offers', async function () {
+    it('Should expire a pending offer not mined before the chain timeout', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+        date: mockOldDate,
+      });
+
+      chai
+        .expect(await expireStuckOffers(db))
+        .to.deep.equal({ expired: 1, rolledBack: 0 });
+      chai
+        .expect(
+          (await collectionOffers.findOne({ hash: mockOffer.hash })).status
+        )
+        .to.equal(OFFER_STATUS.EXPIRED);
+    });
+
+    it('Should not expire a pending offer submitted within the chain timeout', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+        date: new Date(),
+      });
+
+      chai
+        .expect(await expireStuckOffers(db))
+        .to.deep.equal({ expired: 0, rolledBack: 0 });
+      chai.expect(getReceiptInfoStub.called).to.be.false;
+    });
+
+    it('Should not expire a pending offer whose transaction got mined', async function () {
+      minedHashes.push(mockOffer.hash);
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+        date: mockOldDate,
+      });
+
+      chai
+        .expect(await expireStuckOffers(db))
+        .to.deep.equal({ expired: 0, rolledBack: 0 });
+      chai
+        .expect(
+          (await collectionOffers.findOne({ hash: mockOffer.hash })).status
+        )
+        .to.equal(OFFER_STATUS.PENDING);
+    });
+
+    it('Should not expire offers on a chain without timeout', async function () {
+      await collectionBlockchains.updateOne(
+        { chainId: mockBlockchainGoerli.chainId },
+        { $unset: { pendingTimeout: '' } }
+      );
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+        date: mockOldDate,
+      });
+
+      chai
+        .expect(await expireStuckOffers(db))
+        .to.deep.equal({ expired: 0, rolledBack: 0 });
+    });
+
+    it('Should notify the owner with the id of the expired offer', async function () {
+      const { insertedId } = await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+        date: mockOldDate,
+      });
+
+      await expireStuckOffers(db);
+
+      const notification = await collectionNotifications.findOne({
+        method: 'expiration',
+      });
+      chai.expect(notification.targetId).to.equal(insertedId.toString());
+      chai.expect(notification.params.status).to.equal(OFFER_STATUS.EXPIRED);
+    });
+
+    it('Should roll back an offer whose deactivation was not mined before the chain timeout', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        isActive: true,
+        status: OFFER_STATUS.DEACTIVATION,
+        activationHash: 'myActivationHash',
+        activationDate: mockOldDate,
+      });
+
+      chai
+        .expect(await expireStuckOffers(db))
+        .to.deep.equal({ expired: 0, rolledBack: 1 });
+
+      const offer = await collectionOffers.findOne({ hash: mockOffer.hash });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.SUCCESS);
+      chai.expect(offer.isActive).to.be.true;
+    });
+
+    it('Should not roll back an offer whose activation got mined', async function () {
+      minedHashes.push('myActivationHash');
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeChainId: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        isActive: false,
+        status: OFFER_STATUS.ACTIVATION,
+        activationHash: 'myActivationHash',
+        activationDate: mockOldDate,
+      });
+
+      chai
+        .expect(await expireStuckOffers(db))
+        .to.deep.equal({ expired: 0, rolledBack: 0 });
+      chai
+        .expect(
+          (await collectionOffers.findOne({ hash: mockOffer.hash })).status
+        )
+        .to.equal(OFFER_STATUS.ACTIVATION);
+    });
+
+    it('Should set the activation date when an offer is activated', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        isActive: false,
+        status: OFFER_STATUS.SUCCESS,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOffers_Put_Activation)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({
+          offerId: mockOffer.offerId,
+          hash: 'myActivationHash',
+          activating: true,
+        });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(
+          (await collectionOffers.findOne({ hash: mockOffer.hash }))
+            .activationDate
+        )
+        .to.be.a('date');
+    });
+
+    it('Should resubmit an expired offer with a new hash', async function () {
+      const { insertedId } = await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.EXPIRED,
+        date: mockOldDate,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOffers_Put_Resubmit)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ id: insertedId.toString(), hash: 'myNewHash' });
+      chai.expect(res).to.have.status(200);
+
+      const offer = await collectionOffers.findOne({ _id: insertedId });
+      chai.expect(offer.status).to.equal(OFFER_STATUS.PENDING);
+      chai.expect(offer.hash).to.equal('myNewHash');
+      chai.expect(offer.submittedAt).to.be.a('date');
+      chai.expect(offer.replacedHashes).to.have.lengthOf(1);
+      chai.expect(offer.replacedHashes[0]).to.deep.include({
+        field: 'hash',
+        hash: mockOffer.hash,
+        status: OFFER_STATUS.EXPIRED,
+        submittedAt: mockOldDate,
+      });
+    });
+
+    it('Should fail to resubmit an offer which is not expired', async function () {
+      const { insertedId } = await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOffers_Put_Resubmit)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ id: insertedId.toString(), hash: 'myNewHash' });
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No expired offer found' });
+    });
+  });
+
+  describe('Orders', async function () {
+    it('Should expire a pending order not mined before the chain timeout', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        chainIdTokenDeposit: mockBlockchainGoerli.chainId,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.PENDING,
+        date: mockOldDate,
+      });
+
+      chai
+        .expect(await expireStuckOrders(db))
+        .to.deep.equal({ expired: 1, dropped: 0 });
+      chai
+        .expect(
+          (await collectionOrders.findOne({ hash: mockOrder.hash })).status
+        )
+        .to.equal(ORDER_STATUS.EXPIRED);
+    });
+
+    it('Should drop a completion order not mined before the chain timeout', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+        chainId: mockBlockchainBscTestnet.chainId,
+      });
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.COMPLETION,
+        completionHash: 'myCompletionHash',
+        completionDate: mockOldDate,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathViewBlockchain_Put_OrdersExpiredAll)
+        .send({ apiKey: process.env.API_KEY });
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal({ expired: 0, dropped: 1 });
+      chai
+        .expect(
+          (await collectionOrders.findOne({ hash: mockOrder.hash })).status
+        )
+        .to.equal(ORDER_STATUS.DROPPED);
+    });
+
+    it('Should set the completion date when an order goes to completion', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.SUCCESS,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOrders_Put_Complete)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({
+          orderId: mockOrder.orderId,
+          completionHash: 'myCompletionHash',
+        });
+      chai.expect(res).to.have.status(200);
+      chai
+        .expect(
+          (await collectionOrders.findOne({ orderId: mockOrder.orderId }))
+            .completionDate
+        )
+        .to.be.a('date');
+    });
+
+    it('Should resubmit a dropped order with a new completion hash', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.DROPPED,
+        completionHash: 'myCompletionHash',
+        completionDate: mockOldDate,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOrders_Put_Resubmit)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ id: insertedId.toString(), hash: 'myNewCompletionHash' });
+      chai.expect(res).to.have.status(200);
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.status).to.equal(ORDER_STATUS.COMPLETION);
+      chai.expect(order.hash).to.equal(mockOrder.hash);
+      chai.expect(order.completionHash).to.equal('myNewCompletionHash');
+      chai.expect(order.replacedHashes[0]).to.deep.include({
+        field: 'completionHash',
+        hash: 'myCompletionHash',
+        status: ORDER_STATUS.DROPPED,
+        submittedAt: mockOldDate,
+      });
+    });
+
+    it('Should resubmit an expired order with a new hash', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        userId: process.env.USER_ID_TEST,
+        status: ORDER_STATUS.EXPIRED,
+        date: mockOldDate,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(pathOrders_Put_Resubmit)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ id: insertedId.toString(), hash: 'myNewHash' });
+      chai.expect(res).to.have.status(200);
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.status).to.equal(ORDER_STATUS.PENDING);
+      chai.expect(order.hash).to.equal('myNewHash');
+      chai.expect(order.replacedHashes[0]).to.deep.include({
+        field: 'hash',
+        hash: mockOrder.hash,
+        status: ORDER_STATUS.EXPIRED,
+      });
+    });
+  });
+});
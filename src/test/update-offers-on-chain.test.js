@@ -15,6 +15,7 @@ import {
 import { utils_offers } from '../utils/view-blockchains-utils.js';
 import { mockedToken } from './utils/utils.js';
 import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { Database } from '../db/conn.js';
 
 /* eslint-disable no-unused-expressions */
 
@@ -145,6 +146,25 @@ describe('Update offers via on-chain', async function () {
       chai.expect(unmodifiedOfferAfter.offerId).to.not.equal(mockOfferId);
     });
 
+    it('Should answer 500 if the offers cannot be read', async function () {
+      const db = await Database.getInstance({});
+      const collectionStub = sinon.stub(db, 'collection').callThrough();
+      collectionStub.withArgs('offers').throws(new Error('Database error'));
+
+      try {
+        const res = await chai
+          .request(app)
+          .put(pathBlockchain_Put_OffersUser)
+          .set('Authorization', `Bearer ${mockedToken}`);
+        chai.expect(res).to.have.status(500);
+        chai
+          .expect(res.body)
+          .to.deep.equal({ msg: 'Unable to update the offers' });
+      } finally {
+        collectionStub.restore();
+      }
+    });
+
     it('Should only modify offers for the current userId', async function () {
       const res = await chai
         .request(app)
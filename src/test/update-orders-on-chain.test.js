@@ -6,6 +6,7 @@ import {
   mockBlockchainBscTestnet,
   mockBlockchainGoerli,
   collectionBlockchains,
+  collectionNotifications,
   collectionOffers,
   collectionOrders,
   mockOffer,
@@ -478,6 +479,21 @@ describe('Update orders via on-chain', async function () {
           }
         });
       });
+      it('Should notify the user of the payment failure', async function () {
+        await chai
+          .request(app)
+          .put(pathViewBlockchain_Put_OrdersCompleteUser)
+          .set('Authorization', `Bearer ${mockedToken}`);
+
+        chai
+          .expect(
+            await collectionNotifications.countDocuments({
+              userId: process.env.USER_ID_TEST,
+              method: 'completionFailure',
+            })
+          )
+          .to.be.greaterThan(0);
+      });
       it('Should not update isComplete if LogOfferPaid doesnt appear', async function () {
         const res = await chai
           .request(app)
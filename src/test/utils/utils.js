@@ -1,7 +1,9 @@
 import dotenv from 'dotenv';
 import axios from 'axios';
+import jwt from 'jsonwebtoken';
 import chai from 'chai';
-import app from '../../index.js';
+import WebSocket from 'ws';
+import app, { wss } from '../../index.js';
 
 /* eslint-disable no-unused-expressions */
 
@@ -12,8 +14,7 @@ dotenv.config();
  * there is an error.
  * @returns The `getAccessToken` function is returning a Promise that resolves to the `access_token`
  * value from the response data of a POST request to the specified URL. If there is an error, it will
- * return `null`. The `mockedToken` variable is assigned the resolved value of the Promise returned by
- * `getAccessToken` using the `await` keyword.
+ * return `null`.
  */
 async function getAccessToken() {
   try {
@@ -36,7 +37,80 @@ async function getAccessToken() {
   }
 }
 
-export const mockedToken = await getAccessToken();
+/**
+ * The function signs a token for the test user with `AUTH_TEST_PRIVATE_KEY`, the private key matching
+ * the `AUTH_PUBLIC_KEY` the API verifies tokens with, so that tests do not need the orchestrator.
+ * @returns The signed token.
+ */
+function signTestToken() {
+  return jwt.sign(
+    { sub: process.env.USER_ID_TEST },
+    process.env.AUTH_TEST_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    {
+      algorithm: 'RS256',
+      expiresIn: '1h',
+      ...(process.env.AUTH_ISSUER && { issuer: process.env.AUTH_ISSUER }),
+      ...(process.env.AUTH_AUDIENCE && { audience: process.env.AUTH_AUDIENCE }),
+    }
+  );
+}
+
+/* The `mockedToken` variable is a locally signed token when a test key pair is configured, and a token
+issued by the orchestrator otherwise. */
+export const mockedToken = process.env.AUTH_TEST_PRIVATE_KEY
+  ? signTestToken()
+  : await getAccessToken();
+
+/**
+ * This function opens a WebSocket connection to the server and skips its greeting. Messages are queued
+ * until `ws.next()` reads them.
+ * @returns The connected client.
+ */
+export async function connectWebSocket() {
+  const ws = new WebSocket(`ws://localhost:${wss.address().port}/unit-test/`);
+  const messages = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    if (waiting.length) waiting.shift()(data.toString());
+    else messages.push(data.toString());
+  });
+  ws.next = () =>
+    messages.length
+      ? Promise.resolve(messages.shift())
+      : new Promise((resolve) => waiting.push(resolve));
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  await ws.next();
+  return ws;
+}
+
+/**
+ * This function opens a WebSocket connection authenticated as the test user, and keeps the reply to
+ * the authentication in `ws.authentication`.
+ * @returns The connected client.
+ */
+export async function connectAuthenticatedWebSocket() {
+  const ws = await connectWebSocket();
+  ws.send(
+    JSON.stringify({
+      method: 'authenticated',
+      params: { access_token: mockedToken },
+    })
+  );
+  ws.authentication = JSON.parse(await ws.next());
+  return ws;
+}
+
+/**
+ * This function sends a JSON-RPC request on a WebSocket connection and returns the next message.
+ */
+export async function sendWebSocketRequest(ws, method, params) {
+  ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }));
+  return JSON.parse(await ws.next());
+}
 
 /**
  * This is a test function that checks if a specific field in a request is not a string and returns an
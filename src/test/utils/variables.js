@@ -3,12 +3,31 @@ import { Database } from '../../db/conn.js';
 const dbTests = await Database.getInstance({});
 
 export const collectionAdmins = dbTests.collection('admins');
+export const collectionApiKeys = dbTests.collection('api-keys');
+export const collectionNotificationTokens = dbTests.collection(
+  'notification-tokens'
+);
+export const collectionNotifications = dbTests.collection('notifications');
+export const collectionNotificationPreferences = dbTests.collection(
+  'notification-preferences'
+);
+export const collectionNotificationEmails = dbTests.collection(
+  'notification-emails'
+);
+export const collectionWebhookEvents = dbTests.collection('webhook-events');
+export const collectionWebhookSubscriptions = dbTests.collection(
+  'webhook-subscriptions'
+);
+export const collectionWebhookDeliveries =
+  dbTests.collection('webhook-deliveries');
 export const collectionOrders = dbTests.collection('orders');
 export const collectionOffers = dbTests.collection('offers');
+export const collectionQuotes = dbTests.collection('quotes');
 export const collectionBlockchains = dbTests.collection('blockchains');
 export const collectionTokens = dbTests.collection('tokens');
 export const collectionLiquidityWallet =
   dbTests.collection('liquidity-wallets');
+export const collectionAbis = dbTests.collection('abis');
 
 export const validMongoDBId = '111111111111111111111111';
 export const randomMongoDBId = 'myMongoDBId';
@@ -16,6 +35,23 @@ export const notAMongoDBId = 'notAMongoDBId';
 
 // Admins paths
 export const pathAdmin_Get_IsAdmin = '/unit-test/admins';
+export const pathAdmin_Get_Me = '/unit-test/admins/me';
+export const pathAdmin_Get_All = '/unit-test/admins/all';
+export const pathAdmin_Post = '/unit-test/admins';
+export const pathAdmin_Put_Roles = '/unit-test/admins/';
+export const pathAdmin_Delete_Roles = '/unit-test/admins/';
+export const pathAdmin_Delete = '/unit-test/admins/';
+
+// API keys paths
+export const pathApiKeys_Post = '/unit-test/api-keys';
+export const pathApiKeys_Get_All = '/unit-test/api-keys';
+export const pathApiKeys_Put_Rotate = '/unit-test/api-keys/';
+export const pathApiKeys_Delete = '/unit-test/api-keys/';
+
+// ABIs paths
+export const pathAbis_Post = '/unit-test/abis';
+export const pathAbis_Get_All = '/unit-test/abis';
+export const pathAbis_Get_Version = '/unit-test/abis/';
 
 // Blockchains paths
 export const pathBlockchains_Post_NewBlockchain = '/unit-test/blockchains';
@@ -51,6 +87,8 @@ export const pathOffers_Get_MongoDBId = '/unit-test/offers/id';
 export const pathOffers_Delete_MongoDBId = '/unit-test/offers/';
 export const pathOffers_Put = '/unit-test/offers/';
 export const pathOffers_Put_Activation = '/unit-test/offers/activation';
+export const pathOffers_Put_Resubmit = '/unit-test/offers/resubmit';
+export const pathOffers_Get_History = '/unit-test/offers/';
 
 // Orders paths
 export const pathOrders_Post = '/unit-test/orders';
@@ -62,6 +100,8 @@ export const pathOrders_Get_LiquidityProvider =
 export const pathOrders_Delete_OrderId = '/unit-test/orders/';
 export const pathOrders_Put_Status = '/unit-test/orders/status';
 export const pathOrders_Put_Complete = '/unit-test/orders/complete';
+export const pathOrders_Put_Resubmit = '/unit-test/orders/resubmit';
+export const pathOrders_Get_History = '/unit-test/orders/';
 
 // Tokens paths
 export const pathTokens_Post = '/unit-test/tokens';
@@ -75,6 +115,52 @@ export const pathWebhooks_Put_Offer_Status =
   '/unit-test/webhooks/offer/activation-deactivation';
 export const pathWebhooks_Put_Offer = '/unit-test/webhooks/offer';
 export const pathWebhooks_Put_Order = '/unit-test/webhooks/order';
+export const pathWebhooks_Put_Order_Paid =
+  '/unit-test/webhooks/offer/order/paid';
+export const pathWebhooks_Put_Order_Completion =
+  '/unit-test/webhooks/offer/order/completion';
+export const pathWebhooks_Put_Offer_MaxPrice =
+  '/unit-test/webhooks/offer/max-price';
+export const pathWebhooks_Put_Offer_MinPrice =
+  '/unit-test/webhooks/offer/min-price';
+export const pathWebhooks_Put_Offer_Token = '/unit-test/webhooks/offer/token';
+export const pathWebhooks_Put_Offer_Chain = '/unit-test/webhooks/offer/chain';
+
+// Webhook events paths
+export const pathWebhookEvents_Get_All = '/unit-test/webhook-events';
+export const pathWebhookEvents_Get_MongoDBId = '/unit-test/webhook-events/';
+export const pathWebhookEvents_Put_Replay = '/unit-test/webhook-events/';
+
+// Push notifications paths
+export const pathPushNotifications_Put = '/unit-test/push-notifications';
+export const pathPushNotifications_Get_All = '/unit-test/push-notifications';
+export const pathPushNotifications_Delete = '/unit-test/push-notifications/';
+
+// Notifications paths
+export const pathNotifications_Get_All = '/unit-test/notifications';
+export const pathNotifications_Put_Read = '/unit-test/notifications/';
+export const pathNotifications_Put_ReadAll =
+  '/unit-test/notifications/read-all';
+export const pathNotifications_Get_Preferences =
+  '/unit-test/notifications/preferences';
+export const pathNotifications_Put_Preferences =
+  '/unit-test/notifications/preferences';
+export const pathNotifications_Get_Email = '/unit-test/notifications/email';
+export const pathNotifications_Put_Email = '/unit-test/notifications/email';
+export const pathNotifications_Put_EmailVerify =
+  '/unit-test/notifications/email/verify';
+export const pathNotifications_Delete_Email = '/unit-test/notifications/email';
+
+// Webhook subscriptions paths
+export const pathWebhookSubscriptions_Post = '/unit-test/webhook-subscriptions';
+export const pathWebhookSubscriptions_Get_All =
+  '/unit-test/webhook-subscriptions';
+export const pathWebhookSubscriptions_Get_MongoDBId =
+  '/unit-test/webhook-subscriptions/';
+export const pathWebhookSubscriptions_Put_MongoDBId =
+  '/unit-test/webhook-subscriptions/';
+export const pathWebhookSubscriptions_Delete_MongoDBId =
+  '/unit-test/webhook-subscriptions/';
 
 // Modify orders blockchain paths
 export const pathViewBlockchain_Put_OrdersUser =
@@ -87,6 +173,10 @@ export const pathViewBlockchain_Put_OrdersCompleteAll =
   '/unit-test/orders-onchain/update-order-completion-all';
 export const pathViewBlockchain_Put_OrdersCompleteSeller =
   '/unit-test/orders-onchain/update-order-completion-seller';
+export const pathViewBlockchain_Put_OrdersConfirmingAll =
+  '/unit-test/orders-onchain/update-order-confirming-all';
+export const pathViewBlockchain_Put_OrdersExpiredAll =
+  '/unit-test/orders-onchain/update-order-expired-all';
 
 // Modify offers blockchain paths
 export const pathBlockchain_Put_OffersUser =
@@ -97,6 +187,31 @@ export const pathBlockchain_Put_OffersActivationUser =
   '/unit-test/offers-onchain/update-offer-activation-user';
 export const pathBlockchain_Put_OffersActivationAll =
   '/unit-test/offers-onchain/update-offer-activation-all';
+export const pathBlockchain_Put_OffersConfirmingAll =
+  '/unit-test/offers-onchain/update-offer-confirming-all';
+export const pathBlockchain_Put_OffersExpiredAll =
+  '/unit-test/offers-onchain/update-offer-expired-all';
+
+// Quotes paths
+export const pathQuotes_Get = '/unit-test/quotes';
+export const pathQuotes_Post = '/unit-test/quotes';
+
+// Stands for the published pool and liquidity wallet ABIs, which the tests never download.
+export const mockPublishedAbi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: 'bytes32',
+        name: '_offerId',
+        type: 'bytes32',
+      },
+    ],
+    name: 'LogNewOffer',
+    type: 'event',
+  },
+];
 
 export const mockOrder = {
   amountTokenDeposit: '0.34',
@@ -107,6 +222,22 @@ export const mockOrder = {
   orderId: 'myOrderId',
   amountTokenOffer: '5433',
   hash: 'myhash',
+  quoteId: 'myQuoteId',
+};
+
+// The quote locked for `mockOrder`, without its `userId` and `expiresAt`.
+export const mockQuote = {
+  quoteId: 'myQuoteId',
+  offerId: 'myOfferId',
+  exchangeRate: '0.0000625804',
+  amountTokenDeposit: '0.34',
+  chainIdTokenDeposit: '13434',
+  tokenDeposit: 'ETH',
+  amountTokenOffer: '5433',
+  chainIdTokenOffer: '97',
+  tokenOffer: 'BNB',
+  usedAt: null,
+  orderId: null,
 };
 
 export const mockOffer = {
@@ -0,0 +1,225 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionAdmins,
+  collectionOrders,
+  collectionWebhookEvents,
+  mockOrder,
+  pathWebhookEvents_Get_All,
+  pathWebhookEvents_Get_MongoDBId,
+  pathWebhookEvents_Put_Replay,
+  pathWebhooks_Put_Order,
+} from './utils/variables.js';
+import { ORDER_STATUS } from '../utils/orders-utils.js';
+import { WEBHOOK_EVENT_STATUS } from '../utils/webhook-events-utils.js';
+import { WEBHOOK_EVENTS } from '../utils/webhook-handlers-utils.js';
+import { ROLES } from '../utils/roles-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockWebhook = {
+  _grinderyChainId: mockOrder.chainIdTokenDeposit,
+  _grinderyTransactionHash: mockOrder.hash,
+  _amount: mockOrder.amountTokenDeposit,
+  _offerId: mockOrder.offerId,
+  _tradeId: mockOrder.orderId,
+  _offerer: 'myOfferer',
+  _token: 'myToken',
+};
+
+/**
+ * This function sends the order creation webhook.
+ */
+async function sendOrderWebhook() {
+  return await chai
+    .request(app)
+    .put(pathWebhooks_Put_Order)
+    .send({ ...mockWebhook, apiKey: process.env.API_KEY });
+}
+
+describe('Webhook events', async function () {
+  describe('Delivery', async function () {
+    it('Should store the event with its target', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      const res = await sendOrderWebhook();
+      chai.expect(res).to.have.status(200);
+      chai.expect(res).to.have.header('X-Webhook-Event-Id');
+      chai.expect(res).to.not.have.header('X-Webhook-Duplicate');
+
+      const event = await collectionWebhookEvents.findOne({});
+      chai.expect(event._id.toString()).to.equal(res.get('X-Webhook-Event-Id'));
+      chai.expect(event).to.deep.include({
+        event: WEBHOOK_EVENTS.ORDER_CREATION,
+        status: WEBHOOK_EVENT_STATUS.PROCESSED,
+        integration: 'API_KEY',
+        payload: mockWebhook,
+        target: { collection: 'orders', _id: insertedId },
+        attempts: 1,
+      });
+    });
+
+    it('Should record the event in the status history', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      const res = await sendOrderWebhook();
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.status).to.equal(ORDER_STATUS.SUCCESS);
+      chai
+        .expect(order.statusHistory[0].eventId.toString())
+        .to.equal(res.get('X-Webhook-Event-Id'));
+    });
+
+    it('Should acknowledge a duplicate delivery without applying it again', async function () {
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      const first = await sendOrderWebhook();
+      const res = await sendOrderWebhook();
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body).to.deep.equal(first.body);
+      chai.expect(res).to.have.header('X-Webhook-Duplicate', 'true');
+      chai
+        .expect(res.get('X-Webhook-Event-Id'))
+        .to.equal(first.get('X-Webhook-Event-Id'));
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.statusHistory).to.have.lengthOf(1);
+      chai.expect(await collectionWebhookEvents.countDocuments({})).to.equal(1);
+    });
+
+    it('Should mark the event as failed if the order is missing', async function () {
+      const res = await sendOrderWebhook();
+      chai.expect(res).to.have.status(404);
+
+      const event = await collectionWebhookEvents.findOne({});
+      chai.expect(event.status).to.equal(WEBHOOK_EVENT_STATUS.FAILED);
+      chai.expect(event.error).to.equal('No order found');
+    });
+
+    it('Should process a failed event again on redelivery', async function () {
+      await sendOrderWebhook();
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      const res = await sendOrderWebhook();
+      chai.expect(res).to.have.status(200);
+      chai.expect(res).to.not.have.header('X-Webhook-Duplicate');
+
+      const event = await collectionWebhookEvents.findOne({});
+      chai.expect(event.status).to.equal(WEBHOOK_EVENT_STATUS.PROCESSED);
+      chai.expect(event.attempts).to.equal(2);
+    });
+  });
+
+  describe('Admin routes', async function () {
+    it('Should list the events filtered by status', async function () {
+      await sendOrderWebhook();
+
+      const res = await chai
+        .request(app)
+        .get(pathWebhookEvents_Get_All)
+        .query({ status: WEBHOOK_EVENT_STATUS.FAILED })
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.totalCount).to.equal(1);
+      chai
+        .expect(res.body.events[0].event)
+        .to.equal(WEBHOOK_EVENTS.ORDER_CREATION);
+    });
+
+    it('Should return an event by id', async function () {
+      const webhook = await sendOrderWebhook();
+
+      const res = await chai
+        .request(app)
+        .get(
+          pathWebhookEvents_Get_MongoDBId + webhook.get('X-Webhook-Event-Id')
+        )
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+      chai.expect(res.body.payload).to.deep.equal(mockWebhook);
+    });
+
+    it('Should replay a failed event', async function () {
+      const webhook = await sendOrderWebhook();
+      const { insertedId } = await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+
+      const res = await chai
+        .request(app)
+        .put(
+          `${pathWebhookEvents_Put_Replay}${webhook.get(
+            'X-Webhook-Event-Id'
+          )}/replay`
+        )
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(200);
+
+      const order = await collectionOrders.findOne({ _id: insertedId });
+      chai.expect(order.status).to.equal(ORDER_STATUS.SUCCESS);
+
+      const event = await collectionWebhookEvents.findOne({});
+      chai.expect(event.status).to.equal(WEBHOOK_EVENT_STATUS.PROCESSED);
+      chai.expect(event.replays).to.have.lengthOf(1);
+      chai.expect(event.replays[0].userId).to.equal(process.env.USER_ID_TEST);
+    });
+
+    it('Should not replay a processed event', async function () {
+      await collectionOrders.insertOne({
+        ...mockOrder,
+        status: ORDER_STATUS.PENDING,
+      });
+      const webhook = await sendOrderWebhook();
+
+      const res = await chai
+        .request(app)
+        .put(
+          `${pathWebhookEvents_Put_Replay}${webhook.get(
+            'X-Webhook-Event-Id'
+          )}/replay`
+        )
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No failed event found' });
+    });
+
+    it('Should not let support admins replay events', async function () {
+      const webhook = await sendOrderWebhook();
+      await collectionAdmins.updateOne(
+        { userId: process.env.USER_ID_TEST },
+        { $set: { roles: [ROLES.SUPPORT] } }
+      );
+
+      const res = await chai
+        .request(app)
+        .put(
+          `${pathWebhookEvents_Put_Replay}${webhook.get(
+            'X-Webhook-Event-Id'
+          )}/replay`
+        )
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(403);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'Missing permission: webhook-events:replay' });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import {
+  collectionApiKeys,
+  pathWebhooks_Put_Offer_Status,
+} from './utils/variables.js';
+import {
+  API_KEY_SCOPES,
+  generateApiKey,
+  generateSigningSecret,
+} from '../utils/api-keys-utils.js';
+import { signWebhookPayload } from '../utils/webhook-signature-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockBody = JSON.stringify({
+  _grinderyChainId: '5',
+  _grinderyTransactionHash: 'myActivationHash',
+  _offerId: 'myOfferId',
+  _isActive: 'true',
+});
+
+/**
+ * This function sends a webhook with the given API key and signature headers.
+ */
+async function sendWebhook(key, headers, body = mockBody) {
+  const request = chai
+    .request(app)
+    .put(pathWebhooks_Put_Offer_Status)
+    .set('X-Api-Key', key)
+    .set('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([name, value]) => request.set(name, value));
+  return await request.send(body);
+}
+
+/**
+ * This function builds the signature headers of a webhook.
+ */
+function signatureHeaders(
+  secret,
+  {
+    timestamp = Math.floor(Date.now() / 1000).toString(),
+    nonce = 'myNonce',
+    body = mockBody,
+  } = {}
+) {
+  return {
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': signWebhookPayload(secret, timestamp, nonce, body),
+  };
+}
+
+describe('Webhook signatures', async function () {
+  let key, signingSecret;
+
+  beforeEach(async function () {
+    const apiKey = generateApiKey();
+    key = apiKey.key;
+    signingSecret = generateSigningSecret();
+
+    await collectionApiKeys.insertOne({
+      name: 'zapier',
+      scopes: [API_KEY_SCOPES.WEBHOOKS_WRITE],
+      hash: apiKey.hash,
+      prefix: apiKey.prefix,
+      signingSecret,
+      expiresAt: null,
+      revokedAt: null,
+    });
+  });
+
+  it('Should accept a signed webhook', async function () {
+    const res = await sendWebhook(key, signatureHeaders(signingSecret));
+    // The signature is valid, so the request reaches the route.
+    chai.expect(res).to.have.status(404);
+    chai.expect(res.body).to.deep.equal({ msg: 'Not offer found.' });
+  });
+
+  it('Should fail without signature', async function () {
+    const res = await sendWebhook(key, {});
+    chai.expect(res).to.have.status(401);
+    chai.expect(res.body).to.deep.equal({ msg: 'Missing webhook signature' });
+  });
+
+  it('Should fail if the body was altered', async function () {
+    const res = await sendWebhook(
+      key,
+      signatureHeaders(signingSecret),
+      mockBody.replace('myOfferId', 'myOtherOfferId')
+    );
+    chai.expect(res).to.have.status(401);
+    chai.expect(res.body).to.deep.equal({ msg: 'Invalid webhook signature' });
+  });
+
+  it('Should fail if signed with another secret', async function () {
+    const res = await sendWebhook(
+      key,
+      signatureHeaders(generateSigningSecret())
+    );
+    chai.expect(res).to.have.status(401);
+    chai.expect(res.body).to.deep.equal({ msg: 'Invalid webhook signature' });
+  });
+
+  it('Should fail if the timestamp is out of the tolerance window', async function () {
+    const res = await sendWebhook(
+      key,
+      signatureHeaders(signingSecret, {
+        timestamp: Math.floor(Date.now() / 1000 - 3600).toString(),
+      })
+    );
+    chai.expect(res).to.have.status(401);
+    chai.expect(res.body).to.deep.equal({ msg: 'Expired webhook signature' });
+  });
+
+  it('Should reject a replayed webhook', async function () {
+    const headers = signatureHeaders(signingSecret);
+    chai.expect(await sendWebhook(key, headers)).to.have.status(404);
+
+    const res = await sendWebhook(key, headers);
+    chai.expect(res).to.have.status(401);
+    chai.expect(res.body).to.deep.equal({ msg: 'Replayed webhook' });
+  });
+
+  describe('API_KEY environment variable', async function () {
+    let savedSecret, savedEnv;
+
+    beforeEach(function () {
+      savedSecret = process.env.WEBHOOK_SIGNING_SECRET;
+      savedEnv = process.env.NODE_ENV;
+    });
+
+    afterEach(function () {
+      if (savedSecret === undefined) {
+        delete process.env.WEBHOOK_SIGNING_SECRET;
+      } else {
+        process.env.WEBHOOK_SIGNING_SECRET = savedSecret;
+      }
+      process.env.NODE_ENV = savedEnv;
+    });
+
+    it('Should reject unsigned webhooks outside development if WEBHOOK_SIGNING_SECRET is unset', async function () {
+      delete process.env.WEBHOOK_SIGNING_SECRET;
+      process.env.NODE_ENV = 'production';
+
+      const res = await sendWebhook(process.env.API_KEY, {});
+      chai.expect(res).to.have.status(401);
+      chai
+        .expect(res.body)
+        .to.deep.equal({ msg: 'Webhook signing is not configured' });
+    });
+
+    it('Should require a signature once WEBHOOK_SIGNING_SECRET is set', async function () {
+      process.env.WEBHOOK_SIGNING_SECRET = generateSigningSecret();
+
+      chai
+        .expect(await sendWebhook(process.env.API_KEY, {}))
+        .to.have.status(401);
+      chai
+        .expect(
+          await sendWebhook(
+            process.env.API_KEY,
+            signatureHeaders(process.env.WEBHOOK_SIGNING_SECRET)
+          )
+        )
+        .to.have.status(404);
+    });
+  });
+});
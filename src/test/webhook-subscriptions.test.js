@@ -0,0 +1,431 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import http from 'http';
+import app from '../index.js';
+import { Database } from '../db/conn.js';
+import { mockedToken } from './utils/utils.js';
+import {
+  collectionOffers,
+  collectionOrders,
+  collectionWebhookDeliveries,
+  collectionWebhookSubscriptions,
+  mockOffer,
+  mockOrder,
+  pathWebhookSubscriptions_Delete_MongoDBId,
+  pathWebhookSubscriptions_Get_All,
+  pathWebhookSubscriptions_Get_MongoDBId,
+  pathWebhookSubscriptions_Post,
+  pathWebhookSubscriptions_Put_MongoDBId,
+} from './utils/variables.js';
+import { ORDER_STATUS, transitionOrder } from '../utils/orders-utils.js';
+import { OFFER_STATUS, transitionOffer } from '../utils/offers-utils.js';
+import { TRANSITION_SOURCES } from '../utils/lifecycle-utils.js';
+import {
+  DELIVERY_STATUS,
+  SUBSCRIPTION_EVENTS,
+  getRetryDelay,
+  runWebhookDispatcher,
+} from '../utils/webhook-subscriptions-utils.js';
+import { signWebhookPayload } from '../utils/webhook-signature-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockOtherUserId = 'eip155:1:0x0000000000000000000000000000000000000001';
+
+/**
+ * This function starts a local HTTP server standing in for a subscriber. It records the requests it
+ * receives and answers them with `receiver.status`.
+ */
+async function startReceiver() {
+  const receiver = { requests: [], status: 200 };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.status;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.server.listen(0, resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+  return receiver;
+}
+
+/**
+ * This function creates a subscription through the API.
+ */
+async function createSubscription(url, events) {
+  return await chai
+    .request(app)
+    .post(pathWebhookSubscriptions_Post)
+    .set('Authorization', `Bearer ${mockedToken}`)
+    .send({ url, events });
+}
+
+/**
+ * This function moves a pending order of the test user to `success`.
+ */
+async function createOrder() {
+  const { insertedId } = await collectionOrders.insertOne({
+    ...mockOrder,
+    userId: process.env.USER_ID_TEST,
+    status: ORDER_STATUS.PENDING,
+  });
+  await transitionOrder(
+    await Database.getInstance({}),
+    { _id: insertedId, status: ORDER_STATUS.PENDING },
+    { status: ORDER_STATUS.SUCCESS },
+    { source: TRANSITION_SOURCES.SYNC }
+  );
+  return insertedId;
+}
+
+describe('Webhook subscriptions', async function () {
+  let receiver;
+
+  beforeEach(async function () {
+    receiver = await startReceiver();
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => receiver.server.close(resolve));
+  });
+
+  describe('Subscriptions route', async function () {
+    it('Should create a subscription and return its secret once', async function () {
+      const res = await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      chai.expect(res).to.have.status(201);
+      chai.expect(res.body.secret).to.match(/^whsec_/);
+      chai.expect(res.body).to.deep.include({
+        userId: process.env.USER_ID_TEST,
+        url: receiver.url,
+        events: [SUBSCRIPTION_EVENTS.ORDER_CREATED],
+        isActive: true,
+      });
+
+      const list = await chai
+        .request(app)
+        .get(pathWebhookSubscriptions_Get_All)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(list).to.have.status(200);
+      chai.expect(list.body).to.have.lengthOf(1);
+      chai.expect(list.body[0]).to.not.have.property('secret');
+    });
+
+    it('Should fail if the event is unknown', async function () {
+      const res = await createSubscription(receiver.url, ['order.unknown']);
+      chai.expect(res).to.have.status(400);
+      chai.expect(res.body[0]).to.deep.include({
+        param: 'events[0]',
+        location: 'body',
+      });
+    });
+
+    it('Should fail if the URL is invalid', async function () {
+      const res = await createSubscription('not an url', [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      chai.expect(res).to.have.status(400);
+      chai
+        .expect(res.body[0])
+        .to.deep.include({ msg: 'must be URL', param: 'url' });
+    });
+
+    describe('Outside development', async function () {
+      let savedEnv;
+
+      beforeEach(function () {
+        savedEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+      });
+
+      afterEach(function () {
+        process.env.NODE_ENV = savedEnv;
+      });
+
+      it('Should fail if the URL does not use https', async function () {
+        const res = await createSubscription('http://example.com/hooks', [
+          SUBSCRIPTION_EVENTS.ORDER_CREATED,
+        ]);
+        chai.expect(res).to.have.status(400);
+        chai
+          .expect(res.body[0])
+          .to.deep.include({ msg: 'must use https', param: 'url' });
+      });
+
+      it('Should fail if the URL targets a private address', async function () {
+        for (const url of [
+          'https://127.0.0.1/hooks',
+          'https://localhost/hooks',
+          'https://169.254.169.254/latest/meta-data',
+          'https://[::1]/hooks',
+        ]) {
+          const res = await createSubscription(url, [
+            SUBSCRIPTION_EVENTS.ORDER_CREATED,
+          ]);
+          chai.expect(res).to.have.status(400);
+          chai.expect(res.body[0]).to.deep.include({
+            msg: 'must not target a private address',
+            param: 'url',
+          });
+        }
+      });
+    });
+
+    it('Should pause a subscription', async function () {
+      const { body } = await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+
+      const res = await chai
+        .request(app)
+        .put(pathWebhookSubscriptions_Put_MongoDBId + body._id)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ isActive: false });
+      chai.expect(res).to.have.status(200);
+
+      const subscription = await chai
+        .request(app)
+        .get(pathWebhookSubscriptions_Get_MongoDBId + body._id)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(subscription.body.isActive).to.be.false;
+    });
+
+    it('Should not expose the subscriptions of other users', async function () {
+      const { insertedId } = await collectionWebhookSubscriptions.insertOne({
+        userId: mockOtherUserId,
+        url: receiver.url,
+        events: [SUBSCRIPTION_EVENTS.ORDER_CREATED],
+        secret: 'mySecret',
+        isActive: true,
+      });
+
+      const res = await chai
+        .request(app)
+        .get(pathWebhookSubscriptions_Get_MongoDBId + insertedId)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(res).to.have.status(404);
+      chai.expect(res.body).to.deep.equal({ msg: 'No subscription found' });
+
+      const deletion = await chai
+        .request(app)
+        .delete(pathWebhookSubscriptions_Delete_MongoDBId + insertedId)
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(deletion).to.have.status(404);
+    });
+  });
+
+  describe('Deliveries', async function () {
+    it('Should queue a delivery for a subscribed event', async function () {
+      await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      const orderId = await createOrder();
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery).to.deep.include({
+        event: SUBSCRIPTION_EVENTS.ORDER_CREATED,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+      });
+      chai.expect(delivery.payload._id).to.deep.equal(orderId);
+      chai.expect(delivery.payload).to.not.have.property('statusHistory');
+    });
+
+    it('Should not queue a delivery for other events', async function () {
+      await createSubscription(receiver.url, [SUBSCRIPTION_EVENTS.ORDER_PAID]);
+      await createOrder();
+
+      chai
+        .expect(await collectionWebhookDeliveries.countDocuments({}))
+        .to.equal(0);
+    });
+
+    it('Should notify the liquidity provider of the orders on its offers', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        offerId: mockOrder.offerId,
+        userId: mockOtherUserId,
+      });
+      await collectionWebhookSubscriptions.insertOne({
+        userId: mockOtherUserId,
+        url: receiver.url,
+        events: [SUBSCRIPTION_EVENTS.ORDER_CREATED],
+        secret: 'mySecret',
+        isActive: true,
+      });
+      await createOrder();
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery.userId).to.equal(mockOtherUserId);
+    });
+
+    it('Should queue the activation of an offer', async function () {
+      await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.OFFER_DEACTIVATED,
+      ]);
+      const { insertedId } = await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.DEACTIVATION,
+      });
+
+      await transitionOffer(
+        await Database.getInstance({}),
+        { _id: insertedId, status: OFFER_STATUS.DEACTIVATION },
+        { status: OFFER_STATUS.SUCCESS, isActive: false },
+        { source: TRANSITION_SOURCES.SYNC }
+      );
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai
+        .expect(delivery.event)
+        .to.equal(SUBSCRIPTION_EVENTS.OFFER_DEACTIVATED);
+    });
+
+    it('Should send a signed POST to the subscriber', async function () {
+      const { body } = await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      const orderId = await createOrder();
+
+      chai
+        .expect(await runWebhookDispatcher(await Database.getInstance({})))
+        .to.equal(1);
+
+      chai.expect(receiver.requests).to.have.lengthOf(1);
+      const { headers, body: raw } = receiver.requests[0];
+      chai
+        .expect(headers['x-webhook-signature'])
+        .to.equal(
+          signWebhookPayload(
+            body.secret,
+            headers['x-webhook-timestamp'],
+            headers['x-webhook-nonce'],
+            raw
+          )
+        );
+      chai
+        .expect(headers['x-webhook-event'])
+        .to.equal(SUBSCRIPTION_EVENTS.ORDER_CREATED);
+      chai.expect(JSON.parse(raw).data._id).to.equal(orderId.toString());
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery.status).to.equal(DELIVERY_STATUS.DELIVERED);
+      chai.expect(delivery.attempts).to.equal(1);
+      chai.expect(delivery.log[0].statusCode).to.equal(200);
+    });
+
+    it('Should retry a failed delivery later', async function () {
+      receiver.status = 500;
+      await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      await createOrder();
+
+      const before = Date.now();
+      await runWebhookDispatcher(await Database.getInstance({}));
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery.status).to.equal(DELIVERY_STATUS.PENDING);
+      chai.expect(delivery.attempts).to.equal(1);
+      chai.expect(delivery.log[0].statusCode).to.equal(500);
+      chai
+        .expect(delivery.nextAttemptAt.getTime())
+        .to.be.at.least(before + getRetryDelay(1));
+
+      // The delivery is not due yet.
+      chai
+        .expect(await runWebhookDispatcher(await Database.getInstance({})))
+        .to.equal(0);
+    });
+
+    it('Should double the delay between attempts', async function () {
+      chai.expect(getRetryDelay(2)).to.equal(2 * getRetryDelay(1));
+      chai.expect(getRetryDelay(3)).to.equal(4 * getRetryDelay(1));
+    });
+
+    it('Should move a delivery to the dead letters after its last attempt', async function () {
+      receiver.status = 500;
+      const { body } = await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      await createOrder();
+      await collectionWebhookDeliveries.updateOne(
+        {},
+        { $set: { attempts: 7 } }
+      );
+
+      await runWebhookDispatcher(await Database.getInstance({}));
+
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery.status).to.equal(DELIVERY_STATUS.DEAD);
+
+      const log = await chai
+        .request(app)
+        .get(`${pathWebhookSubscriptions_Get_MongoDBId}${body._id}/deliveries`)
+        .query({ status: DELIVERY_STATUS.DEAD })
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(log).to.have.status(200);
+      chai.expect(log.body.totalCount).to.equal(1);
+
+      receiver.status = 200;
+      const retry = await chai
+        .request(app)
+        .put(
+          `${pathWebhookSubscriptions_Put_MongoDBId}${body._id}/deliveries/${delivery._id}/retry`
+        )
+        .set('Authorization', `Bearer ${mockedToken}`);
+      chai.expect(retry).to.have.status(200);
+
+      await runWebhookDispatcher(await Database.getInstance({}));
+      chai
+        .expect((await collectionWebhookDeliveries.findOne({})).status)
+        .to.equal(DELIVERY_STATUS.DELIVERED);
+    });
+
+    it('Should not deliver to a private address outside development', async function () {
+      await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      await createOrder();
+
+      const savedEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        await runWebhookDispatcher(await Database.getInstance({}));
+      } finally {
+        process.env.NODE_ENV = savedEnv;
+      }
+
+      chai.expect(receiver.requests).to.be.empty;
+      chai
+        .expect((await collectionWebhookDeliveries.findOne({})).lastError)
+        .to.equal('must use https');
+    });
+
+    it('Should not deliver to a paused subscription', async function () {
+      const { body } = await createSubscription(receiver.url, [
+        SUBSCRIPTION_EVENTS.ORDER_CREATED,
+      ]);
+      await createOrder();
+      await chai
+        .request(app)
+        .put(pathWebhookSubscriptions_Put_MongoDBId + body._id)
+        .set('Authorization', `Bearer ${mockedToken}`)
+        .send({ isActive: false });
+
+      await runWebhookDispatcher(await Database.getInstance({}));
+
+      chai.expect(receiver.requests).to.have.lengthOf(0);
+      const delivery = await collectionWebhookDeliveries.findOne({});
+      chai.expect(delivery.status).to.equal(DELIVERY_STATUS.DEAD);
+      chai.expect(delivery.lastError).to.equal('Subscription is not active');
+    });
+  });
+});
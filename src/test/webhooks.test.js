@@ -0,0 +1,143 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import app from '../index.js';
+import {
+  collectionOffers,
+  collectionTokens,
+  collectionWebhookEvents,
+  mockOffer,
+  mockToken,
+  pathWebhooks_Put_Offer_Chain,
+  pathWebhooks_Put_Offer_MaxPrice,
+  pathWebhooks_Put_Offer_MinPrice,
+  pathWebhooks_Put_Offer_Token,
+} from './utils/variables.js';
+import { WEBHOOK_EVENTS } from '../utils/webhook-handlers-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const mockEvent = {
+  _grinderyChainId: mockOffer.chainId,
+  _grinderyTransactionHash: 'myParameterHash',
+  _idOffer: mockOffer.offerId,
+};
+
+/**
+ * This function sends an offer parameter webhook.
+ */
+async function sendWebhook(path, body) {
+  return await chai
+    .request(app)
+    .put(path)
+    .send({ ...mockEvent, ...body, apiKey: process.env.API_KEY });
+}
+
+describe('Offer parameter webhooks', async function () {
+  let offerId;
+
+  beforeEach(async function () {
+    offerId = (await collectionOffers.insertOne({ ...mockOffer })).insertedId;
+  });
+
+  it('Should update the maximum price of the offer', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_MaxPrice, {
+      _upperLimitFn: '1000',
+    });
+    chai.expect(res).to.have.status(200);
+    chai.expect(res.body.modifiedCount).to.equal(1);
+
+    const offer = await collectionOffers.findOne({ _id: offerId });
+    chai.expect(offer.max).to.equal('1000');
+    chai.expect(offer.min).to.equal(mockOffer.min);
+  });
+
+  it('Should update the minimum price of the offer', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_MinPrice, {
+      _lowerLimitFn: '0.5',
+    });
+    chai.expect(res).to.have.status(200);
+
+    const offer = await collectionOffers.findOne({ _id: offerId });
+    chai.expect(offer.min).to.equal('0.5');
+  });
+
+  it('Should update the token address and symbol of the offer', async function () {
+    await collectionTokens.insertOne({
+      ...mockToken,
+      chainId: mockOffer.chainId,
+      address: '0xAbCdEf',
+    });
+
+    const res = await sendWebhook(pathWebhooks_Put_Offer_Token, {
+      _token: '0xabcdef',
+    });
+    chai.expect(res).to.have.status(200);
+
+    const offer = await collectionOffers.findOne({ _id: offerId });
+    chai.expect(offer.tokenAddress).to.equal('0xabcdef');
+    chai.expect(offer.token).to.equal(mockToken.symbol);
+  });
+
+  it('Should keep the token symbol of the offer if the token is not listed', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_Token, {
+      _token: '0xabcdef',
+    });
+    chai.expect(res).to.have.status(200);
+
+    const offer = await collectionOffers.findOne({ _id: offerId });
+    chai.expect(offer.tokenAddress).to.equal('0xabcdef');
+    chai.expect(offer.token).to.equal(mockOffer.token);
+  });
+
+  it('Should update the chain of the offer', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_Chain, {
+      _chainId: '1',
+    });
+    chai.expect(res).to.have.status(200);
+
+    const offer = await collectionOffers.findOne({ _id: offerId });
+    chai.expect(offer.chainId).to.equal('1');
+  });
+
+  it('Should log the event with the offer as target', async function () {
+    await sendWebhook(pathWebhooks_Put_Offer_MaxPrice, {
+      _upperLimitFn: '1000',
+    });
+
+    const event = await collectionWebhookEvents.findOne({});
+    chai.expect(event.event).to.equal(WEBHOOK_EVENTS.OFFER_MAX_PRICE);
+    chai
+      .expect(event.target)
+      .to.deep.equal({ collection: 'offers', _id: offerId });
+  });
+
+  it('Should return 404 if the offer does not exist', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_MaxPrice, {
+      _idOffer: 'myUnknownOfferId',
+      _upperLimitFn: '1000',
+    });
+    chai.expect(res).to.have.status(404);
+    chai.expect(res.body).to.deep.equal({ msg: 'No offer found' });
+  });
+
+  it('Should fail validation if the new value is missing', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_MinPrice, {});
+    chai.expect(res).to.have.status(400);
+    chai.expect(
+      res.body.some(
+        (err) =>
+          err.msg === 'must be string value' && err.param === '_lowerLimitFn'
+      )
+    ).to.be.true;
+  });
+
+  it('Should fail validation if an unexpected field is sent', async function () {
+    const res = await sendWebhook(pathWebhooks_Put_Offer_Chain, {
+      _chainId: '1',
+      _upperLimitFn: '1000',
+    });
+    chai.expect(res).to.have.status(400);
+  });
+});
@@ -0,0 +1,146 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import WebSocket from 'ws';
+import {
+  BUS_MESSAGE_TYPES,
+  WEBSOCKET_BUSES,
+  getWebSocketBus,
+} from '../utils/websocket-bus-utils.js';
+import { getLastSeq } from '../utils/websocket-sessions-utils.js';
+import {
+  getOfferBookTopic,
+  publishOfferBookEvent,
+  OFFER_BOOK_EVENTS,
+  subscribeTopic,
+  unsubscribeTopic,
+} from '../utils/websocket-topics-utils.js';
+import {
+  deliverUserMessage,
+  dispatchWebSocket,
+  isUserOnline,
+} from '../utils/websocket-utils.js';
+import { mockOffer } from './utils/variables.js';
+
+/* eslint-disable no-unused-expressions */
+
+describe('WebSocket bus', async function () {
+  describe('Memory bus', async function () {
+    it('Should deliver the published messages to its subscribers', async function () {
+      const bus = WEBSOCKET_BUSES.memory();
+      const handler = sinon.spy();
+      bus.subscribe(handler);
+
+      await bus.publish({ type: 'myType' });
+
+      chai.expect(handler.calledOnceWith({ type: 'myType' })).to.be.true;
+      chai.expect(await bus.isOnlineElsewhere('myUserId')).to.be.false;
+    });
+
+    it('Should keep the published messages of users for replay', async function () {
+      const bus = WEBSOCKET_BUSES.memory();
+      const message = {
+        method: 'myMethod',
+        seq: await bus.nextSeq('myUserId'),
+      };
+
+      await bus.publish({
+        type: BUS_MESSAGE_TYPES.USER,
+        userId: 'myUserId',
+        message,
+      });
+
+      chai.expect(await bus.getLastSeq('myUserId')).to.equal(1);
+      chai
+        .expect(await bus.getUserMessages('myUserId', new Date(0), 10))
+        .to.deep.equal([message]);
+    });
+  });
+
+  describe('Publication', async function () {
+    let publishSpy;
+
+    beforeEach(async function () {
+      publishSpy = sinon.spy(getWebSocketBus(), 'publish');
+    });
+
+    afterEach(async function () {
+      publishSpy.restore();
+    });
+
+    it('Should publish the messages of users to the bus with their seq', async function () {
+      await dispatchWebSocket('myMethod', { userId: 'myBusUser' });
+
+      chai.expect(publishSpy.firstCall.args[0]).to.deep.equal({
+        type: BUS_MESSAGE_TYPES.USER,
+        userId: 'myBusUser',
+        message: {
+          jsonrpc: '2.0',
+          method: 'myMethod',
+          params: { userId: 'myBusUser' },
+          seq: await getLastSeq('myBusUser'),
+        },
+      });
+    });
+
+    it('Should publish the offer book events to the bus', async function () {
+      const client = { readyState: WebSocket.OPEN, send: sinon.spy() };
+      subscribeTopic(client, getOfferBookTopic(mockOffer));
+
+      try {
+        await publishOfferBookEvent(OFFER_BOOK_EVENTS.REMOVED, mockOffer);
+      } finally {
+        unsubscribeTopic(client, getOfferBookTopic(mockOffer));
+      }
+
+      chai.expect(publishSpy.firstCall.args[0]).to.deep.include({
+        type: BUS_MESSAGE_TYPES.TOPIC,
+        topic: getOfferBookTopic(mockOffer),
+        event: OFFER_BOOK_EVENTS.REMOVED,
+      });
+      chai.expect(client.send.calledOnce).to.be.true;
+    });
+  });
+
+  describe('Delivery', async function () {
+    it('Should deliver the messages of the bus to the open clients of the user', async function () {
+      const clients = [
+        { userId: 'myDeliveryUser', readyState: WebSocket.OPEN },
+        { userId: 'myDeliveryUser', readyState: WebSocket.CLOSED },
+        { userId: 'myOtherUser', readyState: WebSocket.OPEN },
+      ].map((client) => ({ ...client, send: sinon.spy() }));
+
+      chai
+        .expect(
+          deliverUserMessage(clients, 'myDeliveryUser', {
+            method: 'myMethod',
+            seq: 1,
+          })
+        )
+        .to.equal(1);
+      chai.expect(JSON.parse(clients[0].send.firstCall.args[0])).to.deep.equal({
+        method: 'myMethod',
+        seq: 1,
+      });
+      chai.expect(clients[1].send.called).to.be.false;
+      chai.expect(clients[2].send.called).to.be.false;
+    });
+  });
+
+  describe('Presence', async function () {
+    it('Should not find users that are connected nowhere', async function () {
+      chai.expect(await isUserOnline('myOfflineUser')).to.be.false;
+    });
+
+    it('Should find users connected to another replica', async function () {
+      const presenceStub = sinon
+        .stub(getWebSocketBus(), 'isOnlineElsewhere')
+        .resolves(true);
+
+      try {
+        chai.expect(await isUserOnline('myRemoteUser')).to.be.true;
+      } finally {
+        presenceStub.restore();
+      }
+    });
+  });
+});
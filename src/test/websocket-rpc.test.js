@@ -0,0 +1,222 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { Database } from '../db/conn.js';
+import {
+  connectAuthenticatedWebSocket,
+  connectWebSocket,
+  sendWebSocketRequest,
+} from './utils/utils.js';
+import {
+  collectionLiquidityWallet,
+  collectionOffers,
+  collectionOrders,
+  mockOffer,
+  mockOrder,
+} from './utils/variables.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+import { RPC_ERROR_CODES } from '../utils/websocket-rpc-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+describe('WebSocket JSON-RPC methods', async function () {
+  it('Should fail if the client is not authenticated', async function () {
+    const ws = await connectWebSocket();
+
+    try {
+      chai
+        .expect(await sendWebSocketRequest(ws, 'orders.user', {}))
+        .to.deep.equal({
+          jsonrpc: '2.0',
+          id: 1,
+          error: {
+            code: RPC_ERROR_CODES.UNAUTHENTICATED,
+            message: 'Client is not authenticated',
+          },
+        });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should fail if the method is unknown', async function () {
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      chai
+        .expect(await sendWebSocketRequest(ws, 'myMethod', {}))
+        .to.deep.equal({
+          jsonrpc: '2.0',
+          id: 1,
+          error: {
+            code: RPC_ERROR_CODES.METHOD_NOT_FOUND,
+            message: 'Method not found: myMethod',
+          },
+        });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should answer a malformed message with a parse error', async function () {
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      ws.send('{ "jsonrpc": "2.0", ');
+      chai.expect(JSON.parse(await ws.next())).to.deep.equal({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: RPC_ERROR_CODES.PARSE_ERROR, message: 'Parse error' },
+      });
+      chai
+        .expect(await sendWebSocketRequest(ws, 'myMethod', {}))
+        .to.have.nested.property(
+          'error.code',
+          RPC_ERROR_CODES.METHOD_NOT_FOUND
+        );
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should return the orders of the user', async function () {
+    await collectionOrders.insertOne({
+      ...mockOrder,
+      userId: process.env.USER_ID_TEST,
+    });
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      const response = await sendWebSocketRequest(ws, 'orders.user', {});
+      chai.expect(response.id).to.equal(1);
+      chai.expect(response.result.totalCount).to.equal(1);
+      chai
+        .expect(response.result.orders[0].orderId)
+        .to.equal(mockOrder.orderId);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should run the routes against the production database', async function () {
+    const getInstanceSpy = sinon.spy(Database, 'getInstance');
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      await sendWebSocketRequest(ws, 'orders.user', {});
+      chai
+        .expect(getInstanceSpy.lastCall.args[0].originalUrl)
+        .to.equal('/v2/orders/user');
+    } finally {
+      getInstanceSpy.restore();
+      ws.close();
+    }
+  });
+
+  it('Should return an offer of the user by its id', async function () {
+    await collectionOffers.insertOne({
+      ...mockOffer,
+      userId: process.env.USER_ID_TEST,
+      status: OFFER_STATUS.SUCCESS,
+    });
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      const response = await sendWebSocketRequest(ws, 'offers.get', {
+        offerId: mockOffer.offerId,
+      });
+      chai.expect(response.result).to.deep.include({
+        offerId: mockOffer.offerId,
+        userId: process.env.USER_ID_TEST,
+      });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should return the liquidity wallets of the user', async function () {
+    await collectionLiquidityWallet.insertOne({
+      chainId: mockOffer.chainId,
+      walletAddress: mockOffer.provider,
+      userId: process.env.USER_ID_TEST,
+    });
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      const response = await sendWebSocketRequest(
+        ws,
+        'liquidityWallets.all',
+        {}
+      );
+      chai.expect(response.result).to.have.lengthOf(1);
+      chai.expect(response.result[0].chainId).to.equal(mockOffer.chainId);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should run the sync of the offers of the user', async function () {
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      chai
+        .expect(await sendWebSocketRequest(ws, 'sync.offers', {}))
+        .to.deep.equal({ jsonrpc: '2.0', id: 1, result: [] });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should return the errors of the validators as invalid params', async function () {
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      const { error } = await sendWebSocketRequest(ws, 'offers.get', {});
+      chai.expect(error.code).to.equal(RPC_ERROR_CODES.INVALID_PARAMS);
+      chai.expect(error.message).to.equal('Invalid params');
+      chai.expect(
+        error.data.some(
+          (err) => err.msg === 'must be string value' && err.param === 'offerId'
+        )
+      ).to.be.true;
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should return the 404 of the route as not found', async function () {
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      chai
+        .expect(
+          (
+            await sendWebSocketRequest(ws, 'orders.history', {
+              orderId: 'myOrderId',
+            })
+          ).error
+        )
+        .to.deep.equal({
+          code: RPC_ERROR_CODES.NOT_FOUND,
+          message: 'No order found',
+          data: { msg: 'No order found' },
+        });
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('Should fail if the params are not an object', async function () {
+    const ws = await connectAuthenticatedWebSocket();
+
+    try {
+      chai
+        .expect((await sendWebSocketRequest(ws, 'orders.user', [1])).error)
+        .to.deep.equal({
+          code: RPC_ERROR_CODES.INVALID_PARAMS,
+          message: 'params must be object value',
+        });
+    } finally {
+      ws.close();
+    }
+  });
+});
@@ -0,0 +1,220 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import WebSocket from 'ws';
+import {
+  connectAuthenticatedWebSocket,
+  connectWebSocket,
+  sendWebSocketRequest,
+} from './utils/utils.js';
+import {
+  checkHeartbeats,
+  getLastSeq,
+  getMissedMessages,
+  pruneSessions,
+  recordMessage,
+} from '../utils/websocket-sessions-utils.js';
+import { dispatchWebSocket } from '../utils/websocket-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+describe('WebSocket sessions', async function () {
+  describe('Sequence numbers', async function () {
+    it('Should number the messages of each user', async function () {
+      const first = await recordMessage('mySeqUser', { method: 'myMethod' });
+      const second = await recordMessage('mySeqUser', { method: 'myMethod' });
+      const other = await recordMessage('myOtherSeqUser', {
+        method: 'myMethod',
+      });
+
+      chai.expect(second.seq).to.equal(first.seq + 1);
+      chai.expect(other.seq).to.equal(1);
+      chai.expect(await getLastSeq('mySeqUser')).to.equal(second.seq);
+    });
+
+    it('Should return the messages missed after the last seen one', async function () {
+      for (const i of [1, 2, 3]) {
+        await dispatchWebSocket('myMethod', { userId: 'myMissedUser', i });
+      }
+
+      const missed = await getMissedMessages('myMissedUser', 1);
+      chai.expect(missed.complete).to.be.true;
+      chai
+        .expect(missed.messages.map((message) => message.seq))
+        .to.deep.equal([2, 3]);
+    });
+
+    it('Should not be complete once missed messages are dropped', async function () {
+      process.env.WEBSOCKET_REPLAY_MAX_MESSAGES = '2';
+
+      try {
+        for (const i of [1, 2, 3]) {
+          await dispatchWebSocket('myMethod', { userId: 'myDroppedUser', i });
+        }
+
+        const missed = await getMissedMessages('myDroppedUser', 0);
+        chai.expect(missed.complete).to.be.false;
+        chai
+          .expect(missed.messages.map((message) => message.params.i))
+          .to.deep.equal([2, 3]);
+      } finally {
+        delete process.env.WEBSOCKET_REPLAY_MAX_MESSAGES;
+      }
+    });
+
+    it('Should not be complete if the client saw more messages than the server sent', async function () {
+      chai
+        .expect(await getMissedMessages('myRestartedUser', 10))
+        .to.deep.equal({ messages: [], complete: false });
+    });
+  });
+
+  describe('Eviction', async function () {
+    let clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it('Should drop the session of a user without client once its messages expired', async function () {
+      await dispatchWebSocket('myMethod', { userId: 'myEvictedUser' });
+      clock.tick(60001);
+
+      await pruneSessions([]);
+      chai.expect(await getLastSeq('myEvictedUser')).to.equal(0);
+    });
+
+    it('Should keep the session of a user with messages to replay', async function () {
+      await dispatchWebSocket('myMethod', { userId: 'myRecentUser' });
+
+      await pruneSessions([]);
+      chai.expect(await getLastSeq('myRecentUser')).to.equal(1);
+    });
+
+    it('Should keep the session of a connected user', async function () {
+      await dispatchWebSocket('myMethod', { userId: 'myConnectedUser' });
+      clock.tick(60001);
+
+      await pruneSessions([
+        { userId: 'myConnectedUser', readyState: WebSocket.OPEN },
+      ]);
+      chai.expect(await getLastSeq('myConnectedUser')).to.equal(1);
+    });
+  });
+
+  describe('Resume', async function () {
+    it('Should give the last sequence number on authentication', async function () {
+      await dispatchWebSocket('myMethod', { userId: process.env.USER_ID_TEST });
+      const ws = await connectAuthenticatedWebSocket();
+
+      try {
+        chai.expect(ws.authentication).to.deep.equal({
+          result: 'authenticated',
+          seq: await getLastSeq(process.env.USER_ID_TEST),
+        });
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should replay the messages sent while the client was disconnected', async function () {
+      const lastSeq = await getLastSeq(process.env.USER_ID_TEST);
+      await dispatchWebSocket('myMethod', {
+        userId: process.env.USER_ID_TEST,
+        myField: 'myValue',
+      });
+      const ws = await connectAuthenticatedWebSocket();
+
+      try {
+        ws.send(
+          JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'resume',
+            params: { lastSeq },
+          })
+        );
+
+        chai.expect(JSON.parse(await ws.next())).to.deep.equal({
+          jsonrpc: '2.0',
+          method: 'myMethod',
+          params: { userId: process.env.USER_ID_TEST, myField: 'myValue' },
+          seq: lastSeq + 1,
+        });
+        chai.expect(JSON.parse(await ws.next())).to.deep.equal({
+          jsonrpc: '2.0',
+          id: 1,
+          result: { replayed: 1, seq: lastSeq + 1, complete: true },
+        });
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should fail if the client is not authenticated', async function () {
+      const ws = await connectWebSocket();
+
+      try {
+        chai
+          .expect(await sendWebSocketRequest(ws, 'resume', { lastSeq: 0 }))
+          .to.deep.equal({
+            jsonrpc: '2.0',
+            id: 1,
+            error: { code: -32001, message: 'Client is not authenticated' },
+          });
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should fail if lastSeq is not an integer', async function () {
+      const ws = await connectAuthenticatedWebSocket();
+
+      try {
+        chai
+          .expect(
+            (await sendWebSocketRequest(ws, 'resume', { lastSeq: 'myLastSeq' }))
+              .error
+          )
+          .to.deep.equal({
+            code: -32602,
+            message: 'lastSeq must be a non-negative integer',
+          });
+      } finally {
+        ws.close();
+      }
+    });
+  });
+
+  describe('Heartbeats', async function () {
+    it('Should ping the clients that answered the previous ping', async function () {
+      const client = {
+        isAlive: true,
+        readyState: WebSocket.OPEN,
+        ping: sinon.spy(),
+        terminate: sinon.spy(),
+      };
+
+      chai.expect(checkHeartbeats(new Set([client]))).to.equal(0);
+      chai.expect(client.ping.calledOnce).to.be.true;
+      chai.expect(client.terminate.called).to.be.false;
+      chai.expect(client.isAlive).to.be.false;
+    });
+
+    it('Should terminate the clients that did not answer the previous ping', async function () {
+      const client = {
+        isAlive: false,
+        readyState: WebSocket.OPEN,
+        ping: sinon.spy(),
+        terminate: sinon.spy(),
+      };
+
+      chai.expect(checkHeartbeats(new Set([client]))).to.equal(1);
+      chai.expect(client.terminate.calledOnce).to.be.true;
+      chai.expect(client.ping.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,311 @@
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import sinon from 'sinon';
+import WebSocket from 'ws';
+import app from '../index.js';
+import {
+  connectWebSocket,
+  mockedToken,
+  sendWebSocketRequest,
+} from './utils/utils.js';
+import {
+  collectionOffers,
+  mockOffer,
+  pathOffers_Put,
+  pathWebhooks_Put_Offer,
+  pathWebhooks_Put_Offer_Status,
+} from './utils/variables.js';
+import { OFFER_STATUS } from '../utils/offers-utils.js';
+import {
+  OFFER_BOOK_EVENTS,
+  getOfferBookTopic,
+  deliverTopicEvent,
+  subscribeTopic,
+  unsubscribeAllTopics,
+  unsubscribeTopic,
+} from '../utils/websocket-topics-utils.js';
+
+/* eslint-disable no-unused-expressions */
+
+chai.use(chaiHttp);
+
+const offerBookParams = {
+  topic: 'offers',
+  chainId: mockOffer.chainId,
+  token: mockOffer.token,
+  exchangeChainId: mockOffer.exchangeChainId,
+  exchangeToken: mockOffer.exchangeToken,
+};
+
+/**
+ * This function returns a fake WebSocket client, subscribed to the offer book of the mock offer.
+ */
+function subscribeClient() {
+  const client = { readyState: WebSocket.OPEN, send: sinon.spy() };
+  subscribeTopic(client, getOfferBookTopic(mockOffer));
+  return client;
+}
+
+/**
+ * This function returns the events a fake client received.
+ */
+function getEvents(client) {
+  return client.send.args.map(([data]) => JSON.parse(data).params);
+}
+
+describe('WebSocket topics', async function () {
+  describe('Subscriptions', async function () {
+    it('Should subscribe to the offer book of a pair', async function () {
+      const ws = await connectWebSocket();
+
+      try {
+        chai
+          .expect(await sendWebSocketRequest(ws, 'subscribe', offerBookParams))
+          .to.deep.equal({
+            jsonrpc: '2.0',
+            id: 1,
+            result: { subscription: 'offers:97:BNB:5:ETH' },
+          });
+
+        chai
+          .expect(
+            deliverTopicEvent('offers:97:BNB:5:ETH', 'myEvent', {
+              myField: 'myValue',
+            })
+          )
+          .to.equal(1);
+        chai.expect(JSON.parse(await ws.next())).to.deep.equal({
+          jsonrpc: '2.0',
+          method: 'subscription',
+          params: {
+            subscription: 'offers:97:BNB:5:ETH',
+            event: 'myEvent',
+            data: { myField: 'myValue' },
+          },
+        });
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should unsubscribe from the offer book of a pair', async function () {
+      const ws = await connectWebSocket();
+
+      try {
+        await sendWebSocketRequest(ws, 'subscribe', offerBookParams);
+        chai
+          .expect(
+            await sendWebSocketRequest(ws, 'unsubscribe', offerBookParams)
+          )
+          .to.deep.equal({
+            jsonrpc: '2.0',
+            id: 1,
+            result: { subscription: 'offers:97:BNB:5:ETH', unsubscribed: true },
+          });
+        chai
+          .expect(deliverTopicEvent('offers:97:BNB:5:ETH', 'myEvent', {}))
+          .to.equal(0);
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should fail if the topic is unknown', async function () {
+      const ws = await connectWebSocket();
+
+      try {
+        chai
+          .expect(
+            await sendWebSocketRequest(ws, 'subscribe', { topic: 'myTopic' })
+          )
+          .to.deep.equal({
+            jsonrpc: '2.0',
+            id: 1,
+            error: { code: -32602, message: 'Unknown topic: myTopic' },
+          });
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should fail if a parameter of the pair is missing', async function () {
+      const ws = await connectWebSocket();
+
+      try {
+        const { exchangeToken, ...params } = offerBookParams;
+        chai
+          .expect((await sendWebSocketRequest(ws, 'subscribe', params)).error)
+          .to.deep.equal({
+            code: -32602,
+            message: 'exchangeToken must be string value',
+          });
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should not close the connection of a client that only subscribes', async function () {
+      this.timeout(10000);
+      const ws = await connectWebSocket();
+
+      try {
+        await sendWebSocketRequest(ws, 'subscribe', offerBookParams);
+        await new Promise((resolve) => setTimeout(resolve, 5500));
+        chai.expect(ws.readyState).to.equal(WebSocket.OPEN);
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('Should close an unauthenticated client once it is idle', async function () {
+      const idleTimeout = process.env.WEBSOCKET_IDLE_TIMEOUT;
+      process.env.WEBSOCKET_IDLE_TIMEOUT = '500';
+      const ws = await connectWebSocket();
+
+      try {
+        await sendWebSocketRequest(ws, 'subscribe', offerBookParams);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        chai.expect(ws.readyState).to.equal(WebSocket.CLOSED);
+      } finally {
+        if (idleTimeout === undefined) {
+          delete process.env.WEBSOCKET_IDLE_TIMEOUT;
+        } else {
+          process.env.WEBSOCKET_IDLE_TIMEOUT = idleTimeout;
+        }
+        ws.close();
+      }
+    });
+
+    it('Should drop the subscriptions of a client', async function () {
+      const client = subscribeClient();
+      unsubscribeAllTopics(client);
+
+      chai
+        .expect(deliverTopicEvent(getOfferBookTopic(mockOffer), 'myEvent', {}))
+        .to.equal(0);
+      chai.expect(client.send.called).to.be.false;
+    });
+  });
+
+  describe('Offer book', async function () {
+    it('Should send the offers added to the book', async function () {
+      const { offerId, ...pendingOffer } = mockOffer;
+      await collectionOffers.insertOne({
+        ...pendingOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.PENDING,
+        isActive: true,
+      });
+      const client = subscribeClient();
+
+      try {
+        const res = await chai.request(app).put(pathWebhooks_Put_Offer).send({
+          _offerId: offerId,
+          _token: mockOffer.tokenAddress,
+          _chainId: mockOffer.chainId,
+          _grinderyChainId: mockOffer.exchangeChainId,
+          _grinderyTransactionHash: mockOffer.hash,
+          apiKey: process.env.API_KEY,
+        });
+        chai.expect(res).to.have.status(200);
+      } finally {
+        unsubscribeTopic(client, getOfferBookTopic(mockOffer));
+      }
+
+      const events = getEvents(client);
+      chai.expect(events).to.have.lengthOf(1);
+      chai
+        .expect(events[0].subscription)
+        .to.equal(getOfferBookTopic(mockOffer));
+      chai.expect(events[0].event).to.equal(OFFER_BOOK_EVENTS.ADDED);
+      chai.expect(events[0].data).to.deep.include({
+        offerId,
+        status: OFFER_STATUS.SUCCESS,
+        isActive: true,
+      });
+      chai.expect(events[0].data).to.not.have.property('statusHistory');
+    });
+
+    it('Should send the activation changes of the offers of the book', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.SUCCESS,
+        isActive: true,
+      });
+      const client = subscribeClient();
+
+      try {
+        const res = await chai
+          .request(app)
+          .put(pathWebhooks_Put_Offer_Status)
+          .send({
+            _grinderyChainId: mockOffer.exchangeChainId,
+            _grinderyTransactionHash: 'myActivationHash',
+            _offerId: mockOffer.offerId,
+            _isActive: 'false',
+            apiKey: process.env.API_KEY,
+          });
+        chai.expect(res).to.have.status(200);
+      } finally {
+        unsubscribeTopic(client, getOfferBookTopic(mockOffer));
+      }
+
+      const events = getEvents(client);
+      chai.expect(events).to.have.lengthOf(1);
+      chai.expect(events[0].event).to.equal(OFFER_BOOK_EVENTS.DEACTIVATED);
+      chai.expect(events[0].data).to.deep.include({
+        offerId: mockOffer.offerId,
+        isActive: false,
+      });
+    });
+
+    it('Should send the offers removed from the book', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.SUCCESS,
+        isActive: true,
+      });
+      const client = subscribeClient();
+
+      try {
+        const res = await chai
+          .request(app)
+          .delete(pathOffers_Put + mockOffer.offerId)
+          .set('Authorization', `Bearer ${mockedToken}`);
+        chai.expect(res).to.have.status(200);
+      } finally {
+        unsubscribeTopic(client, getOfferBookTopic(mockOffer));
+      }
+
+      const events = getEvents(client);
+      chai.expect(events).to.have.lengthOf(1);
+      chai.expect(events[0].event).to.equal(OFFER_BOOK_EVENTS.REMOVED);
+      chai.expect(events[0].data.offerId).to.equal(mockOffer.offerId);
+    });
+
+    it('Should not send the changes of other pairs', async function () {
+      await collectionOffers.insertOne({
+        ...mockOffer,
+        exchangeToken: 'USDC',
+        userId: process.env.USER_ID_TEST,
+        status: OFFER_STATUS.SUCCESS,
+        isActive: true,
+      });
+      const client = subscribeClient();
+
+      try {
+        const res = await chai
+          .request(app)
+          .delete(pathOffers_Put + mockOffer.offerId)
+          .set('Authorization', `Bearer ${mockedToken}`);
+        chai.expect(res).to.have.status(200);
+      } finally {
+        unsubscribeTopic(client, getOfferBookTopic(mockOffer));
+      }
+
+      chai.expect(client.send.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import axios from 'axios';
+import { createRequire } from 'node:module';
+const require = createRequire(import.meta.url);
+
+const PUBLISHED_ABIS_URL =
+  'https://raw.githubusercontent.com/grindery-io/Depay-Reality/main/abis';
+const DEFAULT_ABI_FETCH_TIMEOUT = 10000;
+
+export const ABI_CONTRACTS = {
+  POOL: 'GrtPool',
+  LIQUIDITY_WALLET: 'GrtLiquidityWallet',
+  TOKEN: 'ERC20',
+};
+
+/* ABIs shipped with the API, keyed by contract name and version. Uploaded versions are stored in the
+`abis` collection and can only add new versions, never replace these ones. */
+export const BUNDLED_ABIS = {
+  [ABI_CONTRACTS.TOKEN]: { 1: require('../abis/erc20.json') },
+};
+
+/* ABIs published with the contracts, keyed by contract name and version. They are downloaded the first
+time they are needed and then kept in the `abis` collection with the `published` source. */
+export const PUBLISHED_ABIS = {
+  [ABI_CONTRACTS.POOL]: { 2: `${PUBLISHED_ABIS_URL}/GrtPoolV2.json` },
+  [ABI_CONTRACTS.LIQUIDITY_WALLET]: {
+    2: `${PUBLISHED_ABIS_URL}/GrtLiquidityWalletV2.json`,
+  },
+};
+
+/* This error is thrown when the ABI of a contract version is not registered (`status` 404) or when its
+published ABI cannot be downloaded (`status` 502). Routes answer it with its `status`. */
+export class AbiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AbiError';
+    this.status = status;
+  }
+}
+
+/**
+ * This function returns the most recent version of a contract shipped or published with the API.
+ * @param contract - The contract name, e.g. `GrtPool`.
+ * @returns The latest version number, or `undefined` if the contract is neither shipped nor published.
+ */
+export function getLatestBundledVersion(contract) {
+  const versions = Object.keys({
+    ...BUNDLED_ABIS[contract],
+    ...PUBLISHED_ABIS[contract],
+  }).map(Number);
+  return versions.length ? Math.max(...versions) : undefined;
+}
+
+/**
+ * This function returns the version of a contract deployed on a chain. The version is read from the
+ * keys of the chain `usefulAddresses` named `<contract>V<version>` (e.g. `GrtPoolV2`); when several
+ * versions are listed the most recent one is used, and when none is listed the latest shipped or
+ * published version is assumed.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @param contract - The contract name, e.g. `GrtPool`.
+ * @returns The version number of the contract on this chain.
+ */
+export function getContractVersion(chain, contract) {
+  const versions = Object.keys(chain?.usefulAddresses ?? {})
+    .map((key) => key.match(new RegExp(`^${contract}V(\\d+)$`)))
+    .filter((match) => match !== null)
+    .map((match) => Number(match[1]));
+
+  return versions.length
+    ? Math.max(...versions)
+    : getLatestBundledVersion(contract);
+}
+
+/**
+ * This function returns the address of a contract deployed on a chain, as registered in its
+ * `usefulAddresses` under the `<contract>V<version>` key.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @param contract - The contract name, e.g. `GrtPool`.
+ * @returns The contract address, or `undefined` if it is not registered on this chain.
+ */
+export function getContractAddress(chain, contract) {
+  return chain?.usefulAddresses?.[
+    `${contract}V${getContractVersion(chain, contract)}`
+  ];
+}
+
+/**
+ * This function downloads a published ABI.
+ * @param url - The URL of the ABI file.
+ * @returns The ABI as an array of fragments.
+ * @throws If the download fails or the file is not an ABI.
+ */
+async function fetchPublishedAbi(url) {
+  const { data } = await axios.get(url, {
+    timeout:
+      parseInt(process.env.ABI_FETCH_TIMEOUT) || DEFAULT_ABI_FETCH_TIMEOUT,
+  });
+  if (!Array.isArray(data)) throw new Error(`${url} is not an ABI`);
+  return data;
+}
+
+/**
+ * This function retrieves the ABI of a given contract version, from the bundled ABIs first, then from
+ * the `abis` collection, which holds the uploaded ABIs and the published ones already downloaded, and
+ * last from the published ABIs.
+ * @param db - The database object used to interact with the database.
+ * @param contract - The contract name, e.g. `GrtPool`.
+ * @param version - The contract version number.
+ * @returns The ABI as an array of fragments.
+ * @throws {AbiError} If no ABI is registered for this contract version, or if its published ABI cannot
+ * be downloaded.
+ */
+export async function getAbi(db, contract, version) {
+  const bundledAbi = BUNDLED_ABIS[contract]?.[version];
+  if (bundledAbi) return bundledAbi;
+
+  const collection = db.collection('abis');
+  const storedAbi = await collection.findOne({
+    contract,
+    version: Number(version),
+  });
+  if (storedAbi) return storedAbi.abi;
+
+  const url = PUBLISHED_ABIS[contract]?.[version];
+  if (!url) {
+    throw new AbiError(`No ABI found for ${contract} v${version}`, 404);
+  }
+
+  let abi;
+  try {
+    abi = await utils_abis.fetchPublishedAbi(url);
+  } catch (e) {
+    console.log('[abis] - Unable to download', url, '- error:', e.message);
+    throw new AbiError(
+      `The published ABI of ${contract} v${version} is unavailable`,
+      502
+    );
+  }
+
+  await collection.updateOne(
+    { contract, version: Number(version) },
+    { $setOnInsert: { abi, source: 'published', date: new Date() } },
+    { upsert: true }
+  );
+  return abi;
+}
+
+/**
+ * This function returns the ABIs of the contracts used by the API on a given chain, in the versions
+ * selected by the chain `usefulAddresses`.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @returns An object with the `poolAbi`, `tokenAbi` and `liquidityWalletAbi` of the chain.
+ */
+export async function getAbis(db, chain) {
+  const [poolAbi, tokenAbi, liquidityWalletAbi] = await Promise.all(
+    [
+      ABI_CONTRACTS.POOL,
+      ABI_CONTRACTS.TOKEN,
+      ABI_CONTRACTS.LIQUIDITY_WALLET,
+    ].map((contract) =>
+      getAbi(db, contract, getContractVersion(chain, contract))
+    )
+  );
+
+  return { poolAbi, tokenAbi, liquidityWalletAbi };
+}
+
+export const utils_abis = { fetchPublishedAbi };
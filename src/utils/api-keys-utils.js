@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+
+export const API_KEY_SCOPES = {
+  WEBHOOKS_WRITE: 'webhooks:write', // send chain events to the webhook routes
+  SYNC_RUN: 'sync:run', // run the on-chain sweeps over every offer and order
+};
+
+const API_KEY_PREFIX = 'dlk_';
+const SIGNING_SECRET_PREFIX = 'whsec_';
+
+// Stands for the `API_KEY` environment variable where a key document is expected.
+export const LEGACY_API_KEY = { name: 'API_KEY', legacy: true };
+
+/**
+ * This function hashes an API key. Only hashes are stored, so a leaked database does not leak keys.
+ * @param key - The API key in clear.
+ * @returns The SHA-256 hash of the key, hex encoded.
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * This function compares an API key with the `API_KEY` environment variable in constant time, by
+ * comparing their hashes, so the response time does not tell how much of the key matched.
+ * @param key - The API key in clear.
+ * @returns `true` if `API_KEY` is set and equal to the key.
+ */
+function isLegacyApiKey(key) {
+  if (!process.env.API_KEY) return false;
+
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(process.env.API_KEY), 'hex')
+  );
+}
+
+/**
+ * This function generates a new random API key.
+ * @returns An object with the `key` in clear, to hand over once, its `hash` to store and its `prefix`
+ * to recognize it in listings.
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    hash: hashApiKey(key),
+    prefix: key.substring(0, API_KEY_PREFIX.length + 8),
+  };
+}
+
+/**
+ * This function generates a secret for an integration to sign its webhooks with. Unlike API keys, it
+ * is stored in clear, as the API needs it to compute the expected signatures.
+ * @returns The signing secret.
+ */
+export function generateSigningSecret() {
+  return `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * This function reads the API key of a request, from the `X-Api-Key` header, an `Authorization:
+ * ApiKey <key>` header or, for older integrations, the `apiKey` field of the body.
+ * @param req - The Express request.
+ * @returns The API key, or `undefined` if the request carries none.
+ */
+export function getRequestApiKey(req) {
+  const authHeader = req.headers.authorization;
+
+  return (
+    req.headers['x-api-key'] ||
+    (authHeader?.startsWith('ApiKey ') ? authHeader.substring(7) : undefined) ||
+    req.body?.apiKey
+  );
+}
+
+/**
+ * This function looks up an API key and checks that it is usable for a scope. The `API_KEY`
+ * environment variable remains accepted for every scope until the integrations moved to stored keys.
+ * @param db - The database object used to interact with the database.
+ * @param key - The API key in clear.
+ * @param scope - The required scope, from `API_KEY_SCOPES`.
+ * @returns An object with either the `apiKey` document (`LEGACY_API_KEY` for the environment key), or
+ * the `status` and `msg` of the `error` if the key cannot be used.
+ */
+export async function checkApiKey(db, key, scope) {
+  if (isLegacyApiKey(key)) {
+    return { apiKey: LEGACY_API_KEY };
+  }
+
+  const collection = db.collection('api-keys');
+  const apiKey = await collection.findOne({
+    hash: hashApiKey(key),
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    return { error: { status: 401, msg: 'Invalid API key' } };
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { error: { status: 401, msg: 'Expired API key' } };
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    return { error: { status: 403, msg: `Missing scope: ${scope}` } };
+  }
+
+  await collection.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date() } }
+  );
+  return { apiKey };
+}
+
+/**
+ * This function formats an API key document for the API, without its hash and signing secret.
+ * @param apiKey - The API key document, as stored in the `api-keys` collection.
+ * @returns The formatted API key.
+ */
+export function formatApiKey({ hash, signingSecret, ...apiKey }) {
+  return apiKey;
+}
@@ -1,7 +1,25 @@
 import axios from 'axios';
-import jwt_decode from 'jwt-decode';
+import { Database } from '../db/conn.js';
+import jwt from 'jsonwebtoken';
+import {
+  isLocalVerificationConfigured,
+  KeySourceError,
+  verifyToken,
+} from './jwks-utils.js';
+import {
+  adminFilter,
+  getAdminRoles,
+  getRolePermissions,
+} from './roles-utils.js';
+import { checkApiKey, getRequestApiKey } from './api-keys-utils.js';
 
-export const checkToken = async (token, workspaceKey) => {
+/**
+ * This function checks a token with the orchestrator, which rejects invalid or expired tokens.
+ * @param token - The JWT.
+ * @param workspaceKey - The optional workspace of the user.
+ * @returns The payload of the token, decoded once the orchestrator accepted it.
+ */
+async function checkTokenRemotely(token, workspaceKey) {
   try {
     await axios.post(
       'https://orchestrator.grindery.org',
@@ -26,6 +44,40 @@ export const checkToken = async (token, workspaceKey) => {
         'Invalid token'
     );
   }
+
+  const payload = jwt.decode(token);
+  if (!payload || typeof payload !== 'object') throw new Error('Invalid token');
+  return payload;
+}
+
+export const utils_auth = { checkTokenRemotely };
+
+/**
+ * This function verifies a token locally against the configured JWKS or public key. When no key source
+ * is configured, the token is checked with the orchestrator, as before local verification existed. The
+ * orchestrator is also called when `AUTH_REMOTE_FALLBACK` is enabled and the configured key source is
+ * unavailable; a token that fails the local verification is rejected.
+ * @param token - The JWT.
+ * @param workspaceKey - The optional workspace of the user, for the remote check.
+ * @returns The verified payload of the token.
+ */
+export const checkToken = async (token, workspaceKey) => {
+  if (!isLocalVerificationConfigured()) {
+    return await utils_auth.checkTokenRemotely(token, workspaceKey);
+  }
+
+  try {
+    return await verifyToken(token);
+  } catch (err) {
+    if (
+      process.env.AUTH_REMOTE_FALLBACK === 'true' &&
+      err instanceof KeySourceError
+    ) {
+      console.log('[auth] - Falling back to remote token check:', err.message);
+      return await utils_auth.checkTokenRemotely(token, workspaceKey);
+    }
+    throw err;
+  }
 };
 
 export const isRequired = async (req, res, next) => {
@@ -39,8 +91,9 @@ export const isRequired = async (req, res, next) => {
   }
 
   const token = authHeader.substring(7, authHeader.length);
+  let user;
   try {
-    await checkToken(token);
+    user = await checkToken(token);
   } catch (err) {
     return res.status(401).json({
       message:
@@ -51,30 +104,98 @@ export const isRequired = async (req, res, next) => {
         err.message,
     });
   }
-  const user = jwt_decode(token);
   res.locals.userId = user.sub;
   res.locals.workspaceId = user.workspace;
 
   next();
 };
 
-export const authenticateApiKey = (req, res, next) => {
-  const apiKey = req.body.apiKey;
-  if (!apiKey) {
+/**
+ * This function builds a middleware letting through the requests carrying an API key with the given
+ * scope. Keys are read from the `X-Api-Key` header, an `Authorization: ApiKey <key>` header or the
+ * `apiKey` field of the body. The key document is kept in `res.locals.apiKey`.
+ * @param scope - The required scope, from `API_KEY_SCOPES`.
+ * @returns The Express middleware.
+ */
+export const authenticateApiKey = (scope) => async (req, res, next) => {
+  const key = getRequestApiKey(req);
+  if (!key) {
     return res.status(401).send({
       msg: 'Missing API key',
     });
   }
-  if (apiKey !== process.env.API_KEY) {
+  // The body key is client controlled and could be any JSON value, which cannot be hashed.
+  if (typeof key !== 'string') {
     return res.status(401).send({
       msg: 'Invalid API key',
     });
   }
+
+  const { apiKey, error } = await checkApiKey(
+    await Database.getInstance(req),
+    key,
+    scope
+  );
+  if (error) {
+    return res.status(error.status).send({ msg: error.msg });
+  }
+
+  res.locals.apiKey = apiKey;
   next();
 };
 
 export const isAdmin = async (db, userId) => {
-  return await db.collection('admins').findOne({
-    userId: { $regex: userId, $options: 'i' },
-  });
+  return await db.collection('admins').findOne(adminFilter(userId));
 };
+
+/**
+ * This function builds a middleware letting through the admins whose roles grant at least one of the
+ * given permissions. It must run after `isRequired`. Users who are not admins get a 404, like before
+ * roles existed, and admins without the permission get a 403.
+ * @param permissions - The accepted permissions, from `PERMISSIONS`.
+ * @returns The Express middleware.
+ */
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    const db = await Database.getInstance(req);
+    const admin = await isAdmin(db, res.locals.userId);
+
+    if (!admin) {
+      return res.status(404).send({
+        msg: 'User is not admin',
+      });
+    }
+
+    const granted = getRolePermissions(getAdminRoles(admin));
+    if (!permissions.some((permission) => granted.includes(permission))) {
+      return res.status(403).send({
+        msg: `Missing permission: ${permissions.join(' or ')}`,
+      });
+    }
+
+    res.locals.admin = admin;
+    next();
+  };
+
+/**
+ * This function builds a middleware for the routes run both by automations, with an API key, and by
+ * admins, with their token. A request carrying a bearer token and no API key is authenticated as an
+ * admin holding the permission; any other request must carry an API key with the scope.
+ * @param scope - The scope required from API keys, from `API_KEY_SCOPES`.
+ * @param permission - The permission required from admins, from `PERMISSIONS`.
+ * @returns The Express middleware.
+ */
+export const authenticateApiKeyOrPermission =
+  (scope, permission) => async (req, res, next) => {
+    if (
+      getRequestApiKey(req) !== undefined ||
+      !req.headers.authorization?.startsWith('Bearer ')
+    ) {
+      return await authenticateApiKey(scope)(req, res, next);
+    }
+
+    await isRequired(req, res, () =>
+      requirePermission(permission)(req, res, next)
+    );
+  };
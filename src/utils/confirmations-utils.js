@@ -0,0 +1,254 @@
+import { getProviderFromRpc } from './view-blockchains-utils.js';
+import { RpcUnavailableError, rankRpcs } from './rpc-pool-utils.js';
+import { sendNotification } from './notification-utils.js';
+import { transitionOrder } from './orders-utils.js';
+import { transitionOffer } from './offers-utils.js';
+import { TRANSITION_SOURCES } from './lifecycle-utils.js';
+
+export const CONFIRMING_STATUS = 'confirming';
+
+const DEFAULT_CONFIRMATION_TIMEOUT = 3600;
+
+/**
+ * This function returns the number of confirmations a transaction needs on a chain before the status
+ * transition it triggers is applied. A receipt counts as one confirmation, so `0` and `1` both mean
+ * that transitions are applied as soon as the receipt is available.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @returns The required number of confirmations.
+ */
+export function getRequiredConfirmations(chain) {
+  return parseInt(chain?.confirmations) || 0;
+}
+
+/**
+ * This function returns how many RPCs of a chain must miss a receipt before the transaction is
+ * considered not mined: `RPC_RECEIPT_QUORUM` if set, a majority of the RPCs otherwise, and never more
+ * than the number of RPCs.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @returns The quorum.
+ */
+function getReceiptQuorum(rpcs) {
+  return Math.min(
+    parseInt(process.env.RPC_RECEIPT_QUORUM) || Math.floor(rpcs.length / 2) + 1,
+    rpcs.length
+  );
+}
+
+/**
+ * This function retrieves the block in which a transaction was mined and how many confirmations it
+ * has, trying the RPCs of the chain until one of them returns the receipt. A lagging or pruned RPC may
+ * not know the transaction, so it is only considered not mined once a quorum of RPCs has no receipt.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @param hash - The transaction hash.
+ * @returns An object with the `blockNumber`, `blockHash` and `confirmations` of the transaction, or
+ * `null` if the transaction is not mined (anymore).
+ * @throws {RpcUnavailableError} If too few RPCs of the chain answered to conclude.
+ */
+export async function getReceiptInfo(rpcs, hash) {
+  const quorum = getReceiptQuorum(rpcs);
+  let missing = 0;
+
+  for (const rpc of rankRpcs(rpcs)) {
+    try {
+      const provider = getProviderFromRpc(rpc);
+      const txReceipt = await provider.getTransactionReceipt(hash);
+
+      if (txReceipt === null) {
+        if (++missing >= quorum) return null;
+        continue;
+      }
+
+      return {
+        blockNumber: txReceipt.blockNumber,
+        blockHash: txReceipt.blockHash,
+        confirmations:
+          (await provider.getBlockNumber()) - txReceipt.blockNumber + 1,
+      };
+    } catch (e) {
+      console.log('RPC connection error - ', e);
+    }
+  }
+
+  throw new RpcUnavailableError(
+    missing
+      ? `Only ${missing} RPC(s) out of the ${quorum} required have no receipt for ${hash}`
+      : 'No RPC available'
+  );
+}
+
+/**
+ * This function builds the date before which a document entered the `confirming` status too long ago:
+ * after the `confirmationTimeout` of the chain (in seconds, 1 hour by default), its pending transition
+ * is given up.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @returns The deadline.
+ */
+function getConfirmationDeadline(chain) {
+  return new Date(
+    Date.now() -
+      (parseInt(chain?.confirmationTimeout) || DEFAULT_CONFIRMATION_TIMEOUT) *
+        1000
+  );
+}
+
+/**
+ * This function holds back a status transition until the transaction that triggered it has the
+ * number of confirmations required by the chain. When the transaction is not deep enough yet, the
+ * returned update puts the document in the `confirming` status and stores the pending transition so
+ * that `recheckConfirming` can apply or revert it later.
+ * @param chain - The blockchain document on which the transaction was sent.
+ * @param previousStatus - The status of the document before the transition, restored if the
+ * transaction is reorged out.
+ * @param hash - The hash of the transaction triggering the transition.
+ * @param update - The fields to set once the transaction is confirmed.
+ * @param notifications - The notifications (`{ method, params }`) to send once the transaction is
+ * confirmed.
+ * @returns The fields to set on the document right now.
+ * @throws {RpcUnavailableError} If the receipt of the transaction cannot be checked.
+ */
+export async function withConfirmations(
+  chain,
+  previousStatus,
+  hash,
+  update,
+  notifications = []
+) {
+  const required = getRequiredConfirmations(chain);
+  if (required <= 1) return update;
+
+  const receiptInfo = await utils_confirmations.getReceiptInfo(chain.rpc, hash);
+  if (receiptInfo && receiptInfo.confirmations >= required) return update;
+
+  return {
+    status: CONFIRMING_STATUS,
+    confirmation: {
+      chainId: chain.chainId,
+      hash,
+      blockNumber: receiptInfo?.blockNumber ?? null,
+      blockHash: receiptInfo?.blockHash ?? null,
+      previousStatus,
+      update,
+      notifications,
+      date: new Date(),
+    },
+  };
+}
+
+/**
+ * This function applies the outcome of a confirmation check to a document and removes its pending
+ * transition. The transition goes through the lifecycle of the document so that it is validated and
+ * recorded.
+ * @param db - The database object used to interact with the database.
+ * @param collectionName - The name of the collection of the document, `offers` or `orders`.
+ * @param doc - The document waiting for confirmations.
+ * @param update - The fields to set, including the new `status`.
+ * @param reason - Why the pending transition is applied (`confirmed`) or reverted (`reorg` or
+ * `timeout`).
+ * @returns The MongoDB update result.
+ */
+async function applyConfirmation(db, collectionName, doc, update, reason) {
+  return await (collectionName === 'orders'
+    ? transitionOrder
+    : transitionOffer)(
+    db,
+    doc,
+    update,
+    { source: TRANSITION_SOURCES.SYNC, reason },
+    { $unset: { confirmation: '' } }
+  );
+}
+
+/**
+ * This function re-checks the documents of a collection waiting for confirmations. A document is
+ * reverted to its previous status if its transaction disappeared or moved to another block, or if it
+ * has been waiting longer than the `confirmationTimeout` of the chain, and the pending transition is
+ * applied once the transaction reached the required depth.
+ * @param db - The database object used to interact with the database.
+ * @param collectionName - The name of the collection to re-check, `offers` or `orders`.
+ * @returns An object with the number of `confirmed` and `reverted` documents.
+ */
+export async function recheckConfirming(db, collectionName) {
+  const collection = db.collection(collectionName);
+  const result = { confirmed: 0, reverted: 0 };
+
+  for (const doc of await collection
+    .find({ status: CONFIRMING_STATUS })
+    .toArray()) {
+    try {
+      const { confirmation } = doc;
+      const chain = await db
+        .collection('blockchains')
+        .findOne({ chainId: confirmation.chainId });
+      const receiptInfo = await utils_confirmations.getReceiptInfo(
+        chain.rpc,
+        confirmation.hash
+      );
+
+      if (
+        confirmation.blockHash !== null &&
+        receiptInfo?.blockHash !== confirmation.blockHash
+      ) {
+        await applyConfirmation(
+          db,
+          collectionName,
+          doc,
+          { status: confirmation.previousStatus },
+          'reorg'
+        );
+        result.reverted++;
+      } else if (
+        receiptInfo &&
+        receiptInfo.confirmations >= getRequiredConfirmations(chain)
+      ) {
+        const response = await applyConfirmation(
+          db,
+          collectionName,
+          doc,
+          confirmation.update,
+          'confirmed'
+        );
+        if (response.modifiedCount > 0) {
+          await Promise.all(
+            confirmation.notifications.map(({ method, params }) =>
+              sendNotification(method, params)
+            )
+          );
+        }
+        result.confirmed++;
+      } else if (
+        confirmation.date &&
+        confirmation.date < getConfirmationDeadline(chain)
+      ) {
+        await applyConfirmation(
+          db,
+          collectionName,
+          doc,
+          { status: confirmation.previousStatus },
+          'timeout'
+        );
+        result.reverted++;
+      } else if (receiptInfo && confirmation.blockHash === null) {
+        await collection.updateOne(
+          { _id: doc._id, status: CONFIRMING_STATUS },
+          {
+            $set: {
+              'confirmation.blockNumber': receiptInfo.blockNumber,
+              'confirmation.blockHash': receiptInfo.blockHash,
+            },
+          }
+        );
+      }
+    } catch (e) {
+      console.log(
+        `[recheck-confirming] - ${collectionName} MongoDB Id:`,
+        doc._id.toString(),
+        '- error:',
+        e
+      );
+    }
+  }
+
+  return result;
+}
+
+export const utils_confirmations = { getReceiptInfo };
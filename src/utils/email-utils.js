@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+const DEFAULT_SMTP_PORT = 587;
+const DEFAULT_SMTP_TIMEOUT_MS = 10000;
+const DEFAULT_EMAIL_FROM = 'no-reply@localhost';
+// Environments where emails may be printed instead of sent.
+const LOG_TRANSPORT_ENVS = ['development', 'test'];
+
+/**
+ * This function reads the email settings from the environment.
+ * @returns An object with the `transport` name, the SMTP `host`, `port`, `secure` flag (TLS from the
+ * first byte rather than STARTTLS), `user`, `password` and `timeoutMs`, and the `from` address.
+ */
+function getEmailConfig() {
+  return {
+    transport:
+      process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log'),
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || DEFAULT_SMTP_PORT,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    timeoutMs: parseInt(process.env.SMTP_TIMEOUT) || DEFAULT_SMTP_TIMEOUT_MS,
+    from: process.env.EMAIL_FROM || DEFAULT_EMAIL_FROM,
+  };
+}
+
+/**
+ * This function encodes a text in base64, in lines of 76 characters as MIME requires.
+ * @param text - The text to encode.
+ * @returns The encoded text.
+ */
+function encodeBase64Lines(text) {
+  return Buffer.from(text, 'utf8')
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * This function builds the MIME source of an email with a text and an HTML alternative.
+ * @param from - The sender address.
+ * @param message - The email: `to`, `subject`, `text` and `html`.
+ * @returns The source of the email, with CRLF line endings.
+ */
+function buildMimeMessage(from, message) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+  return [
+    `From: ${from}`,
+    `To: ${message.to}`,
+    `Subject: =?UTF-8?B?${Buffer.from(message.subject, 'utf8').toString(
+      'base64'
+    )}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${from.split('@').pop()}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    ...[
+      ['text/plain', message.text],
+      ['text/html', message.html],
+    ].flatMap(([type, content]) => [
+      `--${boundary}`,
+      `Content-Type: ${type}; charset=UTF-8`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBase64Lines(content),
+    ]),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * This function reads the replies of an SMTP server on a socket. A reply can span several lines, all
+ * but the last one having a `-` after the code.
+ * @param socket - The socket connected to the server.
+ * @param timeoutMs - The delay after which an idle connection is closed.
+ * @returns An object with `command`, which sends a command and checks the code of its reply, `read`,
+ * which waits for the next reply, and `detach`, which stops reading, before a STARTTLS upgrade.
+ */
+function createSmtpSession(socket, timeoutMs) {
+  const replies = [];
+  const waiting = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = {
+          code: parseInt(line.slice(0, 3)),
+          text: lines.join('\n'),
+        };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onFailure = (e) => {
+    failure = e || new Error('SMTP connection closed');
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  const onTimeout = () => socket.destroy(new Error('SMTP timeout'));
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure());
+  socket.setTimeout(timeoutMs, onTimeout);
+
+  const read = () => {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+
+  return {
+    read,
+    command: async (line, codes) => {
+      socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!codes.includes(reply.code)) {
+        throw new Error(`SMTP error: ${reply.text}`);
+      }
+      return reply;
+    },
+    detach: () => {
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+      socket.setTimeout(0);
+    },
+  };
+}
+
+/**
+ * This function opens a connection to the SMTP server.
+ * @param config - The email settings, see `getEmailConfig`.
+ * @returns The connected socket.
+ */
+function connectSmtp(config) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port }, () =>
+          resolve(socket)
+        )
+      : net.connect({ host: config.host, port: config.port }, () =>
+          resolve(socket)
+        );
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * This function upgrades a plain SMTP connection to TLS, after a STARTTLS command.
+ * @param socket - The plain socket.
+ * @param config - The email settings, see `getEmailConfig`.
+ * @returns The TLS socket.
+ */
+function upgradeSmtp(socket, config) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: config.host }, () =>
+      resolve(secureSocket)
+    );
+    secureSocket.once('error', reject);
+  });
+}
+
+/**
+ * This function sends an email to an SMTP server. The connection is upgraded with STARTTLS when the
+ * server offers it, and authenticated with `AUTH PLAIN` when a user is configured.
+ * @param message - The email: `to`, `subject`, `text` and `html`.
+ * @throws {Error} If the server cannot be reached or rejects a command.
+ */
+async function sendSmtpMail(message) {
+  const config = getEmailConfig();
+  let socket = await connectSmtp(config);
+
+  try {
+    let session = createSmtpSession(socket, config.timeoutMs);
+    const greeting = await session.read();
+    if (greeting.code !== 220) throw new Error(`SMTP error: ${greeting.text}`);
+
+    const ehlo = await session.command(`EHLO ${os.hostname()}`, [250]);
+    if (!config.secure && /^250[ -]STARTTLS/im.test(ehlo.text)) {
+      await session.command('STARTTLS', [220]);
+      session.detach();
+      socket = await upgradeSmtp(socket, config);
+      session = createSmtpSession(socket, config.timeoutMs);
+      await session.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (config.user) {
+      await session.command(
+        `AUTH PLAIN ${Buffer.from(
+          `\0${config.user}\0${config.password}`
+        ).toString('base64')}`,
+        [235]
+      );
+    }
+
+    await session.command(`MAIL FROM:<${config.from}>`, [250]);
+    await session.command(`RCPT TO:<${message.to}>`, [250, 251]);
+    await session.command('DATA', [354]);
+    await session.command(
+      `${buildMimeMessage(config.from, message).replace(/^\./gm, '..')}.`,
+      [250]
+    );
+    await session.command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+/**
+ * This function prints the recipient and subject of an email instead of sending it, for development
+ * environments without SMTP server. The content is left out, as it can hold verification codes.
+ * @param message - The email: `to`, `subject`, `text` and `html`.
+ * @throws {Error} If `NODE_ENV` is not `development` or `test`.
+ */
+async function logMail(message) {
+  if (!LOG_TRANSPORT_ENVS.includes(process.env.NODE_ENV)) {
+    throw new Error('The log email transport is only available in development');
+  }
+  console.log('[email] - To:', message.to, '- subject:', message.subject);
+}
+
+/* Email transports, selected with the `EMAIL_TRANSPORT` environment variable. Each one takes an email
+with `to`, `subject`, `text` and `html`, and throws if it cannot be sent. */
+export const EMAIL_TRANSPORTS = {
+  smtp: sendSmtpMail,
+  log: logMail,
+};
+
+/**
+ * This function sends an email with the configured transport.
+ * @param message - The email: `to`, `subject`, `text` and `html`.
+ * @throws {Error} If the transport is unknown or fails.
+ */
+async function sendMail(message) {
+  const { transport } = getEmailConfig();
+  if (!EMAIL_TRANSPORTS[transport]) {
+    throw new Error(`Unknown email transport: ${transport}`);
+  }
+  await EMAIL_TRANSPORTS[transport](message);
+}
+
+export const utils_email = { sendMail };
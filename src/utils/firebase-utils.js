@@ -1,42 +1,63 @@
 import admin from 'firebase-admin';
-import fcm from 'fcm-notification';
 import { Database } from '../db/conn.js';
+import { buildNotificationMessage } from './notification-messages-utils.js';
 
-export const dispatchFirebase = async (method, params, req) => {
+// FCM error codes meaning that a token will never be valid again, e.g. the app was uninstalled.
+const UNREGISTERED_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+/**
+ * This function sends a notification to every registered device of a user, and forgets the tokens FCM
+ * reports as unregistered.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @param params - The notification parameters: `type`, `id` and `userId`.
+ * @param req - The Express request, used to select the database.
+ * @param message - The `title`, `body` and optional `url` of the notification, rendered in English
+ * from its method if left out.
+ */
+export const dispatchFirebase = async (
+  method,
+  params,
+  req,
+  message = buildNotificationMessage(method, params)
+) => {
   const db = await Database.getInstance(req);
   const collection = db.collection('notification-tokens');
 
-  const notificationToken = await collection.findOne({
-    userId: params.userId,
-  });
+  const tokens = (
+    await collection.find({ userId: params.userId }).toArray()
+  ).map((device) => device.token);
+
+  if (!tokens.length) return;
 
-  if (notificationToken) {
-    try {
-      const message = {
-        notification: {
-          title:
-            params.type.charAt(0).toUpperCase() +
-            params.type.slice(1) +
-            ' transaction confirmed',
-          body: messageBuilder(method, params),
-        },
-        token: notificationToken.token,
-      };
+  try {
+    const { responses } = await utils_firebase.sendMulticast({
+      notification: { title: message.title, body: message.body },
+      ...(message.url && { data: { url: message.url } }),
+      tokens,
+    });
 
-      firebase.send(message, function (err, resp) {
-        if (err) {
-          throw err;
-        } else {
-          console.log('Successfully sent notification');
-        }
+    const unregistered = tokens.filter((token, i) =>
+      UNREGISTERED_TOKEN_ERRORS.includes(responses[i].error?.code)
+    );
+    if (unregistered.length) {
+      await collection.deleteMany({
+        userId: params.userId,
+        token: { $in: unregistered },
       });
-    } catch (err) {
-      console.log(
-        'Error sending notification, token: ',
-        notificationToken.token
-      );
-      console.log(err);
     }
+
+    responses.forEach(({ success, error }, i) => {
+      if (!success) {
+        console.log('Error sending notification, token: ', tokens[i]);
+        console.log(error);
+      }
+    });
+  } catch (err) {
+    console.log('Error sending notification, user: ', params.userId);
+    console.log(err);
   }
 };
 
@@ -53,28 +74,14 @@ const firebaseCredentials = {
   client_x509_cert_url: process.env.FIREBASE_CLIENT_X590_CERT_URL,
 };
 
-/* eslint-disable new-cap */
-const firebase = new fcm(admin.credential.cert(firebaseCredentials));
+admin.initializeApp({ credential: admin.credential.cert(firebaseCredentials) });
 
-const messageBuilder = (method, params) => {
-  let status;
+/**
+ * This function sends a message to several devices at once.
+ * @param message - The FCM message, with the list of device `tokens`.
+ * @returns The FCM batch response, with one response per token, in the same order.
+ */
+const sendMulticast = async (message) =>
+  await admin.messaging().sendEachForMulticast(message);
 
-  switch (method) {
-    case 'success':
-      status = 'created';
-      break;
-    case 'activationDeactivation':
-      status = 'activated/deactivated';
-      break;
-    case 'complete':
-      status = 'completed';
-      break;
-    default:
-      status = 'placed';
-      break;
-  }
-
-  return `Your ${params.type} ${
-    params.id.slice(0, 6) + '...' + params.id.slice(-4)
-  } has been ${status}. Click to view in the Mercari dApp.`;
-};
+export const utils_firebase = { sendMulticast };
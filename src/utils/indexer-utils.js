@@ -0,0 +1,425 @@
+import { ethers } from 'ethers';
+import { ORDER_STATUS, transitionOrder } from './orders-utils.js';
+import { OFFER_STATUS, transitionOffer } from './offers-utils.js';
+import { getProviderFromRpc } from './view-blockchains-utils.js';
+import { rankRpcs } from './rpc-pool-utils.js';
+import { ABI_CONTRACTS, getAbis, getContractAddress } from './abis-utils.js';
+import { sendNotification } from './notification-utils.js';
+import { TRANSITION_SOURCES } from './lifecycle-utils.js';
+import {
+  getRequiredConfirmations,
+  recheckConfirming,
+} from './confirmations-utils.js';
+import { expireStuckOffers, expireStuckOrders } from './timeouts-utils.js';
+
+export const INDEXED_EVENTS = {
+  NEW_OFFER: 'LogNewOffer',
+  NEW_TRADE: 'LogNewTrade',
+  SET_STATUS_OFFER: 'LogSetStatusOffer',
+  TRADE_PAID: 'LogTradePaid',
+};
+
+const DEFAULT_MAX_BLOCK_RANGE = 2000;
+const DEFAULT_LOOKBACK_BLOCKS = 1000;
+
+/**
+ * This function retrieves the last block processed by the indexer for a given chain.
+ * @param db - The database object used to interact with the database.
+ * @param chainId - The chain id of the blockchain being indexed.
+ * @returns The last processed block number, or `undefined` if the chain has never been indexed.
+ */
+export async function getIndexerCursor(db, chainId) {
+  return (await db.collection('indexer-cursors').findOne({ chainId }))
+    ?.lastBlock;
+}
+
+/**
+ * This function persists the last block processed by the indexer for a given chain.
+ * @param db - The database object used to interact with the database.
+ * @param chainId - The chain id of the blockchain being indexed.
+ * @param lastBlock - The last block number whose events have been processed.
+ */
+export async function saveIndexerCursor(db, chainId, lastBlock) {
+  await db
+    .collection('indexer-cursors')
+    .updateOne(
+      { chainId },
+      { $set: { lastBlock, updatedAt: new Date() } },
+      { upsert: true }
+    );
+}
+
+/**
+ * This function returns the current block number of a chain, trying every RPC of the chain until one
+ * of them answers.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @returns The latest block number of the chain.
+ */
+export async function getBlockNumber(rpcs) {
+  for (const rpc of rankRpcs(rpcs)) {
+    try {
+      return await getProviderFromRpc(rpc).getBlockNumber();
+    } catch (e) {
+      console.log('RPC connection error - ', e);
+    }
+  }
+
+  throw new Error('No RPC available');
+}
+
+/**
+ * This function fetches and decodes the pool and liquidity wallet events emitted between two blocks.
+ * Only the logs emitted by the contracts of the chain are fetched; a contract whose address is not
+ * registered on the chain is not scanned.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @param fromBlock - The first block to scan (inclusive).
+ * @param toBlock - The last block to scan (inclusive).
+ * @param abis - The contract ABIs of the chain, as returned by `getAbis`.
+ * @param addresses - The `pool` contract address and the `liquidityWallets` contract addresses of the
+ * chain.
+ * @returns An array of decoded events with their `name`, `args`, `transactionHash`, `blockNumber`
+ * and `blockHash`, sorted in the order they were emitted.
+ */
+export async function getEvents(rpcs, fromBlock, toBlock, abis, addresses) {
+  const poolIface = new ethers.utils.Interface(abis.poolAbi);
+  const liquidityWalletIface = new ethers.utils.Interface(
+    abis.liquidityWalletAbi
+  );
+  const contracts = [
+    {
+      addresses: [addresses.pool],
+      iface: poolIface,
+      events: [
+        INDEXED_EVENTS.NEW_OFFER,
+        INDEXED_EVENTS.NEW_TRADE,
+        INDEXED_EVENTS.SET_STATUS_OFFER,
+      ],
+    },
+    {
+      addresses: addresses.liquidityWallets,
+      iface: liquidityWalletIface,
+      events: [INDEXED_EVENTS.TRADE_PAID],
+    },
+  ]
+    .map((contract) => ({
+      ...contract,
+      addresses: contract.addresses
+        .filter((address) => address)
+        .map((address) => address.toLowerCase()),
+    }))
+    .filter(({ addresses }) => addresses.length);
+
+  if (!contracts.length) return [];
+
+  for (const rpc of rankRpcs(rpcs)) {
+    try {
+      const provider = getProviderFromRpc(rpc);
+      const events = [];
+
+      for (const { addresses, iface, events: names } of contracts) {
+        // A log filter takes a single address, the logs of several contracts are filtered once fetched.
+        const logs = await provider.getLogs({
+          address: addresses.length === 1 ? addresses[0] : undefined,
+          fromBlock,
+          toBlock,
+          topics: [names.map((name) => iface.getEventTopic(name))],
+        });
+
+        for (const log of logs) {
+          if (!addresses.includes(log.address.toLowerCase())) continue;
+
+          const event = iface.parseLog(log);
+          events.push({
+            name: event.name,
+            args: event.args,
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            logIndex: log.logIndex,
+          });
+        }
+      }
+
+      return events.sort(
+        (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+      );
+    } catch (e) {
+      console.log('RPC connection error - ', e);
+    }
+  }
+
+  throw new Error('No RPC available');
+}
+
+/**
+ * This function applies a `LogNewOffer` event to the pending offer created by the same transaction.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document of the indexed chain.
+ * @param event - The decoded event.
+ * @returns The MongoDB update result, or `null` if no pending offer of the chain matches the
+ * transaction.
+ */
+async function onNewOffer(db, chain, event) {
+  const collection = db.collection('offers');
+  const offer = await collection.findOne({
+    hash: event.transactionHash,
+    exchangeChainId: chain.chainId,
+    status: OFFER_STATUS.PENDING,
+  });
+
+  if (!offer) return null;
+
+  const response = await transitionOffer(
+    db,
+    offer,
+    { offerId: event.args._offerId, status: OFFER_STATUS.SUCCESS },
+    { source: TRANSITION_SOURCES.INDEXER }
+  );
+  if (response.modifiedCount > 0) {
+    await sendNotification('creation', {
+      type: 'offer',
+      id: event.args._offerId,
+      userId: offer.userId,
+    });
+  }
+  return response;
+}
+
+/**
+ * This function applies a `LogNewTrade` event to the pending order created by the same transaction.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document of the indexed chain.
+ * @param event - The decoded event.
+ * @returns The MongoDB update result, or `null` if no pending order of the chain matches the
+ * transaction.
+ */
+async function onNewTrade(db, chain, event) {
+  const collection = db.collection('orders');
+  const order = await collection.findOne({
+    hash: event.transactionHash,
+    chainIdTokenDeposit: chain.chainId,
+    status: ORDER_STATUS.PENDING,
+  });
+
+  if (!order) return null;
+
+  const response = await transitionOrder(
+    db,
+    order,
+    { orderId: event.args._tradeId, status: ORDER_STATUS.SUCCESS },
+    { source: TRANSITION_SOURCES.INDEXER }
+  );
+  if (response.modifiedCount > 0) {
+    await sendNotification('creation', {
+      type: 'order',
+      id: event.args._tradeId,
+      userId: order.userId,
+    });
+  }
+  return response;
+}
+
+/**
+ * This function applies a `LogSetStatusOffer` event to the offer being activated or deactivated by
+ * the same transaction.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document of the indexed chain.
+ * @param event - The decoded event.
+ * @returns The MongoDB update result, or `null` if no offer of the chain is waiting for this
+ * transaction.
+ */
+async function onSetStatusOffer(db, chain, event) {
+  const collection = db.collection('offers');
+  const offer = await collection.findOne({
+    activationHash: event.transactionHash,
+    exchangeChainId: chain.chainId,
+    status: { $in: [OFFER_STATUS.ACTIVATION, OFFER_STATUS.DEACTIVATION] },
+  });
+
+  if (!offer) return null;
+
+  const response = await transitionOffer(
+    db,
+    offer,
+    { isActive: event.args._isActive, status: OFFER_STATUS.SUCCESS },
+    { source: TRANSITION_SOURCES.INDEXER }
+  );
+  if (response.modifiedCount > 0) {
+    await sendNotification('activationDeactivation', {
+      type: 'offer',
+      id: offer.offerId,
+      userId: offer.userId,
+    });
+  }
+  return response;
+}
+
+/**
+ * This function applies a `LogTradePaid` event to the order whose completion was sent in the same
+ * transaction. The order must be the paid trade and its offer must be on the indexed chain, where
+ * the liquidity provider pays.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document of the indexed chain.
+ * @param event - The decoded event.
+ * @returns The MongoDB update result, or `null` if no order of the chain is waiting for this
+ * transaction.
+ */
+async function onTradePaid(db, chain, event) {
+  const collection = db.collection('orders');
+  const order = await collection.findOne({
+    completionHash: event.transactionHash,
+    orderId: event.args._tradeId,
+    status: ORDER_STATUS.COMPLETION,
+  });
+
+  if (!order) return null;
+
+  const offer = await db
+    .collection('offers')
+    .findOne({ offerId: order.offerId });
+  if (offer?.chainId !== chain.chainId) return null;
+
+  const response = await transitionOrder(
+    db,
+    order,
+    { isComplete: true, status: ORDER_STATUS.COMPLETE },
+    { source: TRANSITION_SOURCES.INDEXER }
+  );
+  if (response.modifiedCount > 0) {
+    await Promise.all(
+      [order.userId, offer?.userId]
+        .filter((userId) => userId !== undefined)
+        .map((userId) =>
+          sendNotification('completion', {
+            type: 'order',
+            id: order.orderId,
+            userId,
+          })
+        )
+    );
+  }
+  return response;
+}
+
+/**
+ * This function lists the liquidity wallet contracts of a chain. Every liquidity provider deploys its
+ * own wallet, so the wallets registered by the users are scanned along with the one of the chain.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @returns The addresses of the liquidity wallets of the chain.
+ */
+async function getLiquidityWalletAddresses(db, chain) {
+  return [
+    getContractAddress(chain, ABI_CONTRACTS.LIQUIDITY_WALLET),
+    ...(await db
+      .collection('liquidity-wallets')
+      .distinct('walletAddress', { chainId: chain.chainId })),
+  ].filter((address) => address);
+}
+
+const eventHandlers = {
+  [INDEXED_EVENTS.NEW_OFFER]: onNewOffer,
+  [INDEXED_EVENTS.NEW_TRADE]: onNewTrade,
+  [INDEXED_EVENTS.SET_STATUS_OFFER]: onSetStatusOffer,
+  [INDEXED_EVENTS.TRADE_PAID]: onTradePaid,
+};
+
+/**
+ * This function scans the next range of blocks of a chain for pool and liquidity wallet events,
+ * applies them to the matching offers and orders and moves the chain cursor forward.
+ * @param db - The database object used to interact with the database.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @returns An object with the scanned `fromBlock` and `toBlock` and the number of `processed` events
+ * that modified a document, or `null` if the chain is already up to date.
+ */
+export async function indexChain(db, chain) {
+  // Only blocks with enough confirmations are scanned, so indexed events never need to be re-checked.
+  const safeBlock =
+    (await utils_indexer.getBlockNumber(chain.rpc)) -
+    Math.max(getRequiredConfirmations(chain) - 1, 0);
+  const lastBlock = await getIndexerCursor(db, chain.chainId);
+
+  const fromBlock =
+    lastBlock === undefined
+      ? Math.max(
+          safeBlock -
+            (parseInt(process.env.INDEXER_LOOKBACK_BLOCKS) ||
+              DEFAULT_LOOKBACK_BLOCKS),
+          0
+        )
+      : lastBlock + 1;
+
+  if (fromBlock > safeBlock) return null;
+
+  const toBlock = Math.min(
+    safeBlock,
+    fromBlock +
+      (parseInt(process.env.INDEXER_MAX_BLOCK_RANGE) ||
+        DEFAULT_MAX_BLOCK_RANGE) -
+      1
+  );
+
+  let processed = 0;
+  for (const event of await utils_indexer.getEvents(
+    chain.rpc,
+    fromBlock,
+    toBlock,
+    await getAbis(db, chain),
+    {
+      pool: getContractAddress(chain, ABI_CONTRACTS.POOL),
+      liquidityWallets: await getLiquidityWalletAddresses(db, chain),
+    }
+  )) {
+    const response = await eventHandlers[event.name]?.(db, chain, event);
+    if (response?.modifiedCount > 0) processed++;
+  }
+
+  await saveIndexerCursor(db, chain.chainId, toBlock);
+
+  return { fromBlock, toBlock, processed };
+}
+
+/**
+ * This function runs one indexing pass over every active EVM chain, then re-checks the offers and
+ * orders waiting for confirmations and expires the ones whose transaction is stuck. A failing chain
+ * is logged and does not prevent the other chains from being indexed.
+ * @param db - The database object used to interact with the database.
+ */
+export async function runIndexer(db) {
+  const chains = await db
+    .collection('blockchains')
+    .find({ isActive: true, isEvm: true })
+    .toArray();
+
+  for (const chain of chains) {
+    try {
+      const result = await indexChain(db, chain);
+      if (result) {
+        console.log(
+          `[indexer] - chainId: ${chain.chainId} - blocks ${result.fromBlock}-${result.toBlock} - processed events: ${result.processed}`
+        );
+      }
+    } catch (e) {
+      console.log('[indexer] - chainId:', chain.chainId, '- error:', e);
+    }
+  }
+
+  for (const collectionName of ['offers', 'orders']) {
+    const result = await recheckConfirming(db, collectionName);
+    if (result.confirmed || result.reverted) {
+      console.log(
+        `[indexer] - ${collectionName} - confirmed: ${result.confirmed} - reverted: ${result.reverted}`
+      );
+    }
+  }
+
+  const { expired: expiredOffers, rolledBack } = await expireStuckOffers(db);
+  const { expired: expiredOrders, dropped } = await expireStuckOrders(db);
+  if (expiredOffers || rolledBack || expiredOrders || dropped) {
+    console.log(
+      `[indexer] - expired offers: ${expiredOffers} - rolled back offers: ${rolledBack} - expired orders: ${expiredOrders} - dropped orders: ${dropped}`
+    );
+  }
+}
+
+export const utils_indexer = { getBlockNumber, getEvents };
@@ -0,0 +1,144 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const DEFAULT_JWKS_CACHE_TTL = 600; // seconds
+// Minimum delay between two JWKS refreshes triggered by an unknown key id, so that tokens signed with
+// random key ids cannot make the API hammer the JWKS endpoint.
+const JWKS_REFRESH_COOLDOWN_MS = 30000;
+const DEFAULT_ALGORITHMS = ['RS256'];
+
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+/* This error is thrown when the keys needed to verify a token cannot be obtained, as opposed to a token
+that is invalid. Only this error lets `checkToken` fall back to the remote check. */
+export class KeySourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeySourceError';
+  }
+}
+
+/**
+ * This function reads the local token verification settings from the environment.
+ * @returns An object with the `jwksUri`, the PEM `publicKey`, the expected `issuer` and `audience`,
+ * the accepted `algorithms` and the JWKS `cacheTtl` in seconds.
+ */
+export function getAuthConfig() {
+  return {
+    jwksUri: process.env.AUTH_JWKS_URI,
+    publicKey: process.env.AUTH_PUBLIC_KEY?.replace(/\\n/g, '\n'),
+    issuer: process.env.AUTH_ISSUER,
+    audience: process.env.AUTH_AUDIENCE,
+    algorithms: process.env.AUTH_ALGORITHMS
+      ? process.env.AUTH_ALGORITHMS.split(',').map((alg) => alg.trim())
+      : DEFAULT_ALGORITHMS,
+    cacheTtl:
+      parseInt(process.env.AUTH_JWKS_CACHE_TTL) || DEFAULT_JWKS_CACHE_TTL,
+  };
+}
+
+/**
+ * This function checks whether tokens can be verified locally, i.e. whether a JWKS URI or a public
+ * key is configured.
+ * @returns `true` if local verification is configured.
+ */
+export function isLocalVerificationConfigured() {
+  const { jwksUri, publicKey } = getAuthConfig();
+  return Boolean(jwksUri || publicKey);
+}
+
+/**
+ * This function downloads a JSON Web Key Set.
+ * @param jwksUri - The URL of the JWKS.
+ * @returns The list of JSON Web Keys.
+ */
+async function fetchJwks(jwksUri) {
+  const res = await axios.get(jwksUri, { timeout: 5000 });
+  return res.data?.keys ?? [];
+}
+
+/**
+ * This function refreshes the cached signing keys from the JWKS. Keys that cannot be imported, or that
+ * are not meant for signatures, are skipped.
+ * @param jwksUri - The URL of the JWKS.
+ * @throws {KeySourceError} If the JWKS cannot be downloaded.
+ */
+async function refreshJwks(jwksUri) {
+  let jwks;
+  try {
+    jwks = await utils_jwks.fetchJwks(jwksUri);
+  } catch (e) {
+    throw new KeySourceError(`Unable to fetch JWKS: ${e.message}`);
+  }
+
+  const keys = new Map();
+  for (const jwk of jwks) {
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+    try {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (e) {
+      console.log('[jwks] - Skipping key', jwk.kid, '- error:', e.message);
+    }
+  }
+
+  jwksCache = { keys, fetchedAt: Date.now() };
+}
+
+/**
+ * This function returns the key to verify a token with. The configured public key is used as is;
+ * otherwise the key is looked up in the cached JWKS, which is refreshed when it expired or, to follow
+ * key rotations, when it does not know the key id of the token.
+ * @param kid - The key id from the header of the token.
+ * @returns The public key.
+ * @throws {KeySourceError} If no key source is configured or the JWKS cannot be downloaded.
+ * @throws {Error} If the JWKS has no key with this id.
+ */
+export async function getSigningKey(kid) {
+  const { jwksUri, publicKey, cacheTtl } = getAuthConfig();
+
+  if (publicKey) return publicKey;
+  if (!jwksUri) throw new KeySourceError('No token verification key');
+
+  const age = Date.now() - jwksCache.fetchedAt;
+  if (
+    age > cacheTtl * 1000 ||
+    (!jwksCache.keys.has(kid) && age > JWKS_REFRESH_COOLDOWN_MS)
+  ) {
+    await refreshJwks(jwksUri);
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) throw new Error(`Unknown signing key ${kid}`);
+  return key;
+}
+
+/**
+ * This function verifies the signature, expiry, issuer and audience of a token against the configured
+ * key source.
+ * @param token - The JWT.
+ * @returns The payload of the token.
+ * @throws {KeySourceError} If the key source is not configured or unavailable.
+ * @throws {Error} If the token is malformed, expired or not signed by a trusted key.
+ */
+export async function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new Error('Invalid token');
+
+  const { issuer, audience, algorithms } = getAuthConfig();
+
+  return jwt.verify(token, await getSigningKey(decoded.header.kid), {
+    algorithms,
+    ...(issuer && { issuer }),
+    ...(audience && { audience }),
+  });
+}
+
+/**
+ * This function empties the JWKS cache.
+ */
+export function resetJwksCache() {
+  jwksCache = { keys: new Map(), fetchedAt: 0 };
+}
+
+export const utils_jwks = { fetchJwks };
@@ -0,0 +1,97 @@
+export const TRANSITION_SOURCES = {
+  USER: 'user', // a user route
+  WEBHOOK: 'webhook', // an on-chain event forwarded by a webhook
+  SYNC: 'sync', // a sync job re-checking transactions against the chain
+  INDEXER: 'indexer', // the chain indexer
+};
+
+export const SYSTEM_ACTOR = 'system';
+
+/* This error is thrown when a status transition is not allowed by a lifecycle, or when the status of
+the document changed before the transition could be applied. Routes answer it with a 409. */
+export class StatusTransitionError extends Error {
+  constructor(message, from, to) {
+    super(message);
+    this.name = 'StatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * This function checks whether a lifecycle allows moving a document from one status to another.
+ * @param transitions - The lifecycle, mapping each status to the list of statuses it can move to.
+ * @param from - The current status.
+ * @param to - The target status.
+ * @returns `true` if the transition is allowed.
+ */
+export function isTransitionAllowed(transitions, from, to) {
+  return transitions[from]?.includes(to) ?? false;
+}
+
+/**
+ * This function moves a document to a new status if its lifecycle allows it, and appends the
+ * transition to the `statusHistory` of the document. The update only applies if the document is still
+ * in the status it was read with, so concurrent transitions cannot overwrite each other.
+ * @param collection - The MongoDB collection of the document.
+ * @param transitions - The lifecycle, mapping each status to the list of statuses it can move to.
+ * @param doc - The document, with at least its `_id` and its current `status`.
+ * @param update - The fields to set, including the target `status`.
+ * @param context - The `actor` (user id, defaults to `system`), `source` (one of
+ * `TRANSITION_SOURCES`) and optional `reason` of the transition. Any other field is recorded as is in
+ * the history entry.
+ * @param operators - Additional MongoDB update operators, e.g. `$unset` or `$push`.
+ * @returns The MongoDB update result.
+ * @throws {StatusTransitionError} If the transition is not allowed or the status of the document
+ * changed in the meantime.
+ */
+export async function transitionStatus(
+  collection,
+  transitions,
+  doc,
+  update,
+  { actor = SYSTEM_ACTOR, source, reason, ...details },
+  operators = {}
+) {
+  const { $push, ...otherOperators } = operators;
+  const from = doc.status;
+  const to = update.status;
+
+  if (!isTransitionAllowed(transitions, from, to)) {
+    throw new StatusTransitionError(
+      `Illegal status transition from ${from} to ${to}`,
+      from,
+      to
+    );
+  }
+
+  const response = await collection.updateOne(
+    { _id: doc._id, status: from },
+    {
+      $set: update,
+      $push: {
+        ...$push,
+        statusHistory: {
+          from,
+          to,
+          actor,
+          source,
+          ...(reason && { reason }),
+          ...details,
+          date: new Date(),
+        },
+      },
+      ...otherOperators,
+    }
+  );
+
+  if (response.matchedCount === 0) {
+    throw new StatusTransitionError(
+      `Status changed from ${from} before the transition to ${to}`,
+      from,
+      to
+    );
+  }
+
+  return response;
+}
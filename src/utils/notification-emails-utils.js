@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { utils_email } from './email-utils.js';
+import { buildVerificationEmail } from './notification-messages-utils.js';
+import { getNotificationPreferences } from './notification-preferences-utils.js';
+
+const DEFAULT_VERIFICATION_TTL_MS = 60 * 60 * 1000;
+// A code is dropped after this many wrong guesses, so that it cannot be brute-forced.
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const DEFAULT_VERIFICATION_MAX_SENDS = 5;
+const DEFAULT_VERIFICATION_SEND_WINDOW_MS = 60 * 60 * 1000;
+
+/* This error is thrown when a user asks for more verification emails than allowed within the sending
+window. Routes answer it with a 429. */
+export class VerificationRateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VerificationRateLimitError';
+  }
+}
+
+/**
+ * This function hashes a verification code, so that codes are never stored in clear.
+ * @param userId - The id of the user the code was sent to.
+ * @param code - The verification code.
+ * @returns The SHA-256 hash of the code, hex encoded.
+ */
+function hashVerificationCode(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+}
+
+/**
+ * This function formats the notification email of a user for the API, without its verification code.
+ * @param email - The document, as stored in the `notification-emails` collection.
+ * @returns The formatted document.
+ */
+export function formatNotificationEmail({
+  verificationHash,
+  verificationAttempts,
+  verificationSends,
+  ...email
+}) {
+  return email;
+}
+
+/**
+ * This function registers the address a user wants to receive email notifications at, and sends it a
+ * verification code. No notification is sent to the address until the code is confirmed. Registering
+ * the address that is already verified does nothing. A user gets at most
+ * `EMAIL_VERIFICATION_MAX_SENDS` codes per `EMAIL_VERIFICATION_SEND_WINDOW_MS`, whatever the address.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the user.
+ * @param email - The email address.
+ * @returns The notification email of the user.
+ * @throws {VerificationRateLimitError} If the user asked for too many codes.
+ */
+export async function registerNotificationEmail(db, userId, email) {
+  const collection = db.collection('notification-emails');
+  const current = await collection.findOne({ userId });
+  if (current?.verified && current.email === email) {
+    return formatNotificationEmail(current);
+  }
+
+  const windowStart = new Date(
+    Date.now() -
+      (parseInt(process.env.EMAIL_VERIFICATION_SEND_WINDOW_MS) ||
+        DEFAULT_VERIFICATION_SEND_WINDOW_MS)
+  );
+  const sends = (current?.verificationSends ?? []).filter(
+    (date) => date > windowStart
+  );
+  if (
+    sends.length >=
+    (parseInt(process.env.EMAIL_VERIFICATION_MAX_SENDS) ||
+      DEFAULT_VERIFICATION_MAX_SENDS)
+  ) {
+    throw new VerificationRateLimitError(
+      'Too many verification emails, try again later'
+    );
+  }
+
+  const ttl =
+    parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) ||
+    DEFAULT_VERIFICATION_TTL_MS;
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await collection.updateOne(
+    { userId },
+    {
+      $set: {
+        email,
+        verified: false,
+        verifiedAt: null,
+        verificationHash: hashVerificationCode(userId, code),
+        verificationExpiresAt: new Date(Date.now() + ttl),
+        verificationAttempts: 0,
+        verificationSends: [...sends, new Date()],
+      },
+      $setOnInsert: { date: new Date() },
+    },
+    { upsert: true }
+  );
+
+  const { locale } = await getNotificationPreferences(db, userId);
+  await utils_email.sendMail({
+    to: email,
+    ...buildVerificationEmail(code, Math.round(ttl / 60000), locale),
+  });
+
+  return formatNotificationEmail(await collection.findOne({ userId }));
+}
+
+/**
+ * This function checks the verification code of the notification email of a user, and marks the
+ * address as verified if it matches.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the user.
+ * @param code - The verification code.
+ * @returns The verified notification email, or `null` if the code is wrong or expired.
+ */
+export async function verifyNotificationEmail(db, userId, code) {
+  const collection = db.collection('notification-emails');
+  const { value } = await collection.findOneAndUpdate(
+    {
+      userId,
+      verified: false,
+      verificationHash: hashVerificationCode(userId, code),
+      verificationExpiresAt: { $gt: new Date() },
+      verificationAttempts: { $lt: VERIFICATION_MAX_ATTEMPTS },
+    },
+    {
+      $set: { verified: true, verifiedAt: new Date() },
+      $unset: {
+        verificationHash: '',
+        verificationExpiresAt: '',
+        verificationAttempts: '',
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!value) {
+    await collection.updateOne(
+      { userId, verified: false },
+      { $inc: { verificationAttempts: 1 } }
+    );
+    return null;
+  }
+
+  return formatNotificationEmail(value);
+}
+
+/**
+ * This function returns the verified address a user receives email notifications at.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the user.
+ * @returns The email address, or `null` if the user has no verified address.
+ */
+export async function getVerifiedEmail(db, userId) {
+  return (
+    (
+      await db
+        .collection('notification-emails')
+        .findOne({ userId, verified: true })
+    )?.email ?? null
+  );
+}
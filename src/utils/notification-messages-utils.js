@@ -0,0 +1,228 @@
+import { ObjectId } from 'mongodb';
+import { ORDER_STATUS } from './orders-utils.js';
+import { OFFER_STATUS } from './offers-utils.js';
+import {
+  DEFAULT_LOCALE,
+  getLocaleStrings,
+  getNotificationTemplate,
+  renderTemplate,
+} from './notification-templates-utils.js';
+
+/**
+ * This function shortens an id or a transaction hash for display, e.g. `0x1234...cdef`.
+ * @param id - The id or hash.
+ * @returns The shortened id.
+ */
+const shortenId = (id) => id.slice(0, 6) + '...' + id.slice(-4);
+
+/**
+ * This function matches an order or offer by its MongoDB id, when the id of a notification is one.
+ * @param id - The id of the notification.
+ * @returns The MongoDB conditions, empty if the id is not a MongoDB id.
+ */
+const matchDocumentId = (id) =>
+  ObjectId.isValid(id) && new ObjectId(id).toString() === id
+    ? [{ _id: new ObjectId(id) }]
+    : [];
+
+/**
+ * This function returns the explorer link of a transaction, from the `transactionExplorerUrl` of its
+ * chain.
+ * @param db - The database object used to interact with the database.
+ * @param chainId - The chain the transaction was sent to.
+ * @param hash - The transaction hash.
+ * @returns The link, or `undefined` if the chain or the hash is unknown.
+ */
+async function getTransactionUrl(db, chainId, hash) {
+  if (!chainId || !hash) return undefined;
+  const chain = await db.collection('blockchains').findOne({ chainId });
+  return chain?.transactionExplorerUrl?.replace('{hash}', hash);
+}
+
+/**
+ * This function loads the variables of the templates of a notification from the order or offer it is
+ * about: amounts, token symbols and the explorer link of the transaction that raised it.
+ * @param db - The database object used to interact with the database.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @param params - The notification parameters: `type` and `id`, an on-chain id, a transaction hash
+ * or, for expirations, the MongoDB id of the order or offer.
+ * @returns The variables, empty if the order or offer cannot be found.
+ */
+export async function getNotificationVariables(db, method, params) {
+  if (params.type === 'order') {
+    const order = await db.collection('orders').findOne({
+      $or: [
+        { orderId: params.id },
+        { hash: params.id },
+        { completionHash: params.id },
+        ...matchDocumentId(params.id),
+      ],
+    });
+    if (!order) return {};
+
+    const offer = await db
+      .collection('offers')
+      .findOne({ offerId: order.offerId });
+    const isPayment =
+      ['completion', 'completionFailure'].includes(method) ||
+      params.id === order.completionHash ||
+      params.status === ORDER_STATUS.DROPPED;
+
+    return {
+      amount: order.amountTokenDeposit,
+      depositToken: offer?.exchangeToken,
+      offerAmount: order.amountTokenOffer,
+      token: offer?.token,
+      url: isPayment
+        ? await getTransactionUrl(db, offer?.chainId, order.completionHash)
+        : await getTransactionUrl(db, order.chainIdTokenDeposit, order.hash),
+    };
+  }
+
+  const offer = await db.collection('offers').findOne({
+    $or: [
+      { offerId: params.id },
+      { hash: params.id },
+      { activationHash: params.id },
+      ...matchDocumentId(params.id),
+    ],
+  });
+  if (!offer) return {};
+
+  return {
+    token: offer.token,
+    exchangeToken: offer.exchangeToken,
+    min: offer.min,
+    max: offer.max,
+    isActive: offer.isActive,
+    url:
+      method === 'update'
+        ? undefined
+        : await getTransactionUrl(
+            db,
+            offer.exchangeChainId,
+            method === 'activationDeactivation' ||
+              params.status === OFFER_STATUS.SUCCESS
+              ? offer.activationHash
+              : offer.hash
+          ),
+  };
+}
+
+/**
+ * This function builds the text of a notification, as shown in push notifications and in the inbox,
+ * from the template of its method in the locale of the user.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @param params - The notification parameters: `type`, `id` and, for expirations, `status`.
+ * @param options - The `locale` of the user and the `variables` from `getNotificationVariables`.
+ * @returns An object with the `title`, the `body` and, when known, the explorer `url` of the
+ * transaction.
+ */
+export const buildNotificationMessage = (
+  method,
+  params,
+  { locale = DEFAULT_LOCALE, variables = {} } = {}
+) => {
+  const strings = getLocaleStrings(locale);
+  const template = getNotificationTemplate(method, params.type, locale);
+  const values = {
+    ...variables,
+    shortId: shortenId(params.id),
+    status: strings.status[params.status] ?? params.status,
+    activation:
+      strings.activation[variables.isActive] ?? strings.activation.unknown,
+  };
+
+  return {
+    title: renderTemplate(template.title, values),
+    body: renderTemplate(template.body, values),
+    ...(variables.url && { url: variables.url }),
+  };
+};
+
+/**
+ * This function escapes a text to insert it in HTML.
+ * @param text - The text to escape.
+ * @returns The escaped text.
+ */
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[
+        char
+      ])
+  );
+
+/**
+ * This function lays out an email in text and HTML.
+ * @param subject - The subject of the email, also used as its heading.
+ * @param paragraphs - The paragraphs of the email, as plain text.
+ * @param options - An optional `link` (`url` and `label`) shown after the paragraphs, and an optional
+ * `footer` shown last.
+ * @returns An object with the `subject`, the `text` and the `html` of the email.
+ */
+const renderEmail = (subject, paragraphs, { link, footer } = {}) => {
+  const html = [
+    `<h2>${escapeHtml(subject)}</h2>`,
+    ...paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`),
+    ...(link
+      ? [
+          `<p><a href="${escapeHtml(link.url)}">${escapeHtml(
+            link.label
+          )}</a></p>`,
+        ]
+      : []),
+    ...(footer ? [`<p style="color: #808191;">${escapeHtml(footer)}</p>`] : []),
+  ];
+
+  return {
+    subject,
+    text:
+      [
+        subject,
+        ...paragraphs,
+        ...(link ? [`${link.label}: ${link.url}`] : []),
+        ...(footer ? [footer] : []),
+      ].join('\n\n') + '\n',
+    html: `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #0b0d17;">
+${html.map((line) => `    ${line}`).join('\n')}
+  </body>
+</html>
+`,
+  };
+};
+
+/**
+ * This function builds the email of a notification, with the same text as push notifications.
+ * @param notification - The inbox item: `title`, `body`, `url` and `locale`.
+ * @returns An object with the `subject`, the `text` and the `html` of the email.
+ */
+export const buildNotificationEmail = (notification) => {
+  const strings = getLocaleStrings(notification.locale);
+  return renderEmail(notification.title, [notification.body], {
+    link: notification.url && {
+      url: notification.url,
+      label: strings.viewTransaction,
+    },
+    footer: strings.emailFooter,
+  });
+};
+
+/**
+ * This function builds the email sent to check the address a user registered for notifications.
+ * @param code - The verification code.
+ * @param ttl - The validity of the code, in minutes.
+ * @param locale - The locale of the user.
+ * @returns An object with the `subject`, the `text` and the `html` of the email.
+ */
+export const buildVerificationEmail = (code, ttl, locale) => {
+  const strings = getLocaleStrings(locale);
+  return renderEmail(
+    strings.verificationSubject,
+    [renderTemplate(strings.verificationBody, { code, ttl })],
+    { footer: strings.verificationFooter }
+  );
+};
@@ -0,0 +1,98 @@
+import { DEFAULT_LOCALE } from './notification-templates-utils.js';
+
+export const NOTIFICATION_CHANNELS = {
+  WEBSOCKET: 'websocket',
+  PUSH: 'push', // Firebase Cloud Messaging, see firebase-utils.js
+  EMAIL: 'email',
+  WEBHOOK: 'webhook', // the `notification` event of webhook subscriptions
+};
+
+export const NOTIFICATION_EVENTS = {
+  CREATION: 'creation',
+  ACTIVATION_DEACTIVATION: 'activationDeactivation',
+  COMPLETION: 'completion',
+  COMPLETION_FAILURE: 'completionFailure',
+  EXPIRATION: 'expiration',
+  UPDATE: 'update',
+};
+
+// Channels that need no setup from the user are on by default; the others are opt-in.
+const DEFAULT_CHANNELS = {
+  [NOTIFICATION_CHANNELS.WEBSOCKET]: true,
+  [NOTIFICATION_CHANNELS.PUSH]: true,
+  [NOTIFICATION_CHANNELS.EMAIL]: false,
+  [NOTIFICATION_CHANNELS.WEBHOOK]: false,
+};
+
+/**
+ * This function returns the notification preferences of a user: the locale of the messages and, for
+ * each event, whether each channel is enabled. Settings the user never set fall back to the defaults.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the user.
+ * @returns An object with the `userId`, the `locale`, the `events` preferences and the `updatedAt`
+ * date, which is `null` if the user never set them.
+ */
+export async function getNotificationPreferences(db, userId) {
+  const stored = await db
+    .collection('notification-preferences')
+    .findOne({ userId });
+
+  return {
+    userId,
+    locale: stored?.locale ?? DEFAULT_LOCALE,
+    events: Object.fromEntries(
+      Object.values(NOTIFICATION_EVENTS).map((event) => [
+        event,
+        { ...DEFAULT_CHANNELS, ...stored?.events?.[event] },
+      ])
+    ),
+    updatedAt: stored?.updatedAt ?? null,
+  };
+}
+
+/**
+ * This function merges a partial update into the notification preferences of a user.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the user.
+ * @param update - The preferences to change: an optional `locale` and optional `events`, e.g.
+ * `{ creation: { push: false } }`.
+ * @returns The MongoDB update result.
+ */
+export async function updateNotificationPreferences(
+  db,
+  userId,
+  { locale, events = {} }
+) {
+  return await db.collection('notification-preferences').updateOne(
+    { userId },
+    {
+      $set: {
+        ...(locale && { locale }),
+        ...Object.fromEntries(
+          Object.entries(events).flatMap(([event, channels]) =>
+            Object.entries(channels).map(([channel, enabled]) => [
+              `events.${event}.${channel}`,
+              enabled,
+            ])
+          )
+        ),
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * This function returns the channels a notification should be delivered on, according to the
+ * preferences of its user. Methods that are not listed in `NOTIFICATION_EVENTS` use the default
+ * channels.
+ * @param preferences - The preferences of the user, from `getNotificationPreferences`.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @returns The enabled channels, from `NOTIFICATION_CHANNELS`.
+ */
+export function getEnabledChannels(preferences, method) {
+  const channels = preferences.events[method] || DEFAULT_CHANNELS;
+
+  return Object.keys(channels).filter((channel) => channels[channel]);
+}
@@ -0,0 +1,225 @@
+export const DEFAULT_LOCALE = 'en';
+
+/* Templates of the notifications, by method, locale and type of the target (`order` or `offer`). The
+`{name}` placeholders are replaced with the variables of the notification, see
+`getNotificationVariables` in notification-messages-utils.js; a `[...]` segment is left out when one of
+its placeholders has no value, e.g. when the order was deleted. The `default` method is used for the
+notifications that have no template of their own. */
+export const NOTIFICATION_TEMPLATES = {
+  creation: {
+    en: {
+      order: {
+        title: 'Order created',
+        body: 'Your order {shortId} has been created[: {amount} {depositToken} deposited for {offerAmount} {token}].',
+      },
+      offer: {
+        title: 'Offer created',
+        body: 'Your offer {shortId}[ of {token} for {exchangeToken}] has been created.',
+      },
+    },
+    es: {
+      order: {
+        title: 'Orden creada',
+        body: 'Tu orden {shortId} ha sido creada[: {amount} {depositToken} depositados a cambio de {offerAmount} {token}].',
+      },
+      offer: {
+        title: 'Oferta creada',
+        body: 'Tu oferta {shortId}[ de {token} a cambio de {exchangeToken}] ha sido creada.',
+      },
+    },
+  },
+  activationDeactivation: {
+    en: {
+      offer: {
+        title: 'Offer {activation}',
+        body: 'Your offer {shortId}[ of {token}] has been {activation}.',
+      },
+    },
+    es: {
+      offer: {
+        title: 'Oferta {activation}',
+        body: 'Tu oferta {shortId}[ de {token}] ha sido {activation}.',
+      },
+    },
+  },
+  update: {
+    en: {
+      offer: {
+        title: 'Offer updated',
+        body: 'Your offer {shortId} has been updated[: {min} to {max} {token}].',
+      },
+    },
+    es: {
+      offer: {
+        title: 'Oferta actualizada',
+        body: 'Tu oferta {shortId} ha sido actualizada[: de {min} a {max} {token}].',
+      },
+    },
+  },
+  completion: {
+    en: {
+      order: {
+        title: 'Order paid',
+        body: 'Order {shortId} has been paid[: {offerAmount} {token} for {amount} {depositToken}].',
+      },
+    },
+    es: {
+      order: {
+        title: 'Orden pagada',
+        body: 'La orden {shortId} ha sido pagada[: {offerAmount} {token} a cambio de {amount} {depositToken}].',
+      },
+    },
+  },
+  completionFailure: {
+    en: {
+      order: {
+        title: 'Order payment failed',
+        body: 'The payment of order {shortId} could not be confirmed on-chain.',
+      },
+    },
+    es: {
+      order: {
+        title: 'Pago de la orden fallido',
+        body: 'El pago de la orden {shortId} no pudo ser confirmado en la cadena.',
+      },
+    },
+  },
+  expiration: {
+    en: {
+      order: {
+        title: 'Order transaction not mined',
+        body: 'The transaction of your order {shortId} was not mined in time. The order is now {status}.',
+      },
+      offer: {
+        title: 'Offer transaction not mined',
+        body: 'The transaction of your offer {shortId} was not mined in time. The offer is now {status}.',
+      },
+    },
+    es: {
+      order: {
+        title: 'Transacción de la orden no minada',
+        body: 'La transacción de tu orden {shortId} no fue minada a tiempo. La orden ahora está {status}.',
+      },
+      offer: {
+        title: 'Transacción de la oferta no minada',
+        body: 'La transacción de tu oferta {shortId} no fue minada a tiempo. La oferta ahora está {status}.',
+      },
+    },
+  },
+  default: {
+    en: {
+      order: {
+        title: 'Order updated',
+        body: 'Your order {shortId} has been updated.',
+      },
+      offer: {
+        title: 'Offer updated',
+        body: 'Your offer {shortId} has been updated.',
+      },
+    },
+    es: {
+      order: {
+        title: 'Orden actualizada',
+        body: 'Tu orden {shortId} ha sido actualizada.',
+      },
+      offer: {
+        title: 'Oferta actualizada',
+        body: 'Tu oferta {shortId} ha sido actualizada.',
+      },
+    },
+  },
+};
+
+/* Words inserted in the templates through variables, and the texts of the emails, by locale. */
+export const LOCALE_STRINGS = {
+  en: {
+    status: {
+      expired: 'expired',
+      dropped: 'dropped',
+      success: 'back to its previous state',
+    },
+    activation: {
+      true: 'activated',
+      false: 'deactivated',
+      unknown: 'activated or deactivated',
+    },
+    viewTransaction: 'View the transaction',
+    emailFooter:
+      'You receive this email because you enabled email notifications. You can turn them off in your notification preferences.',
+    verificationSubject: 'Verify your email address',
+    verificationBody:
+      'Your verification code is {code}. It expires in {ttl} minutes.',
+    verificationFooter:
+      'If you did not ask to receive notifications by email, you can ignore this email.',
+  },
+  es: {
+    status: {
+      expired: 'expirada',
+      dropped: 'descartada',
+      success: 'de vuelta a su estado anterior',
+    },
+    activation: {
+      true: 'activada',
+      false: 'desactivada',
+      unknown: 'activada o desactivada',
+    },
+    viewTransaction: 'Ver la transacción',
+    emailFooter:
+      'Recibes este correo porque activaste las notificaciones por correo. Puedes desactivarlas en tus preferencias de notificación.',
+    verificationSubject: 'Verifica tu dirección de correo',
+    verificationBody:
+      'Tu código de verificación es {code}. Caduca en {ttl} minutos.',
+    verificationFooter:
+      'Si no pediste recibir notificaciones por correo, puedes ignorar este mensaje.',
+  },
+};
+
+export const NOTIFICATION_LOCALES = Object.keys(LOCALE_STRINGS);
+
+/**
+ * This function returns the template of a notification, falling back to the default locale and then to
+ * the `default` method.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @param type - The type of the target: `order` or `offer`.
+ * @param locale - The locale of the user.
+ * @returns The template: an object with the `title` and `body` strings.
+ */
+export function getNotificationTemplate(method, type, locale) {
+  for (const name of [method, 'default']) {
+    const template =
+      NOTIFICATION_TEMPLATES[name]?.[locale]?.[type] ||
+      NOTIFICATION_TEMPLATES[name]?.[DEFAULT_LOCALE]?.[type];
+    if (template) return template;
+  }
+}
+
+/**
+ * This function returns the strings of a locale, or of the default locale if it is unknown.
+ * @param locale - The locale of the user.
+ * @returns The strings, see `LOCALE_STRINGS`.
+ */
+export function getLocaleStrings(locale) {
+  return LOCALE_STRINGS[locale] || LOCALE_STRINGS[DEFAULT_LOCALE];
+}
+
+/**
+ * This function replaces the `{name}` placeholders of a template with variables. A `[...]` segment is
+ * kept only if all its placeholders have a value.
+ * @param template - The template string.
+ * @param variables - The values of the placeholders.
+ * @returns The rendered string.
+ */
+export function renderTemplate(template, variables) {
+  const hasValue = (name) =>
+    variables[name] !== undefined && variables[name] !== null;
+
+  return template
+    .replace(/\[([^\]]*)\]/g, (match, segment) =>
+      [...segment.matchAll(/\{(\w+)\}/g)].every(([, name]) => hasValue(name))
+        ? segment
+        : ''
+    )
+    .replace(/\{(\w+)\}/g, (match, name) =>
+      hasValue(name) ? variables[name] : ''
+    );
+}
@@ -1,13 +1,152 @@
 import { dispatchFirebase } from './firebase-utils.js';
-import { dispatchWebSocket } from './websocket-utils.js';
-import { wss } from '../index.js';
-
-export const sendNotification = (method, params, req) => {
-  if (
-    Array.from(wss.clients).find((client) => client.userId === params.userId)
-  ) {
-    dispatchWebSocket(method, params);
-  } else {
-    dispatchFirebase(method, params, req);
+import { dispatchWebSocket, isUserOnline } from './websocket-utils.js';
+import {
+  buildNotificationEmail,
+  buildNotificationMessage,
+  getNotificationVariables,
+} from './notification-messages-utils.js';
+import { getVerifiedEmail } from './notification-emails-utils.js';
+import { utils_email } from './email-utils.js';
+import {
+  NOTIFICATION_CHANNELS,
+  getEnabledChannels,
+  getNotificationPreferences,
+} from './notification-preferences-utils.js';
+import { DEFAULT_LOCALE } from './notification-templates-utils.js';
+import {
+  SUBSCRIPTION_EVENTS,
+  enqueueUserWebhookDeliveries,
+} from './webhook-subscriptions-utils.js';
+import { Database } from '../db/conn.js';
+
+/**
+ * This function renders a notification in the locale of its user and stores it in their inbox.
+ * @param db - The database object used to interact with the database.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @param params - The notification parameters: `type`, `id` and `userId`.
+ * @param locale - The locale of the user.
+ * @returns The inbox item, without its `_id` if it could not be stored.
+ */
+async function storeNotification(db, method, params, locale) {
+  let variables = {};
+  try {
+    variables = await getNotificationVariables(db, method, params);
+  } catch (e) {
+    console.log('[notifications] - Unable to load template variables:', e);
+  }
+
+  const notification = {
+    userId: params.userId,
+    method,
+    type: params.type,
+    targetId: params.id,
+    params,
+    locale,
+    ...buildNotificationMessage(method, params, { locale, variables }),
+    read: false,
+    readAt: null,
+    date: new Date(),
+  };
+
+  try {
+    const { insertedId } = await db
+      .collection('notifications')
+      .insertOne(notification);
+    return { ...notification, _id: insertedId };
+  } catch (e) {
+    console.log('[notifications] - Unable to store notification:', e);
+    return notification;
+  }
+}
+
+/* Each dispatcher delivers an inbox item on one channel and returns whether it reached the user. A
+channel without a dispatcher is skipped. */
+export const CHANNEL_DISPATCHERS = {
+  // Messages are kept for replay even when the user is offline, so a client that reconnects shortly
+  // after gets them with `resume`. A notification that could not be stored in the inbox is sent with
+  // its own method instead.
+  [NOTIFICATION_CHANNELS.WEBSOCKET]: async (db, notification) => {
+    const isOnline = await isUserOnline(notification.userId);
+    if (notification._id) {
+      await dispatchWebSocket('notification', notification);
+    } else {
+      await dispatchWebSocket(notification.method, notification.params);
+    }
+    return isOnline;
+  },
+  [NOTIFICATION_CHANNELS.PUSH]: async (db, notification, req) => {
+    await dispatchFirebase(notification.method, notification.params, req, {
+      title: notification.title,
+      body: notification.body,
+      url: notification.url,
+    });
+    return true;
+  },
+  [NOTIFICATION_CHANNELS.EMAIL]: async (db, notification) => {
+    const email = await getVerifiedEmail(db, notification.userId);
+    if (!email) return false;
+    await utils_email.sendMail({
+      to: email,
+      ...buildNotificationEmail(notification),
+    });
+    return true;
+  },
+  [NOTIFICATION_CHANNELS.WEBHOOK]: async (db, notification) => {
+    await enqueueUserWebhookDeliveries(
+      db,
+      [notification.userId],
+      SUBSCRIPTION_EVENTS.NOTIFICATION,
+      notification
+    );
+    return true;
+  },
+};
+
+/**
+ * This function stores a notification in the inbox of its user and delivers it on the channels the user
+ * enabled for its method, in the locale the user chose. Push notifications are only sent when the user
+ * is not connected over the WebSocket, on any replica.
+ * @param method - The notification method, e.g. `creation` or `completion`.
+ * @param params - The notification parameters: `type`, `id` and `userId`.
+ * @param req - The Express request, used to select the database.
+ */
+export const sendNotification = async (method, params, req) => {
+  const db = await Database.getInstance(req);
+
+  let preferences = { locale: DEFAULT_LOCALE, events: {} };
+  try {
+    preferences = await getNotificationPreferences(db, params.userId);
+  } catch (e) {
+    console.log('[notifications] - Unable to read preferences:', e);
+  }
+
+  const notification = await storeNotification(
+    db,
+    method,
+    params,
+    preferences.locale
+  );
+  const channels = getEnabledChannels(preferences, method);
+
+  const delivered = {};
+  for (const channel of Object.values(NOTIFICATION_CHANNELS)) {
+    if (
+      !channels.includes(channel) ||
+      !CHANNEL_DISPATCHERS[channel] ||
+      (channel === NOTIFICATION_CHANNELS.PUSH &&
+        delivered[NOTIFICATION_CHANNELS.WEBSOCKET])
+    ) {
+      continue;
+    }
+
+    try {
+      delivered[channel] = await CHANNEL_DISPATCHERS[channel](
+        db,
+        notification,
+        req
+      );
+    } catch (e) {
+      console.log('[notifications] - Channel:', channel, '- error:', e);
+    }
   }
 };
@@ -1,3 +1,13 @@
+import { transitionStatus } from './lifecycle-utils.js';
+import {
+  SUBSCRIPTION_EVENTS,
+  enqueueWebhookDeliveries,
+} from './webhook-subscriptions-utils.js';
+import {
+  OFFER_BOOK_EVENTS,
+  publishOfferBookEvent,
+} from './websocket-topics-utils.js';
+
 /**
  * This function returns a MongoDB pipeline for retrieving liquidity wallet offers, with optional
  * pagination.
@@ -80,10 +90,118 @@ export function getPipelineLiquidityWalletInOffer(query) {
 
 export const OFFER_STATUS = {
   PENDING: 'pending',
+  CONFIRMING: 'confirming', // the transaction is mined but does not have enough confirmations yet
   SUCCESS: 'success', // the offer has been created
   FAILURE: 'failure', // the offer creation failed
   ACTIVATION: 'activation', // being activated
   ACTIVATION_FAILURE: 'activationFailure', // activation failed
   DEACTIVATION: 'deactivation', // being deactivated
   DEACTIVATION_FAILURE: 'deactivationFailure', // deactivation failed
+  EXPIRED: 'expired', // the creation transaction was not mined before the chain pendingTimeout
+};
+
+export const OFFER_TRANSITIONS = {
+  [OFFER_STATUS.PENDING]: [
+    OFFER_STATUS.SUCCESS,
+    OFFER_STATUS.FAILURE,
+    OFFER_STATUS.CONFIRMING,
+    OFFER_STATUS.EXPIRED,
+  ],
+  [OFFER_STATUS.CONFIRMING]: [
+    OFFER_STATUS.SUCCESS, // creation or (de)activation confirmed
+    OFFER_STATUS.PENDING, // creation reorged out
+    OFFER_STATUS.ACTIVATION, // activation reorged out
+    OFFER_STATUS.DEACTIVATION, // deactivation reorged out
+    OFFER_STATUS.ACTIVATION_FAILURE, // parameter change of an offer whose activation failed
+    OFFER_STATUS.DEACTIVATION_FAILURE, // parameter change of an offer whose deactivation failed
+  ],
+  [OFFER_STATUS.SUCCESS]: [
+    OFFER_STATUS.ACTIVATION,
+    OFFER_STATUS.DEACTIVATION,
+    OFFER_STATUS.CONFIRMING,
+    OFFER_STATUS.SUCCESS, // (de)activated on-chain without going through the API
+  ],
+  [OFFER_STATUS.ACTIVATION]: [
+    OFFER_STATUS.SUCCESS,
+    OFFER_STATUS.ACTIVATION_FAILURE,
+    OFFER_STATUS.CONFIRMING,
+  ],
+  [OFFER_STATUS.DEACTIVATION]: [
+    OFFER_STATUS.SUCCESS,
+    OFFER_STATUS.DEACTIVATION_FAILURE,
+    OFFER_STATUS.CONFIRMING,
+  ],
+  [OFFER_STATUS.ACTIVATION_FAILURE]: [
+    OFFER_STATUS.ACTIVATION,
+    OFFER_STATUS.DEACTIVATION,
+    OFFER_STATUS.CONFIRMING,
+    OFFER_STATUS.SUCCESS,
+  ],
+  [OFFER_STATUS.DEACTIVATION_FAILURE]: [
+    OFFER_STATUS.ACTIVATION,
+    OFFER_STATUS.DEACTIVATION,
+    OFFER_STATUS.CONFIRMING,
+    OFFER_STATUS.SUCCESS,
+  ],
+  [OFFER_STATUS.EXPIRED]: [OFFER_STATUS.PENDING],
+  [OFFER_STATUS.FAILURE]: [],
+};
+
+/**
+ * This function returns the event sent to webhook subscribers for a transition of an offer: the offer
+ * got its on-chain id, or its activation or deactivation went through.
+ * @param update - The fields set by the transition, including the target `status`.
+ * @returns The event name, from `SUBSCRIPTION_EVENTS`, or `undefined` if the transition raises none.
+ */
+function getOfferSubscriptionEvent(update) {
+  if (update.status !== OFFER_STATUS.SUCCESS) return undefined;
+  if (update.offerId !== undefined) return SUBSCRIPTION_EVENTS.OFFER_CREATED;
+  if (update.isActive === undefined) return undefined;
+  return update.isActive
+    ? SUBSCRIPTION_EVENTS.OFFER_ACTIVATED
+    : SUBSCRIPTION_EVENTS.OFFER_DEACTIVATED;
+}
+
+// The offer book event sent to WebSocket subscribers for each webhook subscription event.
+const OFFER_BOOK_EVENT_BY_SUBSCRIPTION_EVENT = {
+  [SUBSCRIPTION_EVENTS.OFFER_CREATED]: OFFER_BOOK_EVENTS.ADDED,
+  [SUBSCRIPTION_EVENTS.OFFER_ACTIVATED]: OFFER_BOOK_EVENTS.ACTIVATED,
+  [SUBSCRIPTION_EVENTS.OFFER_DEACTIVATED]: OFFER_BOOK_EVENTS.DEACTIVATED,
 };
+
+/**
+ * This function moves an offer to a new status following `OFFER_TRANSITIONS`, and records the
+ * transition in the `statusHistory` of the offer, along with the resulting `isActive` flag when the
+ * transition changes it. Subscribers to the resulting event are queued a webhook, and the clients
+ * following the offer book of the pair are sent the change over the WebSocket.
+ * @param db - The database object used to interact with the database.
+ * @param offer - The offer, with at least its `_id` and the `status` it was read with.
+ * @param update - The fields to set, including the target `status`.
+ * @param context - The `actor`, `source` and optional `reason` of the transition.
+ * @param operators - Additional MongoDB update operators, e.g. `$unset` or `$push`.
+ * @returns The MongoDB update result.
+ * @throws {StatusTransitionError} If the transition is not allowed.
+ */
+export async function transitionOffer(db, offer, update, context, operators) {
+  const response = await transitionStatus(
+    db.collection('offers'),
+    OFFER_TRANSITIONS,
+    offer,
+    update,
+    {
+      ...(update.isActive !== undefined && { isActive: update.isActive }),
+      ...context,
+    },
+    operators
+  );
+
+  const event = getOfferSubscriptionEvent(update);
+  if (event) {
+    await enqueueWebhookDeliveries(db, event, 'offers', offer._id);
+    await publishOfferBookEvent(OFFER_BOOK_EVENT_BY_SUBSCRIPTION_EVENT[event], {
+      ...offer,
+      ...update,
+    });
+  }
+  return response;
+}
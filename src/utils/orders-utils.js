@@ -1,3 +1,9 @@
+import { transitionStatus } from './lifecycle-utils.js';
+import {
+  SUBSCRIPTION_EVENTS,
+  enqueueWebhookDeliveries,
+} from './webhook-subscriptions-utils.js';
+
 /**
  * This function returns a MongoDB pipeline for retrieving offers in orders, with optional pagination.
  * @param req - The `req` parameter is likely an HTTP request object, which contains information about
@@ -65,9 +71,119 @@ export function getPipelineOfferInOrder(query) {
 
 export const ORDER_STATUS = {
   PENDING: 'pending',
+  CONFIRMING: 'confirming', // the transaction is mined but does not have enough confirmations yet
   SUCCESS: 'success', // the order has been created
   FAILURE: 'failure', // the order creation failed
   COMPLETION: 'completion',
   COMPLETE: 'complete', // it means that the order is fully completed and paid for (this is confirmed by the blockchain)
   COMPLETION_FAILURE: 'completionFailure', // it means that Gordon tried to pay for the order but it failed
+  EXPIRED: 'expired', // the creation transaction was not mined before the chain pendingTimeout
+  DROPPED: 'dropped', // the completion transaction was not mined before the chain completionTimeout
+};
+
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [
+    ORDER_STATUS.SUCCESS,
+    ORDER_STATUS.FAILURE,
+    ORDER_STATUS.CONFIRMING,
+    ORDER_STATUS.EXPIRED,
+  ],
+  [ORDER_STATUS.SUCCESS]: [ORDER_STATUS.COMPLETION],
+  [ORDER_STATUS.COMPLETION]: [
+    ORDER_STATUS.COMPLETE,
+    ORDER_STATUS.COMPLETION_FAILURE,
+    ORDER_STATUS.CONFIRMING,
+    ORDER_STATUS.DROPPED,
+  ],
+  [ORDER_STATUS.EXPIRED]: [ORDER_STATUS.PENDING],
+  [ORDER_STATUS.DROPPED]: [ORDER_STATUS.COMPLETION],
+  [ORDER_STATUS.FAILURE]: [],
+  [ORDER_STATUS.COMPLETE]: [],
+  [ORDER_STATUS.COMPLETION_FAILURE]: [
+    ORDER_STATUS.COMPLETION, // payment sent again
+    ORDER_STATUS.CONFIRMING, // payment found on-chain after all
+  ],
 };
+
+/* A confirming order can only move to the status its transaction confirms, or back to the status it
+had before, so its transitions depend on the `previousStatus` of its pending `confirmation`. */
+export const CONFIRMING_ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [
+    ORDER_STATUS.SUCCESS, // creation confirmed
+    ORDER_STATUS.PENDING, // creation reorged out
+  ],
+  [ORDER_STATUS.COMPLETION]: [
+    ORDER_STATUS.COMPLETE, // payment confirmed
+    ORDER_STATUS.COMPLETION, // payment reorged out
+  ],
+  [ORDER_STATUS.COMPLETION_FAILURE]: [
+    ORDER_STATUS.COMPLETE, // late payment of a failed completion confirmed
+    ORDER_STATUS.COMPLETION_FAILURE, // late payment of a failed completion reorged out
+  ],
+};
+
+/**
+ * This function returns the lifecycle an order follows from its current status.
+ * @param order - The order, with its `status` and, if it is confirming, its `confirmation`.
+ * @returns `ORDER_TRANSITIONS`, with the transitions of a confirming order restricted by
+ * `CONFIRMING_ORDER_TRANSITIONS`.
+ */
+function getOrderTransitions(order) {
+  if (order.status !== ORDER_STATUS.CONFIRMING) return ORDER_TRANSITIONS;
+
+  return {
+    ...ORDER_TRANSITIONS,
+    [ORDER_STATUS.CONFIRMING]:
+      CONFIRMING_ORDER_TRANSITIONS[order.confirmation?.previousStatus] ?? [],
+  };
+}
+
+/**
+ * This function returns the event sent to webhook subscribers for a transition of an order. A
+ * `completion` restored after a reorg is not a new payment and raises no event.
+ * @param from - The status of the order before the transition.
+ * @param to - The target status.
+ * @returns The event name, from `SUBSCRIPTION_EVENTS`, or `undefined` if the transition raises none.
+ */
+function getOrderSubscriptionEvent(from, to) {
+  switch (to) {
+    case ORDER_STATUS.SUCCESS:
+      return SUBSCRIPTION_EVENTS.ORDER_CREATED;
+    case ORDER_STATUS.COMPLETION:
+      return from === ORDER_STATUS.CONFIRMING
+        ? undefined
+        : SUBSCRIPTION_EVENTS.ORDER_COMPLETION;
+    case ORDER_STATUS.COMPLETE:
+      return SUBSCRIPTION_EVENTS.ORDER_PAID;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * This function moves an order to a new status following `ORDER_TRANSITIONS`, and records the
+ * transition in the `statusHistory` of the order. Subscribers to the resulting event are queued a
+ * webhook.
+ * @param db - The database object used to interact with the database.
+ * @param order - The order, with at least its `_id` and the `status` it was read with, and its
+ * `confirmation` if it is confirming.
+ * @param update - The fields to set, including the target `status`.
+ * @param context - The `actor`, `source` and optional `reason` of the transition.
+ * @param operators - Additional MongoDB update operators, e.g. `$unset` or `$push`.
+ * @returns The MongoDB update result.
+ * @throws {StatusTransitionError} If the transition is not allowed.
+ */
+export async function transitionOrder(db, order, update, context, operators) {
+  const response = await transitionStatus(
+    db.collection('orders'),
+    getOrderTransitions(order),
+    order,
+    update,
+    context,
+    operators
+  );
+
+  const event = getOrderSubscriptionEvent(order.status, update.status);
+  if (event) await enqueueWebhookDeliveries(db, event, 'orders', order._id);
+  return response;
+}
@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+import {
+  OFFER_STATUS,
+  getPipelineLiquidityWalletInOffer,
+} from './offers-utils.js';
+import { ORDER_STATUS } from './orders-utils.js';
+
+const DEFAULT_MAX_SPLIT_OFFERS = 5;
+const DEFAULT_QUOTE_LOCK_TTL_MS = 120000;
+// Reputation of the liquidity providers, from 0 to `MAX_REPUTATION`; new providers start at the maximum.
+const MAX_REPUTATION = 10;
+// Completed orders every provider is credited with, so that a single failure does not sink a new one.
+const REPUTATION_PRIOR = 1;
+// Share of the received amount a quote loses in its score at the lowest reputation.
+const REPUTATION_WEIGHT = 0.05;
+// Share of the received amount a quote loses in its score at `MAX_ESTIMATED_TIME` seconds or more.
+const ESTIMATED_TIME_WEIGHT = 0.02;
+const MAX_ESTIMATED_TIME = 3600;
+
+/**
+ * This function parses an amount stored as a string.
+ * @param value - The amount.
+ * @returns The amount as a number, or `undefined` if it is missing or not a number.
+ */
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : undefined;
+}
+
+/**
+ * This function formats a computed amount as a string, without the rounding noise of floating point
+ * operations.
+ * @param value - The amount.
+ * @returns The formatted amount.
+ */
+function formatAmount(value) {
+  return parseFloat(value.toPrecision(15)).toString();
+}
+
+/**
+ * This function computes the reputation of liquidity providers from the orders on their offers: the
+ * share of the settled orders they completed, as opposed to those whose payment failed
+ * (`completionFailure`) or was never mined (`dropped`), out of `MAX_REPUTATION`.
+ * @param db - The database object used to interact with the database.
+ * @param userIds - The ids of the providers.
+ * @returns A map from the id of each provider to its reputation.
+ */
+export async function getProviderReputations(db, userIds) {
+  const offers = await db
+    .collection('offers')
+    .find(
+      { userId: { $in: userIds }, offerId: { $exists: true, $ne: '' } },
+      { projection: { offerId: 1, userId: 1 } }
+    )
+    .toArray();
+  const providers = new Map(
+    offers.map(({ offerId, userId }) => [offerId, userId])
+  );
+
+  const counts = await db
+    .collection('orders')
+    .aggregate([
+      {
+        $match: {
+          offerId: { $in: [...providers.keys()] },
+          status: {
+            $in: [
+              ORDER_STATUS.COMPLETE,
+              ORDER_STATUS.COMPLETION_FAILURE,
+              ORDER_STATUS.DROPPED,
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { offerId: '$offerId', status: '$status' },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const outcomes = new Map(
+    userIds.map((userId) => [userId, { completed: 0, failed: 0 }])
+  );
+  counts.forEach(({ _id, count }) => {
+    const outcome = outcomes.get(providers.get(_id.offerId));
+    if (_id.status === ORDER_STATUS.COMPLETE) outcome.completed += count;
+    else outcome.failed += count;
+  });
+
+  return new Map(
+    [...outcomes].map(([userId, { completed, failed }]) => [
+      userId,
+      (MAX_REPUTATION * (completed + REPUTATION_PRIOR)) /
+        (completed + failed + REPUTATION_PRIOR),
+    ])
+  );
+}
+
+/**
+ * This function returns the active offers of a pair, with the liquidity wallet of their provider and
+ * the `reputation` of the provider, see `getProviderReputations`.
+ * @param db - The database object used to interact with the database.
+ * @param pair - The `exchangeChainId` and `exchangeToken` deposited by the buyer, and the `chainId`
+ * and `token` received.
+ * @returns The offers.
+ */
+export async function getPairOffers(
+  db,
+  { exchangeChainId, exchangeToken, chainId, token }
+) {
+  const offers = await db
+    .collection('offers')
+    .aggregate(
+      getPipelineLiquidityWalletInOffer({
+        isActive: true,
+        status: OFFER_STATUS.SUCCESS,
+        offerId: { $exists: true, $ne: '' },
+        exchangeChainId,
+        exchangeToken,
+        chainId,
+        token,
+      })
+    )
+    .toArray();
+
+  const reputations = await getProviderReputations(db, [
+    ...new Set(offers.map((offer) => offer.userId)),
+  ]);
+  return offers.map((offer) => ({
+    ...offer,
+    reputation: formatAmount(reputations.get(offer.userId)),
+  }));
+}
+
+/**
+ * This function reads what an offer can give: its exchange rate, the `min` and `max` of its window and
+ * the liquidity of its provider.
+ * @param offer - The offer, with its `liquidityWallet`.
+ * @returns An object with the `rate`, `min`, `capacity` (the most the offer can give, `max` capped by
+ * the balance of the liquidity wallet when it is known), `balance` and the `factor` applied to the
+ * received amount to score the offer; `null` if the offer has no valid exchange rate.
+ */
+function getOfferTerms(offer) {
+  const rate = parseAmount(offer.exchangeRate);
+  if (!(rate > 0)) return null;
+
+  const balance = parseAmount(offer.liquidityWallet?.tokens?.[offer.tokenId]);
+  const reputation = Math.min(
+    Math.max(parseAmount(offer.reputation) ?? MAX_REPUTATION, 0),
+    MAX_REPUTATION
+  );
+  const estimatedTime = Math.min(
+    Math.max(parseAmount(offer.estimatedTime) ?? MAX_ESTIMATED_TIME, 0),
+    MAX_ESTIMATED_TIME
+  );
+
+  return {
+    rate,
+    min: parseAmount(offer.min) ?? 0,
+    capacity: Math.min(parseAmount(offer.max) ?? Infinity, balance ?? Infinity),
+    balance,
+    reputation,
+    factor:
+      (1 - REPUTATION_WEIGHT * (1 - reputation / MAX_REPUTATION)) *
+      (1 - ESTIMATED_TIME_WEIGHT * (estimatedTime / MAX_ESTIMATED_TIME)),
+  };
+}
+
+/**
+ * This function ranks the offers that can take a whole deposit alone, best first. An offer qualifies
+ * if the amount it gives for the deposit fits its `min`/`max` window and the balance of its liquidity
+ * wallet. Offers are ranked by this amount, lowered by a few percent for providers with a low
+ * reputation and for long estimated times.
+ * @param offers - The offers of the pair, with their `liquidityWallet` and `reputation`.
+ * @param depositAmount - The amount the buyer deposits.
+ * @returns The quotes: the `offerId`, the `amountReceived`, the `score` used to rank it, the
+ * `liquidity` of the provider (`null` if unknown), its `reputation` and the `offer`.
+ */
+export function rankQuotes(offers, depositAmount) {
+  return offers
+    .map((offer) => ({ offer, terms: getOfferTerms(offer) }))
+    .filter(({ terms }) => terms)
+    .map(({ offer, terms }) => ({
+      offer,
+      terms,
+      amountReceived: depositAmount / terms.rate,
+    }))
+    .filter(
+      ({ terms, amountReceived }) =>
+        amountReceived >= terms.min && amountReceived <= terms.capacity
+    )
+    .map(({ offer, terms, amountReceived }) => ({
+      offerId: offer.offerId,
+      amountReceived,
+      score: amountReceived * terms.factor,
+      liquidity: terms.balance ?? null,
+      reputation: terms.reputation,
+      offer,
+    }))
+    .sort((a, b) => b.score - a.score || b.amountReceived - a.amountReceived)
+    .map((quote) => ({
+      ...quote,
+      amountReceived: formatAmount(quote.amountReceived),
+      score: formatAmount(quote.score),
+      ...(quote.liquidity !== null && {
+        liquidity: formatAmount(quote.liquidity),
+      }),
+    }));
+}
+
+/**
+ * This function splits a deposit that no single offer can take across several offers. Offers are
+ * filled greedily, from the one giving the most per deposited unit after the reputation and time
+ * adjustments, each up to its `max` and the balance of its provider; an offer is skipped if the rest
+ * of the deposit would give less than its `min`.
+ * @param offers - The offers of the pair, with their `liquidityWallet` and `reputation`.
+ * @param depositAmount - The amount the buyer deposits.
+ * @returns The split: its `legs` (the `offerId`, `depositAmount`, `amountReceived` and `offer` of
+ * each), the total `depositAmount` and `amountReceived`, and the `remainingDepositAmount` no offer
+ * could take; `null` if no offer can take any part of the deposit.
+ */
+export function splitDeposit(offers, depositAmount) {
+  const maxOffers =
+    parseInt(process.env.QUOTE_MAX_SPLIT_OFFERS) || DEFAULT_MAX_SPLIT_OFFERS;
+  const candidates = offers
+    .map((offer) => ({ offer, terms: getOfferTerms(offer) }))
+    .filter(({ terms }) => terms && terms.capacity > 0)
+    .sort(
+      (a, b) => b.terms.factor / b.terms.rate - a.terms.factor / a.terms.rate
+    );
+
+  const legs = [];
+  let remaining = depositAmount;
+  for (const { offer, terms } of candidates) {
+    // Leftovers below this share of the deposit are rounding noise.
+    if (legs.length >= maxOffers || remaining <= depositAmount * 1e-12) break;
+
+    const amountReceived = Math.min(remaining / terms.rate, terms.capacity);
+    if (amountReceived < terms.min) continue;
+
+    const legDeposit = Math.min(amountReceived * terms.rate, remaining);
+    legs.push({ offer, depositAmount: legDeposit, amountReceived });
+    remaining -= legDeposit;
+  }
+
+  if (!legs.length) return null;
+
+  return {
+    legs: legs.map((leg) => ({
+      offerId: leg.offer.offerId,
+      depositAmount: formatAmount(leg.depositAmount),
+      amountReceived: formatAmount(leg.amountReceived),
+      offer: leg.offer,
+    })),
+    depositAmount: formatAmount(depositAmount - Math.max(remaining, 0)),
+    amountReceived: formatAmount(
+      legs.reduce((total, leg) => total + leg.amountReceived, 0)
+    ),
+    remainingDepositAmount: formatAmount(
+      remaining > depositAmount * 1e-12 ? remaining : 0
+    ),
+  };
+}
+
+/* This error is thrown when an order cannot use a locked quote, or when an offer cannot be quoted for a
+deposit. Routes answer it with a 409. */
+export class QuoteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuoteError';
+  }
+}
+
+/**
+ * This function formats a locked quote for the API response, without its MongoDB id.
+ * @param quote - The quote, as stored in the database.
+ * @returns The quote.
+ */
+export function formatQuote({ _id, ...quote }) {
+  return quote;
+}
+
+/**
+ * This function locks the rate of an offer for a deposit, for `QUOTE_LOCK_TTL_MS` milliseconds (2
+ * minutes by default). The order placed with the quote must give the locked amounts, even if the
+ * liquidity provider changes the offer in the meantime.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the buyer.
+ * @param offerId - The id of the offer.
+ * @param depositAmount - The amount the buyer deposits.
+ * @returns The quote, or `null` if the offer is not found or not active.
+ * @throws {QuoteError} If the offer cannot take the deposit.
+ */
+export async function lockQuote(db, userId, offerId, depositAmount) {
+  const offer = await db
+    .collection('offers')
+    .aggregate(
+      getPipelineLiquidityWalletInOffer({
+        offerId,
+        isActive: true,
+        status: OFFER_STATUS.SUCCESS,
+      })
+    )
+    .next();
+  if (!offer) return null;
+
+  const [quote] = rankQuotes([offer], depositAmount);
+  if (!quote) {
+    throw new QuoteError('The offer cannot take this deposit amount');
+  }
+
+  const ttl =
+    parseInt(process.env.QUOTE_LOCK_TTL_MS) || DEFAULT_QUOTE_LOCK_TTL_MS;
+  const lockedQuote = {
+    quoteId: crypto.randomUUID(),
+    userId,
+    offerId,
+    exchangeRate: offer.exchangeRate,
+    amountTokenDeposit: formatAmount(depositAmount),
+    chainIdTokenDeposit: offer.exchangeChainId,
+    tokenDeposit: offer.exchangeToken,
+    amountTokenOffer: quote.amountReceived,
+    chainIdTokenOffer: offer.chainId,
+    tokenOffer: offer.token,
+    usedAt: null,
+    orderId: null,
+    expiresAt: new Date(Date.now() + ttl),
+    date: new Date(),
+  };
+  await db.collection('quotes').insertOne(lockedQuote);
+
+  return formatQuote(lockedQuote);
+}
+
+/**
+ * This function checks an order against the quote it references and marks the quote as used, so that
+ * it cannot be used by another order. The order must be for the offer, chain and amounts of the quote.
+ * @param db - The database object used to interact with the database.
+ * @param userId - The id of the buyer.
+ * @param order - The order, with its `quoteId`.
+ * @returns The quote, or `null` if the user has no quote with this id.
+ * @throws {QuoteError} If the quote expired or was used, or if the order does not match it.
+ */
+export async function redeemQuote(db, userId, order) {
+  const collection = db.collection('quotes');
+  const quote = await collection.findOne({ quoteId: order.quoteId, userId });
+  if (!quote) return null;
+
+  if (quote.usedAt) {
+    throw new QuoteError('The quote has already been used');
+  }
+  if (quote.expiresAt <= new Date()) {
+    throw new QuoteError('The quote has expired');
+  }
+  if (
+    order.offerId !== quote.offerId ||
+    order.chainIdTokenDeposit !== quote.chainIdTokenDeposit ||
+    parseAmount(order.amountTokenDeposit) !==
+      parseAmount(quote.amountTokenDeposit) ||
+    parseAmount(order.amountTokenOffer) !== parseAmount(quote.amountTokenOffer)
+  ) {
+    throw new QuoteError('The order does not match the quote');
+  }
+
+  // Another order may have used the quote since it was read.
+  const { value } = await collection.findOneAndUpdate(
+    { _id: quote._id, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!value) {
+    throw new QuoteError('The quote has already been used');
+  }
+
+  return formatQuote(value);
+}
+
+/**
+ * This function links a quote redeemed by `redeemQuote` to the order stored for it. The order has no
+ * on-chain id yet at this point, so the quote keeps the MongoDB id of the order.
+ * @param db - The database object used to interact with the database.
+ * @param quote - The quote, as returned by `redeemQuote`.
+ * @param orderId - The MongoDB id of the order.
+ */
+export async function linkQuoteToOrder(db, quote, orderId) {
+  await db
+    .collection('quotes')
+    .updateOne(
+      { quoteId: quote.quoteId, usedAt: quote.usedAt },
+      { $set: { orderId } }
+    );
+}
+
+/**
+ * This function makes a quote redeemed by `redeemQuote` usable again, when the order it was redeemed for
+ * could not be stored.
+ * @param db - The database object used to interact with the database.
+ * @param quote - The quote, as returned by `redeemQuote`.
+ */
+export async function releaseQuote(db, quote) {
+  await db
+    .collection('quotes')
+    .updateOne(
+      { quoteId: quote.quoteId, usedAt: quote.usedAt },
+      { $set: { usedAt: null, orderId: null } }
+    );
+}
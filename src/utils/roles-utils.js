@@ -0,0 +1,81 @@
+export const ROLES = {
+  SUPERADMIN: 'superadmin',
+  CHAIN_MANAGER: 'chain-manager',
+  TOKEN_MANAGER: 'token-manager',
+  SUPPORT: 'support',
+};
+
+export const PERMISSIONS = {
+  ADMINS_MANAGE: 'admins:manage', // grant and revoke admin roles
+  API_KEYS_MANAGE: 'api-keys:manage', // create, rotate and revoke service API keys
+  BLOCKCHAINS_WRITE: 'blockchains:write', // create, modify and delete blockchains
+  TOKENS_WRITE: 'tokens:write', // create, modify and delete tokens
+  ABIS_WRITE: 'abis:write', // upload contract ABI versions
+  RPC_READ: 'rpc:read', // inspect the health of the RPC endpoints
+  SYNC_RUN: 'sync:run', // run the on-chain sweeps over every offer and order
+  WEBHOOK_EVENTS_READ: 'webhook-events:read', // inspect the received webhook events
+  WEBHOOK_EVENTS_REPLAY: 'webhook-events:replay', // process failed webhook events again
+};
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.SUPERADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CHAIN_MANAGER]: [
+    PERMISSIONS.BLOCKCHAINS_WRITE,
+    PERMISSIONS.ABIS_WRITE,
+    PERMISSIONS.RPC_READ,
+    PERMISSIONS.SYNC_RUN,
+    PERMISSIONS.WEBHOOK_EVENTS_READ,
+    PERMISSIONS.WEBHOOK_EVENTS_REPLAY,
+  ],
+  [ROLES.TOKEN_MANAGER]: [PERMISSIONS.TOKENS_WRITE],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.RPC_READ,
+    PERMISSIONS.SYNC_RUN,
+    PERMISSIONS.WEBHOOK_EVENTS_READ,
+  ],
+};
+
+/**
+ * This function builds the filter matching the admin document of a user. User ids are compared as a
+ * whole and case-insensitively, as addresses may be stored with or without their checksum casing.
+ * @param userId - The user id.
+ * @returns The MongoDB filter.
+ */
+export function adminFilter(userId) {
+  return {
+    userId: {
+      $regex: `^${userId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+      $options: 'i',
+    },
+  };
+}
+
+/**
+ * This function returns the roles of an admin. Admin documents created before roles existed have no
+ * `roles` field and keep full access.
+ * @param admin - The admin document, as stored in the `admins` collection.
+ * @returns The list of roles.
+ */
+export function getAdminRoles(admin) {
+  return admin.roles ?? [ROLES.SUPERADMIN];
+}
+
+/**
+ * This function returns the permissions granted by a list of roles.
+ * @param roles - The list of roles.
+ * @returns The deduplicated list of permissions.
+ */
+export function getRolePermissions(roles) {
+  return [...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] ?? []))];
+}
+
+/**
+ * This function counts the admins holding the `superadmin` role, including the admins without roles.
+ * @param db - The database object used to interact with the database.
+ * @returns The number of superadmins.
+ */
+export async function countSuperadmins(db) {
+  return await db.collection('admins').countDocuments({
+    $or: [{ roles: { $exists: false } }, { roles: ROLES.SUPERADMIN }],
+  });
+}
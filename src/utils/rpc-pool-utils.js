@@ -0,0 +1,231 @@
+import { ethers } from 'ethers';
+
+const DEFAULT_BACKOFF_BASE_MS = 5000;
+const DEFAULT_BACKOFF_MAX_MS = 300000;
+const DEFAULT_MAX_HEAD_LAG = 5;
+// Weight of the latest request in the latency and error rate moving averages.
+const EWMA_ALPHA = 0.3;
+// Latency penalty (in ms) of an endpoint whose requests all fail.
+const ERROR_RATE_PENALTY_MS = 5000;
+
+const rpcStats = new Map();
+const providers = new Map();
+
+/* This error is thrown when the RPC endpoints of a chain cannot answer a request, either because none of
+them is reachable or because too few of them answered to conclude. Webhooks answer it with a 503, so
+that the event can be replayed once the endpoints are back. */
+export class RpcUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RpcUnavailableError';
+  }
+}
+
+/**
+ * This function returns the health statistics of an RPC endpoint, creating them on first use.
+ * @param rpc - The URL of the RPC endpoint.
+ * @returns The mutable statistics object of the endpoint.
+ */
+function getStats(rpc) {
+  if (!rpcStats.has(rpc)) {
+    rpcStats.set(rpc, {
+      requests: 0,
+      errors: 0,
+      latency: null,
+      errorRate: 0,
+      consecutiveErrors: 0,
+      backoffUntil: null,
+      headBlock: null,
+      headBlockAt: null,
+      lastError: null,
+      lastErrorAt: null,
+    });
+  }
+  return rpcStats.get(rpc);
+}
+
+/**
+ * This function records a successful request sent to an RPC endpoint and lifts its backoff.
+ * @param rpc - The URL of the RPC endpoint.
+ * @param latency - The duration of the request, in milliseconds.
+ * @param headBlock - The latest block number returned by the endpoint, if the request asked for it.
+ */
+export function recordRpcSuccess(rpc, latency, headBlock) {
+  const stats = getStats(rpc);
+
+  stats.requests++;
+  stats.latency =
+    stats.latency === null
+      ? latency
+      : EWMA_ALPHA * latency + (1 - EWMA_ALPHA) * stats.latency;
+  stats.errorRate = (1 - EWMA_ALPHA) * stats.errorRate;
+  stats.consecutiveErrors = 0;
+  stats.backoffUntil = null;
+
+  if (headBlock !== undefined) {
+    stats.headBlock = headBlock;
+    stats.headBlockAt = new Date();
+  }
+}
+
+/**
+ * This function records a failed request sent to an RPC endpoint and backs the endpoint off for a
+ * delay doubling with each consecutive failure.
+ * @param rpc - The URL of the RPC endpoint.
+ * @param error - The error thrown by the request.
+ */
+export function recordRpcFailure(rpc, error) {
+  const stats = getStats(rpc);
+  const base =
+    parseInt(process.env.RPC_BACKOFF_BASE_MS) || DEFAULT_BACKOFF_BASE_MS;
+  const max =
+    parseInt(process.env.RPC_BACKOFF_MAX_MS) || DEFAULT_BACKOFF_MAX_MS;
+
+  stats.requests++;
+  stats.errors++;
+  stats.errorRate = EWMA_ALPHA + (1 - EWMA_ALPHA) * stats.errorRate;
+  stats.consecutiveErrors++;
+  stats.backoffUntil = new Date(
+    Date.now() + Math.min(base * 2 ** (stats.consecutiveErrors - 1), max)
+  );
+  stats.lastError = error?.message ?? String(error);
+  stats.lastErrorAt = new Date();
+}
+
+/* JSON-RPC errors (reverted calls, invalid params, ...) are answered by a healthy endpoint and carry a
+numeric code, unlike network errors and timeouts which ethers reports with a string code. */
+function isEndpointError(error) {
+  return typeof error?.code !== 'number';
+}
+
+/* This provider reports the outcome and latency of every request it sends to the RPC pool. */
+class PooledJsonRpcProvider extends ethers.providers.JsonRpcProvider {
+  async send(method, params) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await super.send(method, params);
+      recordRpcSuccess(
+        this.connection.url,
+        Date.now() - startedAt,
+        method === 'eth_blockNumber' ? parseInt(result) : undefined
+      );
+      return result;
+    } catch (e) {
+      if (isEndpointError(e)) {
+        recordRpcFailure(this.connection.url, e);
+      } else {
+        recordRpcSuccess(this.connection.url, Date.now() - startedAt);
+      }
+      throw e;
+    }
+  }
+}
+
+/**
+ * This function returns the ethers provider of an RPC endpoint. Providers are shared across requests
+ * so that every call made through them is accounted for in the endpoint statistics.
+ * @param rpc - The URL of the RPC endpoint.
+ * @returns A `JsonRpcProvider` connected to the endpoint.
+ */
+export function getPooledProvider(rpc) {
+  if (!providers.has(rpc)) {
+    providers.set(rpc, new PooledJsonRpcProvider(rpc));
+  }
+  return providers.get(rpc);
+}
+
+/**
+ * This function computes the health of the RPC endpoints of a chain and sorts them from the healthiest
+ * to the least healthy. Endpoints backing off come last and lagging endpoints come before them, so
+ * they are only used as a last resort. An endpoint whose latency was never measured gets the average
+ * score of the measured healthy endpoints, so that it neither outranks them nor is never tried, and
+ * endpoints with the same score keep their configured order. The head-block lag of an endpoint is
+ * measured against the most advanced endpoint of the same list.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @returns An array with, for each endpoint, its `rpc` URL, its statistics, its head-block `lag`, its
+ * `score` (an estimated latency in ms, lower is better), and whether it is `backingOff` or `lagging`.
+ */
+export function getRpcHealth(rpcs) {
+  const now = Date.now();
+  const maxLag = parseInt(process.env.RPC_MAX_HEAD_LAG) || DEFAULT_MAX_HEAD_LAG;
+  const heads = rpcs
+    .map((rpc) => getStats(rpc).headBlock)
+    .filter((headBlock) => headBlock !== null);
+  const maxHead = heads.length ? Math.max(...heads) : null;
+  const tier = (health) => (health.backingOff ? 2 : health.lagging ? 1 : 0);
+
+  const healths = rpcs.map((rpc) => {
+    const stats = getStats(rpc);
+    const lag = stats.headBlock === null ? null : maxHead - stats.headBlock;
+
+    return {
+      rpc,
+      ...stats,
+      lag,
+      score:
+        stats.latency === null
+          ? null
+          : stats.latency + stats.errorRate * ERROR_RATE_PENALTY_MS,
+      backingOff: stats.backoffUntil !== null && stats.backoffUntil > now,
+      lagging: lag !== null && lag > maxLag,
+    };
+  });
+
+  const measured = healths.filter(
+    (health) => health.score !== null && tier(health) === 0
+  );
+  const neutralScore = measured.length
+    ? measured.reduce((total, health) => total + health.score, 0) /
+      measured.length
+    : 0;
+
+  return healths
+    .map((health) => ({
+      ...health,
+      score:
+        health.score ?? neutralScore + health.errorRate * ERROR_RATE_PENALTY_MS,
+    }))
+    .sort((a, b) => tier(a) - tier(b) || a.score - b.score);
+}
+
+/**
+ * This function sorts the RPC endpoints of a chain from the healthiest to the least healthy.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @returns The RPC URLs, ordered by health.
+ */
+export function rankRpcs(rpcs) {
+  return getRpcHealth(rpcs).map((health) => health.rpc);
+}
+
+/**
+ * This function returns the healthiest RPC endpoint of a chain.
+ * @param rpcs - The list of RPC endpoints of the chain.
+ * @returns The URL of the healthiest endpoint.
+ */
+export function getHealthiestRpc(rpcs) {
+  return rankRpcs(rpcs)[0];
+}
+
+/**
+ * This function probes an RPC endpoint by requesting its latest block number, which refreshes its
+ * latency and head-block statistics.
+ * @param rpc - The URL of the RPC endpoint.
+ * @returns The latest block number, or `null` if the endpoint did not answer.
+ */
+export async function probeRpc(rpc) {
+  try {
+    return await getPooledProvider(rpc).getBlockNumber();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * This function resets the statistics of every RPC endpoint.
+ */
+export function resetRpcStats() {
+  rpcStats.clear();
+}
+
+export const utils_rpc_pool = { probeRpc };
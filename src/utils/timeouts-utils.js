@@ -0,0 +1,165 @@
+import { OFFER_STATUS, transitionOffer } from './offers-utils.js';
+import { ORDER_STATUS, transitionOrder } from './orders-utils.js';
+import { utils_confirmations } from './confirmations-utils.js';
+import { sendNotification } from './notification-utils.js';
+import { TRANSITION_SOURCES } from './lifecycle-utils.js';
+
+/**
+ * This function builds the date before which a transaction submitted on a chain is considered stuck.
+ * @param chain - The blockchain document, as stored in the `blockchains` collection.
+ * @param field - The timeout field of the chain, `pendingTimeout` or `completionTimeout` (in seconds).
+ * @returns The deadline, or `null` if the chain does not define this timeout.
+ */
+function getDeadline(chain, field) {
+  const timeout = parseInt(chain?.[field]);
+  return timeout > 0 ? new Date(Date.now() - timeout * 1000) : null;
+}
+
+/**
+ * This function moves the documents whose transaction was submitted before the chain timeout and is
+ * still not mined to a timeout status, and notifies their owner. A document whose transaction got
+ * mined in the meantime is left to the sync process.
+ * @param db - The database object used to interact with the database.
+ * @param options - The collection to scan (`collectionName`), the `statuses` of the documents waiting
+ * for their transaction, the `hashField` of the transaction, a `getSubmittedAt` function returning
+ * when it was submitted, the `timeoutField` of the chain, the `timeoutStatus` to set, the
+ * notification `type` and a `getChainId` function returning the chain id on which the transaction of
+ * a document was sent.
+ * @returns The number of documents moved to the timeout status.
+ */
+async function expireStuck(
+  db,
+  {
+    collectionName,
+    statuses,
+    hashField,
+    getSubmittedAt,
+    timeoutField,
+    timeoutStatus,
+    type,
+    getChainId,
+  }
+) {
+  const collection = db.collection(collectionName);
+  const chains = {};
+  let expired = 0;
+
+  for (const doc of await collection
+    .find({ status: { $in: statuses } })
+    .toArray()) {
+    try {
+      const chainId = await getChainId(doc);
+      chains[chainId] ??= await db
+        .collection('blockchains')
+        .findOne({ chainId });
+
+      const deadline = getDeadline(chains[chainId], timeoutField);
+      const submittedAt = getSubmittedAt(doc);
+      if (!deadline || !submittedAt || submittedAt > deadline) continue;
+
+      if (
+        (await utils_confirmations.getReceiptInfo(
+          chains[chainId].rpc,
+          doc[hashField]
+        )) !== null
+      ) {
+        continue;
+      }
+
+      const response = await (collectionName === 'orders'
+        ? transitionOrder
+        : transitionOffer)(
+        db,
+        doc,
+        { status: timeoutStatus },
+        { source: TRANSITION_SOURCES.SYNC, reason: 'timeout' }
+      );
+      if (response.modifiedCount > 0) {
+        await sendNotification('expiration', {
+          type,
+          id: doc._id.toString(),
+          userId: doc.userId,
+          status: timeoutStatus,
+        });
+        expired++;
+      }
+    } catch (e) {
+      console.log(
+        `[expire-stuck] - ${collectionName} MongoDB Id:`,
+        doc._id.toString(),
+        '- error:',
+        e
+      );
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * This function expires the pending offers whose creation transaction did not get mined within the
+ * `pendingTimeout` of the chain, and rolls back to `success` the offers whose activation or
+ * deactivation transaction did not get mined within the same timeout, leaving `isActive` unchanged.
+ * @param db - The database object used to interact with the database.
+ * @returns An object with the number of `expired` and `rolledBack` offers.
+ */
+export async function expireStuckOffers(db) {
+  return {
+    expired: await expireStuck(db, {
+      collectionName: 'offers',
+      statuses: [OFFER_STATUS.PENDING],
+      hashField: 'hash',
+      getSubmittedAt: (offer) => offer.submittedAt ?? offer.date,
+      timeoutField: 'pendingTimeout',
+      timeoutStatus: OFFER_STATUS.EXPIRED,
+      type: 'offer',
+      getChainId: (offer) => offer.exchangeChainId,
+    }),
+    rolledBack: await expireStuck(db, {
+      collectionName: 'offers',
+      statuses: [OFFER_STATUS.ACTIVATION, OFFER_STATUS.DEACTIVATION],
+      hashField: 'activationHash',
+      getSubmittedAt: (offer) =>
+        offer.activationDate ?? offer.statusHistory?.at(-1)?.date,
+      timeoutField: 'pendingTimeout',
+      timeoutStatus: OFFER_STATUS.SUCCESS,
+      type: 'offer',
+      getChainId: (offer) => offer.exchangeChainId,
+    }),
+  };
+}
+
+/**
+ * This function expires the pending orders whose creation transaction did not get mined within the
+ * `pendingTimeout` of the chain, and marks as dropped the orders whose completion transaction did not
+ * get mined within the `completionTimeout` of the chain.
+ * @param db - The database object used to interact with the database.
+ * @returns An object with the number of `expired` and `dropped` orders.
+ */
+export async function expireStuckOrders(db) {
+  return {
+    expired: await expireStuck(db, {
+      collectionName: 'orders',
+      statuses: [ORDER_STATUS.PENDING],
+      hashField: 'hash',
+      getSubmittedAt: (order) => order.submittedAt ?? order.date,
+      timeoutField: 'pendingTimeout',
+      timeoutStatus: ORDER_STATUS.EXPIRED,
+      type: 'order',
+      getChainId: (order) => order.chainIdTokenDeposit,
+    }),
+    dropped: await expireStuck(db, {
+      collectionName: 'orders',
+      statuses: [ORDER_STATUS.COMPLETION],
+      hashField: 'completionHash',
+      getSubmittedAt: (order) => order.completionDate,
+      timeoutField: 'completionTimeout',
+      timeoutStatus: ORDER_STATUS.DROPPED,
+      type: 'order',
+      getChainId: async (order) =>
+        (
+          await db.collection('offers').findOne({ offerId: order.offerId })
+        )?.chainId,
+    }),
+  };
+}
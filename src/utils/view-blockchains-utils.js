@@ -1,7 +1,9 @@
 import { ethers } from 'ethers';
-import axios from 'axios';
 import { ORDER_STATUS } from './orders-utils.js';
 import { OFFER_STATUS } from './offers-utils.js';
+import { getAbis } from './abis-utils.js';
+import { withConfirmations } from './confirmations-utils.js';
+import { getPooledProvider, rankRpcs } from './rpc-pool-utils.js';
 
 /**
  * This function updates the offer ID and status of an offer in a database based on its chain ID and
@@ -21,11 +23,25 @@ export async function updateOfferId(db, offer) {
     .collection('blockchains')
     .findOne({ chainId: offer.exchangeChainId });
 
-  offer.offerId = await utils_offers.getOfferIdFromHash(chain.rpc, offer.hash);
-  offer.status =
-    offer.offerId !== '' ? OFFER_STATUS.SUCCESS : OFFER_STATUS.FAILURE;
+  const previousStatus = offer.status;
+  offer.offerId = await utils_offers.getOfferIdFromHash(
+    chain.rpc,
+    offer.hash,
+    await getAbis(db, chain)
+  );
+
+  if (offer.offerId === '') {
+    offer.status = OFFER_STATUS.FAILURE;
+    return { offerId: offer.offerId, status: offer.status };
+  }
+
+  const update = await withConfirmations(chain, previousStatus, offer.hash, {
+    offerId: offer.offerId,
+    status: OFFER_STATUS.SUCCESS,
+  });
+  offer.status = update.status;
 
-  return { offerId: offer.offerId, status: offer.status };
+  return update;
 }
 
 /**
@@ -46,15 +62,27 @@ export async function updateCompletionOrder(db, order) {
     .findOne({ offerId: order.offerId });
   const chain = await db.collection('blockchains').findOne({ chainId });
 
+  const previousStatus = order.status;
   order.isComplete = await utils_orders.isPaidOrderFromHash(
     chain.rpc,
-    order.completionHash
+    order.completionHash,
+    await getAbis(db, chain)
   );
-  order.status = order.isComplete
-    ? ORDER_STATUS.COMPLETE
-    : ORDER_STATUS.COMPLETION_FAILURE;
 
-  return { status: order.status, isComplete: order.isComplete };
+  if (!order.isComplete) {
+    order.status = ORDER_STATUS.COMPLETION_FAILURE;
+    return { status: order.status, isComplete: order.isComplete };
+  }
+
+  const update = await withConfirmations(
+    chain,
+    previousStatus,
+    order.completionHash,
+    { status: ORDER_STATUS.COMPLETE, isComplete: true }
+  );
+  order.status = update.status;
+
+  return update;
 }
 
 /**
@@ -75,7 +103,8 @@ export async function updateActivationOffer(db, offer) {
 
   const isActivationEvent = await utils_offers.isSetStatusFromHash(
     chain.rpc,
-    offer.activationHash
+    offer.activationHash,
+    await getAbis(db, chain)
   );
 
   if (!isActivationEvent.isSetStatus) {
@@ -86,10 +115,16 @@ export async function updateActivationOffer(db, offer) {
     return { status: offer.status, isActive: offer.isActive };
   }
 
-  offer.isActive = isActivationEvent.isActive;
-  offer.status = OFFER_STATUS.SUCCESS;
+  const update = await withConfirmations(
+    chain,
+    offer.status,
+    offer.activationHash,
+    { status: OFFER_STATUS.SUCCESS, isActive: isActivationEvent.isActive }
+  );
+  offer.status = update.status;
+  offer.isActive = update.isActive ?? offer.isActive;
 
-  return { status: offer.status, isActive: offer.isActive };
+  return update;
 }
 
 /**
@@ -104,11 +139,25 @@ export async function updateOrderFromDb(db, order) {
     chainId: order.chainIdTokenDeposit,
   });
 
-  order.orderId = await utils_orders.getOrderIdFromHash(chain.rpc, order.hash);
-  order.status =
-    order.orderId === '' ? ORDER_STATUS.FAILURE : ORDER_STATUS.SUCCESS;
+  const previousStatus = order.status;
+  order.orderId = await utils_orders.getOrderIdFromHash(
+    chain.rpc,
+    order.hash,
+    await getAbis(db, chain)
+  );
+
+  if (order.orderId === '') {
+    order.status = ORDER_STATUS.FAILURE;
+    return { orderId: order.orderId, status: order.status };
+  }
+
+  const update = await withConfirmations(chain, previousStatus, order.hash, {
+    orderId: order.orderId,
+    status: ORDER_STATUS.SUCCESS,
+  });
+  order.status = update.status;
 
-  return { orderId: order.orderId, status: order.status };
+  return update;
 }
 
 /**
@@ -119,18 +168,19 @@ export async function updateOrderFromDb(db, order) {
  * @param hash - The `hash` parameter is a string representing the transaction hash of a previously
  * sent transaction on the blockchain network. This function retrieves the order ID from the
  * transaction receipt of that transaction.
+ * @param abis - The contract ABIs of the chain, as returned by `getAbis`.
  * @returns the third topic of the first log in the transaction receipt object if the transaction
  * status is not 0, otherwise it returns an empty string. The third topic is assumed to be the order
  * ID.
  */
-export async function getOrderIdFromHash(rpcs, hash) {
-  for (const rpc of rpcs) {
+export async function getOrderIdFromHash(rpcs, hash, abis) {
+  for (const rpc of rankRpcs(rpcs)) {
     try {
       const txReceipt = await getProviderFromRpc(rpc).getTransactionReceipt(
         hash
       );
       if (txReceipt !== null) {
-        const poolIface = new ethers.utils.Interface((await getAbis()).poolAbi);
+        const poolIface = new ethers.utils.Interface(abis.poolAbi);
         const log = txReceipt.logs.find(
           (log) => poolIface.parseLog(log).name === 'LogNewTrade'
         );
@@ -153,17 +203,18 @@ export async function getOrderIdFromHash(rpcs, hash) {
  * the blockchain.
  * @param hash - The hash parameter is a string representing the transaction hash of a previously
  * executed Ethereum transaction.
+ * @param abis - The contract ABIs of the chain, as returned by `getAbis`.
  * @returns the offer ID extracted from the logs of a transaction with the given hash. If the
  * transaction failed (status = 0), an empty string is returned.
  */
-export async function getOfferIdFromHash(rpcs, hash) {
-  for (const rpc of rpcs) {
+export async function getOfferIdFromHash(rpcs, hash, abis) {
+  for (const rpc of rankRpcs(rpcs)) {
     try {
       const txReceipt = await getProviderFromRpc(rpc).getTransactionReceipt(
         hash
       );
       if (txReceipt !== null) {
-        const poolIface = new ethers.utils.Interface((await getAbis()).poolAbi);
+        const poolIface = new ethers.utils.Interface(abis.poolAbi);
         const log = txReceipt.logs.find(
           (log) => poolIface.parseLog(log).name === 'LogNewOffer'
         );
@@ -187,19 +238,18 @@ export async function getOfferIdFromHash(rpcs, hash) {
  * with the Ethereum network. It is used to send and receive data from the blockchain.
  * @param hash - The hash parameter is a string representing the transaction hash of a blockchain
  * transaction.
+ * @param abis - The contract ABIs of the chain, as returned by `getAbis`.
  * @returns a boolean value. It will return `true` if the transaction with the given hash is a paid
  * order, and `false` if it is not a paid order or if the transaction failed (status is 0).
  */
-export async function isPaidOrderFromHash(rpcs, hash) {
-  for (const rpc of rpcs) {
+export async function isPaidOrderFromHash(rpcs, hash, abis) {
+  for (const rpc of rankRpcs(rpcs)) {
     try {
       const txReceipt = await getProviderFromRpc(rpc).getTransactionReceipt(
         hash
       );
       if (txReceipt !== null) {
-        const iface = new ethers.utils.Interface(
-          (await getAbis()).liquidityWalletAbi
-        );
+        const iface = new ethers.utils.Interface(abis.liquidityWalletAbi);
 
         return txReceipt.status === 0
           ? false
@@ -222,19 +272,20 @@ export async function isPaidOrderFromHash(rpcs, hash) {
  * It is used to retrieve the transaction receipt for a given hash.
  * @param hash - The `hash` parameter is a string representing the transaction hash of a transaction on
  * the Ethereum blockchain.
+ * @param abis - The contract ABIs of the chain, as returned by `getAbis`.
  * @returns An object with two properties: "isSetStatus" and "isActive". The "isSetStatus" property is
  * a boolean indicating whether the transaction with the given hash resulted in a successful status
  * change. The "isActive" property is a boolean indicating whether the status change resulted in the
  * offer being active or inactive.
  */
-export async function isSetStatusFromHash(rpcs, hash) {
-  for (const rpc of rpcs) {
+export async function isSetStatusFromHash(rpcs, hash, abis) {
+  for (const rpc of rankRpcs(rpcs)) {
     try {
       const txReceipt = await getProviderFromRpc(rpc).getTransactionReceipt(
         hash
       );
       if (txReceipt !== null) {
-        const poolIface = new ethers.utils.Interface((await getAbis()).poolAbi);
+        const poolIface = new ethers.utils.Interface(abis.poolAbi);
 
         const log = txReceipt.logs.find(
           (log) => poolIface.parseLog(log).name === 'LogSetStatusOffer'
@@ -254,49 +305,16 @@ export async function isSetStatusFromHash(rpcs, hash) {
 }
 
 /**
- * This function returns a new instance of the JsonRpcProvider class from the ethers.providers module
- * using the provided rpc parameter.
+ * This function returns the ethers provider of an RPC endpoint from the RPC pool, which keeps track of
+ * the latency and errors of each endpoint.
  * @param rpc - The `rpc` parameter is a string representing the URL of an Ethereum JSON-RPC endpoint.
- * This function creates a new instance of the `JsonRpcProvider` class from the `ethers.providers`
- * module using the provided `rpc` URL. This provider can be used to interact with the Ethereum network
- * @returns A function that takes an RPC endpoint as an argument and returns a new instance of the
- * `JsonRpcProvider` class from the `ethers.providers` library, which can be used to interact with an
- * Ethereum node over JSON-RPC.
+ * @returns A `JsonRpcProvider` instance from the `ethers.providers` library, which can be used to
+ * interact with an Ethereum node over JSON-RPC.
  */
 export function getProviderFromRpc(rpc) {
-  return new ethers.providers.JsonRpcProvider(rpc);
+  return getPooledProvider(rpc);
 }
 
-/**
- * The function retrieves ABIs (Application Binary Interfaces) for various contracts from specified
- * URLs and returns them as an object.
- * @returns The `getAbis` function returns an object with four properties: `poolAbi`, `tokenAbi`,
- * `liquidityWalletAbi`, and `satelliteAbi`. The first three properties contain the ABI (Application
- * Binary Interface) data for three different smart contracts, while the `satelliteAbi` property is set
- * to `null`. The ABI data is obtained by making HTTP
- */
-export const getAbis = async () => {
-  const results = await Promise.all(
-    [
-      'https://raw.githubusercontent.com/grindery-io/Depay-Reality/main/abis/GrtPoolV2.json',
-      'https://raw.githubusercontent.com/grindery-io/Depay-Reality/main/abis/ERC20Sample.json',
-      'https://raw.githubusercontent.com/grindery-io/Depay-Reality/main/abis/GrtLiquidityWalletV2.json',
-    ].map(async (url) => {
-      const result = await axios.get(url).catch(() => {
-        return null;
-      });
-      return result?.data || null;
-    })
-  );
-
-  return {
-    poolAbi: results[0],
-    tokenAbi: results[1],
-    liquidityWalletAbi: results[2],
-    satelliteAbi: null,
-  };
-};
-
 export const utils_orders = {
   getOrderIdFromHash,
   isPaidOrderFromHash,
@@ -0,0 +1,175 @@
+import { WEBHOOK_HANDLERS } from './webhook-handlers-utils.js';
+import { RpcUnavailableError } from './rpc-pool-utils.js';
+
+export const WEBHOOK_EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+};
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * This function builds the key identifying a webhook event across deliveries: the same event of the
+ * same transaction on the same chain is only applied once.
+ * @param event - The event name, from `WEBHOOK_EVENTS`.
+ * @param payload - The webhook payload.
+ * @returns The dedupe key.
+ */
+export function getDedupeKey(event, payload) {
+  return [
+    payload._grinderyChainId ?? '',
+    WEBHOOK_HANDLERS[event].getHash(payload).toLowerCase(),
+    event,
+  ].join(':');
+}
+
+/**
+ * This function creates the indexes of the event log. MongoDB ignores indexes that already exist, so
+ * this is a cheap call, and it keeps working if the collection is dropped.
+ * @param collection - The `webhook-events` collection.
+ */
+async function ensureEventIndexes(collection) {
+  await collection.createIndexes([
+    { key: { dedupeKey: 1 }, unique: true },
+    { key: { status: 1, receivedAt: -1 } },
+    { key: { 'target._id': 1 } },
+  ]);
+}
+
+/**
+ * This function runs the handler of a stored webhook event and records its outcome. An event whose
+ * handler answers with an error status, or throws, is marked as failed so that it can be replayed; it
+ * is answered with a 503 if the RPCs of the chain could not be reached.
+ * @param db - The database object used to interact with the database.
+ * @param event - The webhook event document, as stored in the `webhook-events` collection.
+ * @returns The outcome of the event: an HTTP `status` and a response `body`.
+ */
+async function runWebhookEvent(db, event) {
+  let outcome, error;
+  try {
+    outcome = await WEBHOOK_HANDLERS[event.event].handle(db, event.payload, {
+      eventId: event._id,
+    });
+  } catch (e) {
+    console.log(
+      '[webhook-events] - Event:',
+      event._id.toString(),
+      '- error:',
+      e
+    );
+    error = e.message;
+    outcome =
+      e instanceof RpcUnavailableError
+        ? { status: 503, body: { msg: 'The chain cannot be reached' } }
+        : { status: 500, body: { msg: 'Event processing failed' } };
+  }
+
+  const { target, ...result } = outcome;
+  await db.collection('webhook-events').updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        status:
+          result.status < 400
+            ? WEBHOOK_EVENT_STATUS.PROCESSED
+            : WEBHOOK_EVENT_STATUS.FAILED,
+        result,
+        error: error ?? (result.status < 400 ? null : result.body.msg),
+        processedAt: new Date(),
+        ...(target && { target }),
+      },
+    }
+  );
+
+  return result;
+}
+
+/**
+ * This function stores an incoming webhook in the `webhook-events` collection and processes it. A
+ * delivery of an event that was already processed is acknowledged with the original outcome without
+ * being applied again; a delivery of an event that failed is processed again.
+ * @param db - The database object used to interact with the database.
+ * @param event - The event name, from `WEBHOOK_EVENTS`.
+ * @param payload - The webhook payload, without credentials.
+ * @param integration - The name of the sending integration.
+ * @returns The outcome of the event: an HTTP `status`, a response `body`, the `eventId` and whether
+ * the delivery was a `duplicate`.
+ */
+export async function processWebhookEvent(db, event, payload, integration) {
+  const collection = db.collection('webhook-events');
+  await ensureEventIndexes(collection);
+
+  const dedupeKey = getDedupeKey(event, payload);
+  const doc = {
+    event,
+    dedupeKey,
+    payload,
+    integration,
+    status: WEBHOOK_EVENT_STATUS.PROCESSING,
+    attempts: 1,
+    receivedAt: new Date(),
+  };
+
+  try {
+    const { insertedId } = await collection.insertOne(doc);
+    return {
+      ...(await runWebhookEvent(db, { ...doc, _id: insertedId })),
+      eventId: insertedId,
+      duplicate: false,
+    };
+  } catch (e) {
+    if (e.code !== DUPLICATE_KEY_ERROR) throw e;
+  }
+
+  const existing = await collection.findOne({ dedupeKey });
+  if (existing.status === WEBHOOK_EVENT_STATUS.PROCESSED) {
+    return { ...existing.result, eventId: existing._id, duplicate: true };
+  }
+
+  // Only one delivery may take over a failed event, concurrent ones are turned away.
+  const retried = await collection.findOneAndUpdate(
+    { _id: existing._id, status: WEBHOOK_EVENT_STATUS.FAILED },
+    {
+      $set: { status: WEBHOOK_EVENT_STATUS.PROCESSING, payload },
+      $inc: { attempts: 1 },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!retried.value) {
+    return {
+      status: 409,
+      body: { msg: 'Event is being processed' },
+      eventId: existing._id,
+      duplicate: true,
+    };
+  }
+
+  return {
+    ...(await runWebhookEvent(db, retried.value)),
+    eventId: existing._id,
+    duplicate: false,
+  };
+}
+
+/**
+ * This function processes again a failed webhook event, on behalf of an admin.
+ * @param db - The database object used to interact with the database.
+ * @param eventId - The id of the webhook event.
+ * @param userId - The id of the admin replaying the event.
+ * @returns The outcome of the event, or `null` if no failed event has this id.
+ */
+export async function replayWebhookEvent(db, eventId, userId) {
+  const event = await db.collection('webhook-events').findOneAndUpdate(
+    { _id: eventId, status: WEBHOOK_EVENT_STATUS.FAILED },
+    {
+      $set: { status: WEBHOOK_EVENT_STATUS.PROCESSING },
+      $inc: { attempts: 1 },
+      $push: { replays: { userId, date: new Date() } },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!event.value) return null;
+  return await runWebhookEvent(db, event.value);
+}
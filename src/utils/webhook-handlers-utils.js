@@ -0,0 +1,474 @@
+import { OFFER_STATUS, transitionOffer } from './offers-utils.js';
+import { ORDER_STATUS, transitionOrder } from './orders-utils.js';
+import { sendNotification } from './notification-utils.js';
+import { CONFIRMING_STATUS, withConfirmations } from './confirmations-utils.js';
+import {
+  StatusTransitionError,
+  TRANSITION_SOURCES,
+} from './lifecycle-utils.js';
+
+export const WEBHOOK_EVENTS = {
+  OFFER_CREATION: 'offer.creation',
+  OFFER_ACTIVATION: 'offer.activation',
+  ORDER_CREATION: 'order.creation',
+  ORDER_PAID: 'order.paid',
+  ORDER_COMPLETION: 'order.completion',
+  OFFER_MAX_PRICE: 'offer.max-price',
+  OFFER_MIN_PRICE: 'offer.min-price',
+  OFFER_TOKEN: 'offer.token',
+  OFFER_CHAIN: 'offer.chain',
+};
+
+/**
+ * This function sends the notifications of a webhook-driven transition, unless the transition is held
+ * back by `withConfirmations`, in which case they are sent once the transaction is confirmed.
+ * @param update - The fields set on the document, as returned by `withConfirmations`.
+ * @param notifications - The notifications (`{ method, params }`) of the transition.
+ */
+async function notifyUnlessConfirming(update, notifications) {
+  if (update.status !== CONFIRMING_STATUS) {
+    await Promise.all(
+      notifications.map(({ method, params }) =>
+        sendNotification(method, params)
+      )
+    );
+  }
+}
+
+/**
+ * This function applies a transition requested by a webhook and builds the outcome of the event.
+ * @param transition - `transitionOffer` or `transitionOrder`.
+ * @param db - The database object used to interact with the database.
+ * @param doc - The offer or order.
+ * @param update - The fields to set, including the target `status`.
+ * @param eventId - The id of the webhook event, recorded in the status history.
+ * @returns The outcome: `200` with the MongoDB update result, or `409` if the transition is illegal.
+ */
+async function applyTransition(transition, db, doc, update, eventId) {
+  try {
+    return {
+      status: 200,
+      body: await transition(db, doc, update, {
+        source: TRANSITION_SOURCES.WEBHOOK,
+        eventId,
+      }),
+    };
+  } catch (e) {
+    if (!(e instanceof StatusTransitionError)) throw e;
+    return { status: 409, body: { msg: e.message } };
+  }
+}
+
+/**
+ * This function handles a `LogSetStatusOffer` event: the offer is activated or deactivated.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOfferActivation(db, payload, { eventId }) {
+  const offer = await db.collection('offers').findOne({
+    offerId: payload._offerId,
+    status: { $ne: OFFER_STATUS.CONFIRMING },
+  });
+
+  if (!offer) {
+    return { status: 404, body: { msg: 'Not offer found.' } };
+  }
+
+  const notifications = [
+    {
+      method: 'activationDeactivation',
+      params: { type: 'offer', id: payload._offerId, userId: offer.userId },
+    },
+  ];
+  const update = await withConfirmations(
+    await db
+      .collection('blockchains')
+      .findOne({ chainId: offer.exchangeChainId }),
+    offer.status,
+    payload._grinderyTransactionHash,
+    { isActive: payload._isActive, status: OFFER_STATUS.SUCCESS },
+    notifications
+  );
+
+  const outcome = await applyTransition(
+    transitionOffer,
+    db,
+    offer,
+    update,
+    eventId
+  );
+  if (outcome.status === 200) {
+    await notifyUnlessConfirming(update, notifications);
+  }
+  return { ...outcome, target: { collection: 'offers', _id: offer._id } };
+}
+
+/**
+ * This function handles a `LogNewOffer` event: the pending offer created by the transaction gets its
+ * on-chain id.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOfferCreation(db, payload, { eventId }) {
+  const offer = await db.collection('offers').findOne({
+    hash: payload._grinderyTransactionHash,
+    status: { $ne: OFFER_STATUS.CONFIRMING },
+  });
+
+  if (!offer) {
+    return { status: 404, body: { msg: 'No offer found' } };
+  }
+
+  const notifications = [
+    {
+      method: 'creation',
+      params: { type: 'offer', id: payload._offerId, userId: offer.userId },
+    },
+  ];
+  const update = await withConfirmations(
+    await db
+      .collection('blockchains')
+      .findOne({ chainId: offer.exchangeChainId }),
+    offer.status,
+    payload._grinderyTransactionHash,
+    {
+      offerId: payload._offerId,
+      status: OFFER_STATUS.SUCCESS,
+      isActive: true,
+    },
+    notifications
+  );
+
+  const outcome = await applyTransition(
+    transitionOffer,
+    db,
+    offer,
+    update,
+    eventId
+  );
+  if (outcome.status === 200) {
+    await notifyUnlessConfirming(update, notifications);
+  }
+  return { ...outcome, target: { collection: 'offers', _id: offer._id } };
+}
+
+/**
+ * This function handles a `LogNewTrade` event: the pending order created by the transaction gets its
+ * on-chain id.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOrderCreation(db, payload, { eventId }) {
+  const order = await db.collection('orders').findOne({
+    hash: payload._grinderyTransactionHash,
+    status: { $ne: ORDER_STATUS.CONFIRMING },
+  });
+
+  if (!order) {
+    return { status: 404, body: { msg: 'No order found' } };
+  }
+
+  const notifications = [
+    {
+      method: 'creation',
+      params: { type: 'order', id: payload._tradeId, userId: order.userId },
+    },
+  ];
+  const update = await withConfirmations(
+    await db
+      .collection('blockchains')
+      .findOne({ chainId: order.chainIdTokenDeposit }),
+    order.status,
+    payload._grinderyTransactionHash,
+    { orderId: payload._tradeId, status: ORDER_STATUS.SUCCESS },
+    notifications
+  );
+
+  const outcome = await applyTransition(
+    transitionOrder,
+    db,
+    order,
+    update,
+    eventId
+  );
+  if (outcome.status === 200) {
+    await notifyUnlessConfirming(update, notifications);
+  }
+  return { ...outcome, target: { collection: 'orders', _id: order._id } };
+}
+
+/**
+ * This function handles a `LogTradePaid` event: the order whose completion was sent in the
+ * transaction is complete.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOrderPaid(db, payload, { eventId }) {
+  const order = await db.collection('orders').findOne({
+    completionHash: payload._grinderyTransactionHash,
+    status: { $ne: ORDER_STATUS.CONFIRMING },
+  });
+
+  if (!order) {
+    return { status: 404, body: { msg: 'No order found' } };
+  }
+
+  const offer = await db.collection('offers').findOne({
+    offerId: order.offerId,
+  });
+
+  if (!offer) {
+    return { status: 404, body: { msg: 'No offer found' } };
+  }
+
+  const notifications = [order.userId, offer.userId].map((userId) => ({
+    method: 'completion',
+    params: { type: 'order', id: order.orderId, userId },
+  }));
+  const update = await withConfirmations(
+    await db.collection('blockchains').findOne({ chainId: offer.chainId }),
+    order.status,
+    payload._grinderyTransactionHash,
+    { isComplete: true, status: ORDER_STATUS.COMPLETE },
+    notifications
+  );
+
+  const outcome = await applyTransition(
+    transitionOrder,
+    db,
+    order,
+    update,
+    eventId
+  );
+  if (outcome.status === 200) {
+    await notifyUnlessConfirming(update, notifications);
+  }
+  return { ...outcome, target: { collection: 'orders', _id: order._id } };
+}
+
+/**
+ * This function handles the completion of an order sent by its liquidity provider: the order waits
+ * for its completion transaction.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOrderCompletion(db, payload, { eventId }) {
+  const order = await db.collection('orders').findOne({
+    orderId: payload._tradeId,
+    status: ORDER_STATUS.SUCCESS,
+  });
+
+  if (!order) {
+    return { status: 404, body: { msg: 'No order found' } };
+  }
+
+  const target = { collection: 'orders', _id: order._id };
+  const outcome = await applyTransition(
+    transitionOrder,
+    db,
+    order,
+    {
+      status: ORDER_STATUS.COMPLETION,
+      completionHash: payload._completionHash,
+      completionDate: new Date(),
+    },
+    eventId
+  );
+  if (outcome.status !== 200) return { ...outcome, target };
+
+  const offer = await db.collection('offers').findOne({
+    offerId: order.offerId,
+  });
+
+  if (!offer) {
+    return { status: 404, body: { msg: 'No offer found' }, target };
+  }
+
+  if (outcome.body.modifiedCount > 0) {
+    await Promise.all(
+      [order.userId, offer.userId].map((userId) =>
+        sendNotification('completion', {
+          type: 'order',
+          id: order.orderId,
+          userId,
+        })
+      )
+    );
+  }
+  return { ...outcome, target };
+}
+
+/**
+ * This function applies a parameter changed on-chain to an offer and notifies its liquidity provider.
+ * Like status transitions, the change waits for the confirmations required by the chain: the offer is
+ * kept in the `confirming` status meanwhile, and then gets back its status along with the change.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload, with the `_idOffer` and the `_grinderyTransactionHash`.
+ * @param eventId - The id of the webhook event, recorded in the status history.
+ * @param update - The fields to set, or a function building them from the offer.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function updateOfferParameters(db, payload, eventId, update) {
+  const offer = await db.collection('offers').findOne({
+    offerId: payload._idOffer,
+    status: { $ne: OFFER_STATUS.CONFIRMING },
+  });
+
+  if (!offer) {
+    return { status: 404, body: { msg: 'No offer found' } };
+  }
+
+  const target = { collection: 'offers', _id: offer._id };
+  const fields = typeof update === 'function' ? await update(offer) : update;
+  const notifications = [
+    {
+      method: 'update',
+      params: { type: 'offer', id: payload._idOffer, userId: offer.userId },
+    },
+  ];
+  const confirmedUpdate = await withConfirmations(
+    await db
+      .collection('blockchains')
+      .findOne({ chainId: offer.exchangeChainId }),
+    offer.status,
+    payload._grinderyTransactionHash,
+    { ...fields, status: offer.status },
+    notifications
+  );
+
+  if (confirmedUpdate.status === CONFIRMING_STATUS) {
+    return {
+      ...(await applyTransition(
+        transitionOffer,
+        db,
+        offer,
+        confirmedUpdate,
+        eventId
+      )),
+      target,
+    };
+  }
+
+  const response = await db
+    .collection('offers')
+    .updateOne({ _id: offer._id }, { $set: fields });
+
+  if (response.modifiedCount > 0) {
+    await notifyUnlessConfirming(confirmedUpdate, notifications);
+  }
+  return { status: 200, body: response, target };
+}
+
+/**
+ * This function handles a change of the upper limit of an offer.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOfferMaxPrice(db, payload, { eventId }) {
+  return await updateOfferParameters(db, payload, eventId, {
+    max: payload._upperLimitFn,
+  });
+}
+
+/**
+ * This function handles a change of the lower limit of an offer.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOfferMinPrice(db, payload, { eventId }) {
+  return await updateOfferParameters(db, payload, eventId, {
+    min: payload._lowerLimitFn,
+  });
+}
+
+/**
+ * This function handles a change of the token of an offer. The token symbol is taken from the
+ * `tokens` collection when the new address is listed on the chain of the offer.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOfferToken(db, payload, { eventId }) {
+  return await updateOfferParameters(db, payload, eventId, async (offer) => {
+    const token = await db.collection('tokens').findOne({
+      chainId: offer.chainId,
+      address: {
+        $regex: `^${payload._token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+        $options: 'i',
+      },
+    });
+
+    return {
+      tokenAddress: payload._token,
+      ...(token && { token: token.symbol }),
+    };
+  });
+}
+
+/**
+ * This function handles a change of the chain of an offer.
+ * @param db - The database object used to interact with the database.
+ * @param payload - The webhook payload.
+ * @param context - The `eventId` of the webhook event.
+ * @returns The outcome of the event: an HTTP `status`, a response `body` and the `target` document.
+ */
+async function onOfferChain(db, payload, { eventId }) {
+  return await updateOfferParameters(db, payload, eventId, {
+    chainId: payload._chainId,
+  });
+}
+
+/* The handler of each webhook event, with the transaction hash identifying the event on its chain. */
+export const WEBHOOK_HANDLERS = {
+  [WEBHOOK_EVENTS.OFFER_CREATION]: {
+    handle: onOfferCreation,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.OFFER_ACTIVATION]: {
+    handle: onOfferActivation,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.ORDER_CREATION]: {
+    handle: onOrderCreation,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.ORDER_PAID]: {
+    handle: onOrderPaid,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.ORDER_COMPLETION]: {
+    handle: onOrderCompletion,
+    getHash: (payload) => payload._completionHash,
+  },
+  [WEBHOOK_EVENTS.OFFER_MAX_PRICE]: {
+    handle: onOfferMaxPrice,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.OFFER_MIN_PRICE]: {
+    handle: onOfferMinPrice,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.OFFER_TOKEN]: {
+    handle: onOfferToken,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+  [WEBHOOK_EVENTS.OFFER_CHAIN]: {
+    handle: onOfferChain,
+    getHash: (payload) => payload._grinderyTransactionHash,
+  },
+};
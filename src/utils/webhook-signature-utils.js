@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { Database } from '../db/conn.js';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const NONCE_HEADER = 'x-webhook-nonce';
+
+const DEFAULT_SIGNATURE_TOLERANCE = 300; // seconds
+const DUPLICATE_KEY_ERROR = 11000;
+// Environments accepting webhooks from integrations without a signing secret.
+const UNSIGNED_WEBHOOK_ENVS = ['development', 'test'];
+
+/**
+ * This function computes the signature of a webhook: the hex encoded HMAC-SHA256, keyed with the
+ * signing secret of the integration, of `<timestamp>.<nonce>.<raw body>`.
+ * @param secret - The signing secret of the integration.
+ * @param timestamp - The Unix timestamp of the delivery, in seconds.
+ * @param nonce - A value unique to the delivery.
+ * @param body - The raw body of the request.
+ * @returns The signature.
+ */
+export function signWebhookPayload(secret, timestamp, nonce, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * This function returns the number of seconds a signed webhook stays valid, both ways, to absorb
+ * clock drift between the integration and the API.
+ * @returns The tolerance, in seconds.
+ */
+function getSignatureTolerance() {
+  return (
+    parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE) ||
+    DEFAULT_SIGNATURE_TOLERANCE
+  );
+}
+
+/**
+ * This function returns the secret the integration behind an API key signs its webhooks with. The
+ * environment `API_KEY` is paired with `WEBHOOK_SIGNING_SECRET`.
+ * @param apiKey - The API key document, as set by `authenticateApiKey`.
+ * @returns The signing secret, or `undefined` if the integration does not sign its webhooks yet.
+ */
+function getSigningSecret(apiKey) {
+  return apiKey.legacy
+    ? process.env.WEBHOOK_SIGNING_SECRET
+    : apiKey.signingSecret;
+}
+
+/**
+ * This function creates the indexes of the nonce store: nonces are unique per integration and are
+ * dropped by MongoDB once they can no longer pass the timestamp check. Existing indexes are left as
+ * they are.
+ * @param collection - The `webhook-nonces` collection.
+ */
+async function ensureNonceIndexes(collection) {
+  await collection.createIndexes([
+    { key: { integration: 1, nonce: 1 }, unique: true },
+    { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+  ]);
+}
+
+/**
+ * This function records the nonce of a webhook.
+ * @param db - The database object used to interact with the database.
+ * @param integration - The id of the sending integration.
+ * @param nonce - The nonce of the webhook.
+ * @param tolerance - The signature tolerance, in seconds.
+ * @returns `false` if the nonce was already used by this integration.
+ */
+async function recordNonce(db, integration, nonce, tolerance) {
+  const collection = db.collection('webhook-nonces');
+  await ensureNonceIndexes(collection);
+
+  try {
+    await collection.insertOne({
+      integration,
+      nonce,
+      expiresAt: new Date(Date.now() + 2 * tolerance * 1000),
+    });
+    return true;
+  } catch (e) {
+    if (e.code === DUPLICATE_KEY_ERROR) return false;
+    throw e;
+  }
+}
+
+/**
+ * This middleware verifies the signature of a webhook sent by the integration authenticated by
+ * `authenticateApiKey`. Integrations must send the `X-Webhook-Timestamp`, `X-Webhook-Nonce` and
+ * `X-Webhook-Signature` headers; the timestamp must be within the tolerance window and the nonce must
+ * not have been used before. Integrations without a signing secret are rejected, unless `NODE_ENV` is
+ * `development` or `test`.
+ * @param req - The Express request, with the `rawBody` captured by the body parser.
+ * @param res - The Express response.
+ * @param next - The next middleware.
+ */
+export async function verifyWebhookSignature(req, res, next) {
+  const secret = getSigningSecret(res.locals.apiKey);
+  if (!secret) {
+    if (UNSIGNED_WEBHOOK_ENVS.includes(process.env.NODE_ENV)) return next();
+    return res.status(401).send({ msg: 'Webhook signing is not configured' });
+  }
+
+  const signature = req.headers[SIGNATURE_HEADER];
+  const timestamp = req.headers[TIMESTAMP_HEADER];
+  const nonce = req.headers[NONCE_HEADER];
+
+  if (!signature || !timestamp || !nonce) {
+    return res.status(401).send({ msg: 'Missing webhook signature' });
+  }
+
+  const tolerance = getSignatureTolerance();
+  if (
+    !/^\d+$/.test(timestamp) ||
+    Math.abs(Date.now() / 1000 - parseInt(timestamp)) > tolerance
+  ) {
+    return res.status(401).send({ msg: 'Expired webhook signature' });
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(secret, timestamp, nonce, req.rawBody ?? '')
+  );
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return res.status(401).send({ msg: 'Invalid webhook signature' });
+  }
+
+  const integration = res.locals.apiKey.legacy
+    ? res.locals.apiKey.name
+    : res.locals.apiKey._id.toString();
+  if (
+    !(await recordNonce(
+      await Database.getInstance(req),
+      integration,
+      nonce,
+      tolerance
+    ))
+  ) {
+    return res.status(401).send({ msg: 'Replayed webhook' });
+  }
+
+  next();
+}
@@ -0,0 +1,393 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import {
+  NONCE_HEADER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signWebhookPayload,
+} from './webhook-signature-utils.js';
+
+export const SUBSCRIPTION_EVENTS = {
+  OFFER_CREATED: 'offer.created',
+  OFFER_ACTIVATED: 'offer.activated',
+  OFFER_DEACTIVATED: 'offer.deactivated',
+  ORDER_CREATED: 'order.created',
+  ORDER_COMPLETION: 'order.completion', // the liquidity provider sent the payment
+  ORDER_PAID: 'order.paid', // the payment is confirmed on-chain
+  NOTIFICATION: 'notification', // an item of the notifications inbox, see notification-utils.js
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead', // every attempt failed, the delivery waits for a manual retry
+};
+
+export const EVENT_HEADER = 'x-webhook-event';
+export const DELIVERY_HEADER = 'x-webhook-delivery-id';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_BASE_MS = 30000;
+const DEFAULT_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_DELIVERY_TIMEOUT_MS = 10000;
+const DEFAULT_BATCH_SIZE = 50;
+// A claimed delivery is hidden from other dispatchers for this long, in case the process dies mid-way.
+const DELIVERY_LOCK_MS = 60000;
+const DELIVERY_LOG_SIZE = 20;
+// Environments where subscriptions may target plain HTTP and private addresses, e.g. a local receiver.
+const LOCAL_TARGET_ENVS = ['development', 'test'];
+
+// Address ranges a subscription must not reach: this network, private, shared, loopback, link-local,
+// multicast and reserved ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+);
+
+/**
+ * This function reads the delivery settings from the environment.
+ * @returns An object with the `maxAttempts` per delivery, the `backoffBaseMs` and `backoffMaxMs`
+ * retry delays, the HTTP `timeoutMs` and the `batchSize` of a dispatcher pass.
+ */
+function getDeliveryConfig() {
+  return {
+    maxAttempts:
+      parseInt(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS) ||
+      DEFAULT_MAX_ATTEMPTS,
+    backoffBaseMs:
+      parseInt(process.env.WEBHOOK_DELIVERY_BACKOFF_BASE_MS) ||
+      DEFAULT_BACKOFF_BASE_MS,
+    backoffMaxMs:
+      parseInt(process.env.WEBHOOK_DELIVERY_BACKOFF_MAX_MS) ||
+      DEFAULT_BACKOFF_MAX_MS,
+    timeoutMs:
+      parseInt(process.env.WEBHOOK_DELIVERY_TIMEOUT) ||
+      DEFAULT_DELIVERY_TIMEOUT_MS,
+    batchSize:
+      parseInt(process.env.WEBHOOK_DISPATCHER_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+  };
+}
+
+/**
+ * This function tells whether an IP address is private, loopback, link-local or otherwise not
+ * reachable on the public internet. IPv4 addresses mapped in IPv6 are checked as IPv4.
+ * @param address - The IP address.
+ * @returns `true` if a subscription must not reach the address.
+ */
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+  return BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv6(address) ? 'ipv6' : 'ipv4'
+  );
+}
+
+/**
+ * This function checks that a subscriber URL may be called: it must use HTTPS and must not target a
+ * private address, unless `NODE_ENV` is `development` or `test`. Host names are checked again once
+ * resolved, when delivering.
+ * @param url - The subscriber URL.
+ * @throws {Error} If the URL is not allowed.
+ */
+export function checkSubscriptionUrl(url) {
+  if (LOCAL_TARGET_ENVS.includes(process.env.NODE_ENV)) return;
+
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:') {
+    throw new Error('must use https');
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (
+    host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    (net.isIP(host) && isBlockedAddress(host))
+  ) {
+    throw new Error('must not target a private address');
+  }
+}
+
+/**
+ * This function resolves host names like `dns.lookup`, failing if one of the addresses is private, so
+ * that a subscriber cannot point its domain to an internal service. As the check runs on the address
+ * the socket connects to, it also holds if the DNS answer changes after the subscription was saved.
+ * @param hostname - The host name to resolve.
+ * @param options - The `dns.lookup` options.
+ * @param callback - Called with the error or the resolved address(es).
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (
+      !LOCAL_TARGET_ENVS.includes(process.env.NODE_ENV) &&
+      addresses.some(({ address }) => isBlockedAddress(address))
+    ) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: safeLookup }),
+  httpsAgent: new https.Agent({ lookup: safeLookup }),
+};
+
+/**
+ * This function formats a subscription for the API, without its signing secret.
+ * @param subscription - The subscription, as stored in the `webhook-subscriptions` collection.
+ * @returns The formatted subscription.
+ */
+export function formatSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * This function queues the delivery of an event to the active subscriptions of some users that listen
+ * to it.
+ * @param db - The database object used to interact with the database.
+ * @param userIds - The ids of the users to notify.
+ * @param event - The event name, from `SUBSCRIPTION_EVENTS`.
+ * @param payload - The data of the event.
+ */
+export async function enqueueUserWebhookDeliveries(
+  db,
+  userIds,
+  event,
+  payload
+) {
+  const subscriptions = await db
+    .collection('webhook-subscriptions')
+    .find({
+      userId: { $in: [...new Set(userIds.filter(Boolean))] },
+      events: event,
+      isActive: true,
+    })
+    .toArray();
+
+  if (!subscriptions.length) return;
+
+  const now = new Date();
+  await db.collection('webhook-deliveries').insertMany(
+    subscriptions.map((subscription) => ({
+      subscriptionId: subscription._id,
+      userId: subscription.userId,
+      event,
+      payload,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: now,
+      log: [],
+      createdAt: now,
+    }))
+  );
+}
+
+/**
+ * This function queues the deliveries of an offer or order event. The owner of the offer is notified
+ * of offer events; the user who placed the order and the liquidity provider of its offer are notified
+ * of order events. Errors are logged and swallowed so that they never undo the transition that raised
+ * the event.
+ * @param db - The database object used to interact with the database.
+ * @param event - The event name, from `SUBSCRIPTION_EVENTS`.
+ * @param collectionName - `offers` or `orders`.
+ * @param _id - The MongoDB id of the offer or order.
+ */
+export async function enqueueWebhookDeliveries(db, event, collectionName, _id) {
+  try {
+    const { statusHistory, confirmation, ...doc } = await db
+      .collection(collectionName)
+      .findOne({ _id });
+
+    const userIds = [doc.userId];
+    if (collectionName === 'orders') {
+      const offer = await db
+        .collection('offers')
+        .findOne({ offerId: doc.offerId });
+      if (offer) userIds.push(offer.userId);
+    }
+
+    await enqueueUserWebhookDeliveries(db, userIds, event, doc);
+  } catch (e) {
+    console.log('[webhook-subscriptions] - Event:', event, '- error:', e);
+  }
+}
+
+/**
+ * This function returns the delay before the next attempt of a delivery: it doubles with each failed
+ * attempt, up to a maximum.
+ * @param attempts - The number of failed attempts so far.
+ * @returns The delay, in milliseconds.
+ */
+export function getRetryDelay(attempts) {
+  const { backoffBaseMs, backoffMaxMs } = getDeliveryConfig();
+  return Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+}
+
+/**
+ * This function sends a signed webhook to a subscriber. The body is signed like incoming webhooks, with
+ * the secret of the subscription.
+ * @param subscription - The subscription document.
+ * @param delivery - The delivery document.
+ * @returns The HTTP status code of the response.
+ * @throws {Error} If the URL is not allowed, or the endpoint cannot be reached or answers with a
+ * non-2xx status.
+ */
+async function postWebhook(subscription, delivery) {
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomUUID();
+
+  // IP literals are not resolved, so they are checked here; host names are checked by `safeLookup`.
+  checkSubscriptionUrl(subscription.url);
+
+  const res = await axios.post(subscription.url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      [EVENT_HEADER]: delivery.event,
+      [DELIVERY_HEADER]: delivery._id.toString(),
+      [TIMESTAMP_HEADER]: timestamp,
+      [NONCE_HEADER]: nonce,
+      [SIGNATURE_HEADER]: signWebhookPayload(
+        subscription.secret,
+        timestamp,
+        nonce,
+        body
+      ),
+    },
+    timeout: getDeliveryConfig().timeoutMs,
+    maxRedirects: 0,
+    ...deliveryAgents,
+  });
+  return res.status;
+}
+
+/**
+ * This function makes one attempt at a delivery and records it in the delivery log. A failed delivery
+ * is scheduled again after `getRetryDelay`, or moved to the dead letters once it used all its attempts.
+ * @param db - The database object used to interact with the database.
+ * @param delivery - The delivery document.
+ */
+async function attemptDelivery(db, delivery) {
+  const collection = db.collection('webhook-deliveries');
+  const subscription = await db
+    .collection('webhook-subscriptions')
+    .findOne({ _id: delivery.subscriptionId });
+  const attempts = delivery.attempts + 1;
+  const start = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  if (!subscription?.isActive) {
+    error = 'Subscription is not active';
+  } else {
+    try {
+      statusCode = await utils_webhook_subscriptions.postWebhook(
+        subscription,
+        delivery
+      );
+    } catch (e) {
+      statusCode = e.response?.status ?? null;
+      error = e.message;
+    }
+  }
+
+  let update;
+  if (!error) {
+    update = { status: DELIVERY_STATUS.DELIVERED, deliveredAt: new Date() };
+  } else if (
+    !subscription?.isActive ||
+    attempts >= getDeliveryConfig().maxAttempts
+  ) {
+    update = {
+      status: DELIVERY_STATUS.DEAD,
+      lastError: error,
+      deadAt: new Date(),
+    };
+  } else {
+    update = {
+      lastError: error,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)),
+    };
+  }
+
+  await collection.updateOne(
+    { _id: delivery._id },
+    {
+      $set: { ...update, attempts },
+      $push: {
+        log: {
+          $each: [
+            {
+              date: new Date(),
+              statusCode,
+              error,
+              duration: Date.now() - start,
+            },
+          ],
+          $slice: -DELIVERY_LOG_SIZE,
+        },
+      },
+    }
+  );
+}
+
+/**
+ * This function runs one pass of the webhook dispatcher: due deliveries are claimed one at a time, so
+ * that several instances of the API can share the queue, and attempted.
+ * @param db - The database object used to interact with the database.
+ * @returns The number of deliveries attempted.
+ */
+export async function runWebhookDispatcher(db) {
+  const collection = db.collection('webhook-deliveries');
+  const { batchSize } = getDeliveryConfig();
+  let count = 0;
+
+  while (count < batchSize) {
+    const claimed = await collection.findOneAndUpdate(
+      { status: DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: new Date(Date.now() + DELIVERY_LOCK_MS) } },
+      { sort: { nextAttemptAt: 1 } }
+    );
+    if (!claimed.value) break;
+
+    await attemptDelivery(db, claimed.value);
+    count++;
+  }
+
+  return count;
+}
+
+export const utils_webhook_subscriptions = { postWebhook };
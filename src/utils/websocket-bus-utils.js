@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { Database } from '../db/conn.js';
+
+const DEFAULT_PRESENCE_TTL_MS = 90000;
+const DEFAULT_BUS_RETENTION_SECONDS = 3600;
+const CHANGE_STREAM_RETRY_MS = 5000;
+
+// Identifies this replica in the presence records and in the messages it publishes.
+export const INSTANCE_ID = crypto.randomUUID();
+
+export const BUS_MESSAGE_TYPES = {
+  USER: 'user', // a JSON-RPC message for the clients of a user, see `dispatchWebSocket`
+  TOPIC: 'topic', // an event for the subscribers of a topic, see `publishTopic`
+};
+
+let bus = null;
+
+/**
+ * This function creates a bus that only reaches the current process, for development and tests.
+ * Messages are delivered synchronously and no other replica is ever online. The sequence numbers and
+ * recent messages of the users are kept in memory, so they start again from 1 when the server
+ * restarts.
+ * @returns The bus.
+ */
+function createMemoryBus() {
+  const emitter = new EventEmitter();
+  const sessions = new Map();
+
+  return {
+    publish: async (message) => {
+      if (message.type === BUS_MESSAGE_TYPES.USER) {
+        sessions
+          .get(message.userId)
+          ?.messages.push({ date: new Date(), message: message.message });
+      }
+      emitter.emit('message', message);
+    },
+    subscribe: (handler) => emitter.on('message', handler),
+    nextSeq: async (userId) => {
+      if (!sessions.has(userId)) sessions.set(userId, { seq: 0, messages: [] });
+      return ++sessions.get(userId).seq;
+    },
+    getLastSeq: async (userId) => sessions.get(userId)?.seq ?? 0,
+    getUserMessages: async (userId, since, limit) =>
+      (sessions.get(userId)?.messages ?? [])
+        .filter(({ date }) => date >= since)
+        .slice(-limit)
+        .map(({ message }) => message),
+    pruneSessions: async (since, limit, connectedUserIds) => {
+      let dropped = 0;
+
+      sessions.forEach((session, userId) => {
+        session.messages = session.messages
+          .filter(({ date }) => date >= since)
+          .slice(-limit);
+        if (!session.messages.length && !connectedUserIds.has(userId)) {
+          sessions.delete(userId);
+          dropped++;
+        }
+      });
+
+      return dropped;
+    },
+    setPresence: async () => {},
+    isOnlineElsewhere: async () => false,
+    close: async () => emitter.removeAllListeners(),
+  };
+}
+
+/**
+ * This function creates a bus shared by the replicas through MongoDB: messages are inserted in the
+ * `websocket-bus` collection and each replica follows its inserts with a change stream, which needs a
+ * replica set such as MongoDB Atlas. The messages of the users are replayed from that collection, and
+ * their sequence numbers come from counters in the `websocket-sessions` collection, so that every
+ * replica sees the same numbering. Each replica also records the users connected to it in the
+ * `websocket-presence` collection. All live in the production database, as the indexer does.
+ * @returns The bus.
+ */
+function createMongoBus() {
+  const getDb = () => Database.getInstance({ originalUrl: '/v2/' });
+  const handlers = [];
+  let stream = null;
+  let resumeAfter;
+  let closed = false;
+
+  const watch = async () => {
+    const collection = (await getDb()).collection('websocket-bus');
+    await collection.createIndex(
+      { date: 1 },
+      {
+        expireAfterSeconds:
+          parseInt(process.env.WEBSOCKET_BUS_RETENTION) ||
+          DEFAULT_BUS_RETENTION_SECONDS,
+      }
+    );
+    await collection.createIndex({
+      'message.userId': 1,
+      'message.message.seq': 1,
+    });
+
+    stream = collection.watch([{ $match: { operationType: 'insert' } }], {
+      ...(resumeAfter && { resumeAfter }),
+    });
+    stream.on('change', (change) => {
+      resumeAfter = change._id;
+      handlers.forEach((handler) => handler(change.fullDocument.message));
+    });
+    stream.on('error', (e) => {
+      console.log('[websocket-bus] - Change stream error:', e);
+      stream.close().catch(() => {});
+      if (!closed) setTimeout(start, CHANGE_STREAM_RETRY_MS);
+    });
+  };
+  const start = () =>
+    watch().catch((e) => {
+      console.log('[websocket-bus] - Unable to follow the bus:', e);
+      if (!closed) setTimeout(start, CHANGE_STREAM_RETRY_MS);
+    });
+
+  return {
+    publish: async (message) => {
+      await (await getDb())
+        .collection('websocket-bus')
+        .insertOne({ message, instanceId: INSTANCE_ID, date: new Date() });
+    },
+    subscribe: (handler) => {
+      handlers.push(handler);
+      if (handlers.length === 1) start();
+    },
+    nextSeq: async (userId) => {
+      const { value } = await (await getDb())
+        .collection('websocket-sessions')
+        .findOneAndUpdate(
+          { _id: userId },
+          { $inc: { seq: 1 } },
+          { upsert: true, returnDocument: 'after' }
+        );
+      return value.seq;
+    },
+    getLastSeq: async (userId) =>
+      (
+        await (await getDb())
+          .collection('websocket-sessions')
+          .findOne({ _id: userId })
+      )?.seq ?? 0,
+    getUserMessages: async (userId, since, limit) =>
+      (
+        await (
+          await getDb()
+        )
+          .collection('websocket-bus')
+          .find({
+            'message.type': BUS_MESSAGE_TYPES.USER,
+            'message.userId': userId,
+            date: { $gte: since },
+          })
+          .sort({ 'message.message.seq': -1 })
+          .limit(limit)
+          .toArray()
+      )
+        .reverse()
+        .map(({ message }) => message.message),
+    // Messages expire with the bus retention, and counters are kept so that numbering never restarts.
+    pruneSessions: async () => 0,
+    setPresence: async (userIds) => {
+      await (await getDb())
+        .collection('websocket-presence')
+        .updateOne(
+          { _id: INSTANCE_ID },
+          { $set: { userIds, updatedAt: new Date() } },
+          { upsert: true }
+        );
+    },
+    isOnlineElsewhere: async (userId) => {
+      const ttl =
+        parseInt(process.env.WEBSOCKET_PRESENCE_TTL_MS) ||
+        DEFAULT_PRESENCE_TTL_MS;
+      return Boolean(
+        await (await getDb()).collection('websocket-presence').findOne({
+          _id: { $ne: INSTANCE_ID },
+          userIds: userId,
+          updatedAt: { $gt: new Date(Date.now() - ttl) },
+        })
+      );
+    },
+    close: async () => {
+      closed = true;
+      await stream?.close();
+      await (await getDb())
+        .collection('websocket-presence')
+        .deleteOne({ _id: INSTANCE_ID });
+    },
+  };
+}
+
+/* Buses, selected with the `WEBSOCKET_BUS` environment variable. A bus has `publish(message)`,
+`subscribe(handler)`, `nextSeq(userId)`, `getLastSeq(userId)`, `getUserMessages(userId, since,
+limit)`, which returns the latest messages of a user published since a date, oldest first,
+`pruneSessions(since, limit, connectedUserIds)`, `setPresence(userIds)`, which records the users
+connected to this replica, `isOnlineElsewhere(userId)` and `close()`. */
+export const WEBSOCKET_BUSES = {
+  memory: createMemoryBus,
+  mongodb: createMongoBus,
+};
+
+/**
+ * This function returns the bus of this process, and creates it on first use.
+ * @returns The bus.
+ * @throws {Error} If the bus named in `WEBSOCKET_BUS` is unknown.
+ */
+export function getWebSocketBus() {
+  if (!bus) {
+    const name = process.env.WEBSOCKET_BUS || 'memory';
+    if (!WEBSOCKET_BUSES[name]) {
+      throw new Error(`Unknown WebSocket bus: ${name}`);
+    }
+    bus = WEBSOCKET_BUSES[name]();
+  }
+  return bus;
+}
+
+/**
+ * This function publishes a message to every replica, including this one.
+ * @param message - The message: a `type`, from `BUS_MESSAGE_TYPES`, and its fields.
+ */
+export async function publishToBus(message) {
+  try {
+    await getWebSocketBus().publish(message);
+  } catch (e) {
+    console.log('[websocket-bus] - Unable to publish message:', e);
+  }
+}
@@ -0,0 +1,218 @@
+import router from '../router.js';
+
+const DEFAULT_RPC_TIMEOUT = 30000;
+// Routes called by the JSON-RPC methods always run against the production database, whichever path the
+// client connected to.
+const RPC_BASE_PATH = '/v2';
+
+export const RPC_ERROR_CODES = {
+  SERVER_ERROR: -32000, // the route failed, or answered with an HTTP error other than those below
+  UNAUTHENTICATED: -32001, // the client is not authenticated, or its token was refused
+  NOT_FOUND: -32004, // the route answered with a 404
+  PARSE_ERROR: -32700, // the message is not valid JSON
+  INVALID_REQUEST: -32600, // the message is not a JSON-RPC request object
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602, // the validators of the route refused the parameters
+};
+
+/* JSON-RPC methods of authenticated clients, and the route each one calls. `:name` segments of the
+path are taken from the parameters of the request; the other parameters are passed as the query of `GET`
+routes, as strings, and as the body of the others. */
+export const RPC_METHODS = {
+  'orders.user': { method: 'get', path: '/orders/user' },
+  'orders.get': { method: 'get', path: '/orders/orderId' },
+  'orders.liquidityProvider': {
+    method: 'get',
+    path: '/orders/liquidity-provider',
+  },
+  'orders.history': { method: 'get', path: '/orders/:orderId/history' },
+  'offers.user': { method: 'get', path: '/offers/user' },
+  'offers.get': { method: 'get', path: '/offers/offerId' },
+  'offers.history': { method: 'get', path: '/offers/:offerId/history' },
+  'liquidityWallets.all': { method: 'get', path: '/liquidity-wallets/all' },
+  'liquidityWallets.get': { method: 'get', path: '/liquidity-wallets' },
+  'sync.orders': {
+    method: 'put',
+    path: '/orders-onchain/update-order-user',
+  },
+  'sync.orderCompletions': {
+    method: 'put',
+    path: '/orders-onchain/update-order-completion-user',
+  },
+  'sync.orderCompletionsSeller': {
+    method: 'put',
+    path: '/orders-onchain/update-order-completion-seller',
+  },
+  'sync.offers': {
+    method: 'put',
+    path: '/offers-onchain/update-offer-user',
+  },
+  'sync.offerActivations': {
+    method: 'put',
+    path: '/offers-onchain/update-offer-activation-user',
+  },
+};
+
+/**
+ * This function builds a JSON-RPC error object.
+ * @param code - The error code, from `RPC_ERROR_CODES`.
+ * @param message - The error message.
+ * @param data - Optional details, e.g. the errors of the validators.
+ * @returns The error object.
+ */
+export function buildRpcError(code, message, data) {
+  return { code, message, ...(data !== undefined && { data }) };
+}
+
+/**
+ * This function converts the HTTP error answered by a route to a JSON-RPC error. The body of the
+ * response is kept in `data`.
+ * @param status - The HTTP status.
+ * @param body - The body of the response.
+ * @returns The error object.
+ */
+function getRouteError(status, body) {
+  if (status === 400) {
+    return buildRpcError(
+      RPC_ERROR_CODES.INVALID_PARAMS,
+      'Invalid params',
+      body
+    );
+  }
+  if (status === 401 || status === 403) {
+    return buildRpcError(
+      RPC_ERROR_CODES.UNAUTHENTICATED,
+      body?.msg || body?.message || 'Not authorized',
+      body
+    );
+  }
+  return buildRpcError(
+    status === 404 ? RPC_ERROR_CODES.NOT_FOUND : RPC_ERROR_CODES.SERVER_ERROR,
+    body?.msg || body?.message || `Request failed with status ${status}`,
+    body
+  );
+}
+
+/**
+ * This function runs a route of the API router in-process, with a request and a response holding only
+ * what the routes use. The route runs its validators and authentication as for an HTTP request.
+ * @param method - The HTTP method of the route, e.g. `get`.
+ * @param path - The path of the route, relative to the router.
+ * @param headers - The headers of the request.
+ * @param query - The query of the request.
+ * @param body - The body of the request.
+ * @returns An object with the `status` and `body` of the response.
+ * @throws {Error} If the route fails.
+ */
+function dispatchRoute(method, path, headers, query, body) {
+  return new Promise((resolve, reject) => {
+    const req = {
+      method: method.toUpperCase(),
+      url: path,
+      originalUrl: RPC_BASE_PATH + path,
+      headers,
+      query,
+      body,
+      params: {},
+    };
+    const res = {
+      statusCode: 200,
+      locals: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send(data) {
+        resolve({ status: this.statusCode, body: data });
+        return this;
+      },
+      json(data) {
+        return this.send(data);
+      },
+    };
+
+    router(req, res, (err) =>
+      err ? reject(err) : resolve({ status: 404, body: { msg: 'Not found' } })
+    );
+  });
+}
+
+/**
+ * This function formats the parameters of a `GET` method as a query string parser would, so that the
+ * validators of the route see the same values as for an HTTP request.
+ * @param fields - The parameters of the request.
+ * @returns The query.
+ */
+function toQuery(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => [
+      name,
+      Array.isArray(value) ? value.map(String) : String(value),
+    ])
+  );
+}
+
+/**
+ * This function calls the route of a JSON-RPC method in-process, as the user of the client, so that the
+ * route runs its validators and authentication as for any HTTP request.
+ * @param accessToken - The access token the client authenticated with.
+ * @param method - The JSON-RPC method, from `RPC_METHODS`.
+ * @param params - The parameters of the request.
+ * @returns An object with either the `result`, the body of the response, or a JSON-RPC `error`.
+ */
+export async function callRpcMethod(accessToken, method, params = {}) {
+  const route = RPC_METHODS[method];
+  if (!route) {
+    return {
+      error: buildRpcError(
+        RPC_ERROR_CODES.METHOD_NOT_FOUND,
+        `Method not found: ${method}`
+      ),
+    };
+  }
+  if (typeof params !== 'object' || Array.isArray(params) || !params) {
+    return {
+      error: buildRpcError(
+        RPC_ERROR_CODES.INVALID_PARAMS,
+        'params must be object value'
+      ),
+    };
+  }
+
+  const fields = { ...params };
+  const path = route.path.replace(/:(\w+)/g, (match, name) => {
+    const value = fields[name];
+    delete fields[name];
+    return encodeURIComponent(value ?? '');
+  });
+
+  let timeout;
+  try {
+    const response = await Promise.race([
+      dispatchRoute(
+        route.method,
+        path,
+        { authorization: `Bearer ${accessToken}` },
+        route.method === 'get' ? toQuery(fields) : {},
+        route.method === 'get' ? {} : fields
+      ),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(
+          () => reject(new Error('Timeout')),
+          parseInt(process.env.WEBSOCKET_RPC_TIMEOUT) || DEFAULT_RPC_TIMEOUT
+        );
+      }),
+    ]);
+
+    return response.status < 300
+      ? { result: response.body ?? null }
+      : { error: getRouteError(response.status, response.body) };
+  } catch (e) {
+    console.log('[websocket] - Unable to call', method, ':', e.message);
+    return {
+      error: buildRpcError(RPC_ERROR_CODES.SERVER_ERROR, 'Internal error'),
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
@@ -0,0 +1,113 @@
+import WebSocket from 'ws';
+import { getWebSocketBus } from './websocket-bus-utils.js';
+
+const DEFAULT_REPLAY_TTL_MS = 60000;
+const DEFAULT_REPLAY_MAX_MESSAGES = 100;
+
+/**
+ * This function reads the replay settings from the environment.
+ * @returns An object with the `since` date of the oldest message kept and the `maxMessages` kept per
+ * user.
+ */
+function getReplayConfig() {
+  return {
+    since: new Date(
+      Date.now() -
+        (parseInt(process.env.WEBSOCKET_REPLAY_TTL_MS) || DEFAULT_REPLAY_TTL_MS)
+    ),
+    maxMessages:
+      parseInt(process.env.WEBSOCKET_REPLAY_MAX_MESSAGES) ||
+      DEFAULT_REPLAY_MAX_MESSAGES,
+  };
+}
+
+/**
+ * This function gives the next sequence number of a user to a message, before it is published. The
+ * numbering is kept by the bus, so it is shared by every replica, and the bus keeps the published
+ * message for replay.
+ * @param userId - The id of the user.
+ * @param message - The JSON-RPC notification.
+ * @returns The message with its `seq`.
+ */
+export async function recordMessage(userId, message) {
+  return { ...message, seq: await getWebSocketBus().nextSeq(userId) };
+}
+
+/**
+ * This function returns the sequence number of the last message sent to a user.
+ * @param userId - The id of the user.
+ * @returns The sequence number, `0` if no message was sent to the user.
+ */
+export async function getLastSeq(userId) {
+  return await getWebSocketBus().getLastSeq(userId);
+}
+
+/**
+ * This function returns the messages a user missed after the last one its client saw.
+ * @param userId - The id of the user.
+ * @param lastSeq - The sequence number of the last message the client saw.
+ * @returns An object with the missed `messages`, oldest first, and `complete`, `false` if some of them
+ * are no longer kept, in which case the client reloads its state from the API.
+ */
+export async function getMissedMessages(userId, lastSeq) {
+  const { since, maxMessages } = getReplayConfig();
+  const bus = getWebSocketBus();
+  const seq = await bus.getLastSeq(userId);
+
+  const messages = (
+    await bus.getUserMessages(userId, since, maxMessages)
+  ).filter((message) => message.seq > lastSeq);
+
+  return {
+    messages,
+    complete: lastSeq <= seq && messages.length === seq - lastSeq,
+  };
+}
+
+/**
+ * This function drops the expired messages of all users, and the sessions of the users that have no
+ * message left to replay and no open client on this replica, so that idle users do not hold memory. A
+ * user whose session was dropped starts again from sequence number 1, as after a restart. Buses that
+ * keep the sessions outside of the process drop nothing.
+ * @param clients - The clients of the WebSocket server.
+ * @returns The number of sessions dropped.
+ */
+export async function pruneSessions(clients) {
+  const { since, maxMessages } = getReplayConfig();
+  const connected = new Set(
+    Array.from(clients)
+      .filter((client) => client.readyState === WebSocket.OPEN)
+      .map((client) => client.userId)
+  );
+
+  return await getWebSocketBus().pruneSessions(since, maxMessages, connected);
+}
+
+/**
+ * This function pings the open clients and terminates those that did not answer the previous ping,
+ * so that dead connections are not counted as connected users. Clients mark themselves alive again
+ * when they answer with a pong.
+ * @param clients - The clients of the WebSocket server.
+ * @returns The number of clients terminated.
+ */
+export function checkHeartbeats(clients) {
+  let terminated = 0;
+
+  clients.forEach((client) => {
+    if (client.isAlive === false) {
+      client.terminate();
+      terminated++;
+      return;
+    }
+    if (client.readyState !== WebSocket.OPEN) return;
+
+    client.isAlive = false;
+    try {
+      client.ping();
+    } catch (e) {
+      console.log('[websocket] - Unable to ping client:', e);
+    }
+  });
+
+  return terminated;
+}
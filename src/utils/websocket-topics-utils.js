@@ -0,0 +1,149 @@
+import WebSocket from 'ws';
+import { BUS_MESSAGE_TYPES, publishToBus } from './websocket-bus-utils.js';
+
+export const TOPICS = {
+  OFFERS: 'offers', // the offer book of a pair, see `getOfferBookTopic`
+};
+
+export const OFFER_BOOK_EVENTS = {
+  ADDED: 'offerAdded',
+  REMOVED: 'offerRemoved',
+  ACTIVATED: 'offerActivated',
+  DEACTIVATED: 'offerDeactivated',
+};
+
+// The fields identifying the pair of an offer book, in the order they appear in its topic name.
+const OFFER_BOOK_FIELDS = [
+  'chainId',
+  'token',
+  'exchangeChainId',
+  'exchangeToken',
+];
+
+/* Clients subscribed to each topic name. Subscriptions are kept in memory, so a client subscribes again
+after reconnecting. */
+const subscribers = new Map();
+
+/* This error is thrown when a client subscribes to a topic that does not exist or misses one of its
+parameters. The WebSocket server answers it with a JSON-RPC `invalid params` error. */
+export class InvalidTopicError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTopicError';
+  }
+}
+
+/**
+ * This function returns the topic name of the offer book of a pair, e.g. `offers:97:BNB:5:ETH`.
+ * @param offer - An offer, or the parameters of a subscription: `chainId`, `token`, `exchangeChainId`
+ * and `exchangeToken`.
+ * @returns The topic name.
+ */
+export function getOfferBookTopic(offer) {
+  return [
+    TOPICS.OFFERS,
+    ...OFFER_BOOK_FIELDS.map((field) => offer[field]),
+  ].join(':');
+}
+
+/**
+ * This function returns the topic name a client asks for in a `subscribe` or `unsubscribe` request.
+ * @param params - The parameters of the request: the `topic` and the parameters of that topic.
+ * @returns The topic name.
+ * @throws {InvalidTopicError} If the topic is unknown or a parameter is missing.
+ */
+export function getTopic(params) {
+  if (params?.topic !== TOPICS.OFFERS) {
+    throw new InvalidTopicError(`Unknown topic: ${params?.topic}`);
+  }
+
+  for (const field of OFFER_BOOK_FIELDS) {
+    if (typeof params[field] !== 'string' || !params[field]) {
+      throw new InvalidTopicError(`${field} must be string value`);
+    }
+  }
+
+  return getOfferBookTopic(params);
+}
+
+/**
+ * This function subscribes a client to a topic. Subscribing twice to the same topic does nothing.
+ * @param ws - The WebSocket client.
+ * @param topic - The topic name.
+ */
+export function subscribeTopic(ws, topic) {
+  if (!subscribers.has(topic)) subscribers.set(topic, new Set());
+  subscribers.get(topic).add(ws);
+}
+
+/**
+ * This function unsubscribes a client from a topic.
+ * @param ws - The WebSocket client.
+ * @param topic - The topic name.
+ * @returns `true` if the client was subscribed to the topic.
+ */
+export function unsubscribeTopic(ws, topic) {
+  const clients = subscribers.get(topic);
+  if (!clients?.delete(ws)) return false;
+  if (!clients.size) subscribers.delete(topic);
+  return true;
+}
+
+/**
+ * This function unsubscribes a client from all its topics, when its connection closes.
+ * @param ws - The WebSocket client.
+ */
+export function unsubscribeAllTopics(ws) {
+  for (const topic of Array.from(subscribers.keys())) {
+    unsubscribeTopic(ws, topic);
+  }
+}
+
+/**
+ * This function sends an event to the open clients of this replica subscribed to a topic, as a JSON-RPC
+ * `subscription` notification.
+ * @param topic - The topic name.
+ * @param event - The event name, e.g. one of `OFFER_BOOK_EVENTS`.
+ * @param data - The payload of the event.
+ * @returns The number of clients the event was sent to.
+ */
+export function deliverTopicEvent(topic, event, data) {
+  let count = 0;
+
+  subscribers.get(topic)?.forEach((client) => {
+    if (client.readyState !== WebSocket.OPEN) return;
+    client.send(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'subscription',
+        params: { subscription: topic, event, data },
+      })
+    );
+    count++;
+  });
+
+  return count;
+}
+
+/**
+ * This function publishes an event of a topic to the subscribers of every replica.
+ * @param topic - The topic name.
+ * @param event - The event name, e.g. one of `OFFER_BOOK_EVENTS`.
+ * @param data - The payload of the event.
+ */
+export async function publishTopic(topic, event, data) {
+  await publishToBus({ type: BUS_MESSAGE_TYPES.TOPIC, topic, event, data });
+}
+
+/**
+ * This function publishes an event of the offer book of an offer. The status history of the offer is
+ * left out.
+ * @param event - The event name, from `OFFER_BOOK_EVENTS`.
+ * @param offer - The offer, as it is after the change.
+ */
+export async function publishOfferBookEvent(
+  event,
+  { statusHistory, ...offer }
+) {
+  await publishTopic(getOfferBookTopic(offer), event, offer);
+}
@@ -1,19 +1,68 @@
 import { wss } from '../index.js';
 import WebSocket from 'ws';
+import { recordMessage } from './websocket-sessions-utils.js';
+import {
+  BUS_MESSAGE_TYPES,
+  getWebSocketBus,
+  publishToBus,
+} from './websocket-bus-utils.js';
 
-export const dispatchWebSocket = (method, params) => {
-  wss.clients.forEach(function each(client) {
-    if (
-      client.readyState === WebSocket.OPEN &&
-      client.userId === params.userId
-    ) {
-      client.send(
-        JSON.stringify({
-          jsonrpc: '2.0',
-          method,
-          params,
-        })
-      );
+/**
+ * This function sends a JSON-RPC notification to the clients of a user, on whichever replica they are
+ * connected to. The message gets the next sequence number of the user before it is published, and is
+ * kept for a while, so that a client that reconnects to any replica can ask for it with `resume`. See
+ * `deliverUserMessage` for its delivery.
+ * @param method - The JSON-RPC method, e.g. `notification`.
+ * @param params - The parameters, with the `userId` of the recipient.
+ */
+export const dispatchWebSocket = async (method, params) => {
+  let message;
+  try {
+    message = await recordMessage(params.userId, {
+      jsonrpc: '2.0',
+      method,
+      params,
+    });
+  } catch (e) {
+    console.log('[websocket] - Unable to number message:', e);
+    return;
+  }
+
+  await publishToBus({
+    type: BUS_MESSAGE_TYPES.USER,
+    userId: params.userId,
+    message,
+  });
+};
+
+/**
+ * This function delivers a message of the bus to the clients of a user connected to this replica.
+ * @param clients - The clients of the WebSocket server.
+ * @param userId - The id of the user.
+ * @param message - The JSON-RPC notification, with its `seq`.
+ * @returns The number of open clients the message was sent to.
+ */
+export const deliverUserMessage = (clients, userId, message) => {
+  const data = JSON.stringify(message);
+  let count = 0;
+
+  clients.forEach(function each(client) {
+    if (client.readyState === WebSocket.OPEN && client.userId === userId) {
+      client.send(data);
+      count++;
     }
   });
+
+  return count;
 };
+
+/**
+ * This function checks whether a user has an open WebSocket connection, on this replica or, according
+ * to the presence records of the bus, on another one.
+ * @param userId - The id of the user.
+ * @returns `true` if the user is connected.
+ */
+export const isUserOnline = async (userId) =>
+  Array.from(wss.clients).some(
+    (client) => client.readyState === WebSocket.OPEN && client.userId === userId
+  ) || (await getWebSocketBus().isOnlineElsewhere(userId));
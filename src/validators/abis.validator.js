@@ -0,0 +1,52 @@
+import { body, param, query } from 'express-validator';
+import { ethers } from 'ethers';
+import { validateFields } from '../utils/validators-utils.js';
+
+export const createAbiValidator = [
+  body('contract')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty')
+    .matches(/^[A-Za-z0-9]+$/)
+    .withMessage('must be alphanumeric'),
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('abi')
+    .isArray({ min: 1 })
+    .withMessage('must be a non empty array')
+    .custom((value) => {
+      try {
+        value.forEach((fragment) => ethers.utils.Fragment.from(fragment));
+      } catch (e) {
+        throw new Error('must be a valid ABI');
+      }
+      return true;
+    }),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['contract', 'version', 'abi'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+  param().custom((value, { req }) => {
+    validateFields(req.params, [], 'params');
+    return true;
+  }),
+];
+
+export const getAbiValidator = [
+  param('contract')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+];
@@ -0,0 +1,60 @@
+import { body, param, query } from 'express-validator';
+import { validateFields } from '../utils/validators-utils.js';
+import { ROLES } from '../utils/roles-utils.js';
+
+const validateRoles = () => [
+  body('roles').isArray({ min: 1 }).withMessage('must be a non empty array'),
+  body('roles.*')
+    .isIn(Object.values(ROLES))
+    .withMessage(`must be one of ${Object.values(ROLES).join(', ')}`),
+];
+
+export const createAdminValidator = [
+  body('userId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  ...validateRoles(),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['userId', 'roles'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const modifyAdminRolesValidator = [
+  param('userId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  ...validateRoles(),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['roles'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const deleteAdminValidator = [
+  param('userId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
@@ -0,0 +1,46 @@
+import { body, param, query } from 'express-validator';
+import { validateFields } from '../utils/validators-utils.js';
+import { API_KEY_SCOPES } from '../utils/api-keys-utils.js';
+
+export const createApiKeyValidator = [
+  body('name')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body('scopes').isArray({ min: 1 }).withMessage('must be a non empty array'),
+  body('scopes.*')
+    .isIn(Object.values(API_KEY_SCOPES))
+    .withMessage(`must be one of ${Object.values(API_KEY_SCOPES).join(', ')}`),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('must be an ISO 8601 date')
+    .toDate()
+    .custom((value) => {
+      if (value <= new Date()) {
+        throw new Error('must be in the future');
+      }
+      return true;
+    }),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['name', 'scopes', 'expiresAt'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const getApiKeyByIdValidator = [
+  param('apiKeyId').isMongoId().withMessage('must be mongodb id'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
@@ -65,6 +65,26 @@ export const createBlockchainValidator = [
     .withMessage('must be boolean value')
     .notEmpty()
     .withMessage('must not be empty'),
+  body('confirmations')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('pendingTimeout')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('completionTimeout')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('confirmationTimeout')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
   body('usefulAddresses')
     .isObject()
     .withMessage('must be an object')
@@ -93,6 +113,10 @@ export const createBlockchainValidator = [
         'transactionExplorerUrl',
         'addressExplorerUrl',
         'usefulAddresses',
+        'confirmations',
+        'pendingTimeout',
+        'completionTimeout',
+        'confirmationTimeout',
       ],
       'body'
     );
@@ -196,6 +220,26 @@ export const modifyBlockchainValidator = [
     .withMessage('must be URL')
     .notEmpty()
     .withMessage('must not be empty'),
+  body('confirmations')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('pendingTimeout')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('completionTimeout')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  body('confirmationTimeout')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value')
+    .toInt(),
   body().custom((value, { req }) => {
     validateFields(
       req.body,
@@ -212,6 +256,10 @@ export const modifyBlockchainValidator = [
         'transactionExplorerUrl',
         'addressExplorerUrl',
         'usefulAddresses',
+        'confirmations',
+        'pendingTimeout',
+        'completionTimeout',
+        'confirmationTimeout',
       ],
       'body'
     );
@@ -2,11 +2,7 @@ import { body, param, query } from 'express-validator';
 import { validateFields } from '../utils/validators-utils.js';
 
 export const createUserInfoValidator = [
-  body('email')
-    .isString()
-    .withMessage('must be string value')
-    .notEmpty()
-    .withMessage('must not be empty'),
+  body('email').isEmail().withMessage('must be email value'),
   body('walletAddress')
     .isString()
     .withMessage('must be string value')
@@ -0,0 +1,136 @@
+import { body, param, query } from 'express-validator';
+import { validateFields } from '../utils/validators-utils.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+} from '../utils/notification-preferences-utils.js';
+import { NOTIFICATION_LOCALES } from '../utils/notification-templates-utils.js';
+
+export const getNotificationsValidator = [
+  query('limit')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('must be a positive int value'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('must be boolean value')
+    .toBoolean(),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, ['limit', 'offset', 'unread'], 'query');
+    return true;
+  }),
+];
+
+export const readNotificationValidator = [
+  param('notificationId').isMongoId().withMessage('must be mongodb id'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const readAllNotificationsValidator = [
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const getNotificationPreferencesValidator = [
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const updateNotificationPreferencesValidator = [
+  body('locale')
+    .optional()
+    .isIn(NOTIFICATION_LOCALES)
+    .withMessage(`must be one of ${NOTIFICATION_LOCALES.join(', ')}`),
+  body('events')
+    .optional()
+    .isObject()
+    .withMessage('must be object value')
+    .bail()
+    .custom((events) => {
+      for (const [event, channels] of Object.entries(events)) {
+        if (!Object.values(NOTIFICATION_EVENTS).includes(event)) {
+          throw new Error(`unknown event ${event}`);
+        }
+        if (
+          !channels ||
+          typeof channels !== 'object' ||
+          Array.isArray(channels)
+        ) {
+          throw new Error(`${event} must be object value`);
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+          if (!Object.values(NOTIFICATION_CHANNELS).includes(channel)) {
+            throw new Error(`unknown channel ${channel}`);
+          }
+          if (typeof enabled !== 'boolean') {
+            throw new Error(`${event}.${channel} must be boolean value`);
+          }
+        }
+      }
+      return true;
+    }),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['locale', 'events'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const updateNotificationEmailValidator = [
+  body('email').isEmail().withMessage('must be email value'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['email'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const verifyNotificationEmailValidator = [
+  body('code')
+    .isString()
+    .withMessage('must be string value')
+    .matches(/^\d{6}$/)
+    .withMessage('must be 6 digits'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['code'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
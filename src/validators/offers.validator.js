@@ -336,3 +336,36 @@ export const updateOfferValidator = [
     return true;
   }),
 ];
+
+export const resubmitOfferValidator = [
+  body('id')
+    .isMongoId()
+    .withMessage('must be mongodb id')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body('hash')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['id', 'hash'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+  param().custom((value, { req }) => {
+    validateFields(req.params, [], 'params');
+    return true;
+  }),
+];
+
+export const getOfferHistoryValidator = [
+  param('offerId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+];
@@ -38,6 +38,11 @@ export const createOrderValidator = [
     .withMessage('must be string value')
     .notEmpty()
     .withMessage('must not be empty'),
+  body('quoteId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
   body().custom((value, { req }) => {
     validateFields(
       req.body,
@@ -50,6 +55,7 @@ export const createOrderValidator = [
         'amountTokenOffer',
         'offerId',
         'hash',
+        'quoteId',
       ],
       'body'
     );
@@ -129,3 +135,36 @@ export const deleteOrderValidator = [
     .notEmpty()
     .withMessage('must not be empty'),
 ];
+
+export const resubmitOrderValidator = [
+  body('id')
+    .isMongoId()
+    .withMessage('must be mongodb id')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body('hash')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['id', 'hash'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+  param().custom((value, { req }) => {
+    validateFields(req.params, [], 'params');
+    return true;
+  }),
+];
+
+export const getOrderHistoryValidator = [
+  param('orderId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+];
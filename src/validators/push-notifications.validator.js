@@ -1,14 +1,26 @@
 import { body, param, query } from 'express-validator';
 import { validateFields } from '../utils/validators-utils.js';
 
+export const DEVICE_PLATFORMS = ['web', 'android', 'ios'];
+
 export const updateNotificationTokenValidator = [
   body('token')
     .isString()
     .withMessage('must be string value')
     .notEmpty()
     .withMessage('must not be empty'),
+  body('label')
+    .optional()
+    .isString()
+    .withMessage('must be string value')
+    .isLength({ max: 100 })
+    .withMessage('must be at most 100 characters'),
+  body('platform')
+    .optional()
+    .isIn(DEVICE_PLATFORMS)
+    .withMessage(`must be one of ${DEVICE_PLATFORMS.join(', ')}`),
   body().custom((value, { req }) => {
-    validateFields(req.body, ['token'], 'body');
+    validateFields(req.body, ['token', 'label', 'platform'], 'body');
     return true;
   }),
   query().custom((value, { req }) => {
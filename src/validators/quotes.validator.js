@@ -0,0 +1,73 @@
+import { body, param, query } from 'express-validator';
+import { validateFields } from '../utils/validators-utils.js';
+
+export const getQuotesValidator = [
+  query('exchangeChainId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  query('exchangeToken')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  query('chainId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  query('token')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  query('depositAmount')
+    .isFloat({ gt: 0 })
+    .withMessage('must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('must be a positive int value')
+    .toInt(),
+  query().custom((value, { req }) => {
+    validateFields(
+      req.query,
+      [
+        'exchangeChainId',
+        'exchangeToken',
+        'chainId',
+        'token',
+        'depositAmount',
+        'limit',
+      ],
+      'query'
+    );
+    return true;
+  }),
+];
+
+export const createQuoteValidator = [
+  body('offerId')
+    .isString()
+    .withMessage('must be string value')
+    .notEmpty()
+    .withMessage('must not be empty'),
+  body('depositAmount')
+    .isString()
+    .withMessage('must be string value')
+    .isFloat({ gt: 0 })
+    .withMessage('must be a positive number'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['offerId', 'depositAmount'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+  param().custom((value, { req }) => {
+    validateFields(req.params, [], 'params');
+    return true;
+  }),
+];
@@ -0,0 +1,44 @@
+import { body, param, query } from 'express-validator';
+import { validateFields } from '../utils/validators-utils.js';
+import { WEBHOOK_EVENT_STATUS } from '../utils/webhook-events-utils.js';
+import { WEBHOOK_EVENTS } from '../utils/webhook-handlers-utils.js';
+
+export const getWebhookEventsValidator = [
+  query('limit').optional().isInt().withMessage('must be int value'),
+  query('offset').optional().isInt().withMessage('must be int value'),
+  query('status')
+    .optional()
+    .isIn(Object.values(WEBHOOK_EVENT_STATUS))
+    .withMessage(
+      `must be one of ${Object.values(WEBHOOK_EVENT_STATUS).join(', ')}`
+    ),
+  query('event')
+    .optional()
+    .isIn(Object.values(WEBHOOK_EVENTS))
+    .withMessage(`must be one of ${Object.values(WEBHOOK_EVENTS).join(', ')}`),
+  query('targetId').optional().isMongoId().withMessage('must be mongodb id'),
+  query().custom((value, { req }) => {
+    validateFields(
+      req.query,
+      ['limit', 'offset', 'status', 'event', 'targetId'],
+      'query'
+    );
+    return true;
+  }),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+];
+
+export const getWebhookEventByIdValidator = [
+  param('eventId').isMongoId().withMessage('must be mongodb id'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
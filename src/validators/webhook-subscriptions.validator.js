@@ -0,0 +1,106 @@
+import { body, param, query } from 'express-validator';
+import { validateFields } from '../utils/validators-utils.js';
+import {
+  DELIVERY_STATUS,
+  SUBSCRIPTION_EVENTS,
+  checkSubscriptionUrl,
+} from '../utils/webhook-subscriptions-utils.js';
+
+export const createSubscriptionValidator = [
+  body('url')
+    .isURL({ require_protocol: true, protocols: ['http', 'https'] })
+    .withMessage('must be URL')
+    .bail()
+    .custom((url) => {
+      checkSubscriptionUrl(url);
+      return true;
+    }),
+  body('events').isArray({ min: 1 }).withMessage('must be a non empty array'),
+  body('events.*')
+    .isIn(Object.values(SUBSCRIPTION_EVENTS))
+    .withMessage(
+      `must be one of ${Object.values(SUBSCRIPTION_EVENTS).join(', ')}`
+    ),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['url', 'events'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const updateSubscriptionValidator = [
+  param('subscriptionId').isMongoId().withMessage('must be mongodb id'),
+  body('url')
+    .optional()
+    .isURL({ require_protocol: true, protocols: ['http', 'https'] })
+    .withMessage('must be URL')
+    .bail()
+    .custom((url) => {
+      checkSubscriptionUrl(url);
+      return true;
+    }),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('must be a non empty array'),
+  body('events.*')
+    .isIn(Object.values(SUBSCRIPTION_EVENTS))
+    .withMessage(
+      `must be one of ${Object.values(SUBSCRIPTION_EVENTS).join(', ')}`
+    ),
+  body('isActive').optional().isBoolean().withMessage('must be boolean value'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, ['url', 'events', 'isActive'], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const getSubscriptionByIdValidator = [
+  param('subscriptionId').isMongoId().withMessage('must be mongodb id'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
+
+export const getDeliveriesValidator = [
+  param('subscriptionId').isMongoId().withMessage('must be mongodb id'),
+  query('limit').optional().isInt().withMessage('must be int value'),
+  query('offset').optional().isInt().withMessage('must be int value'),
+  query('status')
+    .optional()
+    .isIn(Object.values(DELIVERY_STATUS))
+    .withMessage(`must be one of ${Object.values(DELIVERY_STATUS).join(', ')}`),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, ['limit', 'offset', 'status'], 'query');
+    return true;
+  }),
+];
+
+export const retryDeliveryValidator = [
+  param('subscriptionId').isMongoId().withMessage('must be mongodb id'),
+  param('deliveryId').isMongoId().withMessage('must be mongodb id'),
+  body().custom((value, { req }) => {
+    validateFields(req.body, [], 'body');
+    return true;
+  }),
+  query().custom((value, { req }) => {
+    validateFields(req.query, [], 'query');
+    return true;
+  }),
+];
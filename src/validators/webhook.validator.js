@@ -26,6 +26,7 @@ export const updateStatusOfferValidator = [
       return value === 'true';
     }),
   body('apiKey')
+    .optional()
     .isString()
     .withMessage('must be string value')
     .notEmpty()
@@ -81,6 +82,7 @@ export const updateOfferValidator = [
     .notEmpty()
     .withMessage('must not be empty'),
   body('apiKey')
+    .optional()
     .isString()
     .withMessage('must be string value')
     .notEmpty()
@@ -147,6 +149,7 @@ export const updateOrderValidator = [
     .notEmpty()
     .withMessage('must not be empty'),
   body('apiKey')
+    .optional()
     .isString()
     .withMessage('must be string value')
     .notEmpty()
@@ -215,6 +218,7 @@ export const updateOfferOrderPaidValidator = [
     .notEmpty()
     .withMessage('must not be empty'),
   body('apiKey')
+    .optional()
     .isString()
     .withMessage('must be string value')
     .notEmpty()
@@ -258,6 +262,7 @@ export const updateOfferOrderCompletionValidator = [
     .notEmpty()
     .withMessage('must not be empty'),
   body('apiKey')
+    .optional()
     .isString()
     .withMessage('must be string value')
     .notEmpty()
@@ -275,3 +280,71 @@ export const updateOfferOrderCompletionValidator = [
     return true;
   }),
 ];
+
+/**
+ * This function builds the validator of a webhook changing a parameter of an offer on-chain.
+ * @param field - The body field holding the new value of the parameter.
+ * @returns The validation chain.
+ */
+function offerParameterValidator(field) {
+  return [
+    body('_grinderyChainId')
+      .isString()
+      .withMessage('must be string value')
+      .notEmpty()
+      .withMessage('must not be empty'),
+    body('_grinderyTransactionHash')
+      .isString()
+      .withMessage('must be string value')
+      .notEmpty()
+      .withMessage('must not be empty'),
+    body('_idOffer')
+      .isString()
+      .withMessage('must be string value')
+      .notEmpty()
+      .withMessage('must not be empty'),
+    body(field)
+      .isString()
+      .withMessage('must be string value')
+      .notEmpty()
+      .withMessage('must not be empty'),
+    body('apiKey')
+      .optional()
+      .isString()
+      .withMessage('must be string value')
+      .notEmpty()
+      .withMessage('must not be empty'),
+    body().custom((value, { req }) => {
+      validateFields(
+        req.body,
+        [
+          '_grinderyChainId',
+          '_grinderyTransactionHash',
+          '_idOffer',
+          field,
+          'apiKey',
+        ],
+        'body'
+      );
+      return true;
+    }),
+    query().custom((value, { req }) => {
+      validateFields(req.query, [], 'query');
+      return true;
+    }),
+    param().custom((value, { req }) => {
+      validateFields(req.params, [], 'params');
+      return true;
+    }),
+  ];
+}
+
+export const updateOfferMaxPriceValidator =
+  offerParameterValidator('_upperLimitFn');
+
+export const updateOfferMinPriceValidator =
+  offerParameterValidator('_lowerLimitFn');
+
+export const updateOfferTokenValidator = offerParameterValidator('_token');
+
+export const updateOfferChainValidator = offerParameterValidator('_chainId');
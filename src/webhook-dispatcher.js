@@ -0,0 +1,30 @@
+import { Database } from './db/conn.js';
+import { runWebhookDispatcher } from './utils/webhook-subscriptions-utils.js';
+
+const DEFAULT_INTERVAL = 5000;
+
+export default () => {
+  const interval =
+    parseInt(process.env.WEBHOOK_DISPATCHER_INTERVAL) || DEFAULT_INTERVAL;
+  let isRunning = false;
+
+  const timer = setInterval(async () => {
+    // Slow subscribers can make a pass outlast the interval, skip the tick instead of overlapping.
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      // Like the indexer, the dispatcher is not tied to any request and serves the production database.
+      await runWebhookDispatcher(
+        await Database.getInstance({ originalUrl: '/v2/' })
+      );
+    } catch (e) {
+      console.log('[webhook-dispatcher] - error:', e);
+    } finally {
+      isRunning = false;
+    }
+  }, interval);
+
+  console.log(`Webhook dispatcher is running every ${interval}ms!`);
+  return timer;
+};
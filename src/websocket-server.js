@@ -1,41 +1,275 @@
 import WebSocket from 'ws';
 import { checkToken } from './utils/auth-utils.js';
-import jwt_decode from 'jwt-decode';
+import {
+  InvalidTopicError,
+  deliverTopicEvent,
+  getTopic,
+  subscribeTopic,
+  unsubscribeAllTopics,
+  unsubscribeTopic,
+} from './utils/websocket-topics-utils.js';
+import {
+  checkHeartbeats,
+  getLastSeq,
+  getMissedMessages,
+  pruneSessions,
+} from './utils/websocket-sessions-utils.js';
+import {
+  BUS_MESSAGE_TYPES,
+  getWebSocketBus,
+} from './utils/websocket-bus-utils.js';
+import { deliverUserMessage } from './utils/websocket-utils.js';
+import {
+  RPC_ERROR_CODES,
+  RPC_METHODS,
+  buildRpcError,
+  callRpcMethod,
+} from './utils/websocket-rpc-utils.js';
 
-function onConnection(ws, req) {
+const DEFAULT_HEARTBEAT_INTERVAL = 30000;
+const AUTHENTICATION_TIMEOUT = 5000;
+const DEFAULT_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * This function sends a JSON-RPC error to a client.
+ * @param ws - The WebSocket client.
+ * @param id - The id of the request.
+ * @param code - The error code.
+ * @param message - The error message.
+ */
+function sendError(ws, id, code, message) {
+  ws.send(
+    JSON.stringify({ jsonrpc: '2.0', id, error: buildRpcError(code, message) })
+  );
+}
+
+/**
+ * This function answers a `subscribe` or `unsubscribe` request of a client. Topics are public, so
+ * clients do not need to authenticate to follow them.
+ * @param ws - The WebSocket client.
+ * @param request - The JSON-RPC request, with the `topic` and its parameters in `params`.
+ */
+function onTopicRequest(ws, request) {
+  try {
+    const topic = getTopic(request.params);
+    const result = { subscription: topic };
+    if (request.method === 'subscribe') {
+      subscribeTopic(ws, topic);
+    } else {
+      result.unsubscribed = unsubscribeTopic(ws, topic);
+    }
+
+    ws.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+  } catch (e) {
+    if (!(e instanceof InvalidTopicError)) throw e;
+    sendError(ws, request.id, RPC_ERROR_CODES.INVALID_PARAMS, e.message);
+  }
+}
+
+/**
+ * This function answers a `resume` request of an authenticated client that reconnected: the messages
+ * sent to its user after `lastSeq` are sent again, in order, before the reply.
+ * @param ws - The WebSocket client.
+ * @param request - The JSON-RPC request, with the `lastSeq` the client saw in `params`.
+ */
+async function onResumeRequest(ws, request) {
+  if (!ws.userId) {
+    return sendError(
+      ws,
+      request.id,
+      RPC_ERROR_CODES.UNAUTHENTICATED,
+      'Client is not authenticated'
+    );
+  }
+
+  const lastSeq = request.params?.lastSeq;
+  if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+    return sendError(
+      ws,
+      request.id,
+      RPC_ERROR_CODES.INVALID_PARAMS,
+      'lastSeq must be a non-negative integer'
+    );
+  }
+
+  const { messages, complete } = await getMissedMessages(ws.userId, lastSeq);
+  const seq = await getLastSeq(ws.userId);
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  messages.forEach((message) => ws.send(JSON.stringify(message)));
+  ws.send(
+    JSON.stringify({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: { replayed: messages.length, seq, complete },
+    })
+  );
+}
+
+/**
+ * This function answers a query or command of an authenticated client, by calling the route of the
+ * method in-process with the token of the client. See `RPC_METHODS` for the available methods.
+ * @param ws - The WebSocket client.
+ * @param request - The JSON-RPC request.
+ */
+async function onRpcRequest(ws, request) {
+  if (!ws.userId) {
+    return sendError(
+      ws,
+      request.id,
+      RPC_ERROR_CODES.UNAUTHENTICATED,
+      'Client is not authenticated'
+    );
+  }
+
+  const response = await callRpcMethod(
+    ws.accessToken,
+    request.method,
+    request.params
+  );
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...response }));
+}
+
+/**
+ * This function records the users connected to this replica in the presence records of the bus, so
+ * that the other replicas know they are online.
+ * @param clients - The clients of the WebSocket server.
+ */
+async function updatePresence(clients) {
+  const userIds = Array.from(clients)
+    .filter((client) => client.readyState === WebSocket.OPEN && client.userId)
+    .map((client) => client.userId);
+
+  try {
+    await getWebSocketBus().setPresence([...new Set(userIds)]);
+  } catch (e) {
+    console.log('[websocket] - Unable to update presence:', e);
+  }
+}
+
+/**
+ * This function delivers a message of the bus to the clients of this replica.
+ * @param clients - The clients of the WebSocket server.
+ * @param message - The message, see `BUS_MESSAGE_TYPES`.
+ */
+function onBusMessage(clients, message) {
+  if (message.type === BUS_MESSAGE_TYPES.USER) {
+    deliverUserMessage(clients, message.userId, message.message);
+  } else if (message.type === BUS_MESSAGE_TYPES.TOPIC) {
+    deliverTopicEvent(message.topic, message.event, message.data);
+  }
+}
+
+function onConnection(ws, req, wss) {
   ws.send('Mercari Web Socket Server!');
 
-  const FIVE_SECONDS = 5000;
-  const authTimeout = setTimeout(() => {
-    ws.close();
-    console.log('Client connection closed due to authentication timeout');
-  }, FIVE_SECONDS);
+  // Unauthenticated clients are closed if they do not authenticate in time. Those following public
+  // topics get the idle timeout instead, restarted by each of their topic requests.
+  let deadline;
+  const setDeadline = (delay, reason) => {
+    clearTimeout(deadline);
+    deadline = setTimeout(() => {
+      ws.close();
+      console.log(`Client connection closed due to ${reason}`);
+    }, delay);
+  };
+  setDeadline(AUTHENTICATION_TIMEOUT, 'authentication timeout');
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+  ws.on('close', () => {
+    clearTimeout(deadline);
+    unsubscribeAllTopics(ws);
+    if (ws.userId) updatePresence(wss.clients);
+  });
 
   ws.on('message', async (message) => {
+    let request;
     try {
-      const request = JSON.parse(message);
+      request = JSON.parse(message);
+    } catch (e) {
+      sendError(ws, null, RPC_ERROR_CODES.PARSE_ERROR, 'Parse error');
+      return;
+    }
+    if (request === null || typeof request !== 'object') {
+      sendError(ws, null, RPC_ERROR_CODES.INVALID_REQUEST, 'Invalid request');
+      return;
+    }
+
+    if (['subscribe', 'unsubscribe'].includes(request.method)) {
+      if (!ws.userId) {
+        setDeadline(
+          parseInt(process.env.WEBSOCKET_IDLE_TIMEOUT) || DEFAULT_IDLE_TIMEOUT,
+          'idle timeout'
+        );
+      }
+      onTopicRequest(ws, request);
+      return;
+    }
 
-      if (request.method !== 'authenticated') {
-        ws.close();
-        console.log('Client connection closed due to invalid method');
-        return;
+    if (request.method === 'resume') {
+      try {
+        await onResumeRequest(ws, request);
+      } catch (e) {
+        console.error(e);
+        sendError(ws, request.id, RPC_ERROR_CODES.SERVER_ERROR, 'Server error');
       }
+      return;
+    }
+
+    if (RPC_METHODS[request.method]) {
+      try {
+        await onRpcRequest(ws, request);
+      } catch (e) {
+        console.error(e);
+        sendError(ws, request.id, RPC_ERROR_CODES.SERVER_ERROR, 'Server error');
+      }
+      return;
+    }
+
+    if (request.method !== 'authenticated' && ws.userId) {
+      sendError(
+        ws,
+        request.id,
+        RPC_ERROR_CODES.METHOD_NOT_FOUND,
+        `Method not found: ${request.method}`
+      );
+      return;
+    }
 
+    if (request.method !== 'authenticated') {
+      ws.close();
+      console.log('Client connection closed due to invalid method');
+      return;
+    }
+
+    try {
       const accessToken = request.params.access_token;
-      await checkToken(accessToken);
-      const user = jwt_decode(accessToken);
+      const user = await checkToken(accessToken);
       ws.userId = user.sub;
-
-      clearTimeout(authTimeout);
-      ws.send(JSON.stringify({ result: 'authenticated' }));
-      console.log('Client authenticated');
+      ws.accessToken = accessToken;
     } catch (error) {
       console.error(error);
       const message = 'Client connection closed due to invalid token';
       ws.send(JSON.stringify({ result: message }));
       ws.close();
       console.log(message);
+      return;
     }
+
+    clearTimeout(deadline);
+    let seq;
+    try {
+      seq = await getLastSeq(ws.userId);
+    } catch (e) {
+      console.log('[websocket] - Unable to read the last seq:', e);
+    }
+    ws.send(JSON.stringify({ result: 'authenticated', seq }));
+    updatePresence(wss.clients);
+    console.log('Client authenticated');
   });
 }
 
@@ -43,7 +277,27 @@ export default (server) => {
   const wss = new WebSocket.Server({
     server,
   });
-  wss.on('connection', onConnection);
+  wss.on('connection', (ws, req) => onConnection(ws, req, wss));
+  getWebSocketBus().subscribe((message) => onBusMessage(wss.clients, message));
+
+  // Clients that stopped answering pings are terminated, which removes them from `wss.clients`.
+  const heartbeatInterval =
+    parseInt(process.env.WEBSOCKET_HEARTBEAT_INTERVAL) ||
+    DEFAULT_HEARTBEAT_INTERVAL;
+  const heartbeat = setInterval(() => {
+    checkHeartbeats(wss.clients);
+    pruneSessions(wss.clients).catch((e) =>
+      console.log('[websocket] - Unable to prune sessions:', e)
+    );
+    updatePresence(wss.clients);
+  }, heartbeatInterval);
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    getWebSocketBus()
+      .close()
+      .catch((e) => console.log('[websocket] - Unable to close the bus:', e));
+  });
+
   console.log('Mercari Web Socket Server is running!');
   return wss;
 };